@@ -2,10 +2,14 @@ import { spawn } from "node:child_process";
 import { setTimeout as sleep } from "node:timers/promises";
 import { io } from "socket.io-client";
 
-const CLIENTS = Number(process.env.LOAD_CLIENTS ?? 50);
+const clientsArg = process.argv.find((arg) => arg.startsWith("--clients="));
+const CLIENTS = Number(clientsArg?.slice("--clients=".length) ?? process.env.LOAD_CLIENTS ?? 50);
 const DURATION_MS = Number(process.env.LOAD_DURATION_MS ?? 12000);
 const SYNC_INTERVAL_MS = Number(process.env.LOAD_SYNC_INTERVAL_MS ?? 100);
 const CONNECT_TIMEOUT_MS = Number(process.env.LOAD_CONNECT_TIMEOUT_MS ?? 20000);
+const WARMUP_MS = Number(process.env.LOAD_WARMUP_MS ?? 2000);
+// Grid spacing between clients; widen it to spread players across several AOI cells.
+const SPACING_M = Number(process.env.LOAD_SPACING_M ?? 1.5);
 
 function waitFor(predicate, timeoutMs = 10000, stepMs = 25) {
   return new Promise((resolve, reject) => {
@@ -24,11 +28,16 @@ function waitFor(predicate, timeoutMs = 10000, stepMs = 25) {
   });
 }
 
+async function fetchTickStats(port, { reset = false } = {}) {
+  const response = await fetch(`http://localhost:${port}/metrics/tick${reset ? "?reset=1" : ""}`);
+  return response.json();
+}
+
 async function run() {
   const port = 3500 + Math.floor(Math.random() * 2000);
   const server = spawn(process.execPath, ["server.js"], {
     cwd: process.cwd(),
-    env: { ...process.env, PORT: String(port) },
+    env: { ...process.env, PORT: String(port), TICK_METRICS_RESET: "1" },
     stdio: ["ignore", "pipe", "pipe"]
   });
 
@@ -86,16 +95,19 @@ async function run() {
           continue;
         }
         socket.emit("player:sync", {
-          x: (i % 10) * 1.5 + (tick % 4) * 0.08,
+          x: (i % 10) * SPACING_M + (tick % 4) * 0.08,
           y: 1.72,
-          z: Math.floor(i / 10) * 1.5,
+          z: Math.floor(i / 10) * SPACING_M,
           yaw: ((tick + i) % 360) * (Math.PI / 180),
           pitch: 0
         });
       }
     }, Math.max(25, SYNC_INTERVAL_MS));
 
+    await sleep(Math.max(0, WARMUP_MS));
+    await fetchTickStats(port, { reset: true });
     await sleep(Math.max(4000, DURATION_MS));
+    const tickStats = await fetchTickStats(port);
     clearInterval(emitter);
 
     const elapsed = Date.now() - startedAt;
@@ -114,7 +126,17 @@ async function run() {
           receivedDeltaEvents,
           receivedDeltaUpdates,
           deltaEventsPerSecond: eventsPerSecond,
-          deltaUpdatesPerSecond: updatesPerSecond
+          deltaUpdatesPerSecond: updatesPerSecond,
+          serverTick: {
+            samples: tickStats.samples,
+            players: tickStats.players,
+            intervalMs: tickStats.tickIntervalMs,
+            meanMs: tickStats.meanMs,
+            p50Ms: tickStats.p50Ms,
+            p95Ms: tickStats.p95Ms,
+            p99Ms: tickStats.p99Ms,
+            maxMs: tickStats.maxMs
+          }
         },
         null,
         2
@@ -0,0 +1,448 @@
+// Runs a full quiz match against the real room/quiz logic in server.js on a virtual clock:
+// scripted participants walk to O/X, drop out and resume, and the event log plus final ranking
+// are printed. A four-question match takes a couple of seconds instead of several minutes.
+// With --void-final the host voids the result that ends the match, as after a wrong answer key.
+// With --void-after-resume two players drop and resume right after S3 is judged and the host then
+// voids S3; the run fails unless the eliminated one is revived and the correct one loses the point.
+//
+//   node scripts/simulate-match.mjs [--marathon] [--void-final] [--void-after-resume] [--json] [--server-logs]
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { io as connectClient } from "socket.io-client";
+import { BASE_VOID_PACK } from "../src/game/content/packs/base-void/pack.js";
+import { createVirtualClock, installServerClock } from "../src/server/serverClock.js";
+
+const argv = process.argv.slice(2);
+const jsonOutput = argv.includes("--json");
+const showServerLogs = argv.includes("--server-logs");
+const mode = argv.includes("--marathon") ? "marathon" : "survival";
+const voidFinal = argv.includes("--void-final");
+const voidAfterResume = argv.includes("--void-after-resume");
+
+const SIM_EPOCH_MS = Date.UTC(2025, 0, 1);
+const SIM_STEP_MS = 250;
+const SIM_MAX_DURATION_MS = 15 * 60 * 1000;
+const SIM_WALK_SPEED = 8;
+const PLAYER_EYE_Y = 1.72;
+const ARENA = BASE_VOID_PACK?.world?.oxArena ?? {};
+const ZONE_TARGETS = {
+  O: { x: Number(ARENA?.oZone?.centerX ?? -17), z: 0 },
+  X: { x: Number(ARENA?.xZone?.centerX ?? 17), z: 0 }
+};
+
+// Each participant answers question N with answers[N - 1]; a missing answer means they stay put.
+const SCENARIO = {
+  questions: [
+    { id: "S1", text: "지구는 태양 주위를 돈다.", answer: "O", explanation: "공전합니다." },
+    { id: "S2", text: "물은 50도에서 끓는다.", answer: "X", explanation: "1기압에서는 100도입니다." },
+    { id: "S3", text: "고래는 포유류다.", answer: "O", explanation: "새끼를 낳아 젖을 먹입니다." },
+    { id: "S4", text: "번개는 소리보다 늦게 도착한다.", answer: "X", explanation: "빛이 먼저 도착합니다." }
+  ],
+  participants: [
+    { name: "ALICE", reactionMs: 1200, answers: ["O", "X", "O", "X"] },
+    { name: "BOB", reactionMs: 2600, answers: ["O", "X", "X", "X"] },
+    {
+      name: "CAROL",
+      reactionMs: 1800,
+      answers: ["O", "X", "O", "X"],
+      disconnect: { question: 2, afterMs: 3000, rejoinAfterMs: 8000 }
+    },
+    { name: "DAVE", reactionMs: 900, answers: ["X", "X", "O", "X"] },
+    {
+      name: "ERIN",
+      reactionMs: 2200,
+      answers: ["O", "X", "O", "X"],
+      disconnect: { question: 3, afterMs: 2000, rejoinAfterMs: null }
+    }
+  ],
+  // BOB is eliminated and CAROL answers correctly on S3 in the script above.
+  voidAfterResume: { question: 3, eliminated: "BOB", correct: "CAROL" }
+};
+
+const print = console.log.bind(console);
+const events = [];
+const clock = createVirtualClock(SIM_EPOCH_MS);
+
+function elapsedLabel(at = clock.now()) {
+  return `${((at - SIM_EPOCH_MS) / 1000).toFixed(3).padStart(8)}s`;
+}
+
+// Server events carry their own timestamps, which are exact; receipt time is only step-accurate.
+function logEvent(type, detail = "", at = clock.now()) {
+  events.push({ at: at - SIM_EPOCH_MS, type, detail });
+  if (!jsonOutput) {
+    print(`[${elapsedLabel(at)}] ${type.padEnd(22)} ${detail}`);
+  }
+}
+
+function waitForConnect(socket, timeoutMs = 5000) {
+  if (socket.connected) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("socket connect timeout")), timeoutMs);
+    socket.once("connect", () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    socket.once("connect_error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+}
+
+function emitAck(socket, event, payload) {
+  return new Promise((resolve) => {
+    if (payload === undefined) {
+      socket.emit(event, (response = {}) => resolve(response));
+    } else {
+      socket.emit(event, payload, (response = {}) => resolve(response));
+    }
+  });
+}
+
+// socket.io keeps per-connection ordering, so one acked round trip per client guarantees the
+// server has handled everything that client sent and the client has received every earlier emit.
+async function settle(sockets) {
+  await Promise.all(
+    sockets.filter((socket) => socket?.connected).map((socket) => emitAck(socket, "quiz:state"))
+  );
+}
+
+function createParticipant(spec) {
+  return {
+    spec,
+    socket: null,
+    id: null,
+    sessionToken: null,
+    position: { x: 0, y: PLAYER_EYE_Y, z: 0 },
+    seq: 0,
+    target: null,
+    moveAt: 0,
+    disconnectAt: 0,
+    rejoinAt: 0,
+    gone: false
+  };
+}
+
+function attachParticipantSocket(participant, socket) {
+  participant.socket = socket;
+  socket.on("player:correct", (payload = {}) => {
+    const state = payload?.state ?? {};
+    participant.position = {
+      x: Number(state.x) || 0,
+      y: Number(state.y) || PLAYER_EYE_Y,
+      z: Number(state.z) || 0
+    };
+  });
+  socket.on("quiz:question", (payload = {}) => {
+    const index = Math.max(1, Math.trunc(Number(payload.index) || 1));
+    const answer = participant.spec.answers[index - 1];
+    participant.target = ZONE_TARGETS[answer] ?? null;
+    participant.moveAt = clock.now() + participant.spec.reactionMs;
+    const plan = participant.spec.disconnect;
+    if (plan && plan.question === index && !participant.disconnectAt) {
+      participant.disconnectAt = clock.now() + plan.afterMs;
+    }
+  });
+}
+
+function stepParticipant(participant) {
+  const socket = participant.socket;
+  if (!socket?.connected || !participant.target || clock.now() < participant.moveAt) {
+    return;
+  }
+  const dx = participant.target.x - participant.position.x;
+  const dz = participant.target.z - participant.position.z;
+  const distance = Math.hypot(dx, dz);
+  if (distance < 0.05) {
+    return;
+  }
+  const step = Math.min(distance, (SIM_WALK_SPEED * SIM_STEP_MS) / 1000);
+  participant.position = {
+    x: participant.position.x + (dx / distance) * step,
+    y: PLAYER_EYE_Y,
+    z: participant.position.z + (dz / distance) * step
+  };
+  participant.seq += 1;
+  socket.emit("player:sync", {
+    ...participant.position,
+    yaw: Math.atan2(-dx, -dz),
+    pitch: 0,
+    s: participant.seq
+  });
+}
+
+async function runScriptedRoster(participants, url, roomCode) {
+  for (const participant of participants) {
+    if (participant.gone) {
+      continue;
+    }
+    if (participant.disconnectAt && !participant.rejoinAt && clock.now() >= participant.disconnectAt) {
+      participant.socket.disconnect();
+      const rejoinAfterMs = participant.spec.disconnect.rejoinAfterMs;
+      if (rejoinAfterMs === null) {
+        participant.gone = true;
+        logEvent("script:disconnect", `${participant.spec.name} leaves for good`);
+        continue;
+      }
+      participant.rejoinAt = clock.now() + rejoinAfterMs;
+      logEvent("script:disconnect", `${participant.spec.name} drops, back in ${rejoinAfterMs}ms`);
+      continue;
+    }
+    if (participant.rejoinAt && !participant.socket.connected && clock.now() >= participant.rejoinAt) {
+      await resumeParticipant(participant, url, roomCode);
+    }
+  }
+}
+
+async function resumeParticipant(participant, url, roomCode) {
+  const socket = connectClient(url, { transports: ["websocket"], reconnection: false });
+  attachParticipantSocket(participant, socket);
+  await waitForConnect(socket);
+  const response = await emitAck(socket, "room:join", {
+    roomCode,
+    name: participant.spec.name,
+    sessionToken: participant.sessionToken
+  });
+  participant.id = socket.id;
+  // Every resume issues a fresh token, so a second drop has to present the new one.
+  participant.sessionToken = response?.session?.token ?? participant.sessionToken;
+  logEvent("script:rejoin", `${participant.spec.name} ${response?.ok ? "resumed" : `failed: ${response?.error}`}`);
+  return response;
+}
+
+// Drops and resumes both scripted players, then voids the question they were judged on.
+async function voidAfterResumeCheck(participants, hostSocket, url, roomCode, state, names) {
+  const plan = SCENARIO.voidAfterResume;
+  const byName = (name) => participants.find((participant) => participant.spec.name === name);
+  const scoreOf = (name) => state.leaderboard.find((entry) => entry.name === name)?.score ?? null;
+  const scoreBefore = scoreOf(plan.correct);
+  for (const name of [plan.eliminated, plan.correct]) {
+    const participant = byName(name);
+    participant.socket.disconnect();
+    logEvent("script:disconnect", `${name} drops and resumes at once`);
+    const resumed = await resumeParticipant(participant, url, roomCode);
+    if (!resumed?.ok || resumed.resumed !== true) {
+      throw new Error(`${name} could not resume: ${resumed?.error}`);
+    }
+    names.set(participant.id, name);
+  }
+  await settle([hostSocket, ...participants.map((participant) => participant.socket)]);
+
+  const voided = await emitAck(hostSocket, "quiz:void-question", {});
+  if (!voided?.ok) {
+    throw new Error(`quiz:void-question failed: ${voided?.error}`);
+  }
+  await settle([hostSocket]);
+  if (!voided.revivedPlayerIds.includes(byName(plan.eliminated).id)) {
+    throw new Error(`${plan.eliminated} was not revived after resuming`);
+  }
+  if (scoreOf(plan.correct) !== scoreBefore - 1) {
+    throw new Error(`${plan.correct} kept the voided point after resuming (${scoreBefore} -> ${scoreOf(plan.correct)})`);
+  }
+}
+
+function watchHost(hostSocket, names, state) {
+  const nameOf = (id) => names.get(id) ?? id;
+  hostSocket.on("portal:lobby-admitted", (payload = {}) => {
+    logEvent("portal:lobby-admitted", `${payload.admittedCount} admitted`, payload.at);
+  });
+  hostSocket.on("quiz:start", (payload = {}) => {
+    logEvent("quiz:start", `${payload.mode ?? mode} · ${payload.totalQuestions} questions`, payload.startedAt);
+  });
+  hostSocket.on("quiz:question", (payload = {}) => {
+    const openedAt = Number(payload.lockAt) - Number(payload.timeLimitSeconds) * 1000;
+    logEvent("quiz:question", `${payload.id} (${payload.index}/${payload.totalQuestions}) ${payload.text}`, openedAt);
+  });
+  hostSocket.on("quiz:lock", (payload = {}) => {
+    logEvent("quiz:lock", String(payload.id ?? ""), payload.lockedAt);
+  });
+  hostSocket.on("quiz:result", (payload = {}) => {
+    if (voidAfterResume && payload.index === SCENARIO.voidAfterResume.question && !state.resumeVoidRequested) {
+      state.resumeVoidRequested = true;
+      state.resumeVoidPending = true;
+    }
+    const correct = (payload.correctPlayerIds ?? []).map(nameOf).join(", ") || "-";
+    const eliminated = (payload.eliminatedPlayerIds ?? []).map(nameOf).join(", ") || "-";
+    logEvent(
+      "quiz:result",
+      `${payload.id} answer ${payload.answer} · correct [${correct}] · eliminated [${eliminated}] · survivors ${payload.survivorCount}`,
+      payload.resolvedAt
+    );
+  });
+  hostSocket.on("quiz:voided", (payload = {}) => {
+    const revived = (payload.revivedPlayerIds ?? []).map(nameOf).join(", ") || "-";
+    logEvent("quiz:voided", `${payload.id} · revived [${revived}] · survivors ${payload.survivorCount}`, payload.voidedAt);
+  });
+  hostSocket.on("quiz:score", (payload = {}) => {
+    state.leaderboard = Array.isArray(payload.leaderboard) ? payload.leaderboard : state.leaderboard;
+    // Sent for a result that will end the match once the usual gap runs out.
+    if (payload.reason === "result-final" && voidFinal && !state.voidRequested) {
+      state.voidRequested = true;
+      state.voidPending = true;
+    }
+    if (/reconnect|rejoin|prune|leave|resume/.test(String(payload.reason ?? ""))) {
+      logEvent("quiz:score", `${payload.reason} · survivors ${payload.survivors}`, payload.updatedAt);
+    }
+  });
+  hostSocket.on("quiz:end", (payload = {}) => {
+    state.end = payload;
+    const winners = (payload.winners ?? []).map((entry) => entry.name).join(", ") || "-";
+    logEvent("quiz:end", `${payload.reason} · winners [${winners}]`, payload.endedAt);
+  });
+}
+
+function printRanking(end) {
+  print("");
+  print("Final ranking");
+  for (const entry of end?.ranking ?? []) {
+    const status = entry.alive ? "alive" : "out";
+    print(
+      `  ${String(entry.rank).padStart(2)}. ${String(entry.name).padEnd(10)} ${String(entry.score).padStart(5)} pts  ${String(
+        entry.correctCount
+      ).padStart(2)} correct  ${status}`
+    );
+  }
+}
+
+async function run() {
+  const dataDir = await mkdtemp(join(tmpdir(), "ox-sim-"));
+  process.env.PORT = "0";
+  process.env.MATCH_HISTORY_FILE = join(dataDir, "match-history.jsonl");
+  process.env.QUESTION_BANK_FILE = join(dataDir, "question-bank.json");
+  delete process.env.ROOM_OWNER_KEY;
+  delete process.env.ROOM_WORKER_SINGLE;
+
+  installServerClock(clock);
+  if (!showServerLogs) {
+    console.log = () => {};
+  }
+  const { httpServer, io } = await import("../server.js");
+  if (!httpServer.listening) {
+    await new Promise((resolve) => httpServer.once("listening", resolve));
+  }
+  const url = `http://localhost:${httpServer.address().port}`;
+
+  const participants = SCENARIO.participants.map(createParticipant);
+  const names = new Map();
+  const state = {
+    end: null,
+    leaderboard: [],
+    voidRequested: false,
+    voidPending: false,
+    resumeVoidRequested: false,
+    resumeVoidPending: false
+  };
+  const hostSocket = connectClient(url, { transports: ["websocket"], reconnection: false });
+  const sockets = () => [hostSocket, ...participants.map((participant) => participant.socket)];
+  let exitCode = 0;
+
+  try {
+    await waitForConnect(hostSocket);
+    const hosted = await emitAck(hostSocket, "room:create", { name: "HOST" });
+    if (!hosted?.ok) {
+      throw new Error(`room:create failed: ${hosted?.error}`);
+    }
+    const roomCode = hosted.room.code;
+    names.set(hostSocket.id, "HOST");
+    watchHost(hostSocket, names, state);
+    logEvent("script:room", `${roomCode} (${mode})`);
+
+    const opened = await emitAck(hostSocket, "portal:lobby-open");
+    logEvent("portal:lobby-open", opened?.ok ? "ok" : opened?.error);
+    for (const participant of participants) {
+      const socket = connectClient(url, { transports: ["websocket"], reconnection: false });
+      attachParticipantSocket(participant, socket);
+      await waitForConnect(socket);
+      const joined = await emitAck(socket, "room:join", { roomCode, name: participant.spec.name });
+      if (!joined?.ok) {
+        throw new Error(`${participant.spec.name} could not join: ${joined?.error}`);
+      }
+      participant.id = socket.id;
+      participant.sessionToken = joined.session?.token ?? null;
+      names.set(socket.id, participant.spec.name);
+      logEvent("script:join", participant.spec.name);
+    }
+
+    const admission = await emitAck(hostSocket, "portal:lobby-start");
+    logEvent("portal:lobby-start", admission?.ok ? `${admission.admittedCount} queued` : admission?.error);
+    clock.advanceBy(admission?.countdownMs ?? 3000);
+    await settle(sockets());
+
+    const started = await emitAck(hostSocket, "quiz:start", {
+      questions: SCENARIO.questions,
+      mode,
+      autoFinish: true
+    });
+    if (!started?.ok) {
+      throw new Error(`quiz:start failed: ${started?.error}`);
+    }
+
+    const deadline = clock.now() + SIM_MAX_DURATION_MS;
+    while (!state.end && clock.now() < deadline) {
+      await runScriptedRoster(participants, url, roomCode);
+      for (const participant of participants) {
+        stepParticipant(participant);
+        // A resumed socket keeps the old player record, so keep both ids pointing at the name.
+        if (participant.socket?.id) {
+          names.set(participant.socket.id, participant.spec.name);
+        }
+      }
+      await settle(sockets());
+      if (state.voidPending) {
+        state.voidPending = false;
+        const voided = await emitAck(hostSocket, "quiz:void-question", {});
+        if (!voided?.ok) {
+          throw new Error(`quiz:void-question failed: ${voided?.error}`);
+        }
+      }
+      if (state.resumeVoidPending) {
+        state.resumeVoidPending = false;
+        await voidAfterResumeCheck(participants, hostSocket, url, roomCode, state, names);
+      }
+      clock.advanceBy(SIM_STEP_MS);
+      await settle(sockets());
+    }
+
+    if (!state.end) {
+      throw new Error(`match did not finish within ${SIM_MAX_DURATION_MS / 1000}s of simulated time`);
+    }
+    if (voidFinal && !state.voidRequested) {
+      throw new Error("no result ended the match, so nothing was voided");
+    }
+    if (voidAfterResume && !state.resumeVoidRequested) {
+      throw new Error(`S${SCENARIO.voidAfterResume.question} was never judged, so nothing was voided`);
+    }
+
+    // The history endpoint waits for queued appends, so this also confirms the match was recorded.
+    const history = await fetch(`${url}/history?room=${roomCode}`).then((res) => res.json());
+    const recorded = history?.items?.[0]?.matchId ?? null;
+    logEvent("history", recorded ? `recorded ${recorded}` : "not recorded");
+
+    if (jsonOutput) {
+      print(JSON.stringify({ ok: true, mode, roomCode, events, ranking: state.end.ranking, winners: state.end.winners }, null, 2));
+    } else {
+      printRanking(state.end);
+    }
+  } catch (error) {
+    exitCode = 1;
+    if (jsonOutput) {
+      print(JSON.stringify({ ok: false, error: String(error?.message ?? error), events }, null, 2));
+    } else {
+      console.error(`[sim] ${error?.message ?? error}`);
+    }
+  } finally {
+    for (const socket of sockets()) {
+      socket?.disconnect();
+    }
+    io.close();
+    installServerClock(null);
+    await rm(dataDir, { recursive: true, force: true });
+  }
+  process.exit(exitCode);
+}
+
+run();
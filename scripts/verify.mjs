@@ -269,6 +269,15 @@ async function checkSocketServer() {
     assert(lastQuizScore && Array.isArray(lastQuizScore.leaderboard), "quiz:score payload is missing leaderboard");
     assert(lastQuizScore.leaderboard.length >= 2, "quiz:score leaderboard should include both clients");
 
+    // A date-only `to` covers the whole (UTC) day, so the match that just ended must be listed.
+    const today = new Date().toISOString().slice(0, 10);
+    const history = await fetch(`http://localhost:${port}/history?to=${today}`, {
+      headers: { "x-owner-key": process.env.ROOM_OWNER_KEY ?? "" }
+    }).then((res) => res.json());
+    assert(history?.items?.length >= 1, `history?to=${today} left out today's match: ${JSON.stringify(history)}`);
+
+    // A bare disconnect keeps the slot for reconnect; leaving frees it right away.
+    await emitAck(c2, "room:leave");
     c2.disconnect();
     c1.emit("room:list");
 
@@ -1,7 +1,53 @@
-﻿import { createServer } from "http";
+﻿import { randomBytes } from "crypto";
+import { createServer } from "http";
+import { fileURLToPath } from "url";
 import { Server } from "socket.io";
 import { BASE_VOID_PACK } from "./src/game/content/packs/base-void/pack.js";
+import {
+  DELTA_ENCODING_BINARY,
+  DELTA_POS_SCALE,
+  DELTA_ROT_SCALE,
+  encodeBinaryDelta,
+  sanitizeDeltaEncoding
+} from "./src/game/utils/deltaCodec.js";
+import { orderQuizChoiceZoneConfigs, resolveQuizAnswerAlias } from "./src/game/utils/quizAnswer.js";
+import { sanitizeQuizCategory, sanitizeQuizDifficulty } from "./src/game/utils/quizDifficulty.js";
 import { verifyRoomJoinToken } from "./src/server/roomToken.js";
+import { createMatchHistoryStore, normalizeMatchHistoryQuery } from "./src/server/matchHistory.js";
+import { createQuestionBankStore } from "./src/server/questionBank.js";
+import { QUESTION_BANK_PRESETS } from "./src/server/questionBankPresets.js";
+import { serverClock } from "./src/server/serverClock.js";
+import { buildSpatialGrid, measureCellGapSq } from "./src/server/spatialGrid.js";
+import {
+  drawQuizPoolSelection,
+  isQuizPoolPlanActive,
+  nextAdaptiveDifficulty,
+  pickAdaptiveQuestionIndex,
+  resolveQuizQuestionPool,
+  sanitizeQuizPoolPlan
+} from "./src/server/quizPools.js";
+import {
+  createBotBrain,
+  createBotId,
+  pickBotTargetInZone,
+  planBotQuestion,
+  sanitizeBotProfile,
+  stepBotTowards
+} from "./src/server/roomBots.js";
+import {
+  computeNextScheduledStart,
+  ROOM_SCHEDULE_DEFAULT_LEAD_MINUTES,
+  sanitizeRoomSchedule
+} from "./src/server/roomSchedule.js";
+import {
+  buildTeamBoard,
+  buildTeamList,
+  collectWinningTeams,
+  createTeamState,
+  findTeam,
+  pickSmallestTeamId,
+  sanitizeTeamScoring
+} from "./src/server/roomTeams.js";
 
 function parseCorsOrigins(rawValue) {
   const value = String(rawValue ?? "").trim();
@@ -57,6 +103,8 @@ const MAX_ROOM_PLAYERS = Math.max(
   Math.trunc(Number(process.env.MAX_ROOM_PLAYERS ?? 120) || 120)
 );
 const MAX_ACTIVE_ROOMS = 24;
+const ROOM_BOT_LIMIT = Math.max(0, Math.trunc(Number(process.env.ROOM_BOT_LIMIT ?? 20) || 0));
+const ROOM_BOT_MAX_ADD = 10;
 
 const WORKER_SINGLE_ROOM_MODE = process.env.ROOM_WORKER_SINGLE === "1";
 const WORKER_ROOM_CODE_RAW = String(process.env.ROOM_CODE ?? "");
@@ -64,6 +112,18 @@ const REQUIRE_JOIN_TOKEN = process.env.REQUIRE_JOIN_TOKEN === "1";
 const ROOM_JOIN_SECRET = String(process.env.ROOM_JOIN_SECRET ?? "dev-room-secret") || "dev-room-secret";
 const ROOM_JOIN_TOKEN_LEEWAY_MS = 8000;
 const ROOM_OWNER_KEY = String(process.env.ROOM_OWNER_KEY ?? "").trim();
+const MATCH_HISTORY_FILE =
+  String(process.env.MATCH_HISTORY_FILE ?? "").trim() ||
+  fileURLToPath(new URL("./.data/match-history.jsonl", import.meta.url));
+// Resetting /metrics/tick is for load tests; elsewhere it takes the owner key.
+const TICK_METRICS_RESET_ENABLED = process.env.TICK_METRICS_RESET === "1";
+const QUESTION_BANK_FILE =
+  String(process.env.QUESTION_BANK_FILE ?? "").trim() ||
+  fileURLToPath(new URL("./.data/question-bank.json", import.meta.url));
+const RECONNECT_GRACE_MS = Math.max(
+  0,
+  Math.min(120000, Math.trunc(Number(process.env.RECONNECT_GRACE_MS ?? 30000) || 0))
+);
 
 const SERVER_TICK_RATE = 20;
 const SERVER_TICK_INTERVAL_MS = Math.max(30, Math.trunc(1000 / SERVER_TICK_RATE));
@@ -75,9 +135,11 @@ const AOI_FAR_RADIUS = 128;
 const AOI_MID_CADENCE = 2;
 const AOI_FAR_CADENCE = 4;
 const AOI_EDGE_CADENCE = 8;
+// Half the near radius keeps the per-cell cadence close to what each pair's distance would give.
+const AOI_GRID_CELL_SIZE = AOI_NEAR_RADIUS / 2;
+const TICK_STATS_WINDOW = SERVER_TICK_RATE * 60;
 
-const DELTA_POS_SCALE = 100;
-const DELTA_ROT_SCALE = 1000;
+const DELTA_BINARY_ENABLED = process.env.DELTA_BINARY !== "0";
 
 const SERVER_MAX_MOVE_SPEED = 17.5;
 const SERVER_MAX_VERTICAL_SPEED = 24;
@@ -86,6 +148,8 @@ const SERVER_MOVEMENT_MARGIN = 0.4;
 const SERVER_MAX_TELEPORT_DISTANCE = 18;
 const SERVER_CORRECTION_MIN_DISTANCE = 0.22;
 const SERVER_CORRECTION_COOLDOWN_MS = 140;
+const PLAYER_POSITION_HISTORY_LIMIT = 32;
+const PLAYER_POSITION_HISTORY_MAX_AGE_MS = 2500;
 
 const QUIZ_DEFAULT_LOCK_SECONDS = 30;
 const QUIZ_MIN_LOCK_SECONDS = 30;
@@ -97,16 +161,37 @@ const QUIZ_LOCK_SYNC_GRACE_MS = Math.max(
 const QUIZ_MAX_QUESTIONS = 50;
 const QUIZ_TEXT_MAX_LENGTH = 180;
 const QUIZ_EXPLANATION_MAX_LENGTH = 720;
+const QUIZ_OPTION_MAX_LENGTH = 60;
+const QUIZ_CHOICE_MIN_OPTIONS = 2;
+const QUIZ_CHOICE_KEYS = Object.freeze(["A", "B", "C", "D"]);
+const QUIZ_MODE_SURVIVAL = "survival";
+const QUIZ_MODE_MARATHON = "marathon";
+const QUIZ_MARATHON_BASE_POINTS = 100;
+const QUIZ_MARATHON_SPEED_BONUS_POINTS = 100;
+const QUIZ_TIEBREAK_MAX_RESERVE_QUESTIONS = 10;
+const QUIZ_TIEBREAK_INTRO_DELAY_MS = 4000;
+const QUIZ_TIMER_KEYS = ["autoStartTimer", "readingTimer", "lockTimer", "nextTimer"];
 const QUIZ_AUTO_NEXT_DELAY_MS = 3200;
+const QUIZ_DISTRIBUTION_INTERVAL_MS = 500;
+const QUIZ_PREDICTION_POINTS = 1;
+const QUIZ_MAX_SHIELDS = 3;
+const QUIZ_MAX_READING_SECONDS = 20;
 const QUIZ_PREPARE_DELAY_MS = 3000;
 const QUIZ_AUTO_START_DELAY_MS = 12000;
 const QUIZ_AUTO_RESTART_DELAY_MS = 9000;
 const QUIZ_AUTO_START_MIN_PLAYERS = 1;
 const QUIZ_END_ON_SINGLE_SURVIVOR = process.env.QUIZ_END_ON_SINGLE_SURVIVOR === "1";
+const QUIZ_MANUAL_FINISH_SCORE_REASONS = Object.freeze({
+  "no-survivor": "result-no-survivor-manual",
+  winner: "result-winner-manual",
+  "all-questions-complete": "result-all-complete-manual"
+});
 const QUIZ_AUTO_OPEN_LOBBY_ON_END = process.env.QUIZ_AUTO_OPEN_LOBBY_ON_END !== "0";
 const QUIZ_ZONE_EDGE_MARGIN = 0.5;
 const QUIZ_ZONE_CENTER_MARGIN = 0.8;
 const DEFAULT_PORTAL_TARGET_URL = sanitizePortalTargetUrl(process.env.PORTAL_TARGET_URL ?? "");
+// Timers cannot hold delays past ~24 days, so far-off schedules re-arm in slices of this size.
+const ROOM_SCHEDULE_MAX_TIMER_MS = 6 * 60 * 60 * 1000;
 const CHAT_HISTORY_MAX_ENTRIES = Math.max(
   20,
   Math.min(200, Math.trunc(Number(process.env.CHAT_HISTORY_MAX_ENTRIES ?? 80) || 80))
@@ -195,8 +280,15 @@ function readZoneBounds(zoneConfig, fallbackCenterX) {
 const QUIZ_O_ZONE = readZoneBounds(QUIZ_ARENA_CONFIG?.oZone, -17);
 const QUIZ_X_ZONE = readZoneBounds(QUIZ_ARENA_CONFIG?.xZone, 17);
 const QUIZ_DIVIDER_WIDTH = Math.max(0.6, Number(QUIZ_ARENA_CONFIG?.dividerWidth) || 1.3);
-const QUIZ_ACTIVE_MIN_Z = Math.min(QUIZ_O_ZONE.minZ, QUIZ_X_ZONE.minZ);
-const QUIZ_ACTIVE_MAX_Z = Math.max(QUIZ_O_ZONE.maxZ, QUIZ_X_ZONE.maxZ);
+const QUIZ_CHOICE_ZONES = Object.freeze(
+  orderQuizChoiceZoneConfigs(QUIZ_ARENA_CONFIG?.choiceZones).map(({ key, config }) => ({
+    ...readZoneBounds(config, 0),
+    key
+  }))
+);
+const QUIZ_LANE_ZONES = [QUIZ_O_ZONE, QUIZ_X_ZONE, ...QUIZ_CHOICE_ZONES];
+const QUIZ_ACTIVE_MIN_Z = Math.min(...QUIZ_LANE_ZONES.map((zone) => zone.minZ));
+const QUIZ_ACTIVE_MAX_Z = Math.max(...QUIZ_LANE_ZONES.map((zone) => zone.maxZ));
 const QUIZ_CENTER_DEAD_BAND = QUIZ_DIVIDER_WIDTH * 0.5 + QUIZ_ZONE_CENTER_MARGIN;
 const ADMISSION_SPAWN_Y = 1.72;
 const ADMISSION_SPAWN_CENTER_X = 0;
@@ -222,9 +314,9 @@ const WORLD_PORTAL_EXIT_OFFSET_X = Math.max(
 const QUIZ_SPECTATOR_ARENA_MARGIN = 1.1;
 const QUIZ_SPECTATOR_ARENA_EXIT_PADDING = 1.4;
 const QUIZ_ARENA_MIN_X =
-  Math.min(QUIZ_O_ZONE.minX, QUIZ_X_ZONE.minX) - QUIZ_SPECTATOR_ARENA_MARGIN;
+  Math.min(...QUIZ_LANE_ZONES.map((zone) => zone.minX)) - QUIZ_SPECTATOR_ARENA_MARGIN;
 const QUIZ_ARENA_MAX_X =
-  Math.max(QUIZ_O_ZONE.maxX, QUIZ_X_ZONE.maxX) + QUIZ_SPECTATOR_ARENA_MARGIN;
+  Math.max(...QUIZ_LANE_ZONES.map((zone) => zone.maxX)) + QUIZ_SPECTATOR_ARENA_MARGIN;
 const QUIZ_ARENA_MIN_Z = QUIZ_ACTIVE_MIN_Z - QUIZ_SPECTATOR_ARENA_MARGIN;
 const QUIZ_ARENA_MAX_Z = QUIZ_ACTIVE_MAX_Z + QUIZ_SPECTATOR_ARENA_MARGIN;
 const QUIZ_SPECTATOR_SPAWN_CENTER_X = QUIZ_ARENA_MIN_X - 10;
@@ -241,6 +333,7 @@ function createQuizState() {
   return {
     active: false,
     phase: "idle",
+    mode: QUIZ_MODE_SURVIVAL,
     autoMode: false,
     autoFinish: true,
     autoStartsAt: 0,
@@ -253,12 +346,49 @@ function createQuizState() {
     totalQuestions: 0,
     currentQuestion: null,
     questions: [],
+    questionOpenedAt: 0,
+    readingEndsAt: 0,
+    readingStrip: null,
+    reserveQuestions: [],
+    tiebreakEnabled: false,
+    tiebreak: null,
+    botsCanWin: false,
+    shieldCount: 0,
+    poolPlan: null,
+    adaptivePickedThrough: -1,
+    distributionHidden: false,
+    distributionSentAt: 0,
+    distributionSignature: "",
     lockSeconds: QUIZ_DEFAULT_LOCK_SECONDS,
     lockAt: 0,
     lockResolveAt: 0,
+    readingTimer: null,
     lockTimer: null,
     nextTimer: null,
-    lastResult: null
+    timerSchedule: {},
+    paused: false,
+    pausedAt: 0,
+    pausedTimers: {},
+    lastResult: null,
+    results: []
+  };
+}
+
+function createRoomScheduleState() {
+  return {
+    enabled: false,
+    startAt: 0,
+    repeat: "",
+    utcOffsetMinutes: 0,
+    lobbyLeadMinutes: ROOM_SCHEDULE_DEFAULT_LEAD_MINUTES,
+    questionSetId: "",
+    questionSetName: "",
+    nextStartAt: 0,
+    lobbyOpenedFor: 0,
+    runSerial: 0,
+    timer: null,
+    launchTimer: null,
+    lastRun: null
   };
 }
 
@@ -280,21 +410,32 @@ function createRoom(code, persistent = false) {
     },
     chatHistory: [],
     persistent,
-    createdAt: Date.now(),
+    createdAt: serverClock.now(),
     quizConfig: {
       questions: FALLBACK_QUIZ_QUESTIONS.map((question, index) => ({
         id: String(question?.id ?? `Q${index + 1}`),
         text: String(question?.text ?? "").slice(0, QUIZ_TEXT_MAX_LENGTH),
-        answer: normalizeQuizAnswer(question?.answer) ?? "O",
+        answer: normalizeQuizAnswer(question?.answer, question?.options) ?? getDefaultQuizAnswer(question?.options),
+        options: sanitizeQuizOptions(question?.options),
         explanation: String(question?.explanation ?? "").slice(0, QUIZ_EXPLANATION_MAX_LENGTH),
-        timeLimitSeconds: sanitizeQuizLockSeconds(question?.timeLimitSeconds ?? question?.lockSeconds)
+        timeLimitSeconds: sanitizeQuizLockSeconds(question?.timeLimitSeconds ?? question?.lockSeconds),
+        readingSeconds: sanitizeQuizReadingSeconds(question?.readingSeconds)
       })),
+      reserveQuestions: [],
       endPolicy: {
         autoFinish: true,
-        showOppositeBillboard: true
+        showOppositeBillboard: true,
+        mode: QUIZ_MODE_SURVIVAL,
+        tiebreaker: false,
+        botsCanWin: false,
+        shields: 0,
+        pools: sanitizeQuizPoolPlan()
       }
     },
     quiz: createQuizState(),
+    schedule: createRoomScheduleState(),
+    botSerial: 0,
+    teams: createTeamState(),
     tick: 0
   };
   applyCachedQuizConfigToRoom(room);
@@ -325,7 +466,7 @@ function createRoomCode() {
       return code;
     }
   }
-  return `${ROOM_CODE_PREFIX}-${Date.now().toString(36).toUpperCase()}`;
+  return `${ROOM_CODE_PREFIX}-${serverClock.now().toString(36).toUpperCase()}`;
 }
 
 function createMatchRoom(requestedCode = null, persistent = false) {
@@ -360,7 +501,7 @@ function validateJoinTokenForWorker(token) {
   if (!Number.isFinite(exp) || exp <= 0) {
     return { ok: false, error: "token exp missing" };
   }
-  if (Date.now() - ROOM_JOIN_TOKEN_LEEWAY_MS > exp) {
+  if (serverClock.now() - ROOM_JOIN_TOKEN_LEEWAY_MS > exp) {
     return { ok: false, error: "token expired" };
   }
 
@@ -379,7 +520,17 @@ function isRoomJoinable(room) {
     return false;
   }
   pruneRoomPlayers(room);
-  return room.players.size < MAX_ROOM_PLAYERS;
+  return countRoomHumans(room) < MAX_ROOM_PLAYERS;
+}
+
+function countRoomHumans(room) {
+  let count = 0;
+  for (const player of room?.players?.values?.() ?? []) {
+    if (player?.bot !== true) {
+      count += 1;
+    }
+  }
+  return count;
 }
 
 function roomHasOwnerPresence(room) {
@@ -452,9 +603,11 @@ function getDefaultQuizConfigQuestions() {
   return FALLBACK_QUIZ_QUESTIONS.map((question, index) => ({
     id: String(question?.id ?? `Q${index + 1}`),
     text: String(question?.text ?? "").slice(0, QUIZ_TEXT_MAX_LENGTH) || `Question ${index + 1}`,
-    answer: normalizeQuizAnswer(question?.answer) ?? "O",
+    answer: normalizeQuizAnswer(question?.answer, question?.options) ?? getDefaultQuizAnswer(question?.options),
+    options: sanitizeQuizOptions(question?.options),
     explanation: String(question?.explanation ?? "").slice(0, QUIZ_EXPLANATION_MAX_LENGTH),
-    timeLimitSeconds: sanitizeQuizLockSeconds(question?.timeLimitSeconds ?? question?.lockSeconds)
+    timeLimitSeconds: sanitizeQuizLockSeconds(question?.timeLimitSeconds ?? question?.lockSeconds),
+    readingSeconds: sanitizeQuizReadingSeconds(question?.readingSeconds)
   }));
 }
 
@@ -467,15 +620,25 @@ function cloneQuizConfig(rawConfig = null) {
   }).map((question) => ({
     id: String(question?.id ?? "").slice(0, 24),
     text: String(question?.text ?? "").slice(0, QUIZ_TEXT_MAX_LENGTH),
-    answer: normalizeQuizAnswer(question?.answer) ?? "O",
+    answer: normalizeQuizAnswer(question?.answer, question?.options) ?? getDefaultQuizAnswer(question?.options),
+    options: sanitizeQuizOptions(question?.options),
     explanation: String(question?.explanation ?? "").slice(0, QUIZ_EXPLANATION_MAX_LENGTH),
-    timeLimitSeconds: sanitizeQuizLockSeconds(question?.timeLimitSeconds ?? question?.lockSeconds)
+    timeLimitSeconds: sanitizeQuizLockSeconds(question?.timeLimitSeconds ?? question?.lockSeconds),
+    readingSeconds: sanitizeQuizReadingSeconds(question?.readingSeconds),
+    ...pickQuizQuestionTags(question),
+    ...pickQuizQuestionMedia(question)
   }));
   return {
     questions,
+    reserveQuestions: sanitizeQuizReserveQuestions(source.reserveQuestions),
     endPolicy: {
       autoFinish: source?.endPolicy?.autoFinish !== false,
-      showOppositeBillboard: source?.endPolicy?.showOppositeBillboard !== false
+      showOppositeBillboard: source?.endPolicy?.showOppositeBillboard !== false,
+      mode: sanitizeQuizMode(source?.endPolicy?.mode),
+      tiebreaker: source?.endPolicy?.tiebreaker === true,
+      botsCanWin: source?.endPolicy?.botsCanWin === true,
+      shields: sanitizeQuizShieldCount(source?.endPolicy?.shields),
+      pools: sanitizeQuizPoolPlan(source?.endPolicy?.pools, QUIZ_MAX_QUESTIONS)
     }
   };
 }
@@ -532,13 +695,29 @@ function ensureRoomQuizConfig(room) {
   if (!room || typeof room !== "object") {
     return {
       questions: getDefaultQuizConfigQuestions(),
-      endPolicy: { autoFinish: true, showOppositeBillboard: true }
+      endPolicy: {
+        autoFinish: true,
+        showOppositeBillboard: true,
+        mode: QUIZ_MODE_SURVIVAL,
+        tiebreaker: false,
+        botsCanWin: false,
+        shields: 0,
+        pools: sanitizeQuizPoolPlan()
+      }
     };
   }
   if (!room.quizConfig || typeof room.quizConfig !== "object") {
     room.quizConfig = {
       questions: getDefaultQuizConfigQuestions(),
-      endPolicy: { autoFinish: true, showOppositeBillboard: true }
+      endPolicy: {
+        autoFinish: true,
+        showOppositeBillboard: true,
+        mode: QUIZ_MODE_SURVIVAL,
+        tiebreaker: false,
+        botsCanWin: false,
+        shields: 0,
+        pools: sanitizeQuizPoolPlan()
+      }
     };
   }
   const safeQuestions = sanitizeQuizQuestions(room.quizConfig.questions, {
@@ -553,6 +732,12 @@ function ensureRoomQuizConfig(room) {
   room.quizConfig.endPolicy.autoFinish = room.quizConfig.endPolicy.autoFinish !== false;
   room.quizConfig.endPolicy.showOppositeBillboard =
     room.quizConfig.endPolicy.showOppositeBillboard !== false;
+  room.quizConfig.endPolicy.mode = sanitizeQuizMode(room.quizConfig.endPolicy.mode);
+  room.quizConfig.endPolicy.tiebreaker = room.quizConfig.endPolicy.tiebreaker === true;
+  room.quizConfig.endPolicy.botsCanWin = room.quizConfig.endPolicy.botsCanWin === true;
+  room.quizConfig.endPolicy.shields = sanitizeQuizShieldCount(room.quizConfig.endPolicy.shields);
+  room.quizConfig.endPolicy.pools = sanitizeQuizPoolPlan(room.quizConfig.endPolicy.pools, QUIZ_MAX_QUESTIONS);
+  room.quizConfig.reserveQuestions = sanitizeQuizReserveQuestions(room.quizConfig.reserveQuestions);
   return room.quizConfig;
 }
 
@@ -652,7 +837,7 @@ function removeNextPriorityPlayer(room, socketId) {
 function clearEntryAdmissionTimer(room) {
   const gate = ensureRoomEntryGate(room);
   if (gate.admissionTimer) {
-    clearTimeout(gate.admissionTimer);
+    serverClock.clearTimeout(gate.admissionTimer);
     gate.admissionTimer = null;
   }
   gate.admissionStartsAt = 0;
@@ -955,18 +1140,19 @@ function sanitizePlayerState(raw = {}) {
     z: clampNumber(raw.z, -512, 512, 0),
     yaw: clampNumber(raw.yaw, -Math.PI, Math.PI, 0),
     pitch: clampNumber(raw.pitch, -1.55, 1.55, 0),
-    updatedAt: Date.now()
+    updatedAt: serverClock.now()
   };
 }
 
 function createPlayerNetState(initialState = sanitizePlayerState()) {
   return {
-    lastAcceptedAt: Date.now(),
+    lastAcceptedAt: serverClock.now(),
     lastSeq: -1,
     warmupSyncs: 0,
     velocity: { x: 0, y: 0, z: 0 },
     rejectedMoves: 0,
     lastCorrectionAt: 0,
+    positionHistory: [],
     state: {
       x: Number(initialState.x) || 0,
       y: Number(initialState.y) || 1.75,
@@ -975,6 +1161,74 @@ function createPlayerNetState(initialState = sanitizePlayerState()) {
   };
 }
 
+function recordPlayerPositionSample(player, { reset = false } = {}) {
+  if (!player || typeof player !== "object") {
+    return;
+  }
+  const net = ensurePlayerNetState(player);
+  if (reset || !Array.isArray(net.positionHistory)) {
+    net.positionHistory = [];
+  }
+  const history = net.positionHistory;
+  const now = serverClock.now();
+  history.push({
+    at: now,
+    seq: Number.isFinite(Number(net.lastSeq)) ? Math.trunc(Number(net.lastSeq)) : -1,
+    x: Number(player.state?.x) || 0,
+    z: Number(player.state?.z) || 0
+  });
+  while (
+    history.length > PLAYER_POSITION_HISTORY_LIMIT ||
+    (history.length > 1 && now - history[0].at > PLAYER_POSITION_HISTORY_MAX_AGE_MS)
+  ) {
+    history.shift();
+  }
+}
+
+function samplePlayerPositionAt(player, timestamp) {
+  const history = Array.isArray(player?.net?.positionHistory) ? player.net.positionHistory : [];
+  const at = Math.trunc(Number(timestamp) || serverClock.now());
+  let before = null;
+  let after = null;
+  for (const sample of history) {
+    if (sample.at <= at) {
+      before = sample;
+    } else {
+      after = sample;
+      break;
+    }
+  }
+
+  if (before && after) {
+    const span = Math.max(1, after.at - before.at);
+    const t = (at - before.at) / span;
+    return {
+      x: before.x + (after.x - before.x) * t,
+      z: before.z + (after.z - before.z) * t,
+      sample: { mode: "interpolated", at, fromAt: before.at, toAt: after.at, fromSeq: before.seq, toSeq: after.seq }
+    };
+  }
+  if (before) {
+    return {
+      x: before.x,
+      z: before.z,
+      sample: { mode: "held", at, fromAt: before.at, toAt: null, fromSeq: before.seq, toSeq: null }
+    };
+  }
+  if (after) {
+    return {
+      x: after.x,
+      z: after.z,
+      sample: { mode: "earliest", at, fromAt: null, toAt: after.at, fromSeq: null, toSeq: after.seq }
+    };
+  }
+  return {
+    x: Number(player?.state?.x),
+    z: Number(player?.state?.z),
+    sample: { mode: "current", at, fromAt: null, toAt: null, fromSeq: null, toSeq: null }
+  };
+}
+
 function ensurePlayerNetState(player) {
   if (!player || typeof player !== "object") {
     return createPlayerNetState();
@@ -985,6 +1239,17 @@ function ensurePlayerNetState(player) {
   return player.net;
 }
 
+// `seq` is the last `player:sync` folded into `state`, so the client can replay only the
+// movement the server has not seen yet. -1 means none, and the client takes the state as-is.
+function buildPlayerCorrection(player, reason, state = player?.state) {
+  const seq = Number(player?.net?.lastSeq);
+  return {
+    state: state ?? sanitizePlayerState(),
+    reason,
+    seq: Number.isFinite(seq) ? Math.trunc(seq) : -1
+  };
+}
+
 function setPlayerAuthoritativeState(player, nextState = {}) {
   if (!player || typeof player !== "object") {
     return;
@@ -1002,9 +1267,11 @@ function setPlayerAuthoritativeState(player, nextState = {}) {
     z: Number(sanitized.z) || 0
   };
   net.velocity = { x: 0, y: 0, z: 0 };
-  net.lastAcceptedAt = Date.now();
+  net.lastAcceptedAt = serverClock.now();
   net.warmupSyncs = 0;
   net.lastCorrectionAt = 0;
+  // Teleports break the path, so never interpolate across them.
+  recordPlayerPositionSample(player, { reset: true });
 }
 
 function buildAdmissionSpawnPoint(index, total) {
@@ -1131,6 +1398,66 @@ function isRestrictedFromQuizArena(room, player) {
   return quizActive && isPlayerHostModerator(room, player);
 }
 
+function isHeldForQuizReading(room, player) {
+  const quiz = getRoomQuiz(room);
+  return quiz.active === true && quiz.phase === "reading" && !isRestrictedFromQuizArena(room, player);
+}
+
+function getQuizQuestionZones(question) {
+  const choiceKeys = getQuizChoiceKeys(question?.options);
+  return choiceKeys.length > 0 ? QUIZ_CHOICE_ZONES.slice(0, choiceKeys.length) : [QUIZ_O_ZONE, QUIZ_X_ZONE];
+}
+
+// The reading strip runs down x = 0 clear of the lanes this question is judged on, so an A-D
+// question gets the narrow gap between B and C while an O/X question keeps the full dead band.
+function buildQuizReadingStrip(question) {
+  const zones = getQuizQuestionZones(question);
+  const halfWidth = Math.max(
+    0.2,
+    Math.min(
+      QUIZ_CENTER_DEAD_BAND,
+      ...zones.map((zone) => (zone.minX > 0 ? zone.minX : zone.maxX < 0 ? -zone.maxX : Infinity))
+    ) - 0.1
+  );
+  return {
+    minX: -halfWidth,
+    maxX: halfWidth,
+    minZ: Math.min(...zones.map((zone) => zone.minZ)) + 1,
+    maxZ: Math.max(...zones.map((zone) => zone.maxZ)) - 1
+  };
+}
+
+function projectStateIntoQuizReadingStrip(state = {}, strip) {
+  const current = sanitizePlayerState(state);
+  const x = Math.max(strip.minX, Math.min(strip.maxX, current.x));
+  const z = Math.max(strip.minZ, Math.min(strip.maxZ, current.z));
+  if (x === current.x && z === current.z) {
+    return { corrected: false, state: current };
+  }
+  return {
+    corrected: true,
+    state: sanitizePlayerState({ ...current, x, z })
+  };
+}
+
+function holdPlayersForQuizReading(room) {
+  const strip = getRoomQuiz(room).readingStrip;
+  for (const player of room.players.values()) {
+    if (!isHeldForQuizReading(room, player)) {
+      continue;
+    }
+    const held = projectStateIntoQuizReadingStrip(player.state, strip);
+    if (!held.corrected) {
+      continue;
+    }
+    setPlayerAuthoritativeState(player, held.state);
+    const targetSocket = io?.sockets?.sockets?.get(player.id);
+    if (targetSocket) {
+      targetSocket.emit("player:correct", buildPlayerCorrection(player, "quiz-reading-hold"));
+    }
+  }
+}
+
 function relocatePlayerToSpectatorZone(room, player, reason = "spectator-zone") {
   if (!room || !player) {
     return false;
@@ -1146,10 +1473,7 @@ function relocatePlayerToSpectatorZone(room, player, reason = "spectator-zone")
 
   const targetSocket = io?.sockets?.sockets?.get(player.id);
   if (targetSocket && distance >= 0.05) {
-    targetSocket.emit("player:correct", {
-      state: player.state,
-      reason
-    });
+    targetSocket.emit("player:correct", buildPlayerCorrection(player, reason));
   }
   return distance >= 0.05;
 }
@@ -1170,7 +1494,7 @@ function normalizeVec3Magnitude(x, y, z, maxLength) {
 
 function applyAuthoritativeMovement(player, proposedState) {
   const net = ensurePlayerNetState(player);
-  const now = Date.now();
+  const now = serverClock.now();
   const previousState = player?.state ?? sanitizePlayerState();
 
   const elapsedMs = Math.max(1, now - Number(net.lastAcceptedAt || now));
@@ -1316,10 +1640,24 @@ function resolveAoiCadence(distanceSq) {
   return AOI_EDGE_CADENCE;
 }
 
+// The smallest index no current player holds, so indices stay dense enough for a u16.
+function allocateRoomNetIndex(room) {
+  const taken = new Set();
+  for (const player of room.players.values()) {
+    taken.add(player.netIndex);
+  }
+  let index = 0;
+  while (taken.has(index)) {
+    index += 1;
+  }
+  return index;
+}
+
 function buildPackedRemoteState(player) {
   const state = player?.state ?? {};
   return {
     id: player?.id ?? null,
+    ix: Math.max(0, Math.trunc(Number(player?.netIndex) || 0)),
     n: player?.name ?? "PLAYER",
     a: player?.alive === false ? 0 : 1,
     px: quantizePosition(state.x),
@@ -1330,6 +1668,24 @@ function buildPackedRemoteState(player) {
   };
 }
 
+// Ids that left the room since the previous snapshot, so receivers need not rescan their caches.
+function collectDepartedDeltaIds(room) {
+  const departed = [];
+  for (const id of room.deltaRosterIds ?? []) {
+    if (!room.players.has(id)) {
+      departed.push(id);
+    }
+  }
+  room.deltaRosterIds = new Set(room.players.keys());
+  return departed;
+}
+
+/**
+ * Builds and sends each receiver's delta. Players are bucketed into an AOI grid and the
+ * send cadence is decided per pair of cells; cells that are not due this tick are skipped
+ * without looking at their players. New and heartbeat-due entries in a skipped cell wait
+ * for its next due tick. Caches are fully swept for stale ids on heartbeat ticks only.
+ */
 function emitRoomDeltaSnapshot(room) {
   if (!room || room.players.size <= 1) {
     return;
@@ -1337,114 +1693,148 @@ function emitRoomDeltaSnapshot(room) {
 
   room.tick = Number(room.tick || 0) + 1;
   const players = Array.from(room.players.values());
+  const departedIds = collectDepartedDeltaIds(room);
+  const sweepCaches = room.tick % SERVER_DELTA_HEARTBEAT_TICKS === 0;
+  const packedById = new Map(players.map((player) => [player.id, buildPackedRemoteState(player)]));
+  const grid = buildSpatialGrid(players, AOI_GRID_CELL_SIZE, (player) => player.state ?? sanitizePlayerState());
+
+  for (const receiverCell of grid.cells) {
+    const dueCells = grid.cells.filter((cell) => {
+      const cadence = resolveAoiCadence(measureCellGapSq(receiverCell, cell, grid.cellSize));
+      return cadence <= 1 || room.tick % cadence === 0;
+    });
 
-  for (const receiver of players) {
-    const socket = io?.sockets?.sockets?.get(receiver.id);
-    if (!socket) {
-      continue;
-    }
-
-    const cache = getSocketDeltaCache(socket, room.code);
-    if (!cache) {
-      continue;
-    }
-
-    const updates = [];
-    const removals = [];
-    const receiverState = receiver?.state ?? sanitizePlayerState();
-
-    for (const remote of players) {
-      if (!remote || remote.id === receiver.id) {
+    for (const receiver of receiverCell.players) {
+      const socket = io?.sockets?.sockets?.get(receiver.id);
+      if (!socket) {
         continue;
       }
 
-      const remoteState = remote.state ?? sanitizePlayerState();
-      const dx = Number(remoteState.x) - Number(receiverState.x);
-      const dz = Number(remoteState.z) - Number(receiverState.z);
-      const distanceSq = dx * dx + dz * dz;
-      const cadence = resolveAoiCadence(distanceSq);
-
-      const cached = cache.get(remote.id) ?? null;
-      const isHeartbeatDue =
-        cached && room.tick - Number(cached.lastTick || 0) >= SERVER_DELTA_HEARTBEAT_TICKS;
-      if (cached && !isHeartbeatDue && cadence > 1 && room.tick % cadence !== 0) {
+      const cache = getSocketDeltaCache(socket, room.code);
+      if (!cache) {
         continue;
       }
 
-      const packed = buildPackedRemoteState(remote);
-      const changed =
-        !cached ||
-        cached.px !== packed.px ||
-        cached.py !== packed.py ||
-        cached.pz !== packed.pz ||
-        cached.yaw !== packed.yaw ||
-        cached.pitch !== packed.pitch ||
-        cached.n !== packed.n ||
-        cached.a !== packed.a;
-
-      if (!changed && !isHeartbeatDue) {
-        continue;
-      }
+      const binary = socket.data.deltaEncoding === DELTA_ENCODING_BINARY;
+      const updates = [];
+      const removals = [];
 
-      const delta = { id: packed.id };
-      if (!cached || cached.n !== packed.n) {
-        delta.n = packed.n;
-      }
-      if (!cached || cached.a !== packed.a) {
-        delta.a = packed.a;
-      }
-      if (!cached || cached.px !== packed.px || cached.py !== packed.py || cached.pz !== packed.pz) {
-        delta.p = [packed.px, packed.py, packed.pz];
-      }
-      if (!cached || cached.yaw !== packed.yaw || cached.pitch !== packed.pitch) {
-        delta.r = [packed.yaw, packed.pitch];
+      for (const cell of dueCells) {
+        for (const remote of cell.players) {
+          if (remote.id === receiver.id) {
+            continue;
+          }
+
+          const cached = cache.get(remote.id) ?? null;
+          const isHeartbeatDue =
+            cached && room.tick - Number(cached.lastTick || 0) >= SERVER_DELTA_HEARTBEAT_TICKS;
+          const packed = packedById.get(remote.id);
+          const moved =
+            !cached || cached.px !== packed.px || cached.py !== packed.py || cached.pz !== packed.pz;
+          // The first still tick after movement is re-sent with its position, so interpolating
+          // clients get a timestamped rest sample instead of extrapolating past the stop.
+          const settled = cached?.moving === true && !moved;
+          const changed =
+            moved ||
+            cached.yaw !== packed.yaw ||
+            cached.pitch !== packed.pitch ||
+            cached.n !== packed.n ||
+            cached.a !== packed.a;
+
+          if (!changed && !settled && !isHeartbeatDue) {
+            continue;
+          }
+
+          const delta = binary ? { id: packed.id, index: packed.ix } : { id: packed.id };
+          if (!cached || cached.n !== packed.n) {
+            delta.n = packed.n;
+          }
+          if (!cached || cached.a !== packed.a) {
+            delta.a = packed.a;
+          }
+          if (moved || settled) {
+            delta.p = [packed.px, packed.py, packed.pz];
+          }
+          if (!cached || cached.yaw !== packed.yaw || cached.pitch !== packed.pitch) {
+            delta.r = [packed.yaw, packed.pitch];
+          }
+          updates.push(delta);
+          cache.set(remote.id, {
+            ...packed,
+            lastTick: room.tick,
+            moving: moved
+          });
+        }
       }
-      updates.push(delta);
-      cache.set(remote.id, {
-        ...packed,
-        lastTick: room.tick
-      });
-    }
 
-    for (const cachedId of Array.from(cache.keys())) {
-      if (!room.players.has(cachedId)) {
-        cache.delete(cachedId);
-        removals.push(cachedId);
+      for (const cachedId of sweepCaches ? Array.from(cache.keys()) : departedIds) {
+        const cached = cache.get(cachedId);
+        if (cached && !room.players.has(cachedId)) {
+          cache.delete(cachedId);
+          removals.push(binary ? cached.ix : cachedId);
+        }
       }
-    }
 
-    if (updates.length > 0 || removals.length > 0) {
-      socket.emit("player:delta", {
-        room: room.code,
-        tick: room.tick,
-        updates,
-        removes: removals
-      });
+      if (binary && (updates.length > 0 || removals.length > 0)) {
+        socket.emit("player:delta", encodeBinaryDelta({ tick: room.tick, updates, removes: removals }));
+      } else if (updates.length > 0 || removals.length > 0) {
+        socket.emit("player:delta", {
+          room: room.code,
+          tick: room.tick,
+          updates,
+          removes: removals
+        });
+      }
     }
   }
 }
 
 function tickRooms() {
+  const now = serverClock.now();
   for (const room of rooms.values()) {
     pruneRoomPlayers(room);
     if (!room || room.players.size === 0) {
       continue;
     }
+    driveRoomBots(room, now);
     emitRoomDeltaSnapshot(room);
+    emitQuizDistribution(room, now);
   }
 }
 
-function normalizeQuizAnswer(rawValue) {
-  const value = String(rawValue ?? "")
-    .trim()
-    .toUpperCase();
-  if (["O", "TRUE", "T", "YES", "Y", "1", "LEFT", "L"].includes(value)) {
-    return "O";
-  }
-  if (["X", "FALSE", "F", "NO", "N", "0", "RIGHT", "R"].includes(value)) {
-    return "X";
-  }
-  return null;
+function sanitizeQuizOptions(rawOptions) {
+  const source = Array.isArray(rawOptions)
+    ? rawOptions
+    : typeof rawOptions === "string"
+      ? rawOptions.split("|")
+      : [];
+  const options = source
+    .map((option) => String(option ?? "").trim().slice(0, QUIZ_OPTION_MAX_LENGTH))
+    .filter(Boolean)
+    .slice(0, QUIZ_CHOICE_ZONES.length);
+  return options.length >= QUIZ_CHOICE_MIN_OPTIONS ? options : [];
+}
+
+function getQuizChoiceKeys(rawOptions) {
+  return QUIZ_CHOICE_KEYS.slice(0, sanitizeQuizOptions(rawOptions).length);
+}
+
+function getDefaultQuizAnswer(rawOptions) {
+  return getQuizChoiceKeys(rawOptions)[0] ?? "O";
+}
+
+function sanitizeQuizShieldCount(rawValue) {
+  return Math.max(0, Math.min(QUIZ_MAX_SHIELDS, Math.trunc(Number(rawValue) || 0)));
+}
+
+function sanitizeQuizMode(rawMode) {
+  return String(rawMode ?? "").trim().toLowerCase() === QUIZ_MODE_MARATHON
+    ? QUIZ_MODE_MARATHON
+    : QUIZ_MODE_SURVIVAL;
+}
+
+function normalizeQuizAnswer(rawValue, rawOptions = null) {
+  return resolveQuizAnswerAlias(rawValue, getQuizChoiceKeys(rawOptions).length);
 }
 
 function sanitizeQuizLockSeconds(rawValue) {
@@ -1455,8 +1845,34 @@ function sanitizeQuizLockSeconds(rawValue) {
   return Math.max(QUIZ_MIN_LOCK_SECONDS, Math.min(QUIZ_MAX_LOCK_SECONDS, Math.round(seconds)));
 }
 
+function sanitizeQuizReadingSeconds(rawValue) {
+  const seconds = Number(rawValue);
+  if (!Number.isFinite(seconds)) {
+    return 0;
+  }
+  return Math.max(0, Math.min(QUIZ_MAX_READING_SECONDS, Math.round(seconds)));
+}
+
+// Question media shares the billboard URL rules; the explanation phase carries its own pair.
+function pickQuizQuestionMedia(rawQuestion = {}) {
+  return {
+    imageUrl: sanitizeBillboardMediaUrl(rawQuestion?.imageUrl),
+    videoUrl: sanitizeBillboardMediaUrl(rawQuestion?.videoUrl),
+    explanationImageUrl: sanitizeBillboardMediaUrl(rawQuestion?.explanationImageUrl),
+    explanationVideoUrl: sanitizeBillboardMediaUrl(rawQuestion?.explanationVideoUrl)
+  };
+}
+
+function pickQuizQuestionTags(rawQuestion = {}) {
+  return {
+    difficulty: sanitizeQuizDifficulty(rawQuestion?.difficulty),
+    category: sanitizeQuizCategory(rawQuestion?.category)
+  };
+}
+
 function sanitizeQuizQuestion(rawQuestion = {}, index = 0) {
-  const answer = normalizeQuizAnswer(rawQuestion.answer ?? rawQuestion.correct ?? rawQuestion.value);
+  const options = sanitizeQuizOptions(rawQuestion.options ?? rawQuestion.choices);
+  const answer = normalizeQuizAnswer(rawQuestion.answer ?? rawQuestion.correct ?? rawQuestion.value, options);
   if (!answer) {
     return null;
   }
@@ -1478,8 +1894,19 @@ function sanitizeQuizQuestion(rawQuestion = {}, index = 0) {
     .slice(0, QUIZ_EXPLANATION_MAX_LENGTH);
 
   const timeLimitSeconds = sanitizeQuizLockSeconds(rawQuestion.timeLimitSeconds ?? rawQuestion.lockSeconds);
+  const readingSeconds = sanitizeQuizReadingSeconds(rawQuestion.readingSeconds);
 
-  return { id, text, answer, explanation, timeLimitSeconds };
+  return {
+    id,
+    text,
+    answer,
+    options,
+    explanation,
+    timeLimitSeconds,
+    readingSeconds,
+    ...pickQuizQuestionTags(rawQuestion),
+    ...pickQuizQuestionMedia(rawQuestion)
+  };
 }
 
 function sanitizeQuizQuestions(
@@ -1509,6 +1936,14 @@ function sanitizeQuizQuestions(
   return questions;
 }
 
+function sanitizeQuizReserveQuestions(rawQuestions) {
+  return sanitizeQuizQuestions(rawQuestions, {
+    fallbackToDefault: false,
+    minQuestions: 0,
+    maxQuestions: QUIZ_TIEBREAK_MAX_RESERVE_QUESTIONS
+  }).map((question, index) => ({ ...question, id: `TB${index + 1}` }));
+}
+
 function isInsideQuizZone(bounds, x, z) {
   const marginX = Math.min(QUIZ_ZONE_EDGE_MARGIN, bounds.width * 0.2);
   const marginZ = Math.min(QUIZ_ZONE_EDGE_MARGIN, bounds.depth * 0.2);
@@ -1520,7 +1955,7 @@ function isInsideQuizZone(bounds, x, z) {
   );
 }
 
-function resolveQuizChoiceFromState(state) {
+function resolveQuizChoiceFromState(state, question = null) {
   const x = Number(state?.x);
   const z = Number(state?.z);
   if (!Number.isFinite(x) || !Number.isFinite(z)) {
@@ -1532,6 +1967,27 @@ function resolveQuizChoiceFromState(state) {
     };
   }
 
+  const choiceKeys = getQuizChoiceKeys(question?.options);
+  if (choiceKeys.length > 0) {
+    const zone = QUIZ_CHOICE_ZONES.slice(0, choiceKeys.length).find((bounds) =>
+      isInsideQuizZone(bounds, x, z)
+    );
+    if (zone) {
+      return {
+        choice: zone.key,
+        reason: `zone-${zone.key.toLowerCase()}`,
+        x: Number(x.toFixed(3)),
+        z: Number(z.toFixed(3))
+      };
+    }
+    return {
+      choice: null,
+      reason: z < QUIZ_ACTIVE_MIN_Z || z > QUIZ_ACTIVE_MAX_Z ? "out-of-lane" : "off-zone",
+      x: Number(x.toFixed(3)),
+      z: Number(z.toFixed(3))
+    };
+  }
+
   const inO = isInsideQuizZone(QUIZ_O_ZONE, x, z);
   const inX = isInsideQuizZone(QUIZ_X_ZONE, x, z);
   if (inO && !inX) {
@@ -1587,10 +2043,127 @@ function initializePlayerForQuiz(player, resetScore = true) {
     player.score = Number.isFinite(Number(player.score)) ? Math.max(0, Math.trunc(Number(player.score))) : 0;
   }
   player.alive = true;
+  player.correctCount = 0;
+  player.spectatorScore = 0;
+  player.predictionCorrect = 0;
+  player.predictionCount = 0;
+  player.prediction = null;
+  player.shields = 0;
+  player.quizZone = null;
   player.lastChoice = null;
   player.lastChoiceReason = null;
 }
 
+// Marathon scoring needs to know when a player settled into the zone they were judged in,
+// so every accepted sync during the question phase restarts the clock on a zone change.
+function trackPlayerQuizZone(room, player, at = serverClock.now()) {
+  const quiz = getRoomQuiz(room);
+  if (!quiz.active || quiz.paused || quiz.phase !== "question" || !quiz.currentQuestion || !player?.alive) {
+    return;
+  }
+  const choice = resolveQuizChoiceFromState(player.state, quiz.currentQuestion).choice;
+  const zone = player.quizZone;
+  if (zone && zone.questionIndex === quiz.questionIndex && zone.choice === choice) {
+    return;
+  }
+  player.quizZone = { questionIndex: quiz.questionIndex, choice, enteredAt: at };
+}
+
+function resetQuizZoneTracking(room, openedAt) {
+  for (const player of room.players.values()) {
+    player.quizZone = null;
+    trackPlayerQuizZone(room, player, openedAt);
+  }
+}
+
+function resetQuizDistribution(quiz) {
+  quiz.distributionHidden = false;
+  quiz.distributionSentAt = 0;
+  quiz.distributionSignature = "";
+}
+
+// Counts where the live players are standing right now; it is a preview, not a judgement.
+function buildQuizDistributionPayload(room) {
+  const quiz = getRoomQuiz(room);
+  const question = quiz.currentQuestion;
+  const choiceKeys = getQuizChoiceKeys(question?.options);
+  const counts = new Map((choiceKeys.length > 0 ? choiceKeys : ["O", "X"]).map((key) => [key, 0]));
+  let undecided = 0;
+  for (const player of room.players.values()) {
+    if (!player?.alive || player.admitted !== true || isPlayerHostModerator(room, player)) {
+      continue;
+    }
+    const { choice } = resolveQuizChoiceFromState(player.state, question);
+    if (choice && counts.has(choice)) {
+      counts.set(choice, counts.get(choice) + 1);
+    } else {
+      undecided += 1;
+    }
+  }
+  const choices = Array.from(counts, ([key, count]) => ({ key, count }));
+  return {
+    questionId: question?.id ?? null,
+    index: Math.max(1, Number(quiz.questionIndex) + 1),
+    hidden: quiz.distributionHidden === true,
+    choices,
+    undecided,
+    total: choices.reduce((sum, entry) => sum + entry.count, undecided),
+    at: serverClock.now()
+  };
+}
+
+function emitQuizDistribution(room, now = serverClock.now(), { force = false } = {}) {
+  const quiz = getRoomQuiz(room);
+  if (!quiz.active || quiz.paused || quiz.phase !== "question" || !quiz.currentQuestion) {
+    return;
+  }
+  if (!force && now - quiz.distributionSentAt < QUIZ_DISTRIBUTION_INTERVAL_MS) {
+    return;
+  }
+  const payload = buildQuizDistributionPayload(room);
+  const signature = `${payload.hidden}|${payload.undecided}|${payload.choices.map((entry) => entry.count).join(",")}`;
+  if (!force && signature === quiz.distributionSignature) {
+    return;
+  }
+  quiz.distributionSentAt = now;
+  quiz.distributionSignature = signature;
+  if (!payload.hidden) {
+    io.to(room.code).emit("quiz:distribution", payload);
+    return;
+  }
+  // A hidden meter keeps running for the host so they can decide when to reveal it.
+  io.sockets.sockets.get(room.hostId)?.emit("quiz:distribution", payload);
+}
+
+function setQuizDistributionHidden(room, hidden) {
+  const quiz = getRoomQuiz(room);
+  if (!quiz.active || quiz.phase !== "question" || !quiz.currentQuestion) {
+    return { ok: false, error: "question not open" };
+  }
+  quiz.distributionHidden = hidden === true;
+  if (quiz.distributionHidden) {
+    const index = Math.max(1, Number(quiz.questionIndex) + 1);
+    io.to(room.code).emit("quiz:distribution", { questionId: quiz.currentQuestion.id, index, hidden: true });
+  }
+  emitQuizDistribution(room, serverClock.now(), { force: true });
+  return { ok: true, hidden: quiz.distributionHidden };
+}
+
+function computeMarathonAward(player, choice, openedAt, lockedAt) {
+  const windowMs = Math.max(1, lockedAt - openedAt);
+  const zone = player?.quizZone;
+  const settledAt =
+    zone && zone.choice === choice
+      ? Math.max(openedAt, Math.min(lockedAt, Number(zone.enteredAt) || lockedAt))
+      : lockedAt;
+  const bonus = Math.round((QUIZ_MARATHON_SPEED_BONUS_POINTS * (lockedAt - settledAt)) / windowMs);
+  return {
+    points: QUIZ_MARATHON_BASE_POINTS + bonus,
+    bonus,
+    settledAt
+  };
+}
+
 function isPlayerHostController(room, player) {
   if (!room || !player) {
     return false;
@@ -1713,14 +2286,14 @@ function openEntryGate(room) {
     return { ok: false, error: "quiz already active" };
   }
   const gate = ensureRoomEntryGate(room);
-  if (gate.admissionStartsAt > Date.now()) {
+  if (gate.admissionStartsAt > serverClock.now()) {
     return { ok: false, error: "admission already in progress" };
   }
   if (gate.portalOpen) {
     return { ok: false, error: "lobby already open" };
   }
   gate.portalOpen = true;
-  gate.openedAt = Date.now();
+  gate.openedAt = serverClock.now();
   gate.admissionStartsAt = 0;
   gate.pendingAdmissionIds = [];
 
@@ -1763,14 +2336,14 @@ function startEntryAdmission(room) {
   if (!gate.portalOpen) {
     return { ok: false, error: "lobby not open" };
   }
-  if (gate.admissionStartsAt > Date.now()) {
+  if (gate.admissionStartsAt > serverClock.now()) {
     return { ok: false, error: "admission already in progress" };
   }
 
   const waitingPlayers = collectWaitingPlayers(room);
   if (waitingPlayers.length <= 0) {
     gate.portalOpen = false;
-    gate.lastAdmissionAt = Date.now();
+    gate.lastAdmissionAt = serverClock.now();
     return {
       ok: false,
       error: "no waiting players",
@@ -1805,6 +2378,7 @@ function startEntryAdmission(room) {
 
   const admissionTargets = orderedWaiting.slice(0, ENTRY_PARTICIPANT_LIMIT);
   const overflowTargets = orderedWaiting.slice(ENTRY_PARTICIPANT_LIMIT);
+  balanceRoomTeams(room, admissionTargets);
   for (const player of overflowTargets) {
     player.admitted = false;
     player.awaitingAdmission = false;
@@ -1816,14 +2390,14 @@ function startEntryAdmission(room) {
 
   const countdownMs = 3000;
   gate.portalOpen = false;
-  gate.admissionStartsAt = Date.now() + countdownMs;
+  gate.admissionStartsAt = serverClock.now() + countdownMs;
   gate.pendingAdmissionIds = admissionTargets.map((player) => String(player?.id ?? "")).filter(Boolean);
   gate.nextPriorityIds = overflowTargets.map((player) => String(player?.id ?? "")).filter(Boolean);
   if (gate.admissionTimer) {
-    clearTimeout(gate.admissionTimer);
+    serverClock.clearTimeout(gate.admissionTimer);
     gate.admissionTimer = null;
   }
-  gate.admissionTimer = setTimeout(() => {
+  gate.admissionTimer = serverClock.setTimeout(() => {
     const currentRoom = rooms.get(room.code);
     if (!currentRoom) {
       return;
@@ -1831,10 +2405,13 @@ function startEntryAdmission(room) {
     const currentGate = ensureRoomEntryGate(currentRoom);
     currentGate.admissionTimer = null;
     const ids = Array.isArray(currentGate.pendingAdmissionIds) ? currentGate.pendingAdmissionIds : [];
-    const targets = ids
-      .map((id) => currentRoom.players.get(String(id)))
-      .filter(Boolean)
-      .filter((player) => !isPlayerHostController(currentRoom, player));
+    const targets = sortPlayersByTeam(
+      currentRoom,
+      ids
+        .map((id) => currentRoom.players.get(String(id)))
+        .filter(Boolean)
+        .filter((player) => !isPlayerHostController(currentRoom, player))
+    );
 
     for (let index = 0; index < targets.length; index += 1) {
       const player = targets[index];
@@ -1853,14 +2430,11 @@ function startEntryAdmission(room) {
       });
       const targetSocket = io.sockets.sockets.get(player.id);
       if (targetSocket) {
-        targetSocket.emit("player:correct", {
-          state: player.state,
-          reason: "entry-admitted"
-        });
+        targetSocket.emit("player:correct", buildPlayerCorrection(player, "entry-admitted"));
       }
     }
 
-    currentGate.lastAdmissionAt = Date.now();
+    currentGate.lastAdmissionAt = serverClock.now();
     currentGate.admissionStartsAt = 0;
     currentGate.pendingAdmissionIds = [];
     currentGate.nextPriorityIds = normalizeEntryGateQueueIds(currentRoom, currentGate.nextPriorityIds);
@@ -1891,39 +2465,320 @@ function startEntryAdmission(room) {
   };
 }
 
-function clearQuizAutoStartTimer(quiz) {
-  if (!quiz || typeof quiz !== "object") {
-    return;
+function isRoomScheduleActive(room) {
+  return room?.schedule?.enabled === true && Number(room.schedule.nextStartAt) > 0;
+}
+
+function getRoomScheduleLobbyOpensAt(schedule) {
+  return Math.max(0, Number(schedule.nextStartAt) - schedule.lobbyLeadMinutes * 60 * 1000);
+}
+
+function clearRoomScheduleTimers(schedule) {
+  if (schedule.timer) {
+    serverClock.clearTimeout(schedule.timer);
+    schedule.timer = null;
   }
-  if (quiz.autoStartTimer) {
-    clearTimeout(quiz.autoStartTimer);
-    quiz.autoStartTimer = null;
+  if (schedule.launchTimer) {
+    serverClock.clearTimeout(schedule.launchTimer);
+    schedule.launchTimer = null;
   }
-  quiz.autoStartsAt = 0;
 }
 
-function clearQuizLockTimer(quiz) {
-  if (!quiz || typeof quiz !== "object") {
+function clearRoomSchedule(room) {
+  const schedule = room.schedule;
+  clearRoomScheduleTimers(schedule);
+  // Bumping the serial orphans a run that is still waiting on the question bank.
+  room.schedule = { ...createRoomScheduleState(), runSerial: schedule.runSerial + 1, lastRun: schedule.lastRun };
+}
+
+function applyRoomSchedule(room, schedule, nextStartAt) {
+  clearRoomSchedule(room);
+  Object.assign(room.schedule, schedule, { enabled: true, nextStartAt, lobbyOpenedFor: 0 });
+  advanceRoomSchedule(room);
+}
+
+function armRoomScheduleTimer(room) {
+  const schedule = room.schedule;
+  if (schedule.timer) {
+    serverClock.clearTimeout(schedule.timer);
+    schedule.timer = null;
+  }
+  if (!isRoomScheduleActive(room)) {
     return;
   }
-  clearQuizAutoStartTimer(quiz);
-  if (quiz.lockTimer) {
-    clearTimeout(quiz.lockTimer);
-    quiz.lockTimer = null;
+  const dueAt =
+    schedule.lobbyOpenedFor === schedule.nextStartAt
+      ? schedule.nextStartAt
+      : Math.min(schedule.nextStartAt, getRoomScheduleLobbyOpensAt(schedule));
+  const delay = Math.min(ROOM_SCHEDULE_MAX_TIMER_MS, Math.max(0, dueAt - serverClock.now()));
+  schedule.timer = serverClock.setTimeout(() => {
+    schedule.timer = null;
+    if (rooms.get(room.code) === room && room.schedule === schedule) {
+      advanceRoomSchedule(room);
+    }
+  }, delay);
+  schedule.timer.unref?.();
+}
+
+function advanceRoomSchedule(room) {
+  const schedule = room.schedule;
+  if (!isRoomScheduleActive(room)) {
+    return;
   }
-  if (quiz.nextTimer) {
-    clearTimeout(quiz.nextTimer);
-    quiz.nextTimer = null;
+  const now = serverClock.now();
+  if (now >= schedule.nextStartAt) {
+    runScheduledQuiz(room);
+    return;
   }
-  quiz.lockResolveAt = 0;
+  if (now >= getRoomScheduleLobbyOpensAt(schedule) && schedule.lobbyOpenedFor !== schedule.nextStartAt) {
+    schedule.lobbyOpenedFor = schedule.nextStartAt;
+    const opened = openEntryGate(room);
+    if (opened?.ok) {
+      emitRoomUpdate(room);
+      emitQuizScore(room, "lobby-open-scheduled");
+    }
+  }
+  armRoomScheduleTimer(room);
 }
 
-function resetQuizState(room) {
-  const quiz = getRoomQuiz(room);
-  clearQuizLockTimer(quiz);
-  clearEntryAdmissionTimer(room);
-  quiz.active = false;
-  quiz.phase = "idle";
+/**
+ * Runs one scheduled occurrence unattended: loads the saved set, admits whoever is waiting
+ * at the gate, and starts the quiz once the admission countdown has placed them. The next
+ * occurrence is armed up front, so a failed run never stalls a repeating schedule.
+ */
+function runScheduledQuiz(room) {
+  const schedule = room.schedule;
+  const startAt = schedule.nextStartAt;
+  const serial = schedule.runSerial;
+  schedule.nextStartAt = computeNextScheduledStart(schedule, Math.max(startAt, serverClock.now()));
+  schedule.lobbyOpenedFor = 0;
+  schedule.enabled = schedule.nextStartAt > 0;
+  armRoomScheduleTimer(room);
+  emitRoomUpdate(room);
+
+  const isCurrentRun = () => rooms.get(room.code) === room && room.schedule.runSerial === serial;
+  questionBankStore
+    .get(schedule.questionSetId)
+    .then((set) => {
+      if (!isCurrentRun()) {
+        return;
+      }
+      if (!set) {
+        finishScheduledRun(room, startAt, { ok: false, error: "set not found" });
+        return;
+      }
+      if (getRoomQuiz(room).active) {
+        finishScheduledRun(room, startAt, { ok: false, error: "quiz already active" });
+        return;
+      }
+
+      const gate = ensureRoomEntryGate(room);
+      if (!gate.portalOpen && gate.admissionStartsAt <= serverClock.now()) {
+        openEntryGate(room);
+      }
+      let launchDelay = Math.max(0, gate.admissionStartsAt - serverClock.now());
+      if (launchDelay <= 0) {
+        const admitted = startEntryAdmission(room);
+        emitRoomUpdate(room);
+        if (admitted?.ok) {
+          emitQuizScore(room, "lobby-admit-countdown");
+          launchDelay = admitted.countdownMs;
+        }
+      }
+      // Armed after the admission timer with the same delay, so players are placed first.
+      room.schedule.launchTimer = serverClock.setTimeout(() => {
+        room.schedule.launchTimer = null;
+        if (!isCurrentRun()) {
+          return;
+        }
+        const started = startQuiz(room, room.hostId, { questions: set.questions, autoMode: false });
+        finishScheduledRun(room, startAt, started?.ok ? { ok: true } : { ok: false, error: started?.error });
+      }, launchDelay);
+      room.schedule.launchTimer.unref?.();
+    })
+    .catch((error) => {
+      console.error("[schedule] question set load failed:", error?.message ?? error);
+      if (isCurrentRun()) {
+        finishScheduledRun(room, startAt, { ok: false, error: "bank unavailable" });
+      }
+    });
+}
+
+function finishScheduledRun(room, startAt, result) {
+  room.schedule.lastRun = {
+    startAt,
+    at: serverClock.now(),
+    ok: result?.ok === true,
+    error: result?.ok === true ? "" : String(result?.error ?? "unknown")
+  };
+  if (releaseEmptyRoom(room)) {
+    emitRoomList();
+    return;
+  }
+  emitRoomUpdate(room);
+}
+
+function buildRoomSchedulePayload(room) {
+  const schedule = room.schedule;
+  const active = isRoomScheduleActive(room);
+  return {
+    enabled: active,
+    nextStartAt: active ? Number(schedule.nextStartAt) : 0,
+    lobbyOpensAt: active ? getRoomScheduleLobbyOpensAt(schedule) : 0,
+    lobbyLeadMinutes: schedule.lobbyLeadMinutes,
+    repeat: schedule.repeat,
+    utcOffsetMinutes: schedule.utcOffsetMinutes,
+    questionSetId: schedule.questionSetId,
+    questionSetName: schedule.questionSetName,
+    lastRun: schedule.lastRun ? { ...schedule.lastRun } : null
+  };
+}
+
+function clearQuizAutoStartTimer(quiz) {
+  if (!quiz || typeof quiz !== "object") {
+    return;
+  }
+  if (quiz.autoStartTimer) {
+    serverClock.clearTimeout(quiz.autoStartTimer);
+    quiz.autoStartTimer = null;
+  }
+  quiz.autoStartsAt = 0;
+  if (quiz.pausedTimers) {
+    delete quiz.pausedTimers.autoStartTimer;
+  }
+  if (!quiz.active) {
+    clearQuizPauseState(quiz);
+  }
+}
+
+function clearQuizLockTimer(quiz) {
+  if (!quiz || typeof quiz !== "object") {
+    return;
+  }
+  clearQuizAutoStartTimer(quiz);
+  if (quiz.readingTimer) {
+    serverClock.clearTimeout(quiz.readingTimer);
+    quiz.readingTimer = null;
+  }
+  if (quiz.lockTimer) {
+    serverClock.clearTimeout(quiz.lockTimer);
+    quiz.lockTimer = null;
+  }
+  if (quiz.nextTimer) {
+    serverClock.clearTimeout(quiz.nextTimer);
+    quiz.nextTimer = null;
+  }
+  quiz.lockResolveAt = 0;
+  clearQuizPauseState(quiz);
+}
+
+function clearQuizPauseState(quiz) {
+  quiz.paused = false;
+  quiz.pausedAt = 0;
+  quiz.pausedTimers = {};
+}
+
+// Every quiz timer goes through here so pause can recover its callback and remaining time.
+function armQuizTimer(quiz, key, delayMs, callback) {
+  const safeDelay = Math.max(0, Math.trunc(Number(delayMs) || 0));
+  quiz.timerSchedule[key] = { callback, dueAt: serverClock.now() + safeDelay };
+  quiz[key] = serverClock.setTimeout(() => {
+    quiz[key] = null;
+    callback();
+  }, safeDelay);
+}
+
+function buildQuizPausePayload(quiz) {
+  return {
+    paused: quiz.paused === true,
+    pausedAt: Number(quiz.pausedAt || 0),
+    phase: String(quiz.phase ?? "idle"),
+    readingEndsAt: Number(quiz.readingEndsAt || 0),
+    lockAt: Number(quiz.lockAt || 0),
+    lockResolveAt: Number(quiz.lockResolveAt || 0),
+    prepareEndsAt: Number(quiz.prepareEndsAt || 0),
+    autoStartsAt: Number(quiz.autoStartsAt || 0)
+  };
+}
+
+function pauseQuiz(room) {
+  const quiz = getRoomQuiz(room);
+  if (quiz.paused) {
+    return { ok: false, error: "quiz already paused" };
+  }
+  const keys = QUIZ_TIMER_KEYS.filter((key) => quiz[key]);
+  if (!quiz.active && keys.length <= 0) {
+    return { ok: false, error: "quiz is not active" };
+  }
+  // Lock-time positions only stay in the short position history, so a pause here would have the
+  // resumed judgement fall back to wherever players walked after the lock.
+  if (quiz.phase === "lock") {
+    return { ok: false, error: "question is locking" };
+  }
+
+  const now = serverClock.now();
+  quiz.pausedTimers = {};
+  for (const key of keys) {
+    serverClock.clearTimeout(quiz[key]);
+    quiz[key] = null;
+    const entry = quiz.timerSchedule[key];
+    if (entry) {
+      quiz.pausedTimers[key] = {
+        callback: entry.callback,
+        remainingMs: Math.max(0, entry.dueAt - now)
+      };
+    }
+  }
+  quiz.paused = true;
+  quiz.pausedAt = now;
+
+  const payload = buildQuizPausePayload(quiz);
+  io.to(room.code).emit("quiz:paused", payload);
+  emitQuizScore(room, "paused");
+  return { ok: true, ...payload };
+}
+
+function resumeQuiz(room) {
+  const quiz = getRoomQuiz(room);
+  if (!quiz.paused) {
+    return { ok: false, error: "quiz is not paused" };
+  }
+
+  const now = serverClock.now();
+  const pausedMs = Math.max(0, now - Number(quiz.pausedAt || now));
+  const shift = (value) => (Number(value) > 0 ? Number(value) + pausedMs : 0);
+  quiz.readingEndsAt = shift(quiz.readingEndsAt);
+  quiz.lockAt = shift(quiz.lockAt);
+  quiz.lockResolveAt = shift(quiz.lockResolveAt);
+  quiz.prepareEndsAt = shift(quiz.prepareEndsAt);
+  quiz.autoStartsAt = shift(quiz.autoStartsAt);
+  // Zone tracking is frozen while paused, so speed bonuses keep measuring only unpaused time.
+  quiz.questionOpenedAt = shift(quiz.questionOpenedAt);
+  for (const player of room.players.values()) {
+    if (player?.quizZone) {
+      player.quizZone.enteredAt = shift(player.quizZone.enteredAt);
+    }
+  }
+
+  const pausedTimers = quiz.pausedTimers;
+  clearQuizPauseState(quiz);
+  for (const [key, entry] of Object.entries(pausedTimers)) {
+    armQuizTimer(quiz, key, entry.remainingMs, entry.callback);
+  }
+
+  const payload = { ...buildQuizPausePayload(quiz), pausedMs };
+  io.to(room.code).emit("quiz:resumed", payload);
+  emitQuizScore(room, "resumed");
+  return { ok: true, ...payload };
+}
+
+function resetQuizState(room) {
+  const quiz = getRoomQuiz(room);
+  clearQuizLockTimer(quiz);
+  clearEntryAdmissionTimer(room);
+  quiz.active = false;
+  quiz.phase = "idle";
+  quiz.mode = QUIZ_MODE_SURVIVAL;
   quiz.autoMode = false;
   quiz.autoFinish = true;
   quiz.autoStartsAt = 0;
@@ -1935,10 +2790,22 @@ function resetQuizState(room) {
   quiz.totalQuestions = 0;
   quiz.currentQuestion = null;
   quiz.questions = [];
+  quiz.questionOpenedAt = 0;
+  quiz.readingEndsAt = 0;
+  quiz.readingStrip = null;
+  quiz.reserveQuestions = [];
+  quiz.tiebreakEnabled = false;
+  quiz.tiebreak = null;
+  quiz.botsCanWin = false;
+  quiz.shieldCount = 0;
+  quiz.poolPlan = null;
+  quiz.adaptivePickedThrough = -1;
+  resetQuizDistribution(quiz);
   quiz.lockSeconds = QUIZ_DEFAULT_LOCK_SECONDS;
   quiz.lockAt = 0;
   quiz.lockResolveAt = 0;
   quiz.lastResult = null;
+  quiz.results = [];
 }
 
 function serializeRoom(room) {
@@ -1965,8 +2832,10 @@ function serializeRoom(room) {
       openedAt: Number(gate.openedAt || 0),
       lastAdmissionAt: Number(gate.lastAdmissionAt || 0),
       admissionStartsAt: Number(gate.admissionStartsAt || 0),
-      admissionInProgress: Number(gate.admissionStartsAt || 0) > Date.now()
+      admissionInProgress: Number(gate.admissionStartsAt || 0) > serverClock.now()
     },
+    teams: buildRoomTeamsPayload(room),
+    schedule: buildRoomSchedulePayload(room),
     players: Array.from(room.players.values()).map((player) => ({
       id: player.id,
       name: player.name,
@@ -1977,7 +2846,12 @@ function serializeRoom(room) {
       queuedForAdmission: player.awaitingAdmission === true,
       spectator: isPlayerHostModerator(room, player),
       hostParticipating: player.hostParticipating === true,
+      bot: player.bot === true,
+      teamId: resolvePlayerTeamId(room, player),
+      shields: Math.max(0, Math.trunc(Number(player.shields) || 0)),
       chatMuted: player.chatMuted === true,
+      reconnecting: player.reconnecting === true,
+      reconnectExpiresAt: player.reconnecting === true ? Number(player.reconnectExpiresAt || 0) : 0,
       lastChoice: player.lastChoice ?? null,
       lastChoiceReason: player.lastChoiceReason ?? null
     }))
@@ -2050,7 +2924,7 @@ function pushRoomChatHistory(room, entry = {}) {
     name: sanitizeName(entry?.name ?? "PLAYER"),
     text,
     type,
-    at: Date.now()
+    at: serverClock.now()
   });
   if (history.length > CHAT_HISTORY_MAX_ENTRIES) {
     history.splice(0, history.length - CHAT_HISTORY_MAX_ENTRIES);
@@ -2094,7 +2968,17 @@ function pickNextHostId(room) {
   if (ROOM_OWNER_KEY) {
     return null;
   }
-  return room.players.keys().next().value ?? null;
+  for (const [socketId, player] of room.players.entries()) {
+    if (player?.reconnecting !== true && player?.bot !== true) {
+      return socketId;
+    }
+  }
+  for (const [socketId, player] of room.players.entries()) {
+    if (player?.bot !== true) {
+      return socketId;
+    }
+  }
+  return null;
 }
 
 function updateHost(room) {
@@ -2117,8 +3001,13 @@ function buildQuizLeaderboard(room) {
       id: player?.id,
       name: player?.name,
       score,
+      correctCount: Math.max(0, Math.trunc(Number(player?.correctCount) || 0)),
       alive: Boolean(player?.alive),
       spectator,
+      bot: player?.bot === true,
+      teamId: resolvePlayerTeamId(room, player),
+      shields: Math.max(0, Math.trunc(Number(player?.shields) || 0)),
+      reconnecting: player?.reconnecting === true,
       lastChoice: player?.lastChoice ?? null,
       lastChoiceReason: player?.lastChoiceReason ?? null
     };
@@ -2131,6 +3020,9 @@ function buildQuizLeaderboard(room) {
     if (right.score !== left.score) {
       return right.score - left.score;
     }
+    if (right.correctCount !== left.correctCount) {
+      return right.correctCount - left.correctCount;
+    }
     if (left.alive !== right.alive) {
       return Number(right.alive) - Number(left.alive);
     }
@@ -2162,6 +3054,106 @@ function buildQuizRanking(room) {
   return ranking;
 }
 
+// Bots fill the ranking like anyone else but only take first place when the host allows it.
+function collectQuizWinners(room, ranking = buildQuizRanking(room)) {
+  const quiz = getRoomQuiz(room);
+  const eligible = quiz.botsCanWin ? ranking : ranking.filter((entry) => entry?.bot !== true);
+  if (eligible.length <= 0) {
+    return [];
+  }
+  const topScore = Number(eligible[0].score) || 0;
+  return eligible.filter((entry) => (Number(entry.score) || 0) === topScore);
+}
+
+// Players watching the round (eliminated, overflow or late arrivals) may call each answer.
+function isQuizPredictionSpectator(room, player) {
+  if (!player || player.bot === true || isPlayerHostModerator(room, player)) {
+    return false;
+  }
+  return player.admitted !== true || !player.alive;
+}
+
+function submitQuizPrediction(room, player, rawChoice) {
+  const quiz = getRoomQuiz(room);
+  const question = quiz.currentQuestion;
+  if (!quiz.active || quiz.phase !== "question" || !question) {
+    return { ok: false, error: "question not open" };
+  }
+  if (quiz.paused) {
+    return { ok: false, error: "quiz paused" };
+  }
+  if (serverClock.now() >= Number(quiz.lockAt || 0)) {
+    return { ok: false, error: "prediction closed" };
+  }
+  if (!isQuizPredictionSpectator(room, player)) {
+    return { ok: false, error: "spectators only" };
+  }
+  const choiceKeys = getQuizChoiceKeys(question.options);
+  const choice = String(rawChoice ?? "").trim().toUpperCase();
+  if (!(choiceKeys.length > 0 ? choiceKeys : ["O", "X"]).includes(choice)) {
+    return { ok: false, error: "invalid choice" };
+  }
+  const index = Math.max(1, Number(quiz.questionIndex) + 1);
+  player.prediction = { index, questionId: question.id, choice, at: serverClock.now() };
+  return { ok: true, index, choice, lockAt: Number(quiz.lockAt || 0) };
+}
+
+// Settles the predictions made for the question that just locked and clears them either way.
+function settleQuizPredictions(room, question, index) {
+  const correctIds = [];
+  const predictorIds = [];
+  for (const player of room.players.values()) {
+    const prediction = player?.prediction;
+    if (!prediction) {
+      continue;
+    }
+    player.prediction = null;
+    if (prediction.index !== index || prediction.questionId !== question.id) {
+      continue;
+    }
+    predictorIds.push(player.id);
+    player.predictionCount = Math.max(0, Math.trunc(Number(player.predictionCount) || 0)) + 1;
+    if (prediction.choice === question.answer) {
+      player.spectatorScore = Math.max(0, Math.trunc(Number(player.spectatorScore) || 0)) + QUIZ_PREDICTION_POINTS;
+      player.predictionCorrect = Math.max(0, Math.trunc(Number(player.predictionCorrect) || 0)) + 1;
+      correctIds.push(player.id);
+    }
+  }
+  return { correctIds, predictorIds };
+}
+
+function buildSpectatorLeaderboard(room) {
+  const board = Array.from(room?.players?.values?.() ?? [])
+    .filter((player) => player?.bot !== true && Math.trunc(Number(player?.predictionCount) || 0) > 0)
+    .map((player) => ({
+      id: player.id,
+      name: player.name,
+      score: Math.max(0, Math.trunc(Number(player.spectatorScore) || 0)),
+      correctCount: Math.max(0, Math.trunc(Number(player.predictionCorrect) || 0)),
+      predictionCount: Math.max(0, Math.trunc(Number(player.predictionCount) || 0)),
+      spectating: isQuizPredictionSpectator(room, player)
+    }));
+  board.sort((left, right) => {
+    if (right.score !== left.score) {
+      return right.score - left.score;
+    }
+    if (left.predictionCount !== right.predictionCount) {
+      return left.predictionCount - right.predictionCount;
+    }
+    return String(left.name ?? "").localeCompare(String(right.name ?? ""));
+  });
+  let previousScore = null;
+  board.forEach((entry, index) => {
+    if (previousScore === null || entry.score !== previousScore) {
+      entry.rank = index + 1;
+      previousScore = entry.score;
+    } else {
+      entry.rank = board[index - 1].rank;
+    }
+  });
+  return board;
+}
+
 function countQuizSurvivors(room) {
   let survivors = 0;
   for (const player of room?.players?.values?.() ?? []) {
@@ -2184,10 +3176,12 @@ function emitQuizScore(room, reason = "update", targetSocket = null) {
   }
 
   const quiz = getRoomQuiz(room);
+  const leaderboard = buildQuizLeaderboard(room);
   const payload = {
     reason,
     active: Boolean(quiz.active),
     phase: String(quiz.phase ?? "idle"),
+    mode: sanitizeQuizMode(quiz.mode),
     autoMode: quiz.autoMode !== false,
     autoFinish: quiz.autoFinish !== false,
     autoStartsAt: Number(quiz.autoStartsAt ?? 0),
@@ -2195,11 +3189,17 @@ function emitQuizScore(room, reason = "update", targetSocket = null) {
     hostId: quiz.hostId ?? room.hostId ?? null,
     questionIndex: Math.max(0, Number(quiz.questionIndex) + 1),
     totalQuestions: Math.max(0, Number(quiz.totalQuestions) || 0),
+    readingEndsAt: Number(quiz.readingEndsAt ?? 0),
     lockAt: Number(quiz.lockAt ?? 0),
     lockResolveAt: Number(quiz.lockResolveAt ?? 0),
     survivors: countQuizSurvivors(room),
-    leaderboard: buildQuizLeaderboard(room),
-    updatedAt: Date.now()
+    paused: quiz.paused === true,
+    pausedAt: Number(quiz.pausedAt || 0),
+    tiebreak: buildQuizTiebreakPayload(room),
+    leaderboard,
+    spectatorLeaderboard: buildSpectatorLeaderboard(room),
+    teams: buildTeamBoard(ensureRoomTeams(room), leaderboard),
+    updatedAt: serverClock.now()
   };
 
   if (targetSocket) {
@@ -2212,13 +3212,16 @@ function emitQuizScore(room, reason = "update", targetSocket = null) {
 
 function buildQuizStartPayload(quiz) {
   return {
-    startedAt: Number(quiz.startedAt ?? Date.now()),
+    startedAt: Number(quiz.startedAt ?? serverClock.now()),
     prepareEndsAt: Number(quiz.prepareEndsAt ?? 0),
     hostId: quiz.hostId ?? null,
+    mode: sanitizeQuizMode(quiz.mode),
     autoMode: quiz.autoMode !== false,
     autoFinish: quiz.autoFinish !== false,
     totalQuestions: Math.max(0, Number(quiz.totalQuestions) || 0),
-    lockSeconds: sanitizeQuizLockSeconds(quiz.lockSeconds)
+    lockSeconds: sanitizeQuizLockSeconds(quiz.lockSeconds),
+    shields: sanitizeQuizShieldCount(quiz.shieldCount),
+    poolPlan: quiz.poolPlan ? { ...quiz.poolPlan } : null
   };
 }
 
@@ -2231,9 +3234,19 @@ function buildQuizQuestionPayload(quiz) {
   return {
     id: question.id,
     text: question.text,
+    options: sanitizeQuizOptions(question?.options),
     timeLimitSeconds: sanitizeQuizLockSeconds(question?.timeLimitSeconds),
+    readingSeconds: sanitizeQuizReadingSeconds(question?.readingSeconds),
+    ...pickQuizQuestionTags(question),
+    pool: question?.pool ?? null,
+    imageUrl: sanitizeBillboardMediaUrl(question?.imageUrl),
+    videoUrl: sanitizeBillboardMediaUrl(question?.videoUrl),
     index: Math.max(1, Number(quiz.questionIndex) + 1),
     totalQuestions: Math.max(0, Number(quiz.totalQuestions) || 0),
+    tiebreakRound: quiz.tiebreak ? quiz.tiebreak.round : 0,
+    phase: quiz.phase === "reading" ? "reading" : "question",
+    readingEndsAt: quiz.phase === "reading" ? Number(quiz.readingEndsAt || 0) : 0,
+    readingHold: quiz.phase === "reading" && quiz.readingStrip ? { ...quiz.readingStrip } : null,
     lockAt: Number(quiz.lockAt ?? 0)
   };
 }
@@ -2250,29 +3263,45 @@ function buildQuizReviewPayload(quiz) {
     )
   );
   const usedQuestions = safeQuestions.slice(0, answeredCount);
+  const voidedIndexes = new Set(
+    (Array.isArray(quiz?.results) ? quiz.results : [])
+      .filter((result) => result?.voided === true)
+      .map((result) => Number(result.index))
+  );
   return usedQuestions.map((question, index) => ({
     id: String(question?.id ?? `Q${index + 1}`),
     index: index + 1,
+    voided: voidedIndexes.has(index + 1),
     text: String(question?.text ?? "").slice(0, QUIZ_TEXT_MAX_LENGTH),
-    answer: normalizeQuizAnswer(question?.answer) ?? "O",
-    explanation: String(question?.explanation ?? "").slice(0, QUIZ_EXPLANATION_MAX_LENGTH)
+    answer: normalizeQuizAnswer(question?.answer, question?.options) ?? getDefaultQuizAnswer(question?.options),
+    options: sanitizeQuizOptions(question?.options),
+    explanation: String(question?.explanation ?? "").slice(0, QUIZ_EXPLANATION_MAX_LENGTH),
+    ...pickQuizQuestionTags(question),
+    pool: question?.pool ?? null,
+    ...pickQuizQuestionMedia(question)
   }));
 }
 
 function buildQuizEndPayload(room, reason = "finished") {
   const quiz = getRoomQuiz(room);
   const ranking = buildQuizRanking(room);
-  const winners = ranking.filter((entry) => Number(entry.rank) === 1);
+  const winners = collectQuizWinners(room, ranking);
+  const teams = buildTeamBoard(ensureRoomTeams(room), ranking);
 
   return {
     reason,
+    mode: sanitizeQuizMode(quiz.mode),
     hostId: quiz.hostId ?? room.hostId ?? null,
-    endedAt: Number(quiz.endedAt || Date.now()),
+    endedAt: Number(quiz.endedAt || serverClock.now()),
     questionIndex: Math.max(0, Number(quiz.questionIndex) + 1),
     totalQuestions: Math.max(0, Number(quiz.totalQuestions) || 0),
     winners,
+    teams,
+    winningTeams: collectWinningTeams(teams),
+    tiebreak: buildQuizTiebreakPayload(room),
     leaderboard: ranking,
     ranking,
+    spectatorLeaderboard: buildSpectatorLeaderboard(room),
     review: buildQuizReviewPayload(quiz)
   };
 }
@@ -2289,15 +3318,27 @@ function buildQuizConfigPayload(room) {
     questions: questions.map((question, index) => ({
       id: String(question?.id ?? `Q${index + 1}`),
       text: String(question?.text ?? "").slice(0, QUIZ_TEXT_MAX_LENGTH),
-      answer: normalizeQuizAnswer(question?.answer) ?? "O",
+      answer: normalizeQuizAnswer(question?.answer, question?.options) ?? getDefaultQuizAnswer(question?.options),
+      options: sanitizeQuizOptions(question?.options),
       explanation: String(question?.explanation ?? "").slice(0, QUIZ_EXPLANATION_MAX_LENGTH),
-      timeLimitSeconds: sanitizeQuizLockSeconds(question?.timeLimitSeconds ?? question?.lockSeconds)
+      timeLimitSeconds: sanitizeQuizLockSeconds(question?.timeLimitSeconds ?? question?.lockSeconds),
+      readingSeconds: sanitizeQuizReadingSeconds(question?.readingSeconds),
+      ...pickQuizQuestionTags(question),
+      ...pickQuizQuestionMedia(question)
     })),
     slotCount: questions.length,
     maxQuestions: QUIZ_MAX_QUESTIONS,
+    reserveQuestions: config.reserveQuestions.map((question) => ({ ...question })),
+    maxReserveQuestions: QUIZ_TIEBREAK_MAX_RESERVE_QUESTIONS,
     endPolicy: {
       autoFinish: config?.endPolicy?.autoFinish !== false,
-      showOppositeBillboard: config?.endPolicy?.showOppositeBillboard !== false
+      showOppositeBillboard: config?.endPolicy?.showOppositeBillboard !== false,
+      mode: sanitizeQuizMode(config?.endPolicy?.mode),
+      tiebreaker: config?.endPolicy?.tiebreaker === true,
+      botsCanWin: config?.endPolicy?.botsCanWin === true,
+      shields: sanitizeQuizShieldCount(config?.endPolicy?.shields),
+      maxShields: QUIZ_MAX_SHIELDS,
+      pools: sanitizeQuizPoolPlan(config?.endPolicy?.pools, QUIZ_MAX_QUESTIONS)
     }
   };
 }
@@ -2308,7 +3349,7 @@ function emitQuizSnapshot(socket, room) {
   }
 
   const quiz = getRoomQuiz(room);
-  const hasAutoCountdown = Number(quiz.autoStartsAt) > Date.now();
+  const hasAutoCountdown = Number(quiz.autoStartsAt) > serverClock.now();
   if (!quiz.active && quiz.phase !== "ended" && !hasAutoCountdown) {
     return;
   }
@@ -2317,7 +3358,7 @@ function emitQuizSnapshot(socket, room) {
     socket.emit("quiz:auto-countdown", {
       autoMode: quiz.autoMode !== false,
       startsAt: Number(quiz.autoStartsAt),
-      delayMs: Math.max(0, Number(quiz.autoStartsAt) - Date.now()),
+      delayMs: Math.max(0, Number(quiz.autoStartsAt) - serverClock.now()),
       players: countPlayablePlayers(room),
       minPlayers: QUIZ_AUTO_START_MIN_PLAYERS
     });
@@ -2327,11 +3368,24 @@ function emitQuizSnapshot(socket, room) {
     socket.emit("quiz:start", buildQuizStartPayload(quiz));
   }
 
+  if (quiz.phase === "tiebreak") {
+    socket.emit("quiz:tiebreak", buildQuizTiebreakPayload(room));
+  }
+  if (quiz.phase === "reading") {
+    const questionPayload = buildQuizQuestionPayload(quiz);
+    if (questionPayload) {
+      socket.emit("quiz:question", questionPayload);
+    }
+  }
   if (quiz.phase === "question") {
     const questionPayload = buildQuizQuestionPayload(quiz);
     if (questionPayload) {
       socket.emit("quiz:question", questionPayload);
     }
+    const distributionPayload = buildQuizDistributionPayload(room);
+    if (!distributionPayload.hidden || isRoomHost(room, socket.id)) {
+      socket.emit("quiz:distribution", distributionPayload);
+    }
   }
   if (quiz.phase === "lock" && quiz.currentQuestion) {
     socket.emit("quiz:lock", {
@@ -2379,12 +3433,12 @@ function scheduleAutoQuizStart(
     clearQuizAutoStartTimer(quiz);
     return;
   }
-  if (quiz.autoStartTimer) {
+  if (quiz.autoStartTimer || quiz.paused) {
     return;
   }
 
   const safeDelay = Math.max(2000, Math.trunc(Number(delayMs) || QUIZ_AUTO_START_DELAY_MS));
-  quiz.autoStartsAt = Date.now() + safeDelay;
+  quiz.autoStartsAt = serverClock.now() + safeDelay;
 
   io.to(room.code).emit("quiz:auto-countdown", {
     autoMode: quiz.autoMode !== false,
@@ -2396,8 +3450,7 @@ function scheduleAutoQuizStart(
   });
   emitQuizScore(room, "auto-countdown");
 
-  quiz.autoStartTimer = setTimeout(() => {
-    quiz.autoStartTimer = null;
+  armQuizTimer(quiz, "autoStartTimer", safeDelay, () => {
     const currentRoom = rooms.get(room.code);
     if (!currentRoom) {
       return;
@@ -2426,7 +3479,7 @@ function scheduleAutoQuizStart(
     if (!started?.ok) {
       scheduleAutoQuizStart(currentRoom, { delayMs: QUIZ_AUTO_START_DELAY_MS, reason: "auto-retry" });
     }
-  }, safeDelay);
+  });
 }
 
 function scheduleQuizLock(room, lockSeconds) {
@@ -2435,89 +3488,423 @@ function scheduleQuizLock(room, lockSeconds) {
 
   const safeLockSeconds = sanitizeQuizLockSeconds(lockSeconds);
   const lockMs = safeLockSeconds * 1000;
-  quiz.lockAt = Date.now() + lockMs;
-  quiz.lockTimer = setTimeout(() => {
+  quiz.lockAt = serverClock.now() + lockMs;
+  armQuizTimer(quiz, "lockTimer", lockMs, () => {
     evaluateQuizQuestion(room);
-  }, lockMs);
+  });
 }
 
-function finishQuiz(room, reason = "finished") {
-  if (!room) {
+function recordMatchHistory(room, endPayload) {
+  const quiz = getRoomQuiz(room);
+  const startedAt = Math.max(0, Math.trunc(Number(quiz.startedAt) || 0));
+  if (startedAt <= 0) {
     return;
   }
+  const endedAt = Number(endPayload?.endedAt || serverClock.now());
+  matchHistoryStore.append({
+    matchId: `${room.code}-${startedAt.toString(36)}-${randomBytes(3).toString("hex")}`,
+    roomCode: room.code,
+    mode: sanitizeQuizMode(quiz.mode),
+    reason: endPayload?.reason ?? "finished",
+    hostId: endPayload?.hostId ?? null,
+    startedAt,
+    endedAt,
+    totalQuestions: Math.max(0, Number(quiz.totalQuestions) || 0),
+    questions: (Array.isArray(quiz.questions) ? quiz.questions : []).map((question) => ({
+      id: question.id,
+      text: question.text,
+      answer: question.answer,
+      options: sanitizeQuizOptions(question.options),
+      explanation: question.explanation,
+      timeLimitSeconds: sanitizeQuizLockSeconds(question.timeLimitSeconds),
+      readingSeconds: sanitizeQuizReadingSeconds(question.readingSeconds),
+      ...pickQuizQuestionTags(question),
+      pool: question.pool ?? null,
+      ...pickQuizQuestionMedia(question)
+    })),
+    poolPlan: quiz.poolPlan ? { ...quiz.poolPlan } : null,
+    results: Array.isArray(quiz.results) ? quiz.results : [],
+    tiebreak: endPayload?.tiebreak ?? null,
+    winners: Array.isArray(endPayload?.winners) ? endPayload.winners : [],
+    teams: Array.isArray(endPayload?.teams) ? endPayload.teams : [],
+    winningTeams: Array.isArray(endPayload?.winningTeams) ? endPayload.winningTeams : [],
+    ranking: Array.isArray(endPayload?.ranking) ? endPayload.ranking : []
+  });
+}
 
+function buildQuizTiebreakPayload(room) {
   const quiz = getRoomQuiz(room);
-  if (quiz.phase === "ended") {
-    return;
+  const tiebreak = quiz.tiebreak;
+  if (!tiebreak) {
+    return null;
   }
+  return {
+    round: tiebreak.round,
+    playerIds: tiebreak.playerIds.slice(),
+    players: tiebreak.playerIds
+      .map((playerId) => room.players.get(playerId))
+      .filter(Boolean)
+      .map((player) => ({
+        id: player.id,
+        name: player.name,
+        score: Math.max(0, Math.trunc(Number(player.score) || 0))
+      })),
+    startsAt: quiz.phase === "tiebreak" ? Number(quiz.prepareEndsAt || 0) : 0,
+    reserveRemaining: Math.max(0, quiz.reserveQuestions.length - tiebreak.reserveIndex)
+  };
+}
 
-  clearQuizLockTimer(quiz);
-  quiz.active = false;
-  quiz.phase = "ended";
-  quiz.lockAt = 0;
-  quiz.lockResolveAt = 0;
-  quiz.prepareEndsAt = 0;
-  quiz.endedAt = Date.now();
-
-  const payload = buildQuizEndPayload(room, reason);
-  io.to(room.code).emit("quiz:end", payload);
-  emitQuizScore(room, "end");
+function collectQuizTiebreakContenders(room) {
+  return collectQuizWinners(room).map((entry) => entry.id);
+}
 
-  // Keep post-round flow explicit: everyone returns to lobby waiting state after quiz end.
-  if (QUIZ_AUTO_OPEN_LOBBY_ON_END) {
-    const opened = openEntryGate(room);
-    if (opened?.ok) {
-      emitRoomUpdate(room);
-      emitQuizScore(room, "lobby-open-auto");
+// Only the tied players stay on the floor; everyone else is parked in the spectator zone.
+function applyQuizTiebreakRoster(room, contenderIds) {
+  const contenders = new Set(contenderIds);
+  const revived = [];
+  for (const player of room.players.values()) {
+    if (!player || player.admitted !== true || isPlayerHostModerator(room, player)) {
+      continue;
+    }
+    if (contenders.has(player.id)) {
+      if (!player.alive) {
+        player.alive = true;
+        revived.push(player);
+      }
+      player.lastChoice = null;
+      player.lastChoiceReason = null;
+      continue;
+    }
+    if (player.alive) {
+      player.alive = false;
+      player.lastChoiceReason = "tiebreak-spectator";
+      relocatePlayerToSpectatorZone(room, player, "quiz-tiebreak-spectator");
     }
   }
 
-  if (quiz.autoMode !== false) {
-    scheduleAutoQuizStart(room, {
-      delayMs: QUIZ_AUTO_RESTART_DELAY_MS,
-      reason: "auto-restart"
-    });
+  returnPlayersToArena(revived, "quiz-tiebreak-contender");
+}
+
+function returnPlayersToArena(players, reason) {
+  for (let index = 0; index < players.length; index += 1) {
+    const player = players[index];
+    const spawn = buildAdmissionSpawnPoint(index, players.length);
+    setPlayerAuthoritativeState(player, { x: spawn.x, y: spawn.y, z: spawn.z, yaw: 0, pitch: 0 });
+    const targetSocket = io?.sockets?.sockets?.get(player.id);
+    if (targetSocket) {
+      targetSocket.emit("player:correct", buildPlayerCorrection(player, reason));
+    }
   }
 }
 
-function finalizeQuizQuestion(room, lockedAt = Date.now()) {
-  if (!room) {
-    return;
+// Undoes the latest result in place instead of rewinding, so only that question's effects are reverted.
+const QUIZ_RESULT_PLAYER_ID_LISTS = [
+  "correctPlayerIds",
+  "incorrectPlayerIds",
+  "eliminatedPlayerIds",
+  "shieldedPlayerIds",
+  "predictionPlayerIds",
+  "predictionCorrectIds"
+];
+const QUIZ_RESULT_PLAYER_ENTRY_LISTS = ["eliminatedPlayers", "shieldedPlayers", "awards"];
+
+// Results keep the socket ids they were judged with so a void can find the players again;
+// a resumed player comes back under a new socket id, so every stored result follows them.
+function remapQuizResultPlayerId(quiz, previousId, nextId) {
+  const results = Array.isArray(quiz.results) ? quiz.results.slice() : [];
+  if (quiz.lastResult && !results.includes(quiz.lastResult)) {
+    results.push(quiz.lastResult);
+  }
+  for (const result of results) {
+    for (const field of QUIZ_RESULT_PLAYER_ID_LISTS) {
+      if (Array.isArray(result?.[field])) {
+        result[field] = result[field].map((id) => (id === previousId ? nextId : id));
+      }
+    }
+    for (const field of QUIZ_RESULT_PLAYER_ENTRY_LISTS) {
+      for (const entry of Array.isArray(result?.[field]) ? result[field] : []) {
+        if (entry?.id === previousId) {
+          entry.id = nextId;
+        }
+      }
+    }
   }
+}
 
+function voidLatestQuizResult(room) {
   const quiz = getRoomQuiz(room);
-  if (!quiz.active || quiz.phase !== "lock" || !quiz.currentQuestion) {
-    return;
+  if (!quiz.active) {
+    return { ok: false, error: "quiz is not active" };
+  }
+  if (quiz.tiebreak) {
+    return { ok: false, error: "tiebreak in progress" };
+  }
+  if (quiz.phase === "lock") {
+    return { ok: false, error: "question is locking" };
+  }
+  const result = Array.isArray(quiz.results) ? quiz.results[quiz.results.length - 1] : null;
+  if (!result) {
+    return { ok: false, error: "no resolved question" };
+  }
+  if (result.voided === true) {
+    return { ok: false, error: "question already voided" };
   }
 
-  clearQuizLockTimer(quiz);
-
-  const question = quiz.currentQuestion;
-  const normalizedLockedAt = Math.max(0, Math.trunc(Number(lockedAt) || Date.now()));
-  const resolvedAt = Date.now();
-
-  const correctPlayerIds = [];
-  const eliminatedPlayerIds = [];
-  const eliminatedPlayers = [];
-
-  for (const player of room.players.values()) {
-    if (!player || !player.alive) {
+  const awardsById = new Map((Array.isArray(result.awards) ? result.awards : []).map((award) => [award.id, award]));
+  const marathon = result.mode === QUIZ_MODE_MARATHON;
+  for (const playerId of result.correctPlayerIds ?? []) {
+    const player = room.players.get(playerId);
+    if (!player) {
       continue;
     }
-    if (isPlayerHostModerator(room, player)) {
-      player.lastChoice = null;
-      player.lastChoiceReason = "spectator";
+    const points = marathon ? Math.max(0, Math.trunc(Number(awardsById.get(playerId)?.points) || 0)) : 1;
+    player.score = Math.max(0, Math.trunc(Number(player.score) || 0) - points);
+    player.correctCount = Math.max(0, Math.trunc(Number(player.correctCount) || 0) - 1);
+  }
+
+  for (const playerId of result.predictionPlayerIds ?? []) {
+    const player = room.players.get(playerId);
+    if (player) {
+      player.predictionCount = Math.max(0, Math.trunc(Number(player.predictionCount) || 0) - 1);
+    }
+  }
+  for (const playerId of result.predictionCorrectIds ?? []) {
+    const player = room.players.get(playerId);
+    if (!player) {
       continue;
     }
+    player.spectatorScore = Math.max(0, Math.trunc(Number(player.spectatorScore) || 0) - QUIZ_PREDICTION_POINTS);
+    player.predictionCorrect = Math.max(0, Math.trunc(Number(player.predictionCorrect) || 0) - 1);
+  }
 
-    const judge = resolveQuizChoiceFromState(player.state);
-    player.lastChoice = judge.choice;
-    player.lastChoiceReason = judge.reason;
+  for (const playerId of result.shieldedPlayerIds ?? []) {
+    const player = room.players.get(playerId);
+    if (player) {
+      player.shields = Math.min(QUIZ_MAX_SHIELDS, Math.trunc(Number(player.shields) || 0) + 1);
+    }
+  }
 
-    if (judge.choice === question.answer) {
-      player.score = Number.isFinite(Number(player.score)) ? Math.max(0, Math.trunc(Number(player.score))) + 1 : 1;
-      correctPlayerIds.push(player.id);
-    } else {
+  const revived = [];
+  for (const playerId of result.eliminatedPlayerIds ?? []) {
+    const player = room.players.get(playerId);
+    if (!player || player.alive || player.admitted !== true) {
+      continue;
+    }
+    player.alive = true;
+    player.lastChoice = null;
+    player.lastChoiceReason = "voided";
+    revived.push(player);
+  }
+  returnPlayersToArena(revived, "quiz-voided");
+
+  result.voided = true;
+  result.voidedAt = serverClock.now();
+  result.survivorCount = countQuizSurvivors(room);
+
+  const payload = {
+    id: result.id,
+    index: result.index,
+    text: result.text,
+    voidedAt: result.voidedAt,
+    revivedPlayerIds: revived.map((player) => player.id),
+    revivedPlayers: revived.map((player) => ({ id: player.id, name: player.name })),
+    survivorCount: result.survivorCount
+  };
+  io.to(room.code).emit("quiz:voided", payload);
+  emitQuizScore(room, "question-voided");
+  return { ok: true, ...payload };
+}
+
+function scheduleQuizTiebreakRound(room, contenderIds) {
+  const quiz = getRoomQuiz(room);
+  const tiebreak = quiz.tiebreak;
+  const reserveQuestion = tiebreak ? quiz.reserveQuestions[tiebreak.reserveIndex] : null;
+  if (!reserveQuestion) {
+    return false;
+  }
+
+  tiebreak.round += 1;
+  tiebreak.reserveIndex += 1;
+  tiebreak.playerIds = contenderIds.slice();
+  quiz.questions.push({ ...reserveQuestion });
+  quiz.totalQuestions = quiz.questions.length;
+  applyQuizTiebreakRoster(room, contenderIds);
+
+  if (quiz.nextTimer) {
+    serverClock.clearTimeout(quiz.nextTimer);
+  }
+  quiz.phase = "tiebreak";
+  quiz.lockAt = 0;
+  quiz.prepareEndsAt = serverClock.now() + QUIZ_TIEBREAK_INTRO_DELAY_MS;
+  armQuizTimer(quiz, "nextTimer", QUIZ_TIEBREAK_INTRO_DELAY_MS, () => {
+    if (!quiz.active || quiz.phase !== "tiebreak") {
+      return;
+    }
+    quiz.prepareEndsAt = 0;
+    pushNextQuizQuestion(room);
+  });
+
+  io.to(room.code).emit("quiz:tiebreak", buildQuizTiebreakPayload(room));
+  emitQuizScore(room, "tiebreak");
+  return true;
+}
+
+function startQuizTiebreaker(room) {
+  const quiz = getRoomQuiz(room);
+  if (!quiz.active || quiz.tiebreakEnabled !== true || quiz.tiebreak) {
+    return false;
+  }
+  const contenderIds = collectQuizTiebreakContenders(room);
+  if (contenderIds.length < 2 || quiz.reserveQuestions.length <= 0) {
+    return false;
+  }
+  clearQuizLockTimer(quiz);
+  quiz.tiebreak = { round: 0, reserveIndex: 0, playerIds: contenderIds };
+  return scheduleQuizTiebreakRound(room, contenderIds);
+}
+
+function resolveQuizTiebreakRound(room) {
+  const quiz = getRoomQuiz(room);
+  // If nobody pulled ahead the same players are still tied and simply go again.
+  const contenderIds = collectQuizTiebreakContenders(room);
+  if (contenderIds.length <= 1) {
+    finishQuiz(room, "tiebreak-winner");
+    return;
+  }
+
+  quiz.phase = "waiting-next";
+  emitQuizScore(room, "tiebreak-result");
+  armQuizTimer(quiz, "nextTimer", QUIZ_AUTO_NEXT_DELAY_MS, () => {
+    if (!quiz.active || quiz.phase !== "waiting-next") {
+      return;
+    }
+    // Collected again so a contender who resumed during the gap keeps their place.
+    if (!scheduleQuizTiebreakRound(room, collectQuizTiebreakContenders(room))) {
+      finishQuiz(room, "tiebreak-exhausted");
+    }
+  });
+}
+
+function finishQuiz(room, reason = "finished") {
+  if (!room) {
+    return;
+  }
+
+  const quiz = getRoomQuiz(room);
+  if (quiz.phase === "ended") {
+    return;
+  }
+  if ((reason === "all-questions-complete" || reason === "no-survivor") && startQuizTiebreaker(room)) {
+    return;
+  }
+
+  clearQuizLockTimer(quiz);
+  quiz.active = false;
+  quiz.phase = "ended";
+  quiz.lockAt = 0;
+  quiz.lockResolveAt = 0;
+  quiz.prepareEndsAt = 0;
+  quiz.endedAt = serverClock.now();
+
+  const payload = buildQuizEndPayload(room, reason);
+  io.to(room.code).emit("quiz:end", payload);
+  emitQuizScore(room, "end");
+  recordMatchHistory(room, payload);
+
+  // Keep post-round flow explicit: everyone returns to lobby waiting state after quiz end.
+  if (QUIZ_AUTO_OPEN_LOBBY_ON_END) {
+    const opened = openEntryGate(room);
+    if (opened?.ok) {
+      emitRoomUpdate(room);
+      emitQuizScore(room, "lobby-open-auto");
+    }
+  }
+
+  if (quiz.autoMode !== false) {
+    scheduleAutoQuizStart(room, {
+      delayMs: QUIZ_AUTO_RESTART_DELAY_MS,
+      reason: "auto-restart"
+    });
+  }
+}
+
+function finalizeQuizQuestion(room, lockedAt = serverClock.now()) {
+  if (!room) {
+    return;
+  }
+
+  const quiz = getRoomQuiz(room);
+  if (!quiz.active || quiz.phase !== "lock" || !quiz.currentQuestion) {
+    return;
+  }
+
+  clearQuizLockTimer(quiz);
+
+  const question = quiz.currentQuestion;
+  const normalizedLockedAt = Math.max(0, Math.trunc(Number(lockedAt) || serverClock.now()));
+  const resolvedAt = serverClock.now();
+
+  const marathon = quiz.mode === QUIZ_MODE_MARATHON;
+  const correctPlayerIds = [];
+  const incorrectPlayerIds = [];
+  const eliminatedPlayerIds = [];
+  const eliminatedPlayers = [];
+  const shieldedPlayerIds = [];
+  const shieldedPlayers = [];
+  const awards = [];
+  const predictions = settleQuizPredictions(room, question, Math.max(1, Number(quiz.questionIndex) + 1));
+  const choiceKeys = getQuizChoiceKeys(question.options);
+  const choiceCounts = Object.fromEntries(
+    [...(choiceKeys.length > 0 ? choiceKeys : ["O", "X"]), "none"].map((key) => [key, 0])
+  );
+
+  for (const player of room.players.values()) {
+    if (!player || !player.alive) {
+      continue;
+    }
+    if (isPlayerHostModerator(room, player)) {
+      player.lastChoice = null;
+      player.lastChoiceReason = "spectator";
+      continue;
+    }
+
+    const lockPosition = samplePlayerPositionAt(player, normalizedLockedAt);
+    const judge = resolveQuizChoiceFromState(lockPosition, question);
+    player.lastChoice = judge.choice;
+    player.lastChoiceReason = judge.reason;
+    choiceCounts[judge.choice ?? "none"] = (choiceCounts[judge.choice ?? "none"] ?? 0) + 1;
+
+    if (judge.choice === question.answer) {
+      const previousScore = Number.isFinite(Number(player.score)) ? Math.max(0, Math.trunc(Number(player.score))) : 0;
+      if (marathon) {
+        const award = computeMarathonAward(
+          player,
+          judge.choice,
+          Number(quiz.questionOpenedAt) || normalizedLockedAt,
+          normalizedLockedAt
+        );
+        player.score = previousScore + award.points;
+        awards.push({ id: player.id, ...award });
+      } else {
+        player.score = previousScore + 1;
+      }
+      player.correctCount = Math.max(0, Math.trunc(Number(player.correctCount) || 0)) + 1;
+      correctPlayerIds.push(player.id);
+    } else if (marathon) {
+      // Nobody is eliminated in marathon mode; a miss simply earns no points.
+      incorrectPlayerIds.push(player.id);
+    } else if (!quiz.tiebreak && Math.trunc(Number(player.shields) || 0) > 0) {
+      // Tiebreak rounds exist to separate survivors, so a shield only saves a regular question.
+      player.shields = Math.trunc(Number(player.shields)) - 1;
+      player.lastChoiceReason = "shielded";
+      shieldedPlayerIds.push(player.id);
+      shieldedPlayers.push({
+        id: player.id,
+        choice: judge.choice,
+        reason: judge.reason,
+        shieldsLeft: player.shields
+      });
+    } else {
       player.alive = false;
       player.lastChoiceReason = judge.reason || "spectator";
       relocatePlayerToSpectatorZone(room, player, "quiz-eliminated");
@@ -2527,7 +3914,8 @@ function finalizeQuizQuestion(room, lockedAt = Date.now()) {
         choice: judge.choice,
         reason: judge.reason,
         x: judge.x,
-        z: judge.z
+        z: judge.z,
+        sample: lockPosition.sample
       });
     }
   }
@@ -2537,58 +3925,74 @@ function finalizeQuizQuestion(room, lockedAt = Date.now()) {
     id: question.id,
     text: String(question.text ?? "").slice(0, QUIZ_TEXT_MAX_LENGTH),
     answer: question.answer,
+    options: sanitizeQuizOptions(question.options),
     explanation: String(question.explanation ?? "").slice(0, QUIZ_EXPLANATION_MAX_LENGTH),
+    explanationImageUrl: sanitizeBillboardMediaUrl(question.explanationImageUrl),
+    explanationVideoUrl: sanitizeBillboardMediaUrl(question.explanationVideoUrl),
     index: Math.max(1, Number(quiz.questionIndex) + 1),
     totalQuestions: Math.max(0, Number(quiz.totalQuestions) || 0),
     lockedAt: normalizedLockedAt,
     resolvedAt,
     lockGraceMs: Math.max(0, resolvedAt - normalizedLockedAt),
+    mode: marathon ? QUIZ_MODE_MARATHON : QUIZ_MODE_SURVIVAL,
     survivorCount,
+    choiceCounts,
     correctPlayerIds,
+    incorrectPlayerIds,
     eliminatedPlayerIds,
-    eliminatedPlayers
+    eliminatedPlayers,
+    shieldedPlayerIds,
+    shieldedPlayers,
+    awards,
+    predictionCount: predictions.predictorIds.length,
+    predictionPlayerIds: predictions.predictorIds,
+    predictionCorrectIds: predictions.correctIds
   };
 
   quiz.lastResult = resultPayload;
+  if (!Array.isArray(quiz.results)) {
+    quiz.results = [];
+  }
+  quiz.results.push(resultPayload);
   io.to(room.code).emit("quiz:result", resultPayload);
-  const autoFinish = quiz.autoFinish !== false;
-
-  if (survivorCount <= 0) {
-    if (autoFinish) {
-      finishQuiz(room, "no-survivor");
-    } else {
-      quiz.phase = "waiting-next";
-      emitQuizScore(room, "result-no-survivor-manual");
-    }
+  if (quiz.tiebreak) {
+    resolveQuizTiebreakRound(room);
     return;
   }
 
-  const playablePlayers = countPlayablePlayers(room);
-  if (survivorCount === 1 && QUIZ_END_ON_SINGLE_SURVIVOR && playablePlayers > 1) {
-    if (autoFinish) {
-      finishQuiz(room, "winner");
-    } else {
-      quiz.phase = "waiting-next";
-      emitQuizScore(room, "result-winner-manual");
-    }
+  quiz.phase = "waiting-next";
+  const finishReason = resolveQuizFinishReason(room);
+  if (!finishReason) {
+    emitQuizScore(room, "result");
+    scheduleQuizNextQuestion(room);
     return;
   }
-
-  if (quiz.questionIndex + 1 >= quiz.totalQuestions) {
-    if (autoFinish) {
-      finishQuiz(room, "all-questions-complete");
-    } else {
-      quiz.phase = "waiting-next";
-      emitQuizScore(room, "result-all-complete-manual");
-    }
+  if (quiz.autoFinish === false) {
+    emitQuizScore(room, QUIZ_MANUAL_FINISH_SCORE_REASONS[finishReason]);
     return;
   }
-
-  quiz.phase = "waiting-next";
-  emitQuizScore(room, "result");
+  // The end waits out the usual gap so the host can still void the result that caused it;
+  // pushNextQuizQuestion re-checks and either finishes or, after a void, carries on.
+  emitQuizScore(room, "result-final");
   scheduleQuizNextQuestion(room);
 }
 
+function resolveQuizFinishReason(room) {
+  const quiz = getRoomQuiz(room);
+  const survivorCount = countQuizSurvivors(room);
+  if (survivorCount <= 0) {
+    return "no-survivor";
+  }
+  const marathon = quiz.mode === QUIZ_MODE_MARATHON;
+  if (!marathon && survivorCount === 1 && QUIZ_END_ON_SINGLE_SURVIVOR && countPlayablePlayers(room) > 1) {
+    return "winner";
+  }
+  if (quiz.questionIndex + 1 >= quiz.totalQuestions) {
+    return "all-questions-complete";
+  }
+  return null;
+}
+
 function evaluateQuizQuestion(room) {
   if (!room) {
     return false;
@@ -2602,7 +4006,7 @@ function evaluateQuizQuestion(room) {
   clearQuizLockTimer(quiz);
 
   const question = quiz.currentQuestion;
-  const lockedAt = Date.now();
+  const lockedAt = serverClock.now();
   const resolveAt = lockedAt + QUIZ_LOCK_SYNC_GRACE_MS;
   quiz.phase = "lock";
   quiz.lockAt = 0;
@@ -2618,9 +4022,9 @@ function evaluateQuizQuestion(room) {
   });
   emitQuizScore(room, "lock");
 
-  quiz.lockTimer = setTimeout(() => {
+  armQuizTimer(quiz, "lockTimer", QUIZ_LOCK_SYNC_GRACE_MS, () => {
     finalizeQuizQuestion(room, lockedAt);
-  }, QUIZ_LOCK_SYNC_GRACE_MS);
+  });
   return true;
 }
 
@@ -2629,6 +4033,8 @@ function resetPlayersForQuestionRewind(room, reason = "quiz-prev-reset") {
     return;
   }
 
+  // Participants get the match's full shield allowance back, as startQuiz hands it out.
+  const shieldCount = sanitizeQuizShieldCount(getRoomQuiz(room).shieldCount);
   const participants = [];
   for (const player of room.players.values()) {
     if (!player) {
@@ -2648,6 +4054,8 @@ function resetPlayersForQuestionRewind(room, reason = "quiz-prev-reset") {
       player.awaitingAdmission = false;
       player.alive = true;
       player.score = 0;
+      player.correctCount = 0;
+      player.shields = shieldCount;
       player.lastChoice = null;
       player.lastChoiceReason = null;
       participants.push(player);
@@ -2674,10 +4082,7 @@ function resetPlayersForQuestionRewind(room, reason = "quiz-prev-reset") {
     });
     const targetSocket = io?.sockets?.sockets?.get(player.id);
     if (targetSocket) {
-      targetSocket.emit("player:correct", {
-        state: player.state,
-        reason
-      });
+      targetSocket.emit("player:correct", buildPlayerCorrection(player, reason));
     }
   }
 }
@@ -2692,6 +4097,10 @@ function rewindQuizToPreviousQuestion(room, lockSecondsOverride = null) {
     return { ok: false, error: "quiz is not active" };
   }
 
+  if (quiz.tiebreak) {
+    return { ok: false, error: "tiebreak in progress" };
+  }
+
   const currentIndex = Math.max(0, Math.trunc(Number(quiz.questionIndex) || 0));
   if (currentIndex <= 0) {
     return { ok: false, error: "no previous question" };
@@ -2704,6 +4113,11 @@ function rewindQuizToPreviousQuestion(room, lockSecondsOverride = null) {
   quiz.lockResolveAt = 0;
   quiz.prepareEndsAt = 0;
   quiz.lastResult = null;
+  // Results are 1-based; the replayed question and everything after it were undone along with
+  // the scores, so a later void or the match record must not act on them.
+  if (Array.isArray(quiz.results)) {
+    quiz.results = quiz.results.filter((result) => Number(result?.index) <= targetIndex);
+  }
 
   resetPlayersForQuestionRewind(room, "quiz-prev-reset");
   quiz.questionIndex = targetIndex - 1;
@@ -2728,17 +4142,32 @@ function pushNextQuizQuestion(room, lockSecondsOverride = null) {
   }
 
   const quiz = getRoomQuiz(room);
+  // Checked before clearing timers so a rejected push leaves the open question's countdown running.
+  if (quiz.active && (quiz.phase === "question" || quiz.phase === "reading")) {
+    return { ok: false, error: "question is already open" };
+  }
+
   clearQuizLockTimer(quiz);
   if (!quiz.active) {
     return { ok: false, error: "quiz is not active" };
   }
-
-  if (quiz.phase === "question") {
-    return { ok: false, error: "question is already open" };
+  if (!quiz.tiebreak && quiz.autoFinish !== false && quiz.phase === "waiting-next") {
+    const finishReason = resolveQuizFinishReason(room);
+    if (finishReason) {
+      finishQuiz(room, finishReason);
+      return { ok: false, error: "no more questions" };
+    }
   }
 
   const nextIndex = quiz.questionIndex + 1;
   if (nextIndex >= quiz.questions.length) {
+    if (quiz.tiebreak && quiz.phase === "waiting-next") {
+      if (scheduleQuizTiebreakRound(room, collectQuizTiebreakContenders(room))) {
+        return { ok: true, tiebreak: buildQuizTiebreakPayload(room) };
+      }
+      finishQuiz(room, "tiebreak-exhausted");
+      return { ok: false, error: "no more questions" };
+    }
     if (quiz.autoFinish !== false) {
       finishQuiz(room, "all-questions-complete");
       return { ok: false, error: "no more questions" };
@@ -2748,17 +4177,34 @@ function pushNextQuizQuestion(room, lockSecondsOverride = null) {
     return { ok: false, error: "no more questions" };
   }
 
-  const nextQuestion = quiz.questions[nextIndex];
+  const nextQuestion = pickQuizQuestionForSlot(quiz, nextIndex);
   quiz.questionIndex = nextIndex;
   quiz.currentQuestion = nextQuestion;
-  quiz.phase = "question";
   quiz.lastResult = null;
+  resetQuizDistribution(quiz);
 
   const lockSeconds = sanitizeQuizLockSeconds(
     lockSecondsOverride == null ? nextQuestion?.timeLimitSeconds : lockSecondsOverride
   );
   quiz.lockSeconds = lockSeconds;
-  scheduleQuizLock(room, lockSeconds);
+  const readingSeconds = sanitizeQuizReadingSeconds(nextQuestion?.readingSeconds);
+  if (readingSeconds > 0) {
+    quiz.phase = "reading";
+    quiz.questionOpenedAt = 0;
+    quiz.readingEndsAt = serverClock.now() + readingSeconds * 1000;
+    quiz.readingStrip = buildQuizReadingStrip(nextQuestion);
+    quiz.lockAt = 0;
+    holdPlayersForQuizReading(room);
+    armQuizTimer(quiz, "readingTimer", readingSeconds * 1000, () => {
+      openQuizAnswerWindow(room);
+    });
+  } else {
+    quiz.phase = "question";
+    quiz.questionOpenedAt = serverClock.now();
+    quiz.readingEndsAt = 0;
+    resetQuizZoneTracking(room, quiz.questionOpenedAt);
+    scheduleQuizLock(room, lockSeconds);
+  }
 
   const questionPayload = buildQuizQuestionPayload(quiz);
   if (!questionPayload) {
@@ -2774,6 +4220,59 @@ function pushNextQuizQuestion(room, lockSecondsOverride = null) {
   };
 }
 
+/**
+ * Adaptive matches decide each slot when it opens: the first unplayed question closest to the
+ * target difficulty is swapped into place. Slots that already opened keep their question, so a
+ * rewind replays exactly what was asked.
+ */
+function pickQuizQuestionForSlot(quiz, index) {
+  if (quiz.poolPlan?.adaptive !== true || quiz.tiebreak || index <= quiz.adaptivePickedThrough) {
+    return quiz.questions[index];
+  }
+  const previous = index > 0 ? quiz.questions[index - 1] : null;
+  const lastResult = [...(Array.isArray(quiz.results) ? quiz.results : [])]
+    .reverse()
+    .find((result) => result?.voided !== true && Number(result.index) === index);
+  const judgedCount = lastResult
+    ? lastResult.correctPlayerIds.length +
+      lastResult.incorrectPlayerIds.length +
+      lastResult.eliminatedPlayerIds.length +
+      lastResult.shieldedPlayerIds.length
+    : 0;
+  const target = previous
+    ? nextAdaptiveDifficulty(
+        previous.pool ?? resolveQuizQuestionPool(previous),
+        judgedCount > 0 ? lastResult.correctPlayerIds.length / judgedCount : 0
+      )
+    : undefined;
+  const pickedIndex = pickAdaptiveQuestionIndex(quiz.questions, index, target);
+  if (pickedIndex > index) {
+    [quiz.questions[index], quiz.questions[pickedIndex]] = [quiz.questions[pickedIndex], quiz.questions[index]];
+  }
+  quiz.adaptivePickedThrough = index;
+  return quiz.questions[index];
+}
+
+// Ends the reading phase: the answer countdown and marathon speed timing both start from here.
+function openQuizAnswerWindow(room) {
+  const quiz = getRoomQuiz(room);
+  if (!quiz.active || quiz.phase !== "reading" || !quiz.currentQuestion) {
+    return;
+  }
+  quiz.phase = "question";
+  quiz.questionOpenedAt = serverClock.now();
+  quiz.readingEndsAt = 0;
+  resetQuizZoneTracking(room, quiz.questionOpenedAt);
+  scheduleQuizLock(room, quiz.lockSeconds);
+
+  io.to(room.code).emit("quiz:answer-open", {
+    id: quiz.currentQuestion.id,
+    index: Math.max(1, Number(quiz.questionIndex) + 1),
+    lockAt: Number(quiz.lockAt || 0)
+  });
+  emitQuizScore(room, "answer-open");
+}
+
 function scheduleQuizNextQuestion(room, delayMs = QUIZ_AUTO_NEXT_DELAY_MS) {
   if (!room) {
     return;
@@ -2783,18 +4282,17 @@ function scheduleQuizNextQuestion(room, delayMs = QUIZ_AUTO_NEXT_DELAY_MS) {
     return;
   }
   if (quiz.nextTimer) {
-    clearTimeout(quiz.nextTimer);
+    serverClock.clearTimeout(quiz.nextTimer);
     quiz.nextTimer = null;
   }
 
   const safeDelay = Math.max(1200, Math.trunc(Number(delayMs) || QUIZ_AUTO_NEXT_DELAY_MS));
-  quiz.nextTimer = setTimeout(() => {
-    quiz.nextTimer = null;
+  armQuizTimer(quiz, "nextTimer", safeDelay, () => {
     if (!quiz.active || quiz.phase !== "waiting-next") {
       return;
     }
     pushNextQuizQuestion(room);
-  }, safeDelay);
+  });
 }
 
 function scheduleQuizFirstQuestion(room, delayMs = QUIZ_PREPARE_DELAY_MS) {
@@ -2806,14 +4304,13 @@ function scheduleQuizFirstQuestion(room, delayMs = QUIZ_PREPARE_DELAY_MS) {
     return 0;
   }
   if (quiz.nextTimer) {
-    clearTimeout(quiz.nextTimer);
+    serverClock.clearTimeout(quiz.nextTimer);
     quiz.nextTimer = null;
   }
 
   const safeDelay = Math.max(1600, Math.trunc(Number(delayMs) || QUIZ_PREPARE_DELAY_MS));
-  quiz.prepareEndsAt = Date.now() + safeDelay;
-  quiz.nextTimer = setTimeout(() => {
-    quiz.nextTimer = null;
+  quiz.prepareEndsAt = serverClock.now() + safeDelay;
+  armQuizTimer(quiz, "nextTimer", safeDelay, () => {
     const currentRoom = rooms.get(room.code);
     if (!currentRoom) {
       return;
@@ -2824,7 +4321,7 @@ function scheduleQuizFirstQuestion(room, delayMs = QUIZ_PREPARE_DELAY_MS) {
     }
     currentQuiz.prepareEndsAt = 0;
     pushNextQuizQuestion(currentRoom);
-  }, safeDelay);
+  });
 
   return safeDelay;
 }
@@ -2852,19 +4349,45 @@ function startQuiz(room, hostSocketId, payload = {}) {
   const questionSource = Array.isArray(payload?.questions)
     ? payload.questions
     : quizConfig.questions;
-  const questions = sanitizeQuizQuestions(questionSource, {
+  const poolPlan = sanitizeQuizPoolPlan(
+    Object.prototype.hasOwnProperty.call(payload ?? {}, "pools") ? payload.pools : quizConfig?.endPolicy?.pools,
+    QUIZ_MAX_QUESTIONS
+  );
+  const poolsActive = isQuizPoolPlanActive(poolPlan);
+  const bankQuestions = sanitizeQuizQuestions(questionSource, {
     fallbackToDefault: true,
     minQuestions: 1,
     maxQuestions: QUIZ_MAX_QUESTIONS
   });
+  const questions = poolsActive
+    ? drawQuizPoolSelection(bankQuestions, poolPlan, { maxQuestions: QUIZ_MAX_QUESTIONS })
+    : bankQuestions;
+  if (questions.length <= 0) {
+    return { ok: false, error: "no questions in pools" };
+  }
   const hasLockSecondsOverride = Object.prototype.hasOwnProperty.call(payload ?? {}, "lockSeconds");
   const lockSeconds = hasLockSecondsOverride
     ? sanitizeQuizLockSeconds(payload.lockSeconds)
     : sanitizeQuizLockSeconds(questions[0]?.timeLimitSeconds);
   const autoMode = payload.autoMode !== false;
+  const mode = sanitizeQuizMode(
+    Object.prototype.hasOwnProperty.call(payload ?? {}, "mode") ? payload.mode : quizConfig?.endPolicy?.mode
+  );
   const autoFinish = Object.prototype.hasOwnProperty.call(payload ?? {}, "autoFinish")
     ? payload.autoFinish !== false
     : quizConfig?.endPolicy?.autoFinish !== false;
+  const tiebreakEnabled = Object.prototype.hasOwnProperty.call(payload ?? {}, "tiebreaker")
+    ? payload.tiebreaker === true
+    : quizConfig?.endPolicy?.tiebreaker === true;
+  const botsCanWin = Object.prototype.hasOwnProperty.call(payload ?? {}, "botsCanWin")
+    ? payload.botsCanWin === true
+    : quizConfig?.endPolicy?.botsCanWin === true;
+  const shieldCount = sanitizeQuizShieldCount(
+    Object.prototype.hasOwnProperty.call(payload ?? {}, "shields") ? payload.shields : quizConfig?.endPolicy?.shields
+  );
+  const reserveQuestions = Array.isArray(payload?.reserveQuestions)
+    ? sanitizeQuizReserveQuestions(payload.reserveQuestions)
+    : quizConfig.reserveQuestions.map((question) => ({ ...question }));
   const resolvedHostId =
     hostSocketId && room.players.has(hostSocketId)
       ? hostSocketId
@@ -2874,21 +4397,31 @@ function startQuiz(room, hostSocketId, payload = {}) {
 
   quiz.active = true;
   quiz.phase = "start";
+  quiz.mode = mode;
   quiz.autoMode = autoMode;
   quiz.autoFinish = autoFinish;
   quiz.autoStartsAt = 0;
   quiz.hostId = resolvedHostId;
-  quiz.startedAt = Date.now();
+  quiz.startedAt = serverClock.now();
   quiz.prepareEndsAt = 0;
   quiz.endedAt = 0;
   quiz.questionIndex = -1;
   quiz.totalQuestions = questions.length;
   quiz.currentQuestion = null;
   quiz.questions = questions;
+  quiz.questionOpenedAt = 0;
+  quiz.reserveQuestions = reserveQuestions;
+  quiz.tiebreakEnabled = tiebreakEnabled;
+  quiz.tiebreak = null;
+  quiz.botsCanWin = botsCanWin;
+  quiz.shieldCount = shieldCount;
+  quiz.poolPlan = poolsActive ? poolPlan : null;
+  quiz.adaptivePickedThrough = -1;
   quiz.lockSeconds = lockSeconds;
   quiz.lockAt = 0;
   quiz.lockResolveAt = 0;
   quiz.lastResult = null;
+  quiz.results = [];
 
   for (const player of room.players.values()) {
     initializePlayerForQuiz(player, true);
@@ -2901,6 +4434,7 @@ function startQuiz(room, hostSocketId, payload = {}) {
       player.awaitingAdmission = false;
       if (player.admitted === true) {
         player.admitted = true;
+        player.shields = shieldCount;
       } else {
         player.admitted = false;
         player.alive = false;
@@ -2914,7 +4448,7 @@ function startQuiz(room, hostSocketId, payload = {}) {
   const prepareDelay = scheduleQuizFirstQuestion(room, payload.prepareDelayMs);
   const startWithPrepare = {
     ...startPayload,
-    prepareEndsAt: Number(quiz.prepareEndsAt || Date.now() + prepareDelay),
+    prepareEndsAt: Number(quiz.prepareEndsAt || serverClock.now() + prepareDelay),
     prepareDelayMs: prepareDelay
   };
   io.to(room.code).emit("quiz:start", startWithPrepare);
@@ -2967,8 +4501,21 @@ function pruneRoomPlayers(room) {
   }
 
   let changed = false;
-  for (const socketId of room.players.keys()) {
-    if (!io.sockets.sockets.has(socketId)) {
+  // Bots have no socket of their own, so they only stay while a real player keeps the room alive.
+  let hasHumans = false;
+  for (const [socketId, player] of room.players.entries()) {
+    if (player?.bot !== true && (io.sockets.sockets.has(socketId) || isPlayerHeldForReconnect(player))) {
+      hasHumans = true;
+      break;
+    }
+  }
+  for (const [socketId, player] of room.players.entries()) {
+    const stale =
+      player?.bot === true
+        ? !hasHumans
+        : !io.sockets.sockets.has(socketId) && !isPlayerHeldForReconnect(player);
+    if (stale) {
+      clearPlayerReconnectTimer(player);
       room.players.delete(socketId);
       const gate = ensureRoomEntryGate(room);
       gate.pendingAdmissionIds = gate.pendingAdmissionIds.filter((id) => id !== socketId);
@@ -2980,22 +4527,54 @@ function pruneRoomPlayers(room) {
   if (changed) {
     updateHost(room);
     reconcileQuizAfterRosterChange(room, "prune");
-    if (!room.persistent && room.players.size === 0) {
-      rememberRoomQuizConfig(room);
-      clearEntryAdmissionTimer(room);
-      resetQuizState(room);
-      rooms.delete(room.code);
-    }
+    releaseEmptyRoom(room);
   }
   return changed;
 }
 
+// Scheduled rooms outlive their players so the next occurrence can still open the gate.
+function releaseEmptyRoom(room) {
+  if (room.persistent || room.players.size > 0 || isRoomScheduleActive(room)) {
+    return false;
+  }
+  rememberRoomQuizConfig(room);
+  clearEntryAdmissionTimer(room);
+  clearRoomSchedule(room);
+  resetQuizState(room);
+  rooms.delete(room.code);
+  return true;
+}
+
 function ack(ackFn, payload) {
   if (typeof ackFn === "function") {
     ackFn(payload);
   }
 }
 
+function runQuestionBankRequest(socket, ackFn, task) {
+  const roomCode = socket.data.roomCode;
+  const room = roomCode ? rooms.get(roomCode) : null;
+  if (!room) {
+    ack(ackFn, { ok: false, error: "not in room" });
+    return;
+  }
+  if (!isRoomHost(room, socket.id)) {
+    ack(ackFn, { ok: false, error: "host only" });
+    return;
+  }
+  if (ROOM_OWNER_KEY && socket.data.ownerClaim !== true) {
+    ack(ackFn, { ok: false, error: "unauthorized" });
+    return;
+  }
+
+  task()
+    .then((response) => ack(ackFn, response))
+    .catch((error) => {
+      console.error("[bank] request failed:", error?.message ?? error);
+      ack(ackFn, { ok: false, error: "bank unavailable" });
+    });
+}
+
 function leaveCurrentRoom(socket) {
   const roomCode = socket.data.roomCode;
   if (!roomCode) {
@@ -3012,20 +4591,19 @@ function leaveCurrentRoom(socket) {
     return;
   }
 
-  room.players.delete(socket.id);
+  removeRoomPlayer(room, socket.id, "leave");
+}
+
+function removeRoomPlayer(room, playerId, reason = "leave") {
+  clearPlayerReconnectTimer(room.players.get(playerId));
+  room.players.delete(playerId);
   const gate = ensureRoomEntryGate(room);
-  gate.pendingAdmissionIds = gate.pendingAdmissionIds.filter((id) => id !== socket.id);
-  removeNextPriorityPlayer(room, socket.id);
+  gate.pendingAdmissionIds = gate.pendingAdmissionIds.filter((id) => id !== playerId);
+  removeNextPriorityPlayer(room, playerId);
   pruneRoomPlayers(room);
   updateHost(room);
-  reconcileQuizAfterRosterChange(room, "leave");
-
-  if (!room.persistent && room.players.size === 0) {
-    rememberRoomQuizConfig(room);
-    clearEntryAdmissionTimer(room);
-    resetQuizState(room);
-    rooms.delete(room.code);
-  }
+  reconcileQuizAfterRosterChange(room, reason);
+  releaseEmptyRoom(room);
 
   if (room.players.size > 0) {
     emitRoomUpdate(room);
@@ -3033,6 +4611,136 @@ function leaveCurrentRoom(socket) {
   emitRoomList();
 }
 
+function createReconnectSessionToken() {
+  return randomBytes(18).toString("base64url");
+}
+
+function buildReconnectSessionPayload(room, player) {
+  if (!room || !player?.sessionToken || RECONNECT_GRACE_MS <= 0) {
+    return null;
+  }
+  return {
+    token: player.sessionToken,
+    roomCode: room.code,
+    graceMs: RECONNECT_GRACE_MS
+  };
+}
+
+function isPlayerHeldForReconnect(player) {
+  return player?.reconnecting === true && Number(player.reconnectExpiresAt || 0) > serverClock.now();
+}
+
+function clearPlayerReconnectTimer(player) {
+  if (player?.reconnectTimer) {
+    serverClock.clearTimeout(player.reconnectTimer);
+    player.reconnectTimer = null;
+  }
+}
+
+function holdPlayerForReconnect(socket) {
+  const roomCode = socket.data.roomCode;
+  const room = roomCode ? rooms.get(roomCode) : null;
+  const player = room?.players.get(socket.id) ?? null;
+  if (!player?.sessionToken || RECONNECT_GRACE_MS <= 0) {
+    return false;
+  }
+
+  socket.leave(roomCode);
+  socket.data.roomCode = null;
+  clearSocketDeltaCache(socket, roomCode);
+
+  clearPlayerReconnectTimer(player);
+  player.reconnecting = true;
+  player.reconnectExpiresAt = serverClock.now() + RECONNECT_GRACE_MS;
+  player.reconnectTimer = serverClock.setTimeout(() => {
+    player.reconnectTimer = null;
+    const currentRoom = rooms.get(roomCode);
+    if (!currentRoom || currentRoom.players.get(player.id) !== player || player.reconnecting !== true) {
+      return;
+    }
+    removeRoomPlayer(currentRoom, player.id, "reconnect-expired");
+  }, RECONNECT_GRACE_MS);
+
+  emitRoomUpdate(room);
+  emitQuizScore(room, "player-reconnecting");
+  return true;
+}
+
+function findPlayerBySessionToken(room, sessionToken) {
+  const token = String(sessionToken ?? "").trim();
+  if (!room || !token) {
+    return null;
+  }
+  for (const player of room.players.values()) {
+    if (player?.sessionToken === token) {
+      return player;
+    }
+  }
+  return null;
+}
+
+function resumeReconnectSession(socket, room, player, name) {
+  const previousId = player.id;
+  const previousSocket = io.sockets.sockets.get(previousId) ?? null;
+  if (previousSocket && previousSocket.id !== socket.id) {
+    // The old link may still look alive until its ping times out; the token wins.
+    previousSocket.leave(room.code);
+    previousSocket.data.roomCode = null;
+    clearSocketDeltaCache(previousSocket, room.code);
+    previousSocket.disconnect(true);
+  }
+
+  leaveCurrentRoom(socket);
+  clearPlayerReconnectTimer(player);
+  room.players.delete(previousId);
+  player.id = socket.id;
+  player.name = name;
+  player.reconnecting = false;
+  player.reconnectExpiresAt = 0;
+  player.sessionToken = createReconnectSessionToken();
+  // A reloaded client restarts its sync sequence at 0; the old lastSeq would drop every
+  // packet as stale until the new count caught up.
+  player.net = createPlayerNetState(player.state);
+  recordPlayerPositionSample(player, { reset: true });
+  room.players.set(socket.id, player);
+
+  const replaceId = (id) => (id === previousId ? socket.id : id);
+  const gate = ensureRoomEntryGate(room);
+  gate.pendingAdmissionIds = gate.pendingAdmissionIds.map(replaceId);
+  gate.nextPriorityIds = (Array.isArray(gate.nextPriorityIds) ? gate.nextPriorityIds : []).map(replaceId);
+  room.hostId = replaceId(room.hostId);
+  const quiz = getRoomQuiz(room);
+  quiz.hostId = replaceId(quiz.hostId);
+  remapQuizResultPlayerId(quiz, previousId, socket.id);
+  if (quiz.tiebreak) {
+    quiz.tiebreak.playerIds = quiz.tiebreak.playerIds.map(replaceId);
+  }
+  if (player.isOwner === true) {
+    socket.data.ownerClaim = true;
+    room.hostId = socket.id;
+    quiz.hostId = socket.id;
+  }
+  updateHost(room);
+
+  socket.join(room.code);
+  socket.data.roomCode = room.code;
+  socket.emit("player:correct", buildPlayerCorrection(player, "session-resume"));
+
+  emitRoomUpdate(room);
+  emitRoomList();
+  emitQuizSnapshot(socket, room);
+  emitChatHistorySnapshot(socket, room);
+  socket.emit("quiz:config:update", buildQuizConfigPayload(room));
+  emitQuizScore(room, "session-resume");
+
+  return {
+    ok: true,
+    resumed: true,
+    room: serializeRoom(room),
+    session: buildReconnectSessionPayload(room, player)
+  };
+}
+
 function pickOrCreateRoomForQuickJoin(preferredCode = null) {
   if (WORKER_SINGLE_ROOM_MODE) {
     const workerRoom =
@@ -3064,7 +4772,7 @@ function pickOrCreateRoomForQuickJoin(preferredCode = null) {
   return createMatchRoom();
 }
 
-function joinRoom(socket, room, nameOverride = null) {
+function joinRoom(socket, room, nameOverride = null, sessionToken = null) {
   if (!room) {
     return {
       ok: false,
@@ -3077,13 +4785,19 @@ function joinRoom(socket, room, nameOverride = null) {
   const name = sanitizeName(nameOverride ?? socket.data.playerName);
   socket.data.playerName = name;
 
+  // Connections are auto-seated on connect, so a resume must win over the rejoin path below.
+  const resumablePlayer = findPlayerBySessionToken(room, sessionToken);
+  if (resumablePlayer && resumablePlayer.id !== socket.id) {
+    return resumeReconnectSession(socket, room, resumablePlayer, name);
+  }
+
   if (socket.data.roomCode === room.code && room.players.has(socket.id)) {
     const existing = room.players.get(socket.id);
     existing.name = name;
     existing.isOwner = existing.isOwner === true || socket.data.ownerClaim === true;
     existing.chatMuted = existing.chatMuted === true;
     existing.hostParticipating = existing.hostParticipating === true;
-    existing.joinedAt = Math.max(0, Math.trunc(Number(existing.joinedAt) || Date.now()));
+    existing.joinedAt = Math.max(0, Math.trunc(Number(existing.joinedAt) || serverClock.now()));
     ensurePlayerNetState(existing);
     if (socket.data.ownerClaim === true && room.hostId !== socket.id) {
       room.hostId = socket.id;
@@ -3105,7 +4819,7 @@ function joinRoom(socket, room, nameOverride = null) {
       existing.awaitingAdmission = false;
       existing.alive = false;
       addNextPriorityPlayer(room, existing.id);
-    } else if (gate.admissionStartsAt > Date.now()) {
+    } else if (gate.admissionStartsAt > serverClock.now()) {
       existing.admitted = false;
       existing.awaitingAdmission = false;
       existing.alive = false;
@@ -3135,16 +4849,22 @@ function joinRoom(socket, room, nameOverride = null) {
     emitRoomUpdate(room);
     emitQuizSnapshot(socket, room);
     emitChatHistorySnapshot(socket, room);
-    socket.emit("player:correct", {
-      state: existing?.state ?? sanitizePlayerState(),
-      reason: "join-refresh"
-    });
+    // The client restarts its sync sequence on every join ack.
+    ensurePlayerNetState(existing).lastSeq = -1;
+    socket.emit("player:correct", buildPlayerCorrection(existing, "join-refresh"));
     socket.emit("quiz:config:update", buildQuizConfigPayload(room));
-    return { ok: true, room: serializeRoom(room) };
+    return { ok: true, room: serializeRoom(room), session: buildReconnectSessionPayload(room, existing) };
   }
 
   leaveCurrentRoom(socket);
 
+  // Filler bots give up their seat so they never lock a real player out of the room.
+  if (room.players.size >= MAX_ROOM_PLAYERS) {
+    const fillerBot = Array.from(room.players.values()).find((player) => player?.bot === true);
+    if (fillerBot) {
+      removeRoomBots(room, fillerBot.id);
+    }
+  }
   if (room.players.size >= MAX_ROOM_PLAYERS) {
     return {
       ok: false,
@@ -3153,96 +4873,415 @@ function joinRoom(socket, room, nameOverride = null) {
   }
 
   const quiz = getRoomQuiz(room);
-  const gate = ensureRoomEntryGate(room);
-  const joinAsAlive = !quiz.active;
-  const initialState = buildPortalArrivalSpawnPoint();
 
-  room.players.set(socket.id, {
-    id: socket.id,
+  room.players.set(
+    socket.id,
+    createRoomPlayer(room, socket.id, name, { isOwner: socket.data.ownerClaim === true })
+  );
+
+  if (socket.data.ownerClaim === true) {
+    room.hostId = socket.id;
+  } else {
+    updateHost(room);
+  }
+  if (!quiz.hostId || socket.data.ownerClaim === true) {
+    quiz.hostId = room.hostId ?? socket.id;
+  }
+  normalizeHostParticipationState(room);
+
+  const joined = room.players.get(socket.id);
+  if (joined) {
+    seatRoomPlayer(room, joined);
+  }
+
+  socket.join(room.code);
+  socket.data.roomCode = room.code;
+
+  if (joined?.state) {
+    socket.emit("player:correct", buildPlayerCorrection(joined, "join-spawn"));
+  }
+
+  emitRoomUpdate(room);
+  emitRoomList();
+  emitQuizSnapshot(socket, room);
+  emitChatHistorySnapshot(socket, room);
+  socket.emit("quiz:config:update", buildQuizConfigPayload(room));
+  if (quiz.active || quiz.phase === "ended") {
+    emitQuizScore(room, "join");
+  } else if (quiz.autoMode !== false) {
+    scheduleAutoQuizStart(room, {
+      delayMs: QUIZ_AUTO_START_DELAY_MS,
+      reason: "join-auto"
+    });
+  }
+
+  return { ok: true, room: serializeRoom(room), session: buildReconnectSessionPayload(room, joined) };
+}
+
+function createRoomPlayer(room, id, name, { isOwner = false } = {}) {
+  const quiz = getRoomQuiz(room);
+  const initialState = buildPortalArrivalSpawnPoint();
+  return {
+    id,
+    netIndex: allocateRoomNetIndex(room),
     name,
     state: initialState,
     score: 0,
-    alive: joinAsAlive,
+    alive: !quiz.active,
     admitted: true,
     awaitingAdmission: false,
     hostParticipating: false,
-    isOwner: socket.data.ownerClaim === true,
+    isOwner,
     chatMuted: false,
-    joinedAt: Date.now(),
+    sessionToken: createReconnectSessionToken(),
+    reconnecting: false,
+    reconnectExpiresAt: 0,
+    reconnectTimer: null,
+    joinedAt: serverClock.now(),
     lastChoice: null,
     lastChoiceReason: null,
     net: createPlayerNetState(initialState)
-  });
+  };
+}
 
-  if (socket.data.ownerClaim === true) {
-    room.hostId = socket.id;
+// New arrivals, real or bot, are seated by the same entry-gate rules.
+function seatRoomPlayer(room, player) {
+  const quiz = getRoomQuiz(room);
+  const gate = ensureRoomEntryGate(room);
+  if (isPlayerHostController(room, player)) {
+    player.admitted = true;
+    player.awaitingAdmission = false;
+    player.alive = true;
+    removeNextPriorityPlayer(room, player.id);
+  } else if (quiz.active) {
+    player.admitted = false;
+    player.awaitingAdmission = false;
+    player.alive = false;
+    addNextPriorityPlayer(room, player.id);
+  } else if (gate.admissionStartsAt > serverClock.now()) {
+    player.admitted = false;
+    player.awaitingAdmission = false;
+    player.alive = false;
+    addNextPriorityPlayer(room, player.id);
+  } else if (gate.portalOpen) {
+    player.admitted = false;
+    player.awaitingAdmission = true;
+    player.alive = false;
   } else {
-    updateHost(room);
+    player.admitted = true;
+    player.awaitingAdmission = false;
+    removeNextPriorityPlayer(room, player.id);
   }
-  if (!quiz.hostId || socket.data.ownerClaim === true) {
-    quiz.hostId = room.hostId ?? socket.id;
+  if (isRestrictedFromQuizArena(room, player)) {
+    relocatePlayerToSpectatorZone(room, player, "join-spectator");
   }
-  normalizeHostParticipationState(room);
+}
 
-  const joined = room.players.get(socket.id);
-  if (joined) {
-    if (isPlayerHostController(room, joined)) {
-      joined.admitted = true;
-      joined.awaitingAdmission = false;
-      joined.alive = true;
-      removeNextPriorityPlayer(room, joined.id);
-    } else if (quiz.active) {
-      joined.admitted = false;
-      joined.awaitingAdmission = false;
-      joined.alive = false;
-      addNextPriorityPlayer(room, joined.id);
-    } else if (gate.admissionStartsAt > Date.now()) {
-      joined.admitted = false;
-      joined.awaitingAdmission = false;
-      joined.alive = false;
-      addNextPriorityPlayer(room, joined.id);
-    } else if (gate.portalOpen) {
-      joined.admitted = false;
-      joined.awaitingAdmission = true;
-      joined.alive = false;
-    } else {
-      joined.admitted = true;
-      joined.awaitingAdmission = false;
-      removeNextPriorityPlayer(room, joined.id);
+function countRoomBots(room) {
+  let count = 0;
+  for (const player of room?.players?.values?.() ?? []) {
+    if (player?.bot === true) {
+      count += 1;
     }
-    if (isRestrictedFromQuizArena(room, joined)) {
-      relocatePlayerToSpectatorZone(room, joined, "join-spectator");
+  }
+  return count;
+}
+
+function addRoomBots(room, count = 1, rawProfile = {}) {
+  const botCount = countRoomBots(room);
+  const capacity = Math.min(ROOM_BOT_LIMIT - botCount, MAX_ROOM_PLAYERS - room.players.size);
+  if (capacity <= 0) {
+    return { ok: false, error: botCount >= ROOM_BOT_LIMIT ? "bot limit reached" : "room full" };
+  }
+
+  const profile = sanitizeBotProfile(rawProfile, { maxSpeed: SERVER_MAX_MOVE_SPEED });
+  const requested = Math.max(1, Math.min(ROOM_BOT_MAX_ADD, Math.trunc(Number(count) || 1)));
+  const added = [];
+  for (let index = 0; index < Math.min(requested, capacity); index += 1) {
+    room.botSerial = Math.max(0, Math.trunc(Number(room.botSerial) || 0)) + 1;
+    const player = createRoomPlayer(room, createBotId(), sanitizeName(`BOT ${room.botSerial}`));
+    player.bot = true;
+    player.botBrain = createBotBrain(profile);
+    // Bots never reconnect, so there is no session for anyone to resume.
+    player.sessionToken = null;
+    room.players.set(player.id, player);
+    seatRoomPlayer(room, player);
+    added.push({ id: player.id, name: player.name });
+  }
+
+  reconcileQuizAfterRosterChange(room, "bots-add");
+  emitRoomUpdate(room);
+  emitRoomList();
+  return { ok: true, added, profile, botCount: countRoomBots(room), botLimit: ROOM_BOT_LIMIT };
+}
+
+function removeRoomBots(room, botId = null) {
+  const targetId = String(botId ?? "").trim();
+  const removed = [];
+  const gate = ensureRoomEntryGate(room);
+  for (const player of Array.from(room.players.values())) {
+    if (player?.bot !== true || (targetId && player.id !== targetId)) {
+      continue;
     }
+    room.players.delete(player.id);
+    gate.pendingAdmissionIds = gate.pendingAdmissionIds.filter((id) => id !== player.id);
+    removeNextPriorityPlayer(room, player.id);
+    removed.push(player.id);
   }
+  if (removed.length > 0) {
+    reconcileQuizAfterRosterChange(room, "bots-remove");
+    emitRoomUpdate(room);
+    emitRoomList();
+  }
+  return removed;
+}
 
-  socket.join(room.code);
-  socket.data.roomCode = room.code;
+function ensureRoomTeams(room) {
+  if (!room.teams || !Array.isArray(room.teams.teams)) {
+    room.teams = createTeamState();
+  }
+  return room.teams;
+}
+
+function resolvePlayerTeamId(room, player) {
+  const teamState = ensureRoomTeams(room);
+  if (!teamState.enabled || isPlayerHostModerator(room, player)) {
+    return null;
+  }
+  return findTeam(teamState, player?.teamId)?.id ?? null;
+}
+
+function buildRoomTeamsPayload(room) {
+  const teamState = ensureRoomTeams(room);
+  return {
+    enabled: teamState.enabled === true,
+    scoring: sanitizeTeamScoring(teamState.scoring),
+    teams: teamState.teams.map((team) => ({ ...team }))
+  };
+}
+
+// Host picks survive admission; only players without a valid team are dealt into the
+// currently smallest one, counting everyone already seated on the arena floor.
+function balanceRoomTeams(room, admissionTargets = []) {
+  const teamState = ensureRoomTeams(room);
+  if (!teamState.enabled) {
+    return;
+  }
+  const targetIds = new Set(admissionTargets.map((player) => player.id));
+  const memberCounts = new Map();
+  const countMember = (teamId) => memberCounts.set(teamId, (memberCounts.get(teamId) ?? 0) + 1);
+  for (const player of room.players.values()) {
+    const teamId = resolvePlayerTeamId(room, player);
+    if (teamId && (targetIds.has(player.id) || player.admitted === true)) {
+      countMember(teamId);
+    }
+  }
+  for (const player of admissionTargets) {
+    if (isPlayerHostController(room, player) || resolvePlayerTeamId(room, player)) {
+      continue;
+    }
+    player.teamId = pickSmallestTeamId(teamState, memberCounts);
+    countMember(player.teamId);
+  }
+}
+
+// Admission spawns walk around a ring, so grouping by team gives each team its own arc.
+function sortPlayersByTeam(room, players) {
+  const teamState = ensureRoomTeams(room);
+  if (!teamState.enabled) {
+    return players;
+  }
+  const order = new Map(teamState.teams.map((team, index) => [team.id, index]));
+  const rankOf = (player) => order.get(resolvePlayerTeamId(room, player)) ?? order.size;
+  return players
+    .map((player, index) => ({ player, index }))
+    .sort((left, right) => rankOf(left.player) - rankOf(right.player) || left.index - right.index)
+    .map((entry) => entry.player);
+}
+
+function configureRoomTeams(room, payload = {}) {
+  const quiz = getRoomQuiz(room);
+  if (quiz.active) {
+    return { ok: false, error: "quiz already active" };
+  }
+  const teamState = ensureRoomTeams(room);
+  if (payload.enabled !== undefined) {
+    teamState.enabled = payload.enabled === true;
+  }
+  if (payload.scoring !== undefined) {
+    teamState.scoring = sanitizeTeamScoring(payload.scoring, teamState.scoring);
+  }
+  if (payload.count !== undefined || Array.isArray(payload.names)) {
+    teamState.teams = buildTeamList(payload.count ?? teamState.teams.length, payload.names, teamState.teams);
+  }
+  emitRoomUpdate(room);
+  emitQuizScore(room, "teams");
+  return { ok: true, teams: buildRoomTeamsPayload(room) };
+}
+
+function assignPlayerTeam(room, playerId, rawTeamId) {
+  const quiz = getRoomQuiz(room);
+  if (quiz.active) {
+    return { ok: false, error: "quiz already active" };
+  }
+  const teamState = ensureRoomTeams(room);
+  if (!teamState.enabled) {
+    return { ok: false, error: "teams disabled" };
+  }
+  const player = room.players.get(String(playerId ?? "").trim());
+  if (!player) {
+    return { ok: false, error: "player not found" };
+  }
+  if (isPlayerHostModerator(room, player)) {
+    return { ok: false, error: "host cannot join team" };
+  }
+  const teamId = String(rawTeamId ?? "").trim();
+  const team = teamId ? findTeam(teamState, teamId) : null;
+  if (teamId && !team) {
+    return { ok: false, error: "team not found" };
+  }
+  player.teamId = team?.id ?? null;
+  emitRoomUpdate(room);
+  emitQuizScore(room, "teams");
+  return { ok: true, playerId: player.id, teamId: player.teamId };
+}
+
+function resolveQuizZoneForChoice(choice) {
+  if (choice === "O") {
+    return QUIZ_O_ZONE;
+  }
+  if (choice === "X") {
+    return QUIZ_X_ZONE;
+  }
+  return QUIZ_CHOICE_ZONES.find((zone) => zone.key === choice) ?? null;
+}
+
+// Bots walk through the same authoritative movement path a player:sync would, so lock
+// judging, marathon timing and position history treat them exactly like real players.
+function driveRoomBots(room, now = serverClock.now()) {
+  const quiz = getRoomQuiz(room);
+  const question =
+    quiz.active && !quiz.paused && quiz.phase === "question" ? quiz.currentQuestion : null;
+  for (const player of room.players.values()) {
+    const brain = player?.bot === true ? player.botBrain : null;
+    if (!brain) {
+      continue;
+    }
+    if (!question || !player.alive || player.admitted !== true || isRestrictedFromQuizArena(room, player)) {
+      brain.target = null;
+      continue;
+    }
+
+    const choiceKeys = getQuizChoiceKeys(question.options);
+    planBotQuestion(brain, {
+      questionKey: `${quiz.questionIndex}:${question.id}`,
+      answer: question.answer,
+      choiceKeys: choiceKeys.length > 0 ? choiceKeys : ["O", "X"],
+      openedAt: Number(quiz.questionOpenedAt) || now
+    });
+    if (now < brain.decideAt) {
+      continue;
+    }
+    if (!brain.target) {
+      const zone = resolveQuizZoneForChoice(brain.choice);
+      if (!zone) {
+        continue;
+      }
+      brain.target = pickBotTargetInZone(zone);
+    }
+
+    const net = ensurePlayerNetState(player);
+    const elapsedMs = Math.min(SERVER_TICK_INTERVAL_MS * 2, Math.max(0, now - Number(net.lastAcceptedAt || now)));
+    const next = stepBotTowards(player.state, brain.target, brain.speed, elapsedMs / 1000);
+    if (!next) {
+      continue;
+    }
+    applyAuthoritativeMovement(player, sanitizePlayerState(next));
+    recordPlayerPositionSample(player);
+    trackPlayerQuizZone(room, player, now);
+  }
+}
+
+function hasHistoryAccess(req, requestUrl) {
+  if (!ROOM_OWNER_KEY) {
+    return true;
+  }
+  return hasOwnerAccess(req.headers?.["x-owner-key"] ?? requestUrl.searchParams.get("ownerKey"));
+}
+
+async function handleHistoryRequest(req, res, requestUrl) {
+  if (req.method !== "GET") {
+    writeJson(res, 405, { ok: false, error: "method not allowed" });
+    return;
+  }
+  if (!hasHistoryAccess(req, requestUrl)) {
+    writeJson(res, 401, { ok: false, error: "unauthorized" });
+    return;
+  }
+
+  let matchId = "";
+  try {
+    matchId = decodeURIComponent(requestUrl.pathname.slice("/history".length).replace(/^\/+/, ""));
+  } catch {
+    // URIError from a malformed percent escape is the client's mistake, not a server failure.
+    writeJson(res, 400, { ok: false, error: "invalid match id" });
+    return;
+  }
+  if (matchId) {
+    const record = await matchHistoryStore.get(matchId);
+    if (!record) {
+      writeJson(res, 404, { ok: false, error: "match not found" });
+      return;
+    }
+    writeJson(res, 200, { ok: true, match: record });
+    return;
+  }
+
+  const page = await matchHistoryStore.list(normalizeMatchHistoryQuery(requestUrl.searchParams));
+  writeJson(res, 200, { ok: true, ...page });
+}
+
+const matchHistoryStore = createMatchHistoryStore({ filePath: MATCH_HISTORY_FILE });
+const questionBankStore = createQuestionBankStore({
+  filePath: QUESTION_BANK_FILE,
+  seedSets: QUESTION_BANK_PRESETS,
+  sanitizeQuestions: (questions) =>
+    sanitizeQuizQuestions(questions, {
+      fallbackToDefault: false,
+      minQuestions: 1,
+      maxQuestions: QUIZ_MAX_QUESTIONS
+    })
+});
 
-  if (joined?.state) {
-    socket.emit("player:correct", {
-      state: joined.state,
-      reason: "join-spawn"
+const httpServer = createServer((req, res) => {
+  const requestUrl = new URL(req.url ?? "/", "http://localhost");
+  if (requestUrl.pathname === "/history" || requestUrl.pathname.startsWith("/history/")) {
+    handleHistoryRequest(req, res, requestUrl).catch((error) => {
+      console.error("[history] request failed:", error?.message ?? error);
+      writeJson(res, 500, { ok: false, error: "history unavailable" });
     });
+    return;
   }
 
-  emitRoomUpdate(room);
-  emitRoomList();
-  emitQuizSnapshot(socket, room);
-  emitChatHistorySnapshot(socket, room);
-  socket.emit("quiz:config:update", buildQuizConfigPayload(room));
-  if (quiz.active || quiz.phase === "ended") {
-    emitQuizScore(room, "join");
-  } else if (quiz.autoMode !== false) {
-    scheduleAutoQuizStart(room, {
-      delayMs: QUIZ_AUTO_START_DELAY_MS,
-      reason: "join-auto"
-    });
+  if (requestUrl.pathname === "/metrics/tick") {
+    // `?reset=1` starts a fresh window after reading, so a load test can skip its warm-up.
+    const reset = requestUrl.searchParams.get("reset") === "1";
+    if (
+      reset &&
+      !TICK_METRICS_RESET_ENABLED &&
+      !hasOwnerAccess(req.headers?.["x-owner-key"] ?? requestUrl.searchParams.get("ownerKey"))
+    ) {
+      writeJson(res, 403, { ok: false, error: "reset not allowed" });
+      return;
+    }
+    const stats = summarizeTickDurations();
+    if (reset) {
+      tickDurationCount = 0;
+    }
+    writeJson(res, 200, { ok: true, ...stats });
+    return;
   }
 
-  return { ok: true, room: serializeRoom(room) };
-}
-
-const httpServer = createServer((req, res) => {
   if (req.url === "/health") {
     const roomsSummary = summarizeRooms();
     const totalPlayers = roomsSummary.reduce((sum, room) => sum + Number(room.count || 0), 0);
@@ -3281,7 +5320,7 @@ const httpServer = createServer((req, res) => {
               : null
           }
         : null,
-      now: Date.now()
+      now: serverClock.now()
     });
     return;
   }
@@ -3297,7 +5336,8 @@ const httpServer = createServer((req, res) => {
       tickRate: SERVER_TICK_RATE,
       workerSingleRoomMode: WORKER_SINGLE_ROOM_MODE,
       workerRoomCode: WORKER_SINGLE_ROOM_MODE ? WORKER_FIXED_ROOM_CODE : null,
-      health: "/health"
+      health: "/health",
+      history: "/history"
     });
     return;
   }
@@ -3318,8 +5358,38 @@ const io = new Server(httpServer, {
   pingTimeout: 5000
 });
 
-const roomTickInterval = setInterval(() => {
+// Wall-clock cost of each room tick, kept for the last minute for /metrics/tick.
+const tickDurations = new Float64Array(TICK_STATS_WINDOW);
+let tickDurationCount = 0;
+
+function recordTickDuration(durationMs) {
+  tickDurations[tickDurationCount % TICK_STATS_WINDOW] = durationMs;
+  tickDurationCount += 1;
+}
+
+function summarizeTickDurations() {
+  const samples = Array.from(tickDurations.subarray(0, Math.min(tickDurationCount, TICK_STATS_WINDOW))).sort(
+    (left, right) => left - right
+  );
+  const percentile = (ratio) =>
+    samples.length > 0 ? samples[Math.min(samples.length - 1, Math.ceil(ratio * samples.length) - 1)] : 0;
+  const round = (value) => Math.round(value * 1000) / 1000;
+  return {
+    samples: samples.length,
+    tickIntervalMs: SERVER_TICK_INTERVAL_MS,
+    players: Array.from(rooms.values()).reduce((sum, room) => sum + room.players.size, 0),
+    meanMs: round(samples.length > 0 ? samples.reduce((sum, value) => sum + value, 0) / samples.length : 0),
+    p50Ms: round(percentile(0.5)),
+    p95Ms: round(percentile(0.95)),
+    p99Ms: round(percentile(0.99)),
+    maxMs: round(samples.length > 0 ? samples[samples.length - 1] : 0)
+  };
+}
+
+const roomTickInterval = serverClock.setInterval(() => {
+  const startedAt = performance.now();
   tickRooms();
+  recordTickDuration(performance.now() - startedAt);
 }, SERVER_TICK_INTERVAL_MS);
 roomTickInterval.unref?.();
 
@@ -3327,6 +5397,9 @@ io.on("connection", (socket) => {
   socket.data.playerName = `PLAYER_${Math.floor(Math.random() * 9000 + 1000)}`;
   socket.data.roomCode = null;
   socket.data.deltaCache = new Map();
+  socket.data.deltaEncoding = DELTA_BINARY_ENABLED
+    ? sanitizeDeltaEncoding(socket.handshake?.auth?.deltaEncoding ?? socket.handshake?.query?.deltaEncoding)
+    : sanitizeDeltaEncoding();
   socket.data.ownerClaim = false;
 
   if (WORKER_SINGLE_ROOM_MODE && REQUIRE_JOIN_TOKEN) {
@@ -3356,7 +5429,9 @@ io.on("connection", (socket) => {
   socket.emit("server:role", {
     role: "worker",
     singleRoomMode: WORKER_SINGLE_ROOM_MODE,
-    roomCode: WORKER_SINGLE_ROOM_MODE ? WORKER_FIXED_ROOM_CODE : null
+    roomCode: WORKER_SINGLE_ROOM_MODE ? WORKER_FIXED_ROOM_CODE : null,
+    deltaEncoding: socket.data.deltaEncoding,
+    tickRate: SERVER_TICK_RATE
   });
 
   const initialRoom = pickOrCreateRoomForQuickJoin();
@@ -3408,6 +5483,12 @@ io.on("connection", (socket) => {
     emitRoomUpdate(room);
   });
 
+  // Clients time their countdowns off this; a single stamp stands in for NTP's receive
+  // and transmit times because the handler does no work in between.
+  socket.on("clock:ping", (_payload = {}, ackFn) => {
+    ack(ackFn, { ok: true, serverTime: serverClock.now() });
+  });
+
   socket.on("player:sync", (payload = {}) => {
     const roomCode = socket.data.roomCode;
     const room = roomCode ? rooms.get(roomCode) : null;
@@ -3436,43 +5517,44 @@ io.on("connection", (socket) => {
 
     const sanitized = sanitizePlayerState(payload);
     const movementResult = applyAuthoritativeMovement(player, sanitized);
-    if (isRestrictedFromQuizArena(room, player)) {
-      const forcedOutside = projectStateOutsideQuizArena(player.state);
-      if (forcedOutside.corrected) {
-        const correctedState = forcedOutside.state;
-        const correctionDistance = Math.hypot(
-          Number(correctedState.x) - Number(player.state?.x || 0),
-          Number(correctedState.y) - Number(player.state?.y || 0),
-          Number(correctedState.z) - Number(player.state?.z || 0)
-        );
-        setPlayerAuthoritativeState(player, correctedState);
-        const now = Date.now();
-        const cooldownElapsed = now - Number(net.lastCorrectionAt || 0);
-        if (
-          correctionDistance >= SERVER_CORRECTION_MIN_DISTANCE &&
-          cooldownElapsed >= SERVER_CORRECTION_COOLDOWN_MS
-        ) {
-          net.lastCorrectionAt = now;
-          socket.emit("player:correct", {
-            state: player.state,
-            reason: "quiz-spectator-zone"
-          });
-        }
-        return;
+    recordPlayerPositionSample(player);
+    trackPlayerQuizZone(room, player);
+    const zoneCorrection = isRestrictedFromQuizArena(room, player)
+      ? { ...projectStateOutsideQuizArena(player.state), reason: "quiz-spectator-zone" }
+      : isHeldForQuizReading(room, player)
+        ? {
+            ...projectStateIntoQuizReadingStrip(player.state, getRoomQuiz(room).readingStrip),
+            reason: "quiz-reading-hold"
+          }
+        : null;
+    if (zoneCorrection?.corrected) {
+      const correctedState = zoneCorrection.state;
+      const correctionDistance = Math.hypot(
+        Number(correctedState.x) - Number(player.state?.x || 0),
+        Number(correctedState.y) - Number(player.state?.y || 0),
+        Number(correctedState.z) - Number(player.state?.z || 0)
+      );
+      setPlayerAuthoritativeState(player, correctedState);
+      const now = serverClock.now();
+      const cooldownElapsed = now - Number(net.lastCorrectionAt || 0);
+      if (
+        correctionDistance >= SERVER_CORRECTION_MIN_DISTANCE &&
+        cooldownElapsed >= SERVER_CORRECTION_COOLDOWN_MS
+      ) {
+        net.lastCorrectionAt = now;
+        socket.emit("player:correct", buildPlayerCorrection(player, zoneCorrection.reason));
       }
+      return;
     }
     if (
       movementResult.clamped &&
       movementResult.correctionDistance >= SERVER_CORRECTION_MIN_DISTANCE
     ) {
-      const now = Date.now();
+      const now = serverClock.now();
       const cooldownElapsed = now - Number(net.lastCorrectionAt || 0);
       if (cooldownElapsed >= SERVER_CORRECTION_COOLDOWN_MS) {
         net.lastCorrectionAt = now;
-        socket.emit("player:correct", {
-          state: movementResult.nextState,
-          reason: "server-authoritative"
-        });
+        socket.emit("player:correct", buildPlayerCorrection(player, "server-authoritative", movementResult.nextState));
       }
     }
   });
@@ -3519,6 +5601,11 @@ io.on("connection", (socket) => {
       return;
     }
 
+    if (getRoomQuiz(room).paused) {
+      ack(ackFn, { ok: false, error: "quiz paused" });
+      return;
+    }
+
     const result = pushNextQuizQuestion(room, payload.lockSeconds);
     ack(ackFn, result);
   });
@@ -3540,10 +5627,107 @@ io.on("connection", (socket) => {
       return;
     }
 
+    if (getRoomQuiz(room).paused) {
+      ack(ackFn, { ok: false, error: "quiz paused" });
+      return;
+    }
+
     const rewind = rewindQuizToPreviousQuestion(room, payload?.lockSeconds);
     ack(ackFn, rewind);
   });
 
+  socket.on("quiz:void-question", (payload = {}, ackFn) => {
+    const roomCode = socket.data.roomCode;
+    const room = roomCode ? rooms.get(roomCode) : null;
+    if (!room) {
+      ack(ackFn, { ok: false, error: "not in room" });
+      return;
+    }
+
+    if (!isRoomHost(room, socket.id)) {
+      ack(ackFn, { ok: false, error: "host only" });
+      return;
+    }
+    if (ROOM_OWNER_KEY && socket.data.ownerClaim !== true) {
+      ack(ackFn, { ok: false, error: "unauthorized" });
+      return;
+    }
+
+    ack(ackFn, voidLatestQuizResult(room));
+  });
+
+  socket.on("quiz:predict", (payload = {}, ackFn) => {
+    const roomCode = socket.data.roomCode;
+    const room = roomCode ? rooms.get(roomCode) : null;
+    const player = room?.players.get(socket.id) ?? null;
+    if (!room || !player) {
+      ack(ackFn, { ok: false, error: "not in room" });
+      return;
+    }
+
+    ack(ackFn, submitQuizPrediction(room, player, payload?.choice));
+  });
+
+  socket.on("quiz:distribution:visibility", (payload = {}, ackFn) => {
+    const roomCode = socket.data.roomCode;
+    const room = roomCode ? rooms.get(roomCode) : null;
+    if (!room) {
+      ack(ackFn, { ok: false, error: "not in room" });
+      return;
+    }
+
+    if (!isRoomHost(room, socket.id)) {
+      ack(ackFn, { ok: false, error: "host only" });
+      return;
+    }
+    if (ROOM_OWNER_KEY && socket.data.ownerClaim !== true) {
+      ack(ackFn, { ok: false, error: "unauthorized" });
+      return;
+    }
+
+    ack(ackFn, setQuizDistributionHidden(room, payload?.hidden === true));
+  });
+
+  socket.on("quiz:pause", (payload = {}, ackFn) => {
+    const roomCode = socket.data.roomCode;
+    const room = roomCode ? rooms.get(roomCode) : null;
+    if (!room) {
+      ack(ackFn, { ok: false, error: "not in room" });
+      return;
+    }
+
+    if (!isRoomHost(room, socket.id)) {
+      ack(ackFn, { ok: false, error: "host only" });
+      return;
+    }
+    if (ROOM_OWNER_KEY && socket.data.ownerClaim !== true) {
+      ack(ackFn, { ok: false, error: "unauthorized" });
+      return;
+    }
+
+    ack(ackFn, pauseQuiz(room));
+  });
+
+  socket.on("quiz:resume", (payload = {}, ackFn) => {
+    const roomCode = socket.data.roomCode;
+    const room = roomCode ? rooms.get(roomCode) : null;
+    if (!room) {
+      ack(ackFn, { ok: false, error: "not in room" });
+      return;
+    }
+
+    if (!isRoomHost(room, socket.id)) {
+      ack(ackFn, { ok: false, error: "host only" });
+      return;
+    }
+    if (ROOM_OWNER_KEY && socket.data.ownerClaim !== true) {
+      ack(ackFn, { ok: false, error: "unauthorized" });
+      return;
+    }
+
+    ack(ackFn, resumeQuiz(room));
+  });
+
   socket.on("quiz:force-lock", (ackFn) => {
     const roomCode = socket.data.roomCode;
     const room = roomCode ? rooms.get(roomCode) : null;
@@ -3562,6 +5746,10 @@ io.on("connection", (socket) => {
     }
 
     const quiz = getRoomQuiz(room);
+    if (quiz.paused) {
+      ack(ackFn, { ok: false, error: "quiz paused" });
+      return;
+    }
     if (!quiz.active || quiz.phase !== "question") {
       ack(ackFn, { ok: false, error: "question is not open" });
       return;
@@ -3626,6 +5814,88 @@ io.on("connection", (socket) => {
     });
   });
 
+  socket.on("room:bots:add", (payload = {}, ackFn) => {
+    const roomCode = socket.data.roomCode;
+    const room = roomCode ? rooms.get(roomCode) : null;
+    if (!room) {
+      ack(ackFn, { ok: false, error: "not in room" });
+      return;
+    }
+    if (!isRoomHost(room, socket.id)) {
+      ack(ackFn, { ok: false, error: "host only" });
+      return;
+    }
+    if (ROOM_OWNER_KEY && socket.data.ownerClaim !== true) {
+      ack(ackFn, { ok: false, error: "unauthorized" });
+      return;
+    }
+
+    ack(ackFn, addRoomBots(room, payload?.count, payload));
+  });
+
+  socket.on("room:bots:remove", (payload = {}, ackFn) => {
+    const roomCode = socket.data.roomCode;
+    const room = roomCode ? rooms.get(roomCode) : null;
+    if (!room) {
+      ack(ackFn, { ok: false, error: "not in room" });
+      return;
+    }
+    if (!isRoomHost(room, socket.id)) {
+      ack(ackFn, { ok: false, error: "host only" });
+      return;
+    }
+    if (ROOM_OWNER_KEY && socket.data.ownerClaim !== true) {
+      ack(ackFn, { ok: false, error: "unauthorized" });
+      return;
+    }
+
+    const botId = String(payload?.botId ?? "").trim();
+    const removed = removeRoomBots(room, botId || null);
+    if (removed.length <= 0) {
+      ack(ackFn, { ok: false, error: botId ? "bot not found" : "no bots" });
+      return;
+    }
+    ack(ackFn, { ok: true, removed, botCount: countRoomBots(room) });
+  });
+
+  socket.on("team:config", (payload = {}, ackFn) => {
+    const roomCode = socket.data.roomCode;
+    const room = roomCode ? rooms.get(roomCode) : null;
+    if (!room) {
+      ack(ackFn, { ok: false, error: "not in room" });
+      return;
+    }
+    if (!isRoomHost(room, socket.id)) {
+      ack(ackFn, { ok: false, error: "host only" });
+      return;
+    }
+    if (ROOM_OWNER_KEY && socket.data.ownerClaim !== true) {
+      ack(ackFn, { ok: false, error: "unauthorized" });
+      return;
+    }
+
+    ack(ackFn, configureRoomTeams(room, payload ?? {}));
+  });
+
+  socket.on("team:assign", (payload = {}, ackFn) => {
+    const roomCode = socket.data.roomCode;
+    const room = roomCode ? rooms.get(roomCode) : null;
+    if (!room) {
+      ack(ackFn, { ok: false, error: "not in room" });
+      return;
+    }
+    if (!isRoomHost(room, socket.id)) {
+      ack(ackFn, { ok: false, error: "host only" });
+      return;
+    }
+    if (ROOM_OWNER_KEY && socket.data.ownerClaim !== true) {
+      ack(ackFn, { ok: false, error: "unauthorized" });
+      return;
+    }
+
+    ack(ackFn, assignPlayerTeam(room, payload?.playerId, payload?.teamId));
+  });
+
   socket.on("host:set-participating", (payload = {}, ackFn) => {
     const roomCode = socket.data.roomCode;
     const room = roomCode ? rooms.get(roomCode) : null;
@@ -3683,6 +5953,7 @@ io.on("connection", (socket) => {
       quiz: {
         active: Boolean(quiz.active),
         phase: quiz.phase,
+        mode: sanitizeQuizMode(quiz.mode),
         autoMode: quiz.autoMode !== false,
         autoFinish: quiz.autoFinish !== false,
         autoStartsAt: Number(quiz.autoStartsAt ?? 0),
@@ -3692,12 +5963,16 @@ io.on("connection", (socket) => {
         totalQuestions: Math.max(0, Number(quiz.totalQuestions) || 0),
         lockAt: Number(quiz.lockAt ?? 0),
         currentQuestion: buildQuizQuestionPayload(quiz),
+        paused: quiz.paused === true,
+        pausedAt: Number(quiz.pausedAt || 0),
+        tiebreak: buildQuizTiebreakPayload(room),
         lastResult: quiz.lastResult ?? null,
         endedAt: Number(quiz.endedAt ?? 0)
       },
       scoreboard: {
         survivors: countQuizSurvivors(room),
-        leaderboard: buildQuizLeaderboard(room)
+        leaderboard: buildQuizLeaderboard(room),
+        spectatorLeaderboard: buildSpectatorLeaderboard(room)
       }
     });
   });
@@ -3751,6 +6026,9 @@ io.on("connection", (socket) => {
       }
       config.questions = sanitized;
     }
+    if (Array.isArray(payload?.reserveQuestions)) {
+      config.reserveQuestions = sanitizeQuizReserveQuestions(payload.reserveQuestions);
+    }
 
     if (payload?.endPolicy && typeof payload.endPolicy === "object") {
       config.endPolicy.autoFinish = payload.endPolicy.autoFinish !== false;
@@ -3758,6 +6036,21 @@ io.on("connection", (socket) => {
         config.endPolicy.showOppositeBillboard =
           payload.endPolicy.showOppositeBillboard !== false;
       }
+      if (Object.prototype.hasOwnProperty.call(payload.endPolicy, "mode")) {
+        config.endPolicy.mode = sanitizeQuizMode(payload.endPolicy.mode);
+      }
+      if (Object.prototype.hasOwnProperty.call(payload.endPolicy, "tiebreaker")) {
+        config.endPolicy.tiebreaker = payload.endPolicy.tiebreaker === true;
+      }
+      if (Object.prototype.hasOwnProperty.call(payload.endPolicy, "botsCanWin")) {
+        config.endPolicy.botsCanWin = payload.endPolicy.botsCanWin === true;
+      }
+      if (Object.prototype.hasOwnProperty.call(payload.endPolicy, "shields")) {
+        config.endPolicy.shields = sanitizeQuizShieldCount(payload.endPolicy.shields);
+      }
+      if (Object.prototype.hasOwnProperty.call(payload.endPolicy, "pools")) {
+        config.endPolicy.pools = sanitizeQuizPoolPlan(payload.endPolicy.pools, QUIZ_MAX_QUESTIONS);
+      }
     } else if (Object.prototype.hasOwnProperty.call(payload ?? {}, "autoFinish")) {
       config.endPolicy.autoFinish = payload.autoFinish !== false;
     }
@@ -3766,6 +6059,7 @@ io.on("connection", (socket) => {
       config.endPolicy.showOppositeBillboard = payload.showOppositeBillboard !== false;
     }
     config.endPolicy.showOppositeBillboard = config.endPolicy.showOppositeBillboard !== false;
+    config.endPolicy.mode = sanitizeQuizMode(config.endPolicy.mode);
     rememberRoomQuizConfig(room);
     quiz.autoFinish = config.endPolicy.autoFinish;
 
@@ -3778,6 +6072,49 @@ io.on("connection", (socket) => {
     ack(ackFn, response);
   });
 
+  socket.on("quiz:bank:list", (payload = {}, ackFn) => {
+    runQuestionBankRequest(socket, ackFn, async () => ({
+      ok: true,
+      sets: await questionBankStore.list({ tag: payload?.tag })
+    }));
+  });
+
+  socket.on("quiz:bank:get", (payload = {}, ackFn) => {
+    runQuestionBankRequest(socket, ackFn, async () => {
+      const set = await questionBankStore.get(payload?.id);
+      return set ? { ok: true, set } : { ok: false, error: "set not found" };
+    });
+  });
+
+  socket.on("quiz:bank:save", (payload = {}, ackFn) => {
+    runQuestionBankRequest(socket, ackFn, () =>
+      questionBankStore.save({
+        id: payload?.id,
+        name: payload?.name,
+        tags: payload?.tags,
+        questions: payload?.questions
+      })
+    );
+  });
+
+  socket.on("quiz:bank:delete", (payload = {}, ackFn) => {
+    runQuestionBankRequest(socket, ackFn, async () => {
+      const removed = await questionBankStore.remove(payload?.id);
+      return removed ? { ok: true, id: payload?.id } : { ok: false, error: "set not found" };
+    });
+  });
+
+  socket.on("quiz:bank:tag", (payload = {}, ackFn) => {
+    runQuestionBankRequest(socket, ackFn, async () => {
+      const set = await questionBankStore.tag(payload?.id, {
+        add: payload?.add,
+        remove: payload?.remove,
+        tags: Object.prototype.hasOwnProperty.call(payload ?? {}, "tags") ? payload.tags : null
+      });
+      return set ? { ok: true, set } : { ok: false, error: "set not found" };
+    });
+  });
+
   socket.on("room:list", () => {
     emitRoomList(socket);
   });
@@ -3791,7 +6128,7 @@ io.on("connection", (socket) => {
         ack(ackFn, { ok: false, error: "room full" });
         return;
       }
-      ack(ackFn, joinRoom(socket, workerRoom, payload.name));
+      ack(ackFn, joinRoom(socket, workerRoom, payload.name, payload.sessionToken));
       return;
     }
 
@@ -3801,7 +6138,7 @@ io.on("connection", (socket) => {
       ack(ackFn, { ok: false, error: "no room capacity available" });
       return;
     }
-    ack(ackFn, joinRoom(socket, room, payload.name));
+    ack(ackFn, joinRoom(socket, room, payload.name, payload.sessionToken));
   });
 
   socket.on("room:create", (payload = {}, ackFn) => {
@@ -3821,7 +6158,7 @@ io.on("connection", (socket) => {
       return;
     }
     const room = createMatchRoom(requestedCode);
-    ack(ackFn, joinRoom(socket, room, payload.name));
+    ack(ackFn, joinRoom(socket, room, payload.name, payload.sessionToken));
   });
 
   socket.on("room:join", (payload = {}, ackFn) => {
@@ -3838,7 +6175,7 @@ io.on("connection", (socket) => {
         ack(ackFn, { ok: false, error: "room full" });
         return;
       }
-      ack(ackFn, joinRoom(socket, workerRoom, payload.name));
+      ack(ackFn, joinRoom(socket, workerRoom, payload.name, payload.sessionToken));
       return;
     }
 
@@ -3852,7 +6189,7 @@ io.on("connection", (socket) => {
       ack(ackFn, { ok: false, error: "room not found" });
       return;
     }
-    ack(ackFn, joinRoom(socket, room, payload.name));
+    ack(ackFn, joinRoom(socket, room, payload.name, payload.sessionToken));
   });
 
   socket.on("portal:lobby-open", (ackFn) => {
@@ -3910,6 +6247,51 @@ io.on("connection", (socket) => {
     ack(ackFn, admitted);
   });
 
+  socket.on("room:schedule:set", (payload = {}, ackFn) => {
+    runQuestionBankRequest(socket, ackFn, async () => {
+      const sanitized = sanitizeRoomSchedule(payload, serverClock.now());
+      if (!sanitized.ok) {
+        return sanitized;
+      }
+      const set = await questionBankStore.get(sanitized.schedule.questionSetId);
+      if (!set) {
+        return { ok: false, error: "set not found" };
+      }
+      const room = rooms.get(socket.data.roomCode ?? "");
+      if (!room) {
+        return { ok: false, error: "not in room" };
+      }
+      applyRoomSchedule(room, { ...sanitized.schedule, questionSetName: set.name }, sanitized.nextStartAt);
+      emitRoomUpdate(room);
+      return { ok: true, schedule: buildRoomSchedulePayload(room) };
+    });
+  });
+
+  socket.on("room:schedule:clear", (ackFn) => {
+    const roomCode = socket.data.roomCode;
+    const room = roomCode ? rooms.get(roomCode) : null;
+    if (!room) {
+      ack(ackFn, { ok: false, error: "not in room" });
+      return;
+    }
+    if (!isRoomHost(room, socket.id)) {
+      ack(ackFn, { ok: false, error: "host only" });
+      return;
+    }
+    if (ROOM_OWNER_KEY && socket.data.ownerClaim !== true) {
+      ack(ackFn, { ok: false, error: "unauthorized" });
+      return;
+    }
+    if (!isRoomScheduleActive(room)) {
+      ack(ackFn, { ok: false, error: "no schedule" });
+      return;
+    }
+
+    clearRoomSchedule(room);
+    emitRoomUpdate(room);
+    ack(ackFn, { ok: true });
+  });
+
   socket.on("portal:set-target", (payload = {}, ackFn) => {
     const roomCode = socket.data.roomCode;
     const room = roomCode ? rooms.get(roomCode) : null;
@@ -3936,7 +6318,7 @@ io.on("connection", (socket) => {
     const updatePayload = {
       targetUrl: nextTargetUrl,
       updatedBy: socket.id,
-      updatedAt: Date.now()
+      updatedAt: serverClock.now()
     };
 
     io.to(room.code).emit("portal:target:update", updatePayload);
@@ -3968,7 +6350,7 @@ io.on("connection", (socket) => {
     }
     room.billboardMedia = next.media;
     emitRoomUpdate(room);
-    ack(ackFn, { ok: true, media: next.media, updatedAt: Date.now() });
+    ack(ackFn, { ok: true, media: next.media, updatedAt: serverClock.now() });
   });
 
   socket.on("host:kick-player", (payload = {}, ackFn) => {
@@ -4008,13 +6390,13 @@ io.on("connection", (socket) => {
       targetSocket.emit("host:kicked", {
         roomCode: room.code,
         by: socket.id,
-        at: Date.now()
+        at: serverClock.now()
       });
+      // Leave first so a kick never turns into a held reconnect slot.
+      leaveCurrentRoom(targetSocket);
       targetSocket.disconnect(true);
     } else {
-      room.players.delete(targetId);
-      emitRoomUpdate(room);
-      emitRoomList();
+      removeRoomPlayer(room, targetId, "kick");
     }
 
     ack(ackFn, {
@@ -4065,7 +6447,7 @@ io.on("connection", (socket) => {
       targetSocket.emit("host:chat-muted", {
         muted: nextMuted,
         by: socket.id,
-        at: Date.now()
+        at: serverClock.now()
       });
     }
 
@@ -4083,7 +6465,9 @@ io.on("connection", (socket) => {
   });
 
   socket.on("disconnecting", () => {
-    leaveCurrentRoom(socket);
+    if (!holdPlayerForReconnect(socket)) {
+      leaveCurrentRoom(socket);
+    }
     clearSocketDeltaCache(socket);
   });
 
@@ -4114,7 +6498,8 @@ httpServer.on("error", (error) => {
 });
 
 httpServer.listen(PORT, () => {
-  console.log(`Chat server running on http://localhost:${PORT}`);
+  // PORT=0 asks for an ephemeral port (used by the match simulator), so report the bound one.
+  console.log(`Chat server running on http://localhost:${httpServer.address()?.port ?? PORT}`);
   if (WORKER_SINGLE_ROOM_MODE) {
     console.log(
       `Room worker mode (${WORKER_FIXED_ROOM_CODE}, capacity ${MAX_ROOM_PLAYERS}, participant limit ${ENTRY_PARTICIPANT_LIMIT}, token ${
@@ -4128,4 +6513,4 @@ httpServer.listen(PORT, () => {
   );
 });
 
-
+export { httpServer, io };
@@ -8,6 +8,8 @@ export const GAME_CONSTANTS = {
   WORLD_LIMIT: 95,
   REMOTE_SYNC_INTERVAL: 1 / 12,
   REMOTE_LERP_SPEED: 12,
+  REMOTE_INTERPOLATION_DELAY_MS: 100,
+  REMOTE_EXTRAPOLATION_MS: 150,
   REMOTE_STALE_TIMEOUT_MS: 15000,
   DYNAMIC_RESOLUTION: {
     mobileMinRatio: 1,
@@ -135,6 +135,12 @@ export const BASE_VOID_PACK = {
         color: 0x9b3840,
         emissive: 0x5b1b20
       },
+      choiceZones: [
+        { key: "A", centerX: -24, width: 15, depth: 56, color: 0x2f6fb0, emissive: 0x123a63 },
+        { key: "B", centerX: -8, width: 15, depth: 56, color: 0x2e8f62, emissive: 0x104f36 },
+        { key: "C", centerX: 8, width: 15, depth: 56, color: 0xb0892f, emissive: 0x5e4512 },
+        { key: "D", centerX: 24, width: 15, depth: 56, color: 0x9b3840, emissive: 0x5b1b20 }
+      ],
       textY: 0.09,
       backWall: {
         enabled: true,
@@ -351,6 +357,8 @@ export const BASE_VOID_PACK = {
   network: {
     syncInterval: GAME_CONSTANTS.REMOTE_SYNC_INTERVAL,
     remoteLerpSpeed: GAME_CONSTANTS.REMOTE_LERP_SPEED,
+    interpolationDelayMs: GAME_CONSTANTS.REMOTE_INTERPOLATION_DELAY_MS,
+    extrapolationMs: GAME_CONSTANTS.REMOTE_EXTRAPOLATION_MS,
     staleTimeoutMs: GAME_CONSTANTS.REMOTE_STALE_TIMEOUT_MS
   }
 };
@@ -13,5 +13,6 @@ export const TEMPLATE_PACK = {
   network: {
     // Example overrides:
     // syncInterval: 1 / 15
+    // interpolationDelayMs: 150
   }
 };
@@ -9,8 +9,18 @@ import { UnrealBloomPass } from "three/addons/postprocessing/UnrealBloomPass.js"
 import { HUD } from "../ui/HUD.js";
 import { GAME_CONSTANTS } from "../config/gameConstants.js";
 import { getContentPack } from "../content/registry.js";
+import {
+  DELTA_ENCODING_BINARY,
+  DELTA_POS_SCALE,
+  DELTA_ROT_SCALE,
+  decodeBinaryDelta,
+  sanitizeDeltaEncoding
+} from "../utils/deltaCodec.js";
 import { isLikelyTouchDevice } from "../utils/device.js";
 import { lerpAngle } from "../utils/math.js";
+import { orderQuizChoiceZoneConfigs, resolveQuizAnswerAlias } from "../utils/quizAnswer.js";
+import { QUIZ_DIFFICULTIES, sanitizeQuizCategory, sanitizeQuizDifficulty } from "../utils/quizDifficulty.js";
+import { parseQuizSetFile, serializeQuizSetCsv, serializeQuizSetJson } from "../utils/quizSetFile.js";
 import { disposeMeshTree } from "../utils/threeUtils.js";
 import { RUNTIME_TUNING } from "./config/runtimeTuning.js";
 
@@ -39,6 +49,17 @@ const BILLBOARD_PRESET_IMAGE_URL = new URL(
 ).href;
 const BILLBOARD_PRESET_AUDIO_URL = "/assets/audio/weapons/gunshot_0.mp3";
 const BILLBOARD_PLAYLIST_MAX_ITEMS = 40;
+const REMOTE_SNAPSHOT_BUFFER_SIZE = 16;
+const REMOTE_SNAPSHOT_MAX_GAP_TICKS = 8;
+const REMOTE_TICK_RESYNC_MS = 1000;
+const REMOTE_SNAPSHOT_TELEPORT_DISTANCE = 8;
+const DEFAULT_SERVER_TICK_RATE = 20;
+const LOCAL_INPUT_HISTORY_LIMIT = 64;
+const SERVER_CLOCK_SAMPLE_LIMIT = 8;
+const SERVER_CLOCK_BURST_SAMPLES = 4;
+const SERVER_CLOCK_BURST_SPACING_MS = 500;
+const SERVER_CLOCK_SYNC_INTERVAL_MS = 30000;
+const SERVER_CLOCK_PING_TIMEOUT_MS = 5000;
 function sanitizeBillboardMediaUrl(raw) {
   const value = String(raw ?? "").trim().slice(0, 420);
   if (!value) {
@@ -73,6 +94,8 @@ function inferBillboardVisualTypeFromUrl(rawUrl) {
 }
 const CENTER_BILLBOARD_BASE_WIDTH = 1024;
 const CENTER_BILLBOARD_BASE_HEIGHT = 512;
+const CENTER_BILLBOARD_VIDEO_FRAME_SECONDS = 1 / 15;
+const QUIZ_QUESTION_MEDIA_FIELDS = ["imageUrl", "videoUrl", "explanationImageUrl", "explanationVideoUrl"];
 const OPPOSITE_BILLBOARD_BASE_WIDTH = 1280;
 const OPPOSITE_BILLBOARD_BASE_HEIGHT = 720;
 const DYNAMIC_RESOLUTION_SETTINGS = Object.freeze({
@@ -124,12 +147,29 @@ const MOVEMENT_KEY_CODES = new Set([
   "ShiftRight"
 ]);
 const QUIZ_CONFIG_DRAFT_STORAGE_PREFIX = "singularity_ox.quiz_config_draft.v1";
-const QUIZ_CATEGORY_STORAGE_PREFIX = "singularity_ox.quiz_category.v1";
 const QUIZ_CONFIG_DRAFT_MAX_AGE_MS = 1000 * 60 * 60 * 24 * 21;
 const LAST_ROOM_CODE_STORAGE_KEY = "singularity_ox.last_room_code.v1";
+const RECONNECT_SESSION_STORAGE_KEY = "singularity_ox.reconnect_session.v1";
 const QUIZ_MIN_TIME_LIMIT_SECONDS = 30;
 const QUIZ_MAX_TIME_LIMIT_SECONDS = 3600;
 const QUIZ_DEFAULT_TIME_LIMIT_SECONDS = 30;
+const QUIZ_MAX_READING_SECONDS = 20;
+const QUIZ_MODE_SURVIVAL = "survival";
+const QUIZ_MODE_MARATHON = "marathon";
+const QUIZ_MAX_SHIELDS = 3;
+const QUIZ_DIFFICULTY_LABELS = Object.freeze({ easy: "쉬움", medium: "보통", hard: "어려움" });
+const QUIZ_TIEBREAK_MAX_RESERVE_QUESTIONS = 10;
+const QUIZ_OPTION_MAX_LENGTH = 60;
+const OX_CHOICE_ZONE_KEYS = Object.freeze(["A", "B", "C", "D"]);
+const QUIZ_DISTRIBUTION_COLORS = Object.freeze({
+  O: "#34c17b",
+  X: "#e5484d",
+  A: "#3e8bff",
+  B: "#f5b52e",
+  C: "#a66cff",
+  D: "#2fc4c4",
+  undecided: "#5d6b7b"
+});
 const CHAT_BUBBLE_MIN_LIFETIME_MS = 9000;
 const MOBILE_CHAT_PREVIEW_MIN_LIFETIME_MS = 7000;
 const GRAPHICS_QUALITY_STORAGE_KEY = "singularity_ox.graphics_quality.v1";
@@ -155,6 +195,16 @@ export class GameRuntime {
       : this.baseNetworkSyncInterval;
     this.remoteLerpSpeed =
       Number(this.networkContent.remoteLerpSpeed) || GAME_CONSTANTS.REMOTE_LERP_SPEED;
+    this.remoteInterpolationDelayMs = Math.max(
+      0,
+      Number(this.networkContent.interpolationDelayMs ?? GAME_CONSTANTS.REMOTE_INTERPOLATION_DELAY_MS) || 0
+    );
+    this.remoteExtrapolationMs = Math.max(
+      0,
+      Number(this.networkContent.extrapolationMs ?? GAME_CONSTANTS.REMOTE_EXTRAPOLATION_MS) || 0
+    );
+    this.serverTickIntervalMs = 1000 / DEFAULT_SERVER_TICK_RATE;
+    this.serverTickOffsetMs = null;
     this.remoteStaleTimeoutMs =
       Number(this.networkContent.staleTimeoutMs) || GAME_CONSTANTS.REMOTE_STALE_TIMEOUT_MS;
 
@@ -247,6 +297,9 @@ export class GameRuntime {
     this.centerBillboardScreenMaterial = null;
     this.centerBillboardLastSignature = "";
     this.centerBillboardLastCountdown = null;
+    this.centerBillboardLastPayload = null;
+    this.centerBillboardMedia = null;
+    this.centerBillboardMediaClock = 0;
     this.megaAdVideoEl = null;
     this.megaAdVideoTexture = null;
     this.megaAdScreenMaterial = null;
@@ -331,6 +384,9 @@ export class GameRuntime {
       typeof window !== "undefined"
         ? new URLSearchParams(window.location.search)
         : new URLSearchParams();
+    // `?delta=json` falls back to the object encoding, e.g. to read frames in devtools.
+    this.deltaEncoding = sanitizeDeltaEncoding(this.queryParams.get("delta") ?? DELTA_ENCODING_BINARY);
+    this.remoteNetIds = new Map();
     const perfParam = String(
       this.queryParams.get("perf") ?? this.queryParams.get("debug_perf") ?? ""
     ).trim();
@@ -361,19 +417,35 @@ export class GameRuntime {
     this.remotePlayers = new Map();
     this.remoteSyncClock = 0;
     this.localSyncSeq = 0;
+    this.localInputHistory = [];
+    this.serverClockOffsetMs = 0;
+    this.serverClockRttMs = null;
+    this.serverClockSamples = [];
+    this.serverClockSyncTimer = null;
+    this.serverClockPingInFlight = false;
     this.quizState = {
       active: false,
       phase: "idle",
       autoMode: false,
+      mode: QUIZ_MODE_SURVIVAL,
       autoFinish: true,
       autoStartsAt: 0,
       prepareEndsAt: 0,
       hostId: null,
       questionIndex: 0,
       totalQuestions: 0,
+      readingEndsAt: 0,
+      readingHold: null,
       lockAt: 0,
       lockResolveAt: 0,
       questionText: "",
+      questionOptions: [],
+      questionMedia: null,
+      explanationMedia: null,
+      tiebreakRound: 0,
+      tiebreakPlayers: [],
+      paused: false,
+      pausedAt: 0,
       survivors: 0,
       myScore: 0
     };
@@ -405,15 +477,19 @@ export class GameRuntime {
         maxZ: centerZ + depth * 0.5
       };
     };
-    const oZone = readZone(oZoneConfig, -17);
-    const xZone = readZone(xZoneConfig, 17);
+    const choiceZoneConfigs = orderQuizChoiceZoneConfigs(this.worldContent?.oxArena?.choiceZones);
+    const laneZones = [
+      readZone(oZoneConfig, -17),
+      readZone(xZoneConfig, 17),
+      ...choiceZoneConfigs.map(({ config }) => readZone(config, 0))
+    ];
     const spectatorArenaMargin = 1.1;
     this.spectatorArenaGuard = {
       enabled: true,
-      minX: Math.min(oZone.minX, xZone.minX) - spectatorArenaMargin,
-      maxX: Math.max(oZone.maxX, xZone.maxX) + spectatorArenaMargin,
-      minZ: Math.min(oZone.minZ, xZone.minZ) - spectatorArenaMargin,
-      maxZ: Math.max(oZone.maxZ, xZone.maxZ) + spectatorArenaMargin,
+      minX: Math.min(...laneZones.map((zone) => zone.minX)) - spectatorArenaMargin,
+      maxX: Math.max(...laneZones.map((zone) => zone.maxX)) + spectatorArenaMargin,
+      minZ: Math.min(...laneZones.map((zone) => zone.minZ)) - spectatorArenaMargin,
+      maxZ: Math.max(...laneZones.map((zone) => zone.maxZ)) + spectatorArenaMargin,
       exitPadding: 1.4
     };
     this.spectatorSpawn.set(
@@ -427,10 +503,13 @@ export class GameRuntime {
     };
     this.oxTrapdoorAnim = {
       active: false,
-      loserSide: null,
+      loserSides: [],
       elapsed: 0,
       duration: 1
     };
+    this.oxBinaryZoneGroup = null;
+    this.oxChoiceZoneGroup = null;
+    this.oxChoiceZones = [];
     const chatConfig = this.worldContent?.chat ?? {};
     this.chatBubbleLifetimeMs = Math.max(
       CHAT_BUBBLE_MIN_LIFETIME_MS,
@@ -476,12 +555,25 @@ export class GameRuntime {
     this.quizPrevBtnEl = document.getElementById("quiz-prev-btn");
     this.quizNextBtnEl = document.getElementById("quiz-next-btn");
     this.quizLockBtnEl = document.getElementById("quiz-lock-btn");
+    this.quizPauseBtnEl = document.getElementById("quiz-pause-btn");
+    this.quizVoidBtnEl = document.getElementById("quiz-void-btn");
+    this.quizDistributionBtnEl = document.getElementById("quiz-distribution-btn");
+    this.predictionPanelEl = document.getElementById("prediction-panel");
+    this.predictionChoicesEl = document.getElementById("prediction-choices");
+    this.predictionStatusEl = document.getElementById("prediction-status");
     this.moderationPanelToggleBtnEl = document.getElementById("moderation-panel-toggle-btn");
     this.moderationPanelEl = document.getElementById("moderation-panel");
     this.moderationPlayerSelectEl = document.getElementById("moderation-player-select");
     this.moderationKickBtnEl = document.getElementById("moderation-kick-btn");
     this.moderationMuteBtnEl = document.getElementById("moderation-mute-btn");
     this.moderationUnmuteBtnEl = document.getElementById("moderation-unmute-btn");
+    this.moderationBotAddBtnEl = document.getElementById("moderation-bot-add-btn");
+    this.moderationBotClearBtnEl = document.getElementById("moderation-bot-clear-btn");
+    this.moderationTeamToggleBtnEl = document.getElementById("moderation-team-toggle-btn");
+    this.moderationTeamCountSelectEl = document.getElementById("moderation-team-count-select");
+    this.moderationTeamScoringSelectEl = document.getElementById("moderation-team-scoring-select");
+    this.moderationTeamSelectEl = document.getElementById("moderation-team-select");
+    this.moderationTeamAssignBtnEl = document.getElementById("moderation-team-assign-btn");
     this.quizControlsNoteEl = document.getElementById("quiz-controls-note");
     this.portalTargetInputEl = document.getElementById("portal-target-input");
     this.portalTargetSaveBtnEl = document.getElementById("portal-target-save-btn");
@@ -508,13 +600,42 @@ export class GameRuntime {
     this.quizConfigCloseBtnEl = document.getElementById("quiz-config-close-btn");
     this.quizConfigSaveBtnEl = document.getElementById("quiz-config-save-btn");
     this.quizConfigResetBtnEl = document.getElementById("quiz-config-reset-btn");
-    this.quizCategoryTukgalLoadBtnEl = document.getElementById("quiz-category-tukgal-load-btn");
-    this.quizCategoryTukgalSaveBtnEl = document.getElementById("quiz-category-tukgal-save-btn");
-    this.quizCategoryHistoryLoadBtnEl = document.getElementById("quiz-category-history-load-btn");
-    this.quizCategoryHistorySaveBtnEl = document.getElementById("quiz-category-history-save-btn");
+    this.quizBankSelectEl = document.getElementById("quiz-bank-select");
+    this.quizBankFilterInputEl = document.getElementById("quiz-bank-filter-input");
+    this.quizBankLoadBtnEl = document.getElementById("quiz-bank-load-btn");
+    this.quizBankDeleteBtnEl = document.getElementById("quiz-bank-delete-btn");
+    this.quizBankNameInputEl = document.getElementById("quiz-bank-name-input");
+    this.quizBankTagsInputEl = document.getElementById("quiz-bank-tags-input");
+    this.quizBankTagBtnEl = document.getElementById("quiz-bank-tag-btn");
+    this.quizBankSaveBtnEl = document.getElementById("quiz-bank-save-btn");
+    this.quizImportFileInputEl = document.getElementById("quiz-import-file-input");
+    this.quizImportBtnEl = document.getElementById("quiz-import-btn");
+    this.quizExportCsvBtnEl = document.getElementById("quiz-export-csv-btn");
+    this.quizExportJsonBtnEl = document.getElementById("quiz-export-json-btn");
+    this.quizImportPreviewEl = document.getElementById("quiz-import-preview");
+    this.quizImportSummaryEl = document.getElementById("quiz-import-summary");
+    this.quizImportErrorsEl = document.getElementById("quiz-import-errors");
+    this.quizImportQuestionsEl = document.getElementById("quiz-import-questions");
+    this.quizImportApplyBtnEl = document.getElementById("quiz-import-apply-btn");
+    this.quizImportCancelBtnEl = document.getElementById("quiz-import-cancel-btn");
     this.quizSlotCountInputEl = document.getElementById("quiz-slot-count-input");
     this.quizAutoFinishInputEl = document.getElementById("quiz-auto-finish-input");
     this.quizOppositeBillboardInputEl = document.getElementById("quiz-opposite-billboard-input");
+    this.quizModeSelectEl = document.getElementById("quiz-mode-select");
+    this.quizTiebreakerInputEl = document.getElementById("quiz-tiebreaker-input");
+    this.quizBotsCanWinInputEl = document.getElementById("quiz-bots-can-win-input");
+    this.quizShieldsSelectEl = document.getElementById("quiz-shields-select");
+    this.quizPoolToolbarEl = document.getElementById("quiz-pool-toolbar");
+    this.quizPoolCategoryInputEl = document.getElementById("quiz-pool-category-input");
+    this.quizPoolAdaptiveInputEl = document.getElementById("quiz-pool-adaptive-input");
+    this.quizScheduleStartInputEl = document.getElementById("quiz-schedule-start-input");
+    this.quizScheduleRepeatSelectEl = document.getElementById("quiz-schedule-repeat-select");
+    this.quizScheduleCronInputEl = document.getElementById("quiz-schedule-cron-input");
+    this.quizScheduleLeadInputEl = document.getElementById("quiz-schedule-lead-input");
+    this.quizScheduleSaveBtnEl = document.getElementById("quiz-schedule-save-btn");
+    this.quizScheduleClearBtnEl = document.getElementById("quiz-schedule-clear-btn");
+    this.quizScheduleStatusEl = document.getElementById("quiz-schedule-status");
+    this.quizReserveInputEl = document.getElementById("quiz-reserve-input");
     this.quizQuestionListEl = document.getElementById("quiz-question-list");
     this.quizConfigStatusEl = document.getElementById("quiz-config-status");
     this.billboardTargetSelectEl = document.getElementById("billboard-target-select");
@@ -564,9 +685,18 @@ export class GameRuntime {
     this.roundOverlayVisible = false;
     this.roundOverlayFireworks = false;
     this.roundOverlayTimer = 0;
+    this.roundOverlayPersistent = false;
     this.roundOverlaySpawnClock = 0;
     this.roundOverlayParticles = [];
     this.roomRoster = [];
+    this.teamState = { enabled: false, scoring: "sum", teams: [] };
+    this.teamBoard = [];
+    this.quizFinalStandings = null;
+    this.quizDistribution = null;
+    this.quizPrediction = null;
+    this.quizPredictionPending = false;
+    this.predictionChoicesSignature = "";
+    this.spectatorLeaderboard = [];
     this.rosterVisibleByTab = false;
     this.rosterPinned = false;
     this.localAdmissionWaiting = false;
@@ -606,6 +736,7 @@ export class GameRuntime {
     this.mobileKeyboardInsetTimer = null;
     this.moderationPanelOpen = false;
     this.moderationOptionsSignature = "";
+    this.moderationTeamOptionsSignature = "";
     this.lastHudAdmissionCountdown = null;
     this.disconnectedByKick = false;
     this.quizConfig = this.buildDefaultQuizConfig(10);
@@ -614,6 +745,10 @@ export class GameRuntime {
     this.quizOppositeBillboardResultVisible = false;
     this.quizConfigLoading = false;
     this.quizConfigSaving = false;
+    this.quizBankSets = [];
+    this.quizBankBusy = false;
+    this.roomSchedule = this.normalizeRoomSchedule();
+    this.quizImportPreview = null;
     this.currentRoomCode = "";
     this.quizConfigDraftSaveTimer = null;
     this.quizConfigDraftRestoreAttempted = false;
@@ -699,6 +834,8 @@ export class GameRuntime {
     this.tempVecA = new THREE.Vector3();
     this.tempVecB = new THREE.Vector3();
     this.serverCorrectionTarget = new THREE.Vector3();
+    this.movementStartPosition = new THREE.Vector3();
+    this.pendingInputDelta = new THREE.Vector3();
     this.flowHeadlineCache = {
       title: "",
       subtitle: ""
@@ -1759,16 +1896,16 @@ export class GameRuntime {
     }
   }
 
-  getAdmissionCountdownMs(nowMs = Date.now()) {
+  getAdmissionCountdownMs(nowMs = this.getServerNow()) {
     const startsAt = Math.max(0, Math.trunc(Number(this.entryGateState?.admissionStartsAt) || 0));
     if (startsAt <= 0) {
       return 0;
     }
-    const now = Math.max(0, Math.trunc(Number(nowMs) || Date.now()));
+    const now = Math.max(0, Math.trunc(Number(nowMs) || this.getServerNow()));
     return Math.max(0, startsAt - now);
   }
 
-  getAdmissionCountdownSeconds(nowMs = Date.now()) {
+  getAdmissionCountdownSeconds(nowMs = this.getServerNow()) {
     const remainMs = this.getAdmissionCountdownMs(nowMs);
     if (remainMs <= 0) {
       return 0;
@@ -2233,7 +2370,12 @@ export class GameRuntime {
     if (startsAt <= 0) {
       return 0;
     }
-    return Math.max(0, Math.ceil((startsAt - Date.now()) / 1000));
+    return Math.max(0, Math.ceil((startsAt - this.getQuizClockNow()) / 1000));
+  }
+
+  // Countdowns read the clock through here so they hold still while the host has the quiz paused.
+  getQuizClockNow() {
+    return this.quizState.paused && this.quizState.pausedAt > 0 ? this.quizState.pausedAt : this.getServerNow();
   }
 
   showSpectatorControlHint() {
@@ -2984,6 +3126,10 @@ export class GameRuntime {
     if (this.ownerAccessEnabled) {
       joinPayload.ownerKey = this.ownerAccessKey;
     }
+    const reconnectSession = this.readReconnectSession();
+    if (reconnectSession && (!preferredRoomCode || reconnectSession.roomCode === preferredRoomCode)) {
+      joinPayload.sessionToken = reconnectSession.token;
+    }
 
     this.socket.emit("room:quick-join", joinPayload, (response = {}) => {
       if (this.lobbyEnabled) {
@@ -2999,6 +3145,15 @@ export class GameRuntime {
         }
         return;
       }
+      if (response?.session) {
+        this.persistReconnectSession(response.session);
+      }
+      // The server starts this seat's sequence over on join and resume.
+      this.localSyncSeq = 0;
+      this.localInputHistory.length = 0;
+      if (response?.resumed) {
+        this.appendChatLine("시스템", "연결이 복구되어 이전 점수와 상태를 이어갑니다.", "system");
+      }
       if (response?.redirect) {
         if (this.lobbyEnabled) {
           this.setLobbyStatus("매치 서버로 이동 중...");
@@ -3046,6 +3201,42 @@ export class GameRuntime {
     }
   }
 
+  readReconnectSession() {
+    if (typeof window === "undefined" || !window.localStorage) {
+      return null;
+    }
+    try {
+      const parsed = JSON.parse(window.localStorage.getItem(RECONNECT_SESSION_STORAGE_KEY) ?? "null");
+      const token = String(parsed?.token ?? "").trim();
+      const roomCode = String(parsed?.roomCode ?? "")
+        .trim()
+        .toUpperCase();
+      return token && roomCode ? { token, roomCode } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  persistReconnectSession(session = null) {
+    if (typeof window === "undefined" || !window.localStorage) {
+      return;
+    }
+    const token = String(session?.token ?? "").trim();
+    const roomCode = String(session?.roomCode ?? "")
+      .trim()
+      .toUpperCase();
+    try {
+      if (!token || !roomCode) {
+        window.localStorage.removeItem(RECONNECT_SESSION_STORAGE_KEY);
+        return;
+      }
+      // The server decides whether the slot is still held; the client only keeps the token.
+      window.localStorage.setItem(RECONNECT_SESSION_STORAGE_KEY, JSON.stringify({ token, roomCode }));
+    } catch {
+      // ignore storage write failures
+    }
+  }
+
   setupSky(sunDirection) {
     if (this.skyDome) {
       this.scene.remove(this.skyDome);
@@ -4707,7 +4898,11 @@ export class GameRuntime {
       if (!active) {
         aliveCount = admittedFromGate;
       } else if (
-        (phase === "start" || phase === "question" || phase === "lock" || phase === "waiting-next") &&
+        (phase === "start" ||
+          phase === "reading" ||
+          phase === "question" ||
+          phase === "lock" ||
+          phase === "waiting-next") &&
         survivorCount <= 0
       ) {
         aliveCount = admittedFromGate;
@@ -4736,6 +4931,14 @@ export class GameRuntime {
       if (phase === "ended") {
         payload.kicker = "라운드 종료";
         payload.title = "다음 라운드 준비";
+        const standings = this.quizFinalStandings;
+        if (standings && (standings.ranking.length > 0 || standings.winningTeamLabel)) {
+          payload.title = standings.winningTeamLabel || "최종 순위";
+          payload.lines = standings.ranking
+            .slice(0, 3)
+            .map((entry) => `${entry.rank}위 ${entry.name} ${entry.score}점`);
+          payload.footer = this.teamBoard.length > 0 ? this.formatTeamStandings(this.teamBoard) : "";
+        }
       } else if (autoSeconds > 0) {
         payload.kicker = "자동 시작";
         payload.title = `라운드 ${roundLabel} · ${autoSeconds}초 후 시작`;
@@ -4746,12 +4949,22 @@ export class GameRuntime {
       return payload;
     }
 
+    if (this.teamBoard.length > 0) {
+      payload.footer = this.formatTeamStandings(this.teamBoard);
+    }
+
     if (phase === "start") {
       const seconds = this.getQuizPrepareSeconds();
       payload.title = `라운드 ${roundLabel} · 시작 준비 ${seconds}초`;
       return payload;
     }
 
+    if (phase === "reading") {
+      const seconds = this.getQuizReadingSeconds();
+      payload.title = `라운드 ${roundLabel} · 읽는 시간 ${seconds}초`;
+      return payload;
+    }
+
     if (phase === "question") {
       const seconds = this.getQuizCountdownSeconds();
       payload.title = `라운드 ${roundLabel} · 제한 시간 ${seconds}초`;
@@ -4784,6 +4997,8 @@ export class GameRuntime {
     this.centerBillboardContext = null;
     this.centerBillboardLastSignature = "";
     this.centerBillboardLastCountdown = null;
+    this.centerBillboardLastPayload = null;
+    this.releaseCenterBillboardMedia();
   }
 
   setupCenterBillboard(config = {}) {
@@ -4926,11 +5141,21 @@ export class GameRuntime {
       .filter(Boolean)
       .slice(0, explanationLayout ? 1 : 4);
     const explanationText = String(payload.explanation ?? lines[0] ?? "").trim().slice(0, 720);
-    const signature = `${layout}|${kicker}|${title}|${footer}|${lines.join("||")}|${explanationText}`;
+    const distribution = Array.isArray(payload.distribution) ? payload.distribution : [];
+    const distributionTotal = distribution.reduce((sum, entry) => sum + Math.max(0, Number(entry?.count) || 0), 0);
+    this.centerBillboardLastPayload = payload;
+    const media = this.resolveCenterBillboardMedia(payload.media);
+    const mediaSignature = media ? `${media.key}:${media.ready}:${media.failed}:${media.frame}` : "";
+    const signature = `${layout}|${kicker}|${title}|${footer}|${lines.join("||")}|${explanationText}|${distribution
+      .map((entry) => `${entry.key}:${entry.count}`)
+      .join(",")}|${mediaSignature}`;
     if (signature === this.centerBillboardLastSignature) {
       return;
     }
     this.centerBillboardLastSignature = signature;
+    // With media attached the picture takes the left column and the body text moves right.
+    const textCenterX = media ? 674 : CENTER_BILLBOARD_BASE_WIDTH * 0.5;
+    const textMaxWidth = media ? 560 : CENTER_BILLBOARD_BASE_WIDTH - 126;
 
     const scaleX = canvas.width / CENTER_BILLBOARD_BASE_WIDTH;
     const scaleY = canvas.height / CENTER_BILLBOARD_BASE_HEIGHT;
@@ -4971,11 +5196,11 @@ export class GameRuntime {
       this.drawBillboardWrappedText(
         context,
         explanationText || "해설이 없습니다.",
-        CENTER_BILLBOARD_BASE_WIDTH * 0.5,
-        304,
-        CENTER_BILLBOARD_BASE_WIDTH - 126,
+        textCenterX,
+        distributionTotal > 0 ? 284 : 304,
+        textMaxWidth,
         42,
-        6
+        distributionTotal > 0 ? 5 : 6
       );
     } else {
       const baseY = 282;
@@ -4985,16 +5210,32 @@ export class GameRuntime {
         this.drawBillboardWrappedText(
           context,
           lines[index],
-          CENTER_BILLBOARD_BASE_WIDTH * 0.5,
+          textCenterX,
           baseY + index * 60,
-          CENTER_BILLBOARD_BASE_WIDTH - 150,
+          textMaxWidth - 24,
           48,
           1
         );
       }
     }
 
-    if (footer) {
+    if (media) {
+      this.drawBillboardMedia(context, media, {
+        x: 60,
+        y: 214,
+        width: 300,
+        height: distributionTotal > 0 ? 190 : 230
+      });
+    }
+
+    if (distributionTotal > 0) {
+      this.drawBillboardDistributionBar(context, distribution, distributionTotal, {
+        x: 64,
+        y: CENTER_BILLBOARD_BASE_HEIGHT - 92,
+        width: CENTER_BILLBOARD_BASE_WIDTH - 128,
+        height: 46
+      });
+    } else if (footer) {
       context.fillStyle = "#a7c8ee";
       context.font = "600 34px 'Segoe UI'";
       context.fillText(footer, CENTER_BILLBOARD_BASE_WIDTH * 0.5, CENTER_BILLBOARD_BASE_HEIGHT - 54);
@@ -5003,6 +5244,135 @@ export class GameRuntime {
 
     this.centerBillboardTexture.needsUpdate = true;
   }
+  drawBillboardMedia(context, media, { x, y, width, height }) {
+    context.fillStyle = "rgba(6, 12, 20, 0.85)";
+    context.fillRect(x, y, width, height);
+    const source = media.element;
+    const sourceWidth = media.kind === "video" ? source?.videoWidth : source?.naturalWidth;
+    const sourceHeight = media.kind === "video" ? source?.videoHeight : source?.naturalHeight;
+    if (media.ready && !media.failed && sourceWidth > 0 && sourceHeight > 0) {
+      const scale = Math.min(width / sourceWidth, height / sourceHeight);
+      const drawWidth = sourceWidth * scale;
+      const drawHeight = sourceHeight * scale;
+      context.drawImage(source, x + (width - drawWidth) * 0.5, y + (height - drawHeight) * 0.5, drawWidth, drawHeight);
+    } else {
+      context.fillStyle = "#8fb3d9";
+      context.font = "700 26px 'Segoe UI'";
+      context.fillText(media.failed ? "미디어를 불러올 수 없음" : "미디어 불러오는 중", x + width * 0.5, y + height * 0.5);
+    }
+    context.strokeStyle = "rgba(220, 236, 255, 0.7)";
+    context.lineWidth = 3;
+    context.strokeRect(x, y, width, height);
+  }
+
+  // Keeps one image or looping muted video per billboard; video wins when both URLs are set.
+  resolveCenterBillboardMedia(rawMedia) {
+    const videoUrl = sanitizeBillboardMediaUrl(rawMedia?.videoUrl ?? "");
+    const imageUrl = sanitizeBillboardMediaUrl(rawMedia?.imageUrl ?? "");
+    const kind = videoUrl ? "video" : imageUrl ? "image" : "none";
+    if (kind === "none") {
+      this.releaseCenterBillboardMedia();
+      return null;
+    }
+    const key = `${kind}:${videoUrl || imageUrl}`;
+    if (this.centerBillboardMedia?.key === key) {
+      return this.centerBillboardMedia;
+    }
+    this.releaseCenterBillboardMedia();
+
+    const media = { key, kind, element: null, ready: false, failed: false, frame: 0 };
+    const settle = (failed) => {
+      if (this.centerBillboardMedia !== media) {
+        return;
+      }
+      media.ready = !failed;
+      media.failed = failed;
+      this.renderCenterBillboard(this.centerBillboardLastPayload ?? {});
+    };
+    if (kind === "video") {
+      const video = document.createElement("video");
+      video.crossOrigin = "anonymous";
+      video.muted = true;
+      video.loop = true;
+      video.playsInline = true;
+      video.preload = "auto";
+      video.setAttribute("playsinline", "");
+      video.addEventListener("loadeddata", () => settle(false), { once: true });
+      video.addEventListener("error", () => settle(true), { once: true });
+      video.src = videoUrl;
+      video.play().catch(() => {});
+      media.element = video;
+    } else {
+      const image = new Image();
+      image.crossOrigin = "anonymous";
+      image.decoding = "async";
+      image.onload = () => settle(false);
+      image.onerror = () => settle(true);
+      image.src = imageUrl;
+      media.element = image;
+    }
+    this.centerBillboardMedia = media;
+    this.centerBillboardMediaClock = 0;
+    return media;
+  }
+
+  releaseCenterBillboardMedia() {
+    const media = this.centerBillboardMedia;
+    if (!media) {
+      return;
+    }
+    this.centerBillboardMedia = null;
+    if (media.kind === "video" && media.element) {
+      media.element.pause();
+      media.element.removeAttribute("src");
+      media.element.load();
+    } else if (media.element) {
+      media.element.onload = null;
+      media.element.onerror = null;
+    }
+  }
+
+  updateCenterBillboardMediaFrame(delta) {
+    const media = this.centerBillboardMedia;
+    if (!media || media.kind !== "video" || !media.ready || media.failed || media.element?.paused) {
+      return;
+    }
+    this.centerBillboardMediaClock += delta;
+    if (this.centerBillboardMediaClock < CENTER_BILLBOARD_VIDEO_FRAME_SECONDS) {
+      return;
+    }
+    this.centerBillboardMediaClock = 0;
+    media.frame += 1;
+    this.renderCenterBillboard(this.centerBillboardLastPayload ?? {});
+  }
+
+  drawBillboardDistributionBar(context, segments, total, { x, y, width, height }) {
+    context.fillStyle = "rgba(6, 12, 20, 0.85)";
+    context.fillRect(x, y, width, height);
+    context.font = "800 28px 'Segoe UI'";
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    let cursor = x;
+    for (const segment of segments) {
+      const count = Math.max(0, Number(segment?.count) || 0);
+      if (count <= 0) {
+        continue;
+      }
+      const segmentWidth = (count / total) * width;
+      context.fillStyle = segment.color;
+      context.fillRect(cursor, y, segmentWidth, height);
+      const label = `${segment.label} ${count}`;
+      if (context.measureText(label).width + 12 <= segmentWidth) {
+        context.fillStyle = "#ffffff";
+        context.fillText(label, cursor + segmentWidth * 0.5, y + height * 0.5);
+      }
+      cursor += segmentWidth;
+    }
+    context.strokeStyle = "rgba(220, 236, 255, 0.7)";
+    context.lineWidth = 3;
+    context.strokeRect(x, y, width, height);
+  }
+
   drawBillboardWrappedText(context, rawText, x, y, maxWidth, lineHeight, maxLines = 1) {
     const text = String(rawText ?? "").trim();
     if (!text) {
@@ -5053,10 +5423,15 @@ export class GameRuntime {
       texture?.dispose?.();
     }
     this.oxArenaTextures.length = 0;
-    this.oxTrapdoors.o = null;
-    this.oxTrapdoors.x = null;
+    this.oxTrapdoors = {
+      o: null,
+      x: null
+    };
+    this.oxBinaryZoneGroup = null;
+    this.oxChoiceZoneGroup = null;
+    this.oxChoiceZones = [];
     this.oxTrapdoorAnim.active = false;
-    this.oxTrapdoorAnim.loserSide = null;
+    this.oxTrapdoorAnim.loserSides = [];
     this.oxTrapdoorAnim.elapsed = 0;
   }
 
@@ -5116,10 +5491,12 @@ export class GameRuntime {
     }
 
     const group = new THREE.Group();
+    const binaryGroup = new THREE.Group();
+    group.add(binaryGroup);
     const textY = Math.max(0.04, Number(config.textY) || 0.08);
 
-    const createZonePlate = (zoneConfig = {}, fallbackCenterX = 0) => {
-      const width = Math.max(20, Number(zoneConfig.width) || 62);
+    const createZonePlate = (zoneConfig = {}, fallbackCenterX = 0, parent = binaryGroup) => {
+      const width = Math.max(8, Number(zoneConfig.width) || 62);
       const depth = Math.max(30, Number(zoneConfig.depth) || 110);
       const centerX = Number.isFinite(Number(zoneConfig.centerX)) ? Number(zoneConfig.centerX) : fallbackCenterX;
       const centerZ = Number.isFinite(Number(zoneConfig.centerZ)) ? Number(zoneConfig.centerZ) : 0;
@@ -5137,7 +5514,7 @@ export class GameRuntime {
       trapdoor.position.set(centerX, -0.03, centerZ);
       trapdoor.receiveShadow = true;
       trapdoor.castShadow = !this.mobileEnabled;
-      group.add(trapdoor);
+      parent.add(trapdoor);
 
       const plate = new THREE.Mesh(
         new THREE.PlaneGeometry(width, depth),
@@ -5155,7 +5532,7 @@ export class GameRuntime {
       plate.position.set(centerX, 0.07, centerZ);
       plate.receiveShadow = true;
       plate.renderOrder = 8;
-      group.add(plate);
+      parent.add(plate);
 
       const pit = new THREE.Mesh(
         new THREE.PlaneGeometry(width * 0.92, depth * 0.92),
@@ -5169,7 +5546,7 @@ export class GameRuntime {
       pit.rotation.x = -Math.PI / 2;
       pit.position.set(centerX, -8.8, centerZ);
       pit.visible = false;
-      group.add(pit);
+      parent.add(pit);
 
       return { plate, trapdoor, pit, centerX, centerZ, width, depth };
     };
@@ -5188,7 +5565,7 @@ export class GameRuntime {
       closedY: xZone.trapdoor.position.y
     };
     this.oxTrapdoorAnim.active = false;
-    this.oxTrapdoorAnim.loserSide = null;
+    this.oxTrapdoorAnim.loserSides = [];
     this.oxTrapdoorAnim.elapsed = 0;
 
     const dividerWidth = Math.max(0.8, Number(config.dividerWidth) || 2.2);
@@ -5207,7 +5584,7 @@ export class GameRuntime {
     divider.position.set(0, dividerHeight * 0.5 + 0.025, 0);
     divider.castShadow = !this.mobileEnabled;
     divider.receiveShadow = true;
-    group.add(divider);
+    binaryGroup.add(divider);
 
     const oLetter = this.createArenaTextMesh("O", {
       width: Math.max(10, oZone.width * 0.56),
@@ -5219,7 +5596,7 @@ export class GameRuntime {
     if (oLetter) {
       oLetter.rotation.x = -Math.PI / 2;
       oLetter.position.set(oZone.centerX, textY, oZone.centerZ);
-      group.add(oLetter);
+      binaryGroup.add(oLetter);
     }
 
     const xLetter = this.createArenaTextMesh("X", {
@@ -5232,8 +5609,35 @@ export class GameRuntime {
     if (xLetter) {
       xLetter.rotation.x = -Math.PI / 2;
       xLetter.position.set(xZone.centerX, textY, xZone.centerZ);
-      group.add(xLetter);
+      binaryGroup.add(xLetter);
+    }
+
+    const choiceGroup = new THREE.Group();
+    choiceGroup.visible = false;
+    group.add(choiceGroup);
+    for (const { key, config: zoneConfig } of orderQuizChoiceZoneConfigs(config.choiceZones)) {
+      const zoneGroup = new THREE.Group();
+      choiceGroup.add(zoneGroup);
+      const zone = createZonePlate(zoneConfig, 0, zoneGroup);
+      this.oxTrapdoors[key.toLowerCase()] = {
+        mesh: zone.trapdoor,
+        pit: zone.pit,
+        closedY: zone.trapdoor.position.y
+      };
+      const letter = this.createArenaTextMesh(key, {
+        width: Math.max(8, zone.width * 0.72),
+        height: Math.max(8, zone.width * 0.72),
+        fontSize: 520
+      });
+      if (letter) {
+        letter.rotation.x = -Math.PI / 2;
+        letter.position.set(zone.centerX, textY, zone.centerZ);
+        zoneGroup.add(letter);
+      }
+      this.oxChoiceZones.push({ key, group: zoneGroup, ...zone });
     }
+    this.oxBinaryZoneGroup = binaryGroup;
+    this.oxChoiceZoneGroup = choiceGroup;
 
     const zoneMinX = Math.min(
       oZone.centerX - oZone.width * 0.5,
@@ -5398,9 +5802,22 @@ export class GameRuntime {
     this.scene.add(this.oxArenaGroup);
   }
 
+  setOxArenaChoiceCount(optionCount = 0) {
+    const count = Math.max(0, Math.min(this.oxChoiceZones.length, Math.trunc(Number(optionCount) || 0)));
+    const choiceMode = count >= 2;
+    if (this.oxBinaryZoneGroup) {
+      this.oxBinaryZoneGroup.visible = !choiceMode;
+    }
+    if (this.oxChoiceZoneGroup) {
+      this.oxChoiceZoneGroup.visible = choiceMode;
+    }
+    for (let index = 0; index < this.oxChoiceZones.length; index += 1) {
+      this.oxChoiceZones[index].group.visible = choiceMode && index < count;
+    }
+  }
+
   resetTrapdoors() {
-    const entries = [this.oxTrapdoors.o, this.oxTrapdoors.x];
-    for (const entry of entries) {
+    for (const entry of Object.values(this.oxTrapdoors)) {
       if (!entry?.mesh) {
         continue;
       }
@@ -5416,26 +5833,35 @@ export class GameRuntime {
       }
     }
     this.oxTrapdoorAnim.active = false;
-    this.oxTrapdoorAnim.loserSide = null;
+    this.oxTrapdoorAnim.loserSides = [];
     this.oxTrapdoorAnim.elapsed = 0;
   }
 
-  triggerTrapdoorForAnswer(answer) {
+  triggerTrapdoorForAnswer(answer, options = []) {
     const normalized = String(answer ?? "").trim().toUpperCase();
-    const loserSide = normalized === "O" ? "x" : normalized === "X" ? "o" : null;
-    if (!loserSide) {
+    const optionCount = Array.isArray(options) ? options.length : 0;
+    const sides =
+      optionCount >= 2
+        ? OX_CHOICE_ZONE_KEYS.slice(0, optionCount).map((key) => key.toLowerCase())
+        : ["o", "x"];
+    if (!sides.includes(normalized.toLowerCase())) {
       return;
     }
-    const loser = this.oxTrapdoors[loserSide];
-    if (!loser?.mesh) {
+    const loserSides = sides.filter(
+      (side) => side !== normalized.toLowerCase() && this.oxTrapdoors[side]?.mesh
+    );
+    if (loserSides.length === 0) {
       return;
     }
     this.resetTrapdoors();
-    if (loser.pit) {
-      loser.pit.visible = true;
+    for (const side of loserSides) {
+      const pit = this.oxTrapdoors[side].pit;
+      if (pit) {
+        pit.visible = true;
+      }
     }
     this.oxTrapdoorAnim.active = true;
-    this.oxTrapdoorAnim.loserSide = loserSide;
+    this.oxTrapdoorAnim.loserSides = loserSides;
     this.oxTrapdoorAnim.elapsed = 0;
     this.oxTrapdoorAnim.duration = 1.05;
   }
@@ -5444,9 +5870,10 @@ export class GameRuntime {
     if (!this.oxTrapdoorAnim.active) {
       return;
     }
-    const side = this.oxTrapdoorAnim.loserSide;
-    const loser = side ? this.oxTrapdoors[side] : null;
-    if (!loser?.mesh) {
+    const losers = this.oxTrapdoorAnim.loserSides
+      .map((side) => this.oxTrapdoors[side])
+      .filter((entry) => entry?.mesh);
+    if (losers.length === 0) {
       this.oxTrapdoorAnim.active = false;
       return;
     }
@@ -5458,10 +5885,12 @@ export class GameRuntime {
       1
     );
     const eased = 1 - Math.pow(1 - t, 3);
-    loser.mesh.position.y = loser.closedY - eased * 11.5;
-    loser.mesh.rotation.x = -eased * 0.28;
-    if (loser.pit?.material) {
-      loser.pit.material.opacity = 0.22 + eased * 0.56;
+    for (const loser of losers) {
+      loser.mesh.position.y = loser.closedY - eased * 11.5;
+      loser.mesh.rotation.x = -eased * 0.28;
+      if (loser.pit?.material) {
+        loser.pit.material.opacity = 0.22 + eased * 0.56;
+      }
     }
     if (t >= 1) {
       this.oxTrapdoorAnim.active = false;
@@ -6169,6 +6598,14 @@ export class GameRuntime {
         return;
       }
 
+      const predictionIndex = this.canSubmitQuizPrediction() ? this.getColorDigitIndex(event.code) : -1;
+      const predictionChoice = this.getQuizPredictionChoices()[predictionIndex];
+      if (predictionChoice) {
+        event.preventDefault();
+        this.requestQuizPrediction(predictionChoice);
+        return;
+      }
+
       if (MOVEMENT_KEY_CODES.has(event.code)) {
         event.preventDefault();
       }
@@ -6481,6 +6918,21 @@ export class GameRuntime {
     this.quizLockBtnEl?.addEventListener("click", () => {
       this.requestQuizLock();
     });
+    this.quizPauseBtnEl?.addEventListener("click", () => {
+      this.requestQuizPauseToggle();
+    });
+    this.quizVoidBtnEl?.addEventListener("click", () => {
+      this.requestQuizVoidQuestion();
+    });
+    this.quizDistributionBtnEl?.addEventListener("click", () => {
+      this.requestQuizDistributionToggle();
+    });
+    this.predictionChoicesEl?.addEventListener("click", (event) => {
+      const button = event.target?.closest?.("button[data-choice]");
+      if (button) {
+        this.requestQuizPrediction(button.dataset.choice);
+      }
+    });
     this.moderationPanelToggleBtnEl?.addEventListener("click", () => {
       this.toggleModerationPanel();
     });
@@ -6496,6 +6948,24 @@ export class GameRuntime {
     this.moderationUnmuteBtnEl?.addEventListener("click", () => {
       this.requestHostSetChatMuted(false);
     });
+    this.moderationBotAddBtnEl?.addEventListener("click", () => {
+      this.requestHostAddBot();
+    });
+    this.moderationBotClearBtnEl?.addEventListener("click", () => {
+      this.requestHostClearBots();
+    });
+    this.moderationTeamToggleBtnEl?.addEventListener("click", () => {
+      this.requestHostConfigureTeams({ enabled: this.teamState.enabled !== true });
+    });
+    this.moderationTeamCountSelectEl?.addEventListener("change", () => {
+      this.requestHostConfigureTeams({ count: Number(this.moderationTeamCountSelectEl.value) });
+    });
+    this.moderationTeamScoringSelectEl?.addEventListener("change", () => {
+      this.requestHostConfigureTeams({ scoring: this.moderationTeamScoringSelectEl.value });
+    });
+    this.moderationTeamAssignBtnEl?.addEventListener("click", () => {
+      this.requestHostAssignTeam();
+    });
     this.portalTargetSaveBtnEl?.addEventListener("click", () => {
       this.requestPortalTargetSave();
     });
@@ -6508,17 +6978,54 @@ export class GameRuntime {
     this.quizConfigResetBtnEl?.addEventListener("click", () => {
       this.resetQuizConfigEditor();
     });
-    this.quizCategoryTukgalLoadBtnEl?.addEventListener("click", () => {
-      this.loadQuizCategory("특갤");
+    this.quizBankSelectEl?.addEventListener("change", () => {
+      this.syncQuizBankFormFromSelection();
+    });
+    this.quizBankFilterInputEl?.addEventListener("change", () => {
+      this.fetchQuizBankList();
+    });
+    this.quizBankLoadBtnEl?.addEventListener("click", () => {
+      this.requestQuizBankLoad();
+    });
+    this.quizBankDeleteBtnEl?.addEventListener("click", () => {
+      this.requestQuizBankDelete();
+    });
+    this.quizBankTagBtnEl?.addEventListener("click", () => {
+      this.requestQuizBankTag();
+    });
+    this.quizBankSaveBtnEl?.addEventListener("click", () => {
+      this.requestQuizBankSave();
+    });
+    this.quizScheduleRepeatSelectEl?.addEventListener("change", () => {
+      this.syncRoomScheduleCronInput();
     });
-    this.quizCategoryTukgalSaveBtnEl?.addEventListener("click", () => {
-      this.saveQuizCategory("특갤");
+    this.quizScheduleSaveBtnEl?.addEventListener("click", () => {
+      this.requestRoomScheduleSave();
     });
-    this.quizCategoryHistoryLoadBtnEl?.addEventListener("click", () => {
-      this.loadQuizCategory("역사상식");
+    this.quizScheduleClearBtnEl?.addEventListener("click", () => {
+      this.requestRoomScheduleClear();
     });
-    this.quizCategoryHistorySaveBtnEl?.addEventListener("click", () => {
-      this.saveQuizCategory("역사상식");
+    this.quizImportBtnEl?.addEventListener("click", () => {
+      this.openQuizImportPicker();
+    });
+    this.quizImportFileInputEl?.addEventListener("change", () => {
+      const file = this.quizImportFileInputEl?.files?.[0] ?? null;
+      if (file) {
+        void this.handleQuizImportFile(file);
+      }
+    });
+    this.quizImportApplyBtnEl?.addEventListener("click", () => {
+      this.applyQuizImportPreview();
+    });
+    this.quizImportCancelBtnEl?.addEventListener("click", () => {
+      this.clearQuizImportPreview();
+      this.setQuizConfigStatus("가져오기를 취소했습니다.");
+    });
+    this.quizExportCsvBtnEl?.addEventListener("click", () => {
+      this.exportQuizConfigFile("csv");
+    });
+    this.quizExportJsonBtnEl?.addEventListener("click", () => {
+      this.exportQuizConfigFile("json");
     });
     this.billboardMediaApplyBtnEl?.addEventListener("click", () => {
       this.requestBillboardMediaApply(false);
@@ -6556,7 +7063,10 @@ export class GameRuntime {
     this.quizQuestionListEl?.addEventListener("input", () => {
       this.persistQuizConfigDraft({ immediate: false, updateState: true });
     });
-    this.quizQuestionListEl?.addEventListener("change", () => {
+    this.quizQuestionListEl?.addEventListener("change", (event) => {
+      if (event.target?.dataset?.mediaField) {
+        this.refreshQuizQuestionMediaPreview(event.target.closest(".quiz-question-row"));
+      }
       this.persistQuizConfigDraft({ immediate: false, updateState: true });
     });
     this.quizAutoFinishInputEl?.addEventListener("change", () => {
@@ -6565,6 +7075,21 @@ export class GameRuntime {
     this.quizOppositeBillboardInputEl?.addEventListener("change", () => {
       this.persistQuizConfigDraft({ immediate: false, updateState: true });
     });
+    this.quizModeSelectEl?.addEventListener("change", () => {
+      this.persistQuizConfigDraft({ immediate: false, updateState: true });
+    });
+    this.quizShieldsSelectEl?.addEventListener("change", () => {
+      this.persistQuizConfigDraft({ immediate: false, updateState: true });
+    });
+    this.quizPoolToolbarEl?.addEventListener("change", () => {
+      this.persistQuizConfigDraft({ immediate: false, updateState: true });
+    });
+    this.quizTiebreakerInputEl?.addEventListener("change", () => {
+      this.persistQuizConfigDraft({ immediate: false, updateState: true });
+    });
+    this.quizReserveInputEl?.addEventListener("change", () => {
+      this.persistQuizConfigDraft({ immediate: false, updateState: true });
+    });
     this.quizReviewCloseBtnEl?.addEventListener("click", () => {
       this.closeQuizReviewModal();
     });
@@ -6637,6 +7162,24 @@ export class GameRuntime {
     if (!this.quizLockBtnEl) {
       this.quizLockBtnEl = document.getElementById("quiz-lock-btn");
     }
+    if (!this.quizPauseBtnEl) {
+      this.quizPauseBtnEl = document.getElementById("quiz-pause-btn");
+    }
+    if (!this.quizVoidBtnEl) {
+      this.quizVoidBtnEl = document.getElementById("quiz-void-btn");
+    }
+    if (!this.quizDistributionBtnEl) {
+      this.quizDistributionBtnEl = document.getElementById("quiz-distribution-btn");
+    }
+    if (!this.predictionPanelEl) {
+      this.predictionPanelEl = document.getElementById("prediction-panel");
+    }
+    if (!this.predictionChoicesEl) {
+      this.predictionChoicesEl = document.getElementById("prediction-choices");
+    }
+    if (!this.predictionStatusEl) {
+      this.predictionStatusEl = document.getElementById("prediction-status");
+    }
     if (!this.moderationPanelToggleBtnEl) {
       this.moderationPanelToggleBtnEl = document.getElementById("moderation-panel-toggle-btn");
     }
@@ -6655,6 +7198,27 @@ export class GameRuntime {
     if (!this.moderationUnmuteBtnEl) {
       this.moderationUnmuteBtnEl = document.getElementById("moderation-unmute-btn");
     }
+    if (!this.moderationBotAddBtnEl) {
+      this.moderationBotAddBtnEl = document.getElementById("moderation-bot-add-btn");
+    }
+    if (!this.moderationBotClearBtnEl) {
+      this.moderationBotClearBtnEl = document.getElementById("moderation-bot-clear-btn");
+    }
+    if (!this.moderationTeamToggleBtnEl) {
+      this.moderationTeamToggleBtnEl = document.getElementById("moderation-team-toggle-btn");
+    }
+    if (!this.moderationTeamCountSelectEl) {
+      this.moderationTeamCountSelectEl = document.getElementById("moderation-team-count-select");
+    }
+    if (!this.moderationTeamScoringSelectEl) {
+      this.moderationTeamScoringSelectEl = document.getElementById("moderation-team-scoring-select");
+    }
+    if (!this.moderationTeamSelectEl) {
+      this.moderationTeamSelectEl = document.getElementById("moderation-team-select");
+    }
+    if (!this.moderationTeamAssignBtnEl) {
+      this.moderationTeamAssignBtnEl = document.getElementById("moderation-team-assign-btn");
+    }
     if (!this.quizControlsNoteEl) {
       this.quizControlsNoteEl = document.getElementById("quiz-controls-note");
     }
@@ -6733,17 +7297,59 @@ export class GameRuntime {
     if (!this.quizConfigResetBtnEl) {
       this.quizConfigResetBtnEl = document.getElementById("quiz-config-reset-btn");
     }
-    if (!this.quizCategoryTukgalLoadBtnEl) {
-      this.quizCategoryTukgalLoadBtnEl = document.getElementById("quiz-category-tukgal-load-btn");
+    if (!this.quizBankSelectEl) {
+      this.quizBankSelectEl = document.getElementById("quiz-bank-select");
+    }
+    if (!this.quizBankFilterInputEl) {
+      this.quizBankFilterInputEl = document.getElementById("quiz-bank-filter-input");
+    }
+    if (!this.quizBankLoadBtnEl) {
+      this.quizBankLoadBtnEl = document.getElementById("quiz-bank-load-btn");
+    }
+    if (!this.quizBankDeleteBtnEl) {
+      this.quizBankDeleteBtnEl = document.getElementById("quiz-bank-delete-btn");
+    }
+    if (!this.quizBankNameInputEl) {
+      this.quizBankNameInputEl = document.getElementById("quiz-bank-name-input");
+    }
+    if (!this.quizBankTagsInputEl) {
+      this.quizBankTagsInputEl = document.getElementById("quiz-bank-tags-input");
+    }
+    if (!this.quizBankTagBtnEl) {
+      this.quizBankTagBtnEl = document.getElementById("quiz-bank-tag-btn");
+    }
+    if (!this.quizBankSaveBtnEl) {
+      this.quizBankSaveBtnEl = document.getElementById("quiz-bank-save-btn");
+    }
+    if (!this.quizImportFileInputEl) {
+      this.quizImportFileInputEl = document.getElementById("quiz-import-file-input");
+    }
+    if (!this.quizImportBtnEl) {
+      this.quizImportBtnEl = document.getElementById("quiz-import-btn");
+    }
+    if (!this.quizExportCsvBtnEl) {
+      this.quizExportCsvBtnEl = document.getElementById("quiz-export-csv-btn");
     }
-    if (!this.quizCategoryTukgalSaveBtnEl) {
-      this.quizCategoryTukgalSaveBtnEl = document.getElementById("quiz-category-tukgal-save-btn");
+    if (!this.quizExportJsonBtnEl) {
+      this.quizExportJsonBtnEl = document.getElementById("quiz-export-json-btn");
     }
-    if (!this.quizCategoryHistoryLoadBtnEl) {
-      this.quizCategoryHistoryLoadBtnEl = document.getElementById("quiz-category-history-load-btn");
+    if (!this.quizImportPreviewEl) {
+      this.quizImportPreviewEl = document.getElementById("quiz-import-preview");
     }
-    if (!this.quizCategoryHistorySaveBtnEl) {
-      this.quizCategoryHistorySaveBtnEl = document.getElementById("quiz-category-history-save-btn");
+    if (!this.quizImportSummaryEl) {
+      this.quizImportSummaryEl = document.getElementById("quiz-import-summary");
+    }
+    if (!this.quizImportErrorsEl) {
+      this.quizImportErrorsEl = document.getElementById("quiz-import-errors");
+    }
+    if (!this.quizImportQuestionsEl) {
+      this.quizImportQuestionsEl = document.getElementById("quiz-import-questions");
+    }
+    if (!this.quizImportApplyBtnEl) {
+      this.quizImportApplyBtnEl = document.getElementById("quiz-import-apply-btn");
+    }
+    if (!this.quizImportCancelBtnEl) {
+      this.quizImportCancelBtnEl = document.getElementById("quiz-import-cancel-btn");
     }
     if (!this.quizSlotCountInputEl) {
       this.quizSlotCountInputEl = document.getElementById("quiz-slot-count-input");
@@ -6754,6 +7360,51 @@ export class GameRuntime {
     if (!this.quizOppositeBillboardInputEl) {
       this.quizOppositeBillboardInputEl = document.getElementById("quiz-opposite-billboard-input");
     }
+    if (!this.quizModeSelectEl) {
+      this.quizModeSelectEl = document.getElementById("quiz-mode-select");
+    }
+    if (!this.quizTiebreakerInputEl) {
+      this.quizTiebreakerInputEl = document.getElementById("quiz-tiebreaker-input");
+    }
+    if (!this.quizBotsCanWinInputEl) {
+      this.quizBotsCanWinInputEl = document.getElementById("quiz-bots-can-win-input");
+    }
+    if (!this.quizShieldsSelectEl) {
+      this.quizShieldsSelectEl = document.getElementById("quiz-shields-select");
+    }
+    if (!this.quizPoolToolbarEl) {
+      this.quizPoolToolbarEl = document.getElementById("quiz-pool-toolbar");
+    }
+    if (!this.quizPoolCategoryInputEl) {
+      this.quizPoolCategoryInputEl = document.getElementById("quiz-pool-category-input");
+    }
+    if (!this.quizPoolAdaptiveInputEl) {
+      this.quizPoolAdaptiveInputEl = document.getElementById("quiz-pool-adaptive-input");
+    }
+    if (!this.quizScheduleStartInputEl) {
+      this.quizScheduleStartInputEl = document.getElementById("quiz-schedule-start-input");
+    }
+    if (!this.quizScheduleRepeatSelectEl) {
+      this.quizScheduleRepeatSelectEl = document.getElementById("quiz-schedule-repeat-select");
+    }
+    if (!this.quizScheduleCronInputEl) {
+      this.quizScheduleCronInputEl = document.getElementById("quiz-schedule-cron-input");
+    }
+    if (!this.quizScheduleLeadInputEl) {
+      this.quizScheduleLeadInputEl = document.getElementById("quiz-schedule-lead-input");
+    }
+    if (!this.quizScheduleSaveBtnEl) {
+      this.quizScheduleSaveBtnEl = document.getElementById("quiz-schedule-save-btn");
+    }
+    if (!this.quizScheduleClearBtnEl) {
+      this.quizScheduleClearBtnEl = document.getElementById("quiz-schedule-clear-btn");
+    }
+    if (!this.quizScheduleStatusEl) {
+      this.quizScheduleStatusEl = document.getElementById("quiz-schedule-status");
+    }
+    if (!this.quizReserveInputEl) {
+      this.quizReserveInputEl = document.getElementById("quiz-reserve-input");
+    }
     if (!this.quizQuestionListEl) {
       this.quizQuestionListEl = document.getElementById("quiz-question-list");
     }
@@ -7058,6 +7709,10 @@ export class GameRuntime {
             admitted: player?.admitted !== false,
             queuedForAdmission: player?.queuedForAdmission === true,
             chatMuted: player?.chatMuted === true,
+            reconnecting: player?.reconnecting === true,
+            bot: player?.bot === true,
+            teamId: player?.teamId ?? null,
+            shields: Math.max(0, Math.trunc(Number(player?.shields) || 0)),
             score,
             isHost: id === String(this.quizState.hostId ?? ""),
             spectator: player?.spectator === true,
@@ -7139,6 +7794,12 @@ export class GameRuntime {
         .join(", ")}`;
       fragment.appendChild(hostLine);
     }
+    if (this.teamBoard.length > 0) {
+      const teamLine = document.createElement("div");
+      teamLine.className = "roster-team-line";
+      teamLine.textContent = `팀 점수: ${this.formatTeamStandings(this.teamBoard)}`;
+      fragment.appendChild(teamLine);
+    }
 
     const createSlotSection = (title, entries, slotCount, kind = "participant") => {
       const totalSlots = Math.max(0, Math.trunc(Number(slotCount) || 0), entries.length);
@@ -7174,6 +7835,12 @@ export class GameRuntime {
         if (entry?.chatMuted === true) {
           slot.classList.add("muted");
         }
+        if (entry?.reconnecting === true) {
+          slot.classList.add("reconnecting");
+        }
+        if (entry?.bot === true) {
+          slot.classList.add("bot");
+        }
 
         const slotIndexEl = document.createElement("span");
         slotIndexEl.className = "roster-slot-index";
@@ -7182,6 +7849,27 @@ export class GameRuntime {
         const slotNameEl = document.createElement("span");
         slotNameEl.className = "roster-slot-name";
         slotNameEl.textContent = entry ? (entry.isMe ? `${entry.name} (나)` : entry.name) : "-";
+        if (entry?.bot === true) {
+          const botBadgeEl = document.createElement("span");
+          botBadgeEl.className = "roster-bot-badge";
+          botBadgeEl.textContent = "BOT";
+          slotNameEl.prepend(botBadgeEl);
+        }
+        const team = entry ? this.findTeamById(entry.teamId) : null;
+        if (team) {
+          const teamBadgeEl = document.createElement("span");
+          teamBadgeEl.className = "roster-team-badge";
+          teamBadgeEl.style.backgroundColor = team.color;
+          teamBadgeEl.textContent = team.name;
+          slotNameEl.prepend(teamBadgeEl);
+        }
+        if (entry && entry.shields > 0 && entry.alive && this.quizState.active) {
+          const shieldBadgeEl = document.createElement("span");
+          shieldBadgeEl.className = "roster-shield-badge";
+          shieldBadgeEl.title = `보호막 ${entry.shields}개`;
+          shieldBadgeEl.textContent = entry.shields > 1 ? `🛡${entry.shields}` : "🛡";
+          slotNameEl.append(shieldBadgeEl);
+        }
 
         const slotStateEl = document.createElement("span");
         slotStateEl.className = "roster-slot-state";
@@ -7198,6 +7886,9 @@ export class GameRuntime {
         } else {
           slotStateEl.textContent = entry.chatMuted === true ? "관전 · 채금" : "관전";
         }
+        if (entry?.reconnecting === true) {
+          slotStateEl.textContent = `${slotStateEl.textContent} · 재접속 중`;
+        }
 
         slot.append(slotIndexEl, slotNameEl, slotStateEl);
         grid.appendChild(slot);
@@ -7216,6 +7907,34 @@ export class GameRuntime {
         createSlotSection("관전자 슬롯", spectators, spectatorSlotCount, "spectator")
       );
     }
+    if (this.spectatorLeaderboard.length > 0) {
+      const section = document.createElement("section");
+      section.className = "roster-slot-section roster-prediction-section";
+      const head = document.createElement("div");
+      head.className = "roster-slot-head";
+      const titleEl = document.createElement("span");
+      titleEl.className = "roster-slot-title";
+      titleEl.textContent = "관전 예측 순위";
+      const countEl = document.createElement("span");
+      countEl.className = "roster-slot-count";
+      countEl.textContent = `${this.spectatorLeaderboard.length}명`;
+      head.append(titleEl, countEl);
+      const list = document.createElement("ol");
+      list.className = "roster-prediction-list";
+      const myId = String(this.localPlayerId ?? "");
+      for (const entry of this.spectatorLeaderboard.slice(0, 10)) {
+        const item = document.createElement("li");
+        item.classList.toggle("me", String(entry?.id ?? "") === myId);
+        const name = this.formatPlayerName(entry?.name);
+        const score = Math.max(0, Math.trunc(Number(entry?.score) || 0));
+        const correct = Math.max(0, Math.trunc(Number(entry?.correctCount) || 0));
+        const attempts = Math.max(0, Math.trunc(Number(entry?.predictionCount) || 0));
+        item.textContent = `${Math.max(1, Math.trunc(Number(entry?.rank) || 1))}위 ${name} ${score}점 (${correct}/${attempts})`;
+        list.appendChild(item);
+      }
+      section.append(head, list);
+      fragment.appendChild(section);
+    }
 
     this.rosterListEl.replaceChildren(fragment);
   }
@@ -8521,9 +9240,10 @@ export class GameRuntime {
       reconnectionDelay: 900,
       reconnectionDelayMax: 5000
     };
-    if (this.socketAuth && typeof this.socketAuth === "object") {
-      ioOptions.auth = this.socketAuth;
-    }
+    ioOptions.auth = {
+      ...(this.socketAuth && typeof this.socketAuth === "object" ? this.socketAuth : {}),
+      deltaEncoding: this.deltaEncoding
+    };
 
     const socket = io(endpoint, ioOptions);
     this.socket = socket;
@@ -8550,6 +9270,7 @@ export class GameRuntime {
     socket.on("disconnect", () => {
       this.networkConnected = false;
       this.chatSendInFlight = false;
+      this.stopServerClockSync();
       this.localPlayerId = null;
       this.keys.clear();
       this.releaseMobileInputs();
@@ -8689,6 +9410,10 @@ export class GameRuntime {
       this.handleQuizQuestion(payload);
     });
 
+    socket.on("quiz:answer-open", (payload = {}) => {
+      this.handleQuizAnswerOpen(payload);
+    });
+
     socket.on("quiz:lock", (payload = {}) => {
       this.handleQuizLock(payload);
     });
@@ -8701,6 +9426,26 @@ export class GameRuntime {
       this.handleQuizScore(payload);
     });
 
+    socket.on("quiz:distribution", (payload = {}) => {
+      this.handleQuizDistribution(payload);
+    });
+
+    socket.on("quiz:tiebreak", (payload = {}) => {
+      this.handleQuizTiebreak(payload);
+    });
+
+    socket.on("quiz:voided", (payload = {}) => {
+      this.handleQuizVoided(payload);
+    });
+
+    socket.on("quiz:paused", (payload = {}) => {
+      this.handleQuizPaused(payload);
+    });
+
+    socket.on("quiz:resumed", (payload = {}) => {
+      this.handleQuizResumed(payload);
+    });
+
     socket.on("quiz:config:update", (payload = {}) => {
       this.handleQuizConfigUpdate(payload);
     });
@@ -8770,11 +9515,76 @@ export class GameRuntime {
       }
       return;
     }
+    const tickRate = Number(payload?.tickRate);
+    if (tickRate > 0) {
+      this.serverTickIntervalMs = 1000 / tickRate;
+    }
+    this.startServerClockSync();
     if (this.lobbyEnabled && this.socketRole === "worker" && this.lobbyNameConfirmed) {
       this.setLobbyStatus("게임 서버에 연결되었습니다. 입장 마무리 중...");
     }
   }
 
+  // Server timestamps (lockAt, prepareEndsAt, autoStartsAt, ...) are compared against this,
+  // never the device clock, which may be minutes off on phones.
+  getServerNow() {
+    return Date.now() + this.serverClockOffsetMs;
+  }
+
+  startServerClockSync() {
+    this.stopServerClockSync();
+    this.serverClockSamples = [];
+    this.requestServerClockSample();
+  }
+
+  stopServerClockSync() {
+    if (this.serverClockSyncTimer !== null) {
+      window.clearTimeout(this.serverClockSyncTimer);
+      this.serverClockSyncTimer = null;
+    }
+    this.serverClockPingInFlight = false;
+  }
+
+  /**
+   * One NTP-style exchange: the server's stamp is assumed to sit halfway through the round
+   * trip. A short burst on connect fills the sample window, then it refreshes periodically.
+   * The offset comes from the lowest-RTT sample, whose midpoint guess is the most reliable.
+   */
+  requestServerClockSample() {
+    const socket = this.socket;
+    if (!socket || !this.networkConnected || this.serverClockPingInFlight) {
+      return;
+    }
+    this.serverClockPingInFlight = true;
+    const sentAt = Date.now();
+    socket.timeout(SERVER_CLOCK_PING_TIMEOUT_MS).emit("clock:ping", {}, (error, response = {}) => {
+      if (socket !== this.socket || !this.serverClockPingInFlight) {
+        return;
+      }
+      this.serverClockPingInFlight = false;
+      const serverTime = Number(response?.serverTime);
+      if (!error && response?.ok && Number.isFinite(serverTime)) {
+        const receivedAt = Date.now();
+        const rttMs = Math.max(0, receivedAt - sentAt);
+        this.serverClockSamples.push({ rttMs, offsetMs: serverTime - (sentAt + rttMs / 2) });
+        if (this.serverClockSamples.length > SERVER_CLOCK_SAMPLE_LIMIT) {
+          this.serverClockSamples.shift();
+        }
+        const best = this.serverClockSamples.reduce((left, right) => (right.rttMs < left.rttMs ? right : left));
+        this.serverClockOffsetMs = best.offsetMs;
+        this.serverClockRttMs = best.rttMs;
+      }
+      const delayMs =
+        this.serverClockSamples.length < SERVER_CLOCK_BURST_SAMPLES
+          ? SERVER_CLOCK_BURST_SPACING_MS
+          : SERVER_CLOCK_SYNC_INTERVAL_MS;
+      this.serverClockSyncTimer = window.setTimeout(() => {
+        this.serverClockSyncTimer = null;
+        this.requestServerClockSample();
+      }, delayMs);
+    });
+  }
+
   handleRouteAssign(payload = {}) {
     this.applyRouteRedirect(payload);
   }
@@ -8847,7 +9657,7 @@ export class GameRuntime {
       openedAt: Math.max(0, Math.trunc(Number(gate?.openedAt) || 0)),
       lastAdmissionAt: Math.max(0, Math.trunc(Number(gate?.lastAdmissionAt) || 0)),
       admissionStartsAt,
-      admissionInProgress: gate?.admissionInProgress === true || admissionStartsAt > Date.now()
+      admissionInProgress: gate?.admissionInProgress === true || admissionStartsAt > this.getServerNow()
     };
     const nowPortalOpen = this.entryGateState?.portalOpen === true;
     if (typeof room?.portalTargetUrl === "string") {
@@ -8856,6 +9666,12 @@ export class GameRuntime {
     if (room && Object.prototype.hasOwnProperty.call(room, "billboardMedia")) {
       this.applyBillboardMediaState(room.billboardMedia ?? {});
     }
+    if (room && Object.prototype.hasOwnProperty.call(room, "teams")) {
+      this.applyTeamState(room.teams);
+    }
+    if (room && Object.prototype.hasOwnProperty.call(room, "schedule")) {
+      this.applyRoomSchedule(room.schedule);
+    }
     const seen = new Set();
     let localSeen = false;
     let localHostSpectator = false;
@@ -8902,13 +9718,14 @@ export class GameRuntime {
           nextAlive &&
           !this.localQuizAlive &&
           this.quizState.active &&
-          this.quizState.phase !== "start"
+          this.quizState.phase !== "start" &&
+          this.quizState.phase !== "tiebreak"
         ) {
           nextAlive = false;
         } else if (
           nextAlive &&
           !this.localQuizAlive &&
-          (!this.quizState.active || this.quizState.phase === "start")
+          (!this.quizState.active || this.quizState.phase === "start" || this.quizState.phase === "tiebreak")
         ) {
           this.localSpectatorMode = false;
           this.localEliminationDrop.active = false;
@@ -8929,6 +9746,8 @@ export class GameRuntime {
         player?.spectator === true,
         player?.admitted !== false
       );
+      this.applyRemoteTeamColor(this.remotePlayers.get(id), player?.teamId);
+      this.applyRemoteShieldBadge(this.remotePlayers.get(id), player?.shields);
     }
 
     for (const id of this.remotePlayers.keys()) {
@@ -9015,22 +9834,93 @@ export class GameRuntime {
     this.hud.setPlayers(this.remotePlayers.size + localPlayer);
   }
 
+  // JSON deltas nest the quantized values in `p`/`r`; binary frames decode to flat fields.
   decodeDeltaState(delta = {}) {
     const state = {};
-    if (Array.isArray(delta.p) && delta.p.length >= 3) {
-      state.x = Number(delta.p[0] || 0) / 100;
-      state.y = Number(delta.p[1] || 0) / 100;
-      state.z = Number(delta.p[2] || 0) / 100;
-    }
-    if (Array.isArray(delta.r) && delta.r.length >= 2) {
-      state.yaw = Number(delta.r[0] || 0) / 1000;
-      state.pitch = Number(delta.r[1] || 0) / 1000;
+    const position =
+      Array.isArray(delta.p) && delta.p.length >= 3
+        ? delta.p
+        : Number.isFinite(delta.px)
+          ? [delta.px, delta.py, delta.pz]
+          : null;
+    const rotation =
+      Array.isArray(delta.r) && delta.r.length >= 2
+        ? delta.r
+        : Number.isFinite(delta.yaw)
+          ? [delta.yaw, delta.pitch]
+          : null;
+    if (position) {
+      state.x = Number(position[0] || 0) / DELTA_POS_SCALE;
+      state.y = Number(position[1] || 0) / DELTA_POS_SCALE;
+      state.z = Number(position[2] || 0) / DELTA_POS_SCALE;
+    }
+    if (rotation) {
+      state.yaw = Number(rotation[0] || 0) / DELTA_ROT_SCALE;
+      state.pitch = Number(rotation[1] || 0) / DELTA_ROT_SCALE;
     }
     return Object.keys(state).length > 0 ? state : null;
   }
 
+  /**
+   * Resolves a binary frame's numeric indices to player ids. Removes are applied to the
+   * index table before intros, because the server may hand a freed index to a newcomer
+   * in the same frame that retires it.
+   */
+  resolveBinaryDelta(raw) {
+    const decoded = decodeBinaryDelta(raw);
+    if (!decoded) {
+      return null;
+    }
+    const removes = [];
+    for (const index of decoded.removes) {
+      const id = this.remoteNetIds.get(index);
+      if (id) {
+        removes.push(id);
+        this.remoteNetIds.delete(index);
+      }
+    }
+    const updates = [];
+    for (const update of decoded.updates) {
+      if (update.id) {
+        this.remoteNetIds.set(update.index, update.id);
+      }
+      const id = this.remoteNetIds.get(update.index);
+      if (id) {
+        updates.push({ ...update, id });
+      }
+    }
+    return { tick: decoded.tick, updates, removes };
+  }
+
+  /**
+   * Maps a delta's server tick onto `performance.now()`. The offset drops straight to any
+   * earlier arrival but only creeps up on later ones, so it follows the fastest packets and
+   * leaves network jitter for the interpolation delay to absorb. A jump of more than a
+   * second (room switch, a tick counter that paused while the room was empty) resyncs it.
+   */
+  resolveServerTickTime(tick) {
+    const tickTime = Number(tick) * this.serverTickIntervalMs;
+    if (!Number.isFinite(tickTime)) {
+      return null;
+    }
+    const sample = performance.now() - tickTime;
+    if (
+      this.serverTickOffsetMs === null ||
+      sample < this.serverTickOffsetMs ||
+      sample - this.serverTickOffsetMs > REMOTE_TICK_RESYNC_MS
+    ) {
+      this.serverTickOffsetMs = sample;
+    } else {
+      this.serverTickOffsetMs += (sample - this.serverTickOffsetMs) * 0.02;
+    }
+    return tickTime + this.serverTickOffsetMs;
+  }
+
   handleRemoteDelta(payload = {}) {
-    const updates = Array.isArray(payload?.updates) ? payload.updates : [];
+    const delta =
+      payload instanceof ArrayBuffer || ArrayBuffer.isView(payload) ? this.resolveBinaryDelta(payload) : payload;
+    const snapshotTime = Number.isFinite(Number(delta?.tick)) ? this.resolveServerTickTime(delta.tick) : null;
+    const updates = Array.isArray(delta?.updates) ? delta.updates : [];
     for (const update of updates) {
       const id = String(update?.id ?? "");
       if (!id || id === this.localPlayerId) {
@@ -9039,10 +9929,10 @@ export class GameRuntime {
       const state = this.decodeDeltaState(update);
       const nextAlive =
         Object.prototype.hasOwnProperty.call(update, "a") ? Number(update.a) !== 0 : null;
-      this.upsertRemotePlayer(id, state, update?.n, nextAlive);
+      this.upsertRemotePlayer(id, state, update?.n, nextAlive, null, null, snapshotTime);
     }
 
-    const removes = Array.isArray(payload?.removes) ? payload.removes : [];
+    const removes = Array.isArray(delta?.removes) ? delta.removes : [];
     for (const entry of removes) {
       const id = String(entry ?? "");
       if (!id || id === this.localPlayerId) {
@@ -9055,6 +9945,40 @@ export class GameRuntime {
     this.hud.setPlayers(this.remotePlayers.size + localPlayer);
   }
 
+  /**
+   * Replays the movement the server has not processed yet on top of its authoritative
+   * position. History up to the acknowledged sequence is dropped, but the acknowledged entry
+   * itself is kept so a second correction for the same sequence still finds its anchor.
+   * An unknown sequence (fresh join, or older than the history) replays nothing.
+   */
+  reconcileServerCorrection(target, ackSeq) {
+    const history = this.localInputHistory;
+    const anchor = history.findIndex((entry) => entry.seq === ackSeq);
+    if (ackSeq < 0 || anchor < 0) {
+      history.length = 0;
+      this.pendingInputDelta.set(0, 0, 0);
+      return target;
+    }
+    history.splice(0, anchor);
+
+    const worldLimit = this.getBoundaryHardLimit();
+    const readingHold = this.getQuizReadingHoldBounds();
+    const replay = (dx, dy, dz) => {
+      target.x = THREE.MathUtils.clamp(target.x + dx, -worldLimit, worldLimit);
+      target.z = THREE.MathUtils.clamp(target.z + dz, -worldLimit, worldLimit);
+      target.y = Math.max(GAME_CONSTANTS.PLAYER_HEIGHT, target.y + dy);
+      if (readingHold) {
+        target.x = THREE.MathUtils.clamp(target.x, readingHold.minX, readingHold.maxX);
+        target.z = THREE.MathUtils.clamp(target.z, readingHold.minZ, readingHold.maxZ);
+      }
+    };
+    for (let index = 1; index < history.length; index += 1) {
+      replay(history[index].dx, history[index].dy, history[index].dz);
+    }
+    replay(this.pendingInputDelta.x, this.pendingInputDelta.y, this.pendingInputDelta.z);
+    return target;
+  }
+
   handleServerCorrection(payload = {}) {
     const state = payload?.state;
     if (!state) {
@@ -9064,12 +9988,21 @@ export class GameRuntime {
       this.performanceDebug.flags.correctionCount += 1;
     }
 
-    const nextX = Number(state.x);
-    const nextY = Number(state.y);
-    const nextZ = Number(state.z);
-    if (!Number.isFinite(nextX) || !Number.isFinite(nextY) || !Number.isFinite(nextZ)) {
+    if (
+      !Number.isFinite(Number(state.x)) ||
+      !Number.isFinite(Number(state.y)) ||
+      !Number.isFinite(Number(state.z))
+    ) {
       return;
     }
+    const ackSeq = Number.isFinite(Number(payload?.seq)) ? Math.trunc(Number(payload.seq)) : -1;
+    const predicted = this.reconcileServerCorrection(
+      this.serverCorrectionTarget.set(Number(state.x), Number(state.y), Number(state.z)),
+      ackSeq
+    );
+    const nextX = predicted.x;
+    const nextY = predicted.y;
+    const nextZ = predicted.z;
 
     const distance = Math.hypot(
       nextX - this.playerPosition.x,
@@ -9087,7 +10020,7 @@ export class GameRuntime {
       const blend = this.mobileEnabled
         ? THREE.MathUtils.clamp(0.1 + (distance / 2.6) * 0.25, 0.1, 0.35)
         : THREE.MathUtils.clamp(0.05 + (distance / 2.6) * 0.16, 0.05, 0.21);
-      this.playerPosition.lerp(this.serverCorrectionTarget.set(nextX, nextY, nextZ), blend);
+      this.playerPosition.lerp(predicted, blend);
     }
     let correctedYawOrPitch = false;
     const recentLookInput =
@@ -9121,7 +10054,7 @@ export class GameRuntime {
     this.camera.rotation.x = this.pitch;
   }
 
-  upsertRemotePlayer(id, state, name, alive = null, spectator = null, admitted = null) {
+  upsertRemotePlayer(id, state, name, alive = null, spectator = null, admitted = null, snapshotTime = null) {
     let remote = this.remotePlayers.get(id);
     if (!remote) {
       const root = new THREE.Group();
@@ -9161,10 +10094,13 @@ export class GameRuntime {
         name: defaultRemoteName,
         alive: true,
         spectator: false,
+        shields: 0,
         admitted: true,
         chatExpireAt: 0,
         targetPosition: new THREE.Vector3(0, 0, 0),
         targetYaw: 0,
+        snapshots: [],
+        snapshotGapMs: 0,
         lastSeen: performance.now()
       };
 
@@ -9175,11 +10111,16 @@ export class GameRuntime {
       const nextName = this.formatPlayerName(name);
       if (nextName !== remote.name) {
         remote.name = nextName;
-        this.setTextLabel(remote.nameLabel, nextName, "name");
+        this.setTextLabel(remote.nameLabel, this.getRemoteNameText(remote), "name");
       }
     }
 
-    if (state) {
+    if (state && Number.isFinite(snapshotTime)) {
+      this.pushRemoteSnapshot(remote, state, snapshotTime);
+      remote.lastSeen = performance.now();
+    } else if (state && remote.snapshots.length <= 0) {
+      // Untimed states (roster, legacy sync) only place a remote the deltas have not reached;
+      // once snapshots exist they would rewind the interpolation.
       remote.targetPosition.set(
         Number(state.x) || 0,
         Math.max(
@@ -9209,6 +10150,93 @@ export class GameRuntime {
     remote.lastSeen = performance.now();
   }
 
+  pushRemoteSnapshot(remote, state, time) {
+    const snapshots = remote.snapshots;
+    const last = snapshots[snapshots.length - 1] ?? null;
+    if (last && time <= last.time) {
+      return;
+    }
+    // A delta may carry only rotation or only position; fill the rest from the last sample.
+    const hasPosition = Number.isFinite(Number(state.x));
+    const snapshot = {
+      time,
+      x: hasPosition ? Number(state.x) || 0 : last?.x ?? remote.targetPosition.x,
+      y: hasPosition
+        ? Math.max(0, (Number(state.y) || GAME_CONSTANTS.PLAYER_HEIGHT) - GAME_CONSTANTS.PLAYER_HEIGHT)
+        : last?.y ?? remote.targetPosition.y,
+      z: hasPosition ? Number(state.z) || 0 : last?.z ?? remote.targetPosition.z,
+      yaw: Number.isFinite(Number(state.yaw)) ? Number(state.yaw) : last?.yaw ?? remote.targetYaw
+    };
+    if (last) {
+      // Far cells arrive every few ticks, so each remote renders at least one send gap back.
+      // Longer gaps are a player standing still, not a slower cadence, and are left out.
+      const gap = time - last.time;
+      if (gap <= REMOTE_SNAPSHOT_MAX_GAP_TICKS * this.serverTickIntervalMs) {
+        remote.snapshotGapMs =
+          remote.snapshotGapMs > 0 ? remote.snapshotGapMs + (gap - remote.snapshotGapMs) * 0.3 : gap;
+      }
+    } else {
+      remote.mesh.position.set(snapshot.x, snapshot.y, snapshot.z);
+      remote.mesh.rotation.y = snapshot.yaw;
+    }
+    snapshots.push(snapshot);
+    if (snapshots.length > REMOTE_SNAPSHOT_BUFFER_SIZE) {
+      snapshots.shift();
+    }
+  }
+
+  /**
+   * Samples a remote's snapshot buffer at `renderTime` into its target position and yaw.
+   * Between two snapshots it interpolates; past the newest it extrapolates along the last
+   * segment for at most `remoteExtrapolationMs` and then holds.
+   */
+  sampleRemoteSnapshots(remote, renderTime) {
+    const snapshots = remote.snapshots;
+    let older = snapshots[0];
+    let newer = null;
+    for (let index = 1; index < snapshots.length; index += 1) {
+      if (snapshots[index].time > renderTime) {
+        newer = snapshots[index];
+        break;
+      }
+      older = snapshots[index];
+    }
+    // Drop samples the render time has left behind, keeping one to interpolate from.
+    const olderIndex = snapshots.indexOf(older);
+    if (olderIndex > 1) {
+      snapshots.splice(0, olderIndex - 1);
+    }
+
+    let from = older;
+    let to = newer;
+    let t = 0;
+    if (newer) {
+      t = (renderTime - older.time) / Math.max(1, newer.time - older.time);
+    } else if (snapshots.length >= 2) {
+      from = snapshots[snapshots.length - 2];
+      to = older;
+      const ahead = Math.min(Math.max(0, renderTime - older.time), this.remoteExtrapolationMs);
+      t = 1 + ahead / Math.max(1, older.time - from.time);
+    }
+    t = Math.max(0, t);
+    if (
+      !to ||
+      Math.hypot(to.x - from.x, to.y - from.y, to.z - from.z) > REMOTE_SNAPSHOT_TELEPORT_DISTANCE
+    ) {
+      // Respawns and zone moves should land, not glide across the map.
+      const settled = to && t >= 1 ? to : from;
+      remote.targetPosition.set(settled.x, settled.y, settled.z);
+      remote.targetYaw = settled.yaw;
+      return;
+    }
+    remote.targetPosition.set(
+      THREE.MathUtils.lerp(from.x, to.x, t),
+      THREE.MathUtils.lerp(from.y, to.y, t),
+      THREE.MathUtils.lerp(from.z, to.z, t)
+    );
+    remote.targetYaw = lerpAngle(from.yaw, to.yaw, Math.min(t, 1));
+  }
+
   setRemoteAliveVisual(remote, alive, spectator = false) {
     if (!remote) {
       return;
@@ -9233,13 +10261,56 @@ export class GameRuntime {
       material.needsUpdate = true;
     }
 
-    let nameText = remote.name;
-    if (nextSpectator) {
-      nameText = `${remote.name} [진행자]`;
-    } else if (!nextAlive) {
-      nameText = `${remote.name} [탈락]`;
+    this.setTextLabel(remote.nameLabel, this.getRemoteNameText(remote), "name");
+  }
+
+  getRemoteNameText(remote) {
+    if (remote.spectator) {
+      return `${remote.name} [진행자]`;
+    }
+    if (!remote.alive) {
+      return `${remote.name} [탈락]`;
+    }
+    return remote.shields > 0 ? `🛡 ${remote.name}` : remote.name;
+  }
+
+  applyRemoteShieldBadge(remote, shields) {
+    if (!remote) {
+      return;
+    }
+    const nextShields = this.quizState.active ? Math.max(0, Math.trunc(Number(shields) || 0)) : 0;
+    if (remote.shields === nextShields) {
+      return;
+    }
+    remote.shields = nextShields;
+    this.setTextLabel(remote.nameLabel, this.getRemoteNameText(remote), "name");
+  }
+
+  applyRemoteTeamColor(remote, teamId) {
+    const material = remote?.body?.material;
+    if (!material) {
+      return;
+    }
+    const team = this.findTeamById(teamId);
+    const nextColor = team?.color ?? null;
+    if ((remote.teamColor ?? null) === nextColor) {
+      return;
+    }
+    if (!remote.baseBodyColor) {
+      remote.baseBodyColor = material.color.clone();
+      remote.baseBodyEmissive = material.emissive?.clone?.() ?? null;
+    }
+    remote.teamColor = nextColor;
+    if (nextColor) {
+      material.color.set(nextColor);
+      material.emissive?.set(nextColor).multiplyScalar(0.4);
+    } else {
+      material.color.copy(remote.baseBodyColor);
+      if (remote.baseBodyEmissive) {
+        material.emissive?.copy(remote.baseBodyEmissive);
+      }
     }
-    this.setTextLabel(remote.nameLabel, nameText, "name");
+    material.needsUpdate = true;
   }
 
   removeRemotePlayer(id) {
@@ -9260,6 +10331,8 @@ export class GameRuntime {
     for (const id of this.remotePlayers.keys()) {
       this.removeRemotePlayer(id);
     }
+    this.remoteNetIds.clear();
+    this.serverTickOffsetMs = null;
   }
 
   tick(delta) {
@@ -9307,6 +10380,7 @@ export class GameRuntime {
     if (this.updateSpectatorMovement(delta)) {
       return;
     }
+    this.movementStartPosition.copy(this.playerPosition);
 
     const movementEnabled = this.canMovePlayer();
     const keyboardForward = movementEnabled
@@ -9357,6 +10431,12 @@ export class GameRuntime {
       );
     }
 
+    const readingHold = this.getQuizReadingHoldBounds();
+    if (readingHold) {
+      this.playerPosition.x = THREE.MathUtils.clamp(this.playerPosition.x, readingHold.minX, readingHold.maxX);
+      this.playerPosition.z = THREE.MathUtils.clamp(this.playerPosition.z, readingHold.minZ, readingHold.maxZ);
+    }
+
     this.verticalVelocity += GAME_CONSTANTS.PLAYER_GRAVITY * delta;
     this.playerPosition.y += this.verticalVelocity * delta;
 
@@ -9369,6 +10449,7 @@ export class GameRuntime {
     }
 
     this.updateBoundaryGuard(delta);
+    this.pendingInputDelta.add(this.tempVecA.subVectors(this.playerPosition, this.movementStartPosition));
     this.camera.position.copy(this.playerPosition);
     this.camera.rotation.y = this.yaw;
     this.camera.rotation.x = this.pitch;
@@ -9379,8 +10460,15 @@ export class GameRuntime {
     const now = performance.now();
 
     for (const [id, remote] of this.remotePlayers) {
-      remote.mesh.position.lerp(remote.targetPosition, alpha);
-      remote.mesh.rotation.y = lerpAngle(remote.mesh.rotation.y, remote.targetYaw, alpha);
+      if (remote.snapshots.length > 0) {
+        const renderDelay = Math.max(this.remoteInterpolationDelayMs, remote.snapshotGapMs);
+        this.sampleRemoteSnapshots(remote, now - renderDelay);
+        remote.mesh.position.copy(remote.targetPosition);
+        remote.mesh.rotation.y = remote.targetYaw;
+      } else {
+        remote.mesh.position.lerp(remote.targetPosition, alpha);
+        remote.mesh.rotation.y = lerpAngle(remote.mesh.rotation.y, remote.targetYaw, alpha);
+      }
 
       if (remote.chatLabel?.visible && now >= remote.chatExpireAt) {
         remote.chatLabel.visible = false;
@@ -9507,6 +10595,7 @@ export class GameRuntime {
 
   handleHostKicked() {
     this.disconnectedByKick = true;
+    this.persistReconnectSession(null);
     this.appendChatLine("시스템", "진행자에 의해 강퇴되었습니다.", "system");
     if (!this.socket) {
       return;
@@ -9539,6 +10628,7 @@ export class GameRuntime {
   resetQuizStateLocal() {
     this.quizState.active = false;
     this.quizState.phase = "idle";
+    this.quizState.mode = QUIZ_MODE_SURVIVAL;
     this.quizState.autoMode = false;
     this.quizState.autoFinish = true;
     this.quizState.autoStartsAt = 0;
@@ -9549,6 +10639,9 @@ export class GameRuntime {
     this.quizState.lockAt = 0;
     this.quizState.lockResolveAt = 0;
     this.quizState.questionText = "";
+    this.quizState.questionOptions = [];
+    this.quizState.questionMedia = null;
+    this.quizState.explanationMedia = null;
     this.quizState.survivors = 0;
     this.quizState.myScore = 0;
     this.serverHostSpectator = false;
@@ -9561,6 +10654,7 @@ export class GameRuntime {
     this.spectatorFollowId = null;
     this.spectatorFollowIndex = -1;
     this.resetTrapdoors();
+    this.setOxArenaChoiceCount(0);
     this.centerBillboardLastCountdown = null;
     this.hideRoundOverlay();
     this.closeQuizReviewModal();
@@ -9581,7 +10675,7 @@ export class GameRuntime {
     this.quizState.autoStartsAt = Math.max(
       0,
       Math.trunc(
-        Number(payload.startsAt) || (Date.now() + Math.max(0, Math.trunc(Number(payload.delayMs) || 0)))
+        Number(payload.startsAt) || (this.getServerNow() + Math.max(0, Math.trunc(Number(payload.delayMs) || 0)))
       )
     );
     if (this.quizState.active) {
@@ -9608,15 +10702,19 @@ export class GameRuntime {
   }
 
   handleQuizStart(payload = {}) {
+    this.quizFinalStandings = null;
+    this.quizPrediction = null;
+    this.spectatorLeaderboard = [];
     this.quizState.active = true;
     this.quizState.phase = "start";
+    this.quizState.mode = this.normalizeQuizMode(payload.mode);
     this.quizState.autoMode = payload.autoMode !== false;
     this.quizState.autoFinish = payload.autoFinish !== false;
     this.quizState.autoStartsAt = 0;
     this.quizState.prepareEndsAt = Math.max(
       0,
       Math.trunc(
-        Number(payload.prepareEndsAt) || (Date.now() + Math.max(0, Math.trunc(Number(payload.prepareDelayMs) || 0)))
+        Number(payload.prepareEndsAt) || (this.getServerNow() + Math.max(0, Math.trunc(Number(payload.prepareDelayMs) || 0)))
       )
     );
     this.quizState.hostId = payload.hostId ?? null;
@@ -9625,11 +10723,18 @@ export class GameRuntime {
     this.quizState.lockAt = 0;
     this.quizState.lockResolveAt = 0;
     this.quizState.questionText = "";
+    this.quizState.questionOptions = [];
+    this.quizState.questionMedia = null;
+    this.quizState.explanationMedia = null;
+    this.quizState.tiebreakRound = 0;
+    this.quizState.tiebreakPlayers = [];
+    this.applyQuizPauseState({ paused: false });
     this.localQuizAlive = true;
     this.closeQuizReviewModal();
     this.setQuizReviewItems([]);
     this.ensureLocalGameplayPosition();
     this.resetTrapdoors();
+    this.setOxArenaChoiceCount(0);
     this.centerBillboardLastCountdown = null;
     this.setOppositeBillboardResultVisible(false);
 
@@ -9637,11 +10742,15 @@ export class GameRuntime {
       this.quizState.totalQuestions > 0 ? `${this.quizState.totalQuestions}` : "?";
     const prepareSeconds =
       this.quizState.prepareEndsAt > 0
-        ? Math.max(1, Math.ceil((this.quizState.prepareEndsAt - Date.now()) / 1000))
+        ? Math.max(1, Math.ceil((this.quizState.prepareEndsAt - this.getServerNow()) / 1000))
         : Math.ceil(ROUND_OVERLAY_SETTINGS.prepareDurationSeconds);
+    const modeText = this.isQuizMarathonMode() ? "마라톤 점수제" : "서바이벌";
+    const shieldCount = this.normalizeQuizShieldCount(payload.shields);
+    const shieldText = shieldCount > 0 && !this.isQuizMarathonMode() ? `, 보호막 ${shieldCount}개` : "";
+    const poolText = payload.poolPlan ? `, 출제 풀 ${this.formatQuizPoolPlan(this.normalizeQuizPoolPlan(payload.poolPlan))}` : "";
     this.appendChatLine(
       "시스템",
-      `게임이 곧 시작됩니다. 총 문제 수: ${totalText} (약 ${prepareSeconds}초 후 시작)`,
+      `게임이 곧 시작됩니다. ${modeText}${shieldText}${poolText}, 총 문제 수: ${totalText} (약 ${prepareSeconds}초 후 시작)`,
       "system"
     );
     this.showRoundOverlay({
@@ -9664,7 +10773,7 @@ export class GameRuntime {
 
   handleQuizQuestion(payload = {}) {
     this.quizState.active = true;
-    this.quizState.phase = "question";
+    this.quizState.phase = payload.phase === "reading" ? "reading" : "question";
     this.quizState.questionIndex = Math.max(1, Math.trunc(Number(payload.index) || 1));
     this.quizState.totalQuestions = Math.max(
       this.quizState.questionIndex,
@@ -9672,18 +10781,34 @@ export class GameRuntime {
     );
     this.quizState.lockAt = Math.max(0, Math.trunc(Number(payload.lockAt) || 0));
     this.quizState.lockResolveAt = 0;
+    this.quizState.readingEndsAt =
+      this.quizState.phase === "reading" ? Math.max(0, Math.trunc(Number(payload.readingEndsAt) || 0)) : 0;
+    this.quizState.readingHold = this.quizState.phase === "reading" ? this.normalizeQuizReadingHold(payload.readingHold) : null;
     this.quizState.questionText = String(payload.text ?? "").trim().slice(0, 180);
+    this.quizState.questionOptions = this.normalizeQuizOptionList(payload.options);
+    this.quizState.questionMedia = { imageUrl: payload.imageUrl, videoUrl: payload.videoUrl };
+    this.quizState.explanationMedia = null;
+    this.quizState.tiebreakRound = Math.max(0, Math.trunc(Number(payload.tiebreakRound) || 0));
     this.quizState.autoStartsAt = 0;
     this.quizState.prepareEndsAt = 0;
+    this.quizDistribution = null;
+    this.quizPrediction = null;
     this.resetTrapdoors();
+    this.setOxArenaChoiceCount(this.quizState.questionOptions.length);
     this.hideRoundOverlay();
     this.centerBillboardLastCountdown = null;
     this.setOppositeBillboardResultVisible(false);
 
     const questionText = this.quizState.questionText || "문제가 열렸습니다";
+    const optionsLine = this.formatQuizOptionsLine(this.quizState.questionOptions);
+    const questionLabel =
+      this.quizState.tiebreakRound > 0
+        ? `서든데스 ${this.quizState.tiebreakRound}라운드`
+        : `문항 ${this.quizState.questionIndex}/${this.quizState.totalQuestions}`;
+    const tagText = this.formatQuizQuestionTags(payload);
     this.appendChatLine(
       "시스템",
-      `문항 ${this.quizState.questionIndex}/${this.quizState.totalQuestions}: ${questionText}`,
+      `${questionLabel}${tagText ? ` [${tagText}]` : ""}: ${questionText}${optionsLine ? ` (${optionsLine})` : ""}`,
       "system"
     );
     this.syncQuizBillboard(true);
@@ -9691,6 +10816,44 @@ export class GameRuntime {
     this.updateQuizControlUi();
   }
 
+  handleQuizAnswerOpen(payload = {}) {
+    if (!this.quizState.active || this.quizState.phase !== "reading") {
+      return;
+    }
+    this.quizState.phase = "question";
+    this.quizState.readingEndsAt = 0;
+    this.quizState.readingHold = null;
+    this.quizState.lockAt = Math.max(0, Math.trunc(Number(payload.lockAt) || 0));
+    this.centerBillboardLastCountdown = null;
+    this.appendChatLine("시스템", "이동이 허용되었습니다. 답을 고르세요.", "system");
+    this.syncQuizBillboard(true);
+    this.hud.setStatus(this.getStatusText());
+    this.updateQuizControlUi();
+  }
+
+  normalizeQuizReadingHold(raw) {
+    const bounds = ["minX", "maxX", "minZ", "maxZ"].map((key) => Number(raw?.[key]));
+    if (!bounds.every(Number.isFinite) || bounds[0] > bounds[1] || bounds[2] > bounds[3]) {
+      return null;
+    }
+    const [minX, maxX, minZ, maxZ] = bounds;
+    return { minX, maxX, minZ, maxZ };
+  }
+
+  // Mirrors the server-side hold so the local player does not rubber-band against the reading strip.
+  getQuizReadingHoldBounds() {
+    if (
+      !this.quizState.active ||
+      this.quizState.phase !== "reading" ||
+      !this.localQuizAlive ||
+      this.localSpectatorMode ||
+      this.localAdmissionWaiting
+    ) {
+      return null;
+    }
+    return this.quizState.readingHold;
+  }
+
   handleQuizLock(payload = {}) {
     this.quizState.phase = "lock";
     this.quizState.lockAt = 0;
@@ -9728,7 +10891,17 @@ export class GameRuntime {
     );
     this.quizState.questionIndex = index;
     const answer = String(payload.answer ?? "").trim().toUpperCase();
-    this.triggerTrapdoorForAnswer(answer);
+    const options = Array.isArray(payload.options)
+      ? this.normalizeQuizOptionList(payload.options)
+      : this.quizState.questionOptions;
+    if (payload.mode) {
+      this.quizState.mode = this.normalizeQuizMode(payload.mode);
+    }
+    const marathon = this.isQuizMarathonMode();
+    if (!marathon) {
+      this.triggerTrapdoorForAnswer(answer, options);
+    }
+    const answerLabel = answer ? this.formatQuizAnswerLabel(answer, options) : "?";
     const survivorCount = Math.max(0, Math.trunc(Number(payload.survivorCount) || 0));
     this.quizState.survivors = survivorCount;
 
@@ -9746,16 +10919,61 @@ export class GameRuntime {
       this.startLocalEliminationDrop(myElimination.reason ?? "오답 구역");
     }
 
-    this.appendChatLine(
-      "시스템",
-      `문항 ${index} 결과: 정답=${answer || "?"}, 생존=${survivorCount}`,
-      "system"
-    );
+    if (marathon) {
+      const correctCount = Array.isArray(payload.correctPlayerIds) ? payload.correctPlayerIds.length : 0;
+      const myAward = (Array.isArray(payload.awards) ? payload.awards : []).find(
+        (entry) => String(entry?.id ?? "") === myId
+      );
+      const myLine = myAward
+        ? ` | 내 점수 +${Math.trunc(Number(myAward.points) || 0)} (속도 보너스 ${Math.trunc(Number(myAward.bonus) || 0)})`
+        : "";
+      this.appendChatLine(
+        "시스템",
+        `문항 ${index} 결과: 정답=${answerLabel}, 정답자=${correctCount}${myLine}`,
+        "system"
+      );
+    } else {
+      const shieldedIds = Array.isArray(payload.shieldedPlayerIds) ? payload.shieldedPlayerIds.map(String) : [];
+      const shieldedText = shieldedIds.length > 0 ? `, 보호막 사용=${shieldedIds.length}` : "";
+      this.appendChatLine(
+        "시스템",
+        `문항 ${index} 결과: 정답=${answerLabel}, 생존=${survivorCount}${shieldedText}`,
+        "system"
+      );
+      const myShield = (Array.isArray(payload.shieldedPlayers) ? payload.shieldedPlayers : []).find(
+        (entry) => String(entry?.id ?? "") === myId
+      );
+      if (myShield) {
+        this.appendChatLine(
+          "시스템",
+          `보호막이 오답을 막아 생존했습니다. (남은 보호막 ${Math.max(0, Math.trunc(Number(myShield.shieldsLeft) || 0))}개)`,
+          "system"
+        );
+      }
+    }
+    if (this.quizPrediction?.index === index) {
+      const predictionHit = (Array.isArray(payload.predictionCorrectIds) ? payload.predictionCorrectIds : []).some(
+        (entry) => String(entry) === myId
+      );
+      this.appendChatLine(
+        "시스템",
+        predictionHit
+          ? `예측 적중! ${this.formatQuizAnswerLabel(this.quizPrediction.choice, options)} (관전 점수 +1)`
+          : `예측 실패: ${this.formatQuizAnswerLabel(this.quizPrediction.choice, options)}`,
+        "system"
+      );
+    }
+    this.quizPrediction = null;
+    this.quizState.explanationMedia = {
+      imageUrl: payload.explanationImageUrl,
+      videoUrl: payload.explanationVideoUrl
+    };
     this.renderCenterBillboard({
       layout: "explanation",
       kicker: `문항 ${index} 문제`,
-      title: `정답 ${answer || "?"}`,
+      title: `정답 ${answerLabel}`,
       explanation: this.quizState.questionText || "문항 텍스트가 없습니다.",
+      media: this.quizState.explanationMedia,
       footer: ""
     });
     this.setOppositeBillboardResultVisible(false);
@@ -9786,6 +11004,12 @@ export class GameRuntime {
       this.releaseMobileInputs();
       this.emitImmediateLocalSync("quiz-score-lock");
     }
+    if (hasOwn("mode")) {
+      this.quizState.mode = this.normalizeQuizMode(payload.mode);
+    }
+    if (hasOwn("paused")) {
+      this.applyQuizPauseState(payload);
+    }
     if (hasOwn("autoMode")) {
       this.quizState.autoMode = payload.autoMode !== false;
     }
@@ -9810,12 +11034,25 @@ export class GameRuntime {
       Math.trunc(Number(payload.totalQuestions) || this.quizState.totalQuestions || 0)
     );
     this.quizState.survivors = Math.max(0, Math.trunc(Number(payload.survivors) || 0));
+    if (hasOwn("readingEndsAt")) {
+      this.quizState.readingEndsAt = Math.max(0, Math.trunc(Number(payload.readingEndsAt) || 0));
+    }
+    if (this.quizState.phase !== "reading") {
+      this.quizState.readingHold = null;
+    }
     this.quizState.lockAt = Math.max(0, Math.trunc(Number(payload.lockAt) || this.quizState.lockAt || 0));
     this.quizState.lockResolveAt = Math.max(
       0,
       Math.trunc(Number(payload.lockResolveAt) || this.quizState.lockResolveAt || 0)
     );
 
+    if (hasOwn("teams")) {
+      this.teamBoard = Array.isArray(payload.teams) ? payload.teams : [];
+    }
+    if (hasOwn("spectatorLeaderboard")) {
+      this.spectatorLeaderboard = Array.isArray(payload.spectatorLeaderboard) ? payload.spectatorLeaderboard : [];
+    }
+
     const myId = String(this.localPlayerId ?? "");
     const leaderboard = Array.isArray(payload.leaderboard) ? payload.leaderboard : [];
     if (leaderboard.length > 0) {
@@ -9834,6 +11071,12 @@ export class GameRuntime {
             name: this.formatPlayerName(entry?.name),
             alive: entry?.alive !== false,
             admitted: prev?.admitted !== false,
+            queuedForAdmission: prev?.queuedForAdmission === true,
+            chatMuted: prev?.chatMuted === true,
+            reconnecting: entry?.reconnecting === true,
+            bot: entry?.bot === true,
+            teamId: entry?.teamId ?? null,
+            shields: Math.max(0, Math.trunc(Number(entry?.shields) || 0)),
             score: Math.max(0, Math.trunc(Number(entry?.score) || 0)),
             isHost: id === String(this.quizState.hostId ?? ""),
             spectator: entry?.spectator === true,
@@ -9850,7 +11093,9 @@ export class GameRuntime {
       }
       stateById.set(id, {
         alive: entry?.alive !== false,
-        spectator: entry?.spectator === true
+        spectator: entry?.spectator === true,
+        teamId: entry?.teamId ?? null,
+        shields: entry?.shields
       });
     }
 
@@ -9872,7 +11117,7 @@ export class GameRuntime {
         } else if (
           nextAlive &&
           !this.localQuizAlive &&
-          (!this.quizState.active || this.quizState.phase === "start")
+          (!this.quizState.active || this.quizState.phase === "start" || this.quizState.phase === "tiebreak")
         ) {
           this.localSpectatorMode = false;
           this.localEliminationDrop.active = false;
@@ -9891,6 +11136,8 @@ export class GameRuntime {
       }
       const next = stateById.get(remoteId);
       this.setRemoteAliveVisual(remote, next?.alive !== false, next?.spectator === true);
+      this.applyRemoteTeamColor(remote, next?.teamId);
+      this.applyRemoteShieldBadge(remote, next?.shields);
     }
 
     this.refreshRosterPanel();
@@ -9899,6 +11146,248 @@ export class GameRuntime {
     this.updateQuizControlUi();
   }
 
+  handleQuizVoided(payload = {}) {
+    const index = Math.max(1, Math.trunc(Number(payload.index) || 1));
+    const revivedIds = (Array.isArray(payload.revivedPlayerIds) ? payload.revivedPlayerIds : []).map((id) =>
+      String(id ?? "")
+    );
+    if (revivedIds.includes(String(this.localPlayerId ?? ""))) {
+      this.localSpectatorMode = false;
+      this.localEliminationDrop.active = false;
+      this.localEliminationDrop.elapsed = 0;
+      this.localEliminationDrop.velocityY = 0;
+      this.spectatorFollowId = null;
+      this.spectatorFollowIndex = -1;
+      this.localQuizAlive = true;
+    }
+
+    const revivedText = revivedIds.length > 0 ? ` 탈락자 ${revivedIds.length}명이 복귀합니다.` : "";
+    this.appendChatLine("시스템", `문항 ${index}이(가) 무효 처리되었습니다. 점수를 되돌렸습니다.${revivedText}`, "system");
+    if (this.quizState.phase !== "question") {
+      this.setOppositeBillboardResultVisible(false);
+      this.renderCenterBillboard({
+        layout: "explanation",
+        kicker: "문제 전광판",
+        title: `문항 ${index} 무효`,
+        explanation: `진행자가 문항 ${index}을(를) 무효 처리했습니다. 이 문항의 점수와 탈락이 취소됩니다.${revivedText}`,
+        footer: ""
+      });
+    }
+    this.hud.setStatus(this.getStatusText());
+    this.updateQuizControlUi();
+  }
+
+  applyQuizPauseState(payload = {}) {
+    const paused = payload?.paused === true;
+    const wasPaused = this.quizState.paused;
+    this.quizState.paused = paused;
+    this.quizState.pausedAt = paused ? Math.max(0, Math.trunc(Number(payload?.pausedAt) || this.getServerNow())) : 0;
+    if (paused && !wasPaused) {
+      this.showRoundOverlay({
+        title: "일시 정지",
+        subtitle: "진행자가 퀴즈를 잠시 멈췄습니다. 남은 시간은 그대로 유지됩니다.",
+        fireworks: false,
+        persistent: true
+      });
+    } else if (!paused && wasPaused && this.roundOverlayPersistent) {
+      this.hideRoundOverlay();
+    }
+  }
+
+  handleQuizDistribution(payload = {}) {
+    const choices = (Array.isArray(payload.choices) ? payload.choices : [])
+      .map((entry) => ({
+        key: String(entry?.key ?? ""),
+        count: Math.max(0, Math.trunc(Number(entry?.count) || 0))
+      }))
+      .filter((entry) => entry.key);
+    this.quizDistribution = {
+      index: Math.max(1, Math.trunc(Number(payload.index) || 1)),
+      hidden: payload.hidden === true,
+      choices,
+      undecided: Math.max(0, Math.trunc(Number(payload.undecided) || 0)),
+      total: Math.max(0, Math.trunc(Number(payload.total) || 0))
+    };
+    this.syncQuizBillboard();
+    this.updateQuizControlUi();
+  }
+
+  // Only the open question's meter is shown; while hidden, just the host still sees it.
+  getQuizDistributionSegments() {
+    const distribution = this.quizDistribution;
+    if (
+      !distribution ||
+      !this.quizState.active ||
+      this.quizState.phase !== "question" ||
+      distribution.index !== Math.max(1, this.quizState.questionIndex) ||
+      distribution.total <= 0 ||
+      (distribution.hidden && !this.isLocalHost())
+    ) {
+      return null;
+    }
+    const segments = distribution.choices.map((entry) => ({
+      key: entry.key,
+      label: entry.key,
+      count: entry.count,
+      color: QUIZ_DISTRIBUTION_COLORS[entry.key] ?? QUIZ_DISTRIBUTION_COLORS.undecided
+    }));
+    segments.push({
+      key: "undecided",
+      label: "미정",
+      count: distribution.undecided,
+      color: QUIZ_DISTRIBUTION_COLORS.undecided
+    });
+    return segments;
+  }
+
+  getQuizPredictionChoices() {
+    const options = this.quizState.questionOptions;
+    return Array.isArray(options) && options.length >= 2 ? OX_CHOICE_ZONE_KEYS.slice(0, options.length) : ["O", "X"];
+  }
+
+  // Eliminated players and anyone left outside the arena may call the answer until lock.
+  canSubmitQuizPrediction() {
+    if (!this.networkConnected || !this.socket || this.serverHostSpectator) {
+      return false;
+    }
+    if (!this.quizState.active || this.quizState.phase !== "question" || this.quizState.paused) {
+      return false;
+    }
+    if (this.localQuizAlive && !this.localSpectatorMode) {
+      return false;
+    }
+    return this.getQuizClockNow() < Number(this.quizState.lockAt || 0);
+  }
+
+  updatePredictionPanel() {
+    if (!this.predictionPanelEl || !this.predictionChoicesEl) {
+      return;
+    }
+    const visible = this.canSubmitQuizPrediction();
+    this.predictionPanelEl.classList.toggle("hidden", !visible);
+    if (!visible) {
+      return;
+    }
+    const choices = this.getQuizPredictionChoices();
+    const signature = `${this.quizState.questionIndex}|${choices.join(",")}`;
+    if (signature !== this.predictionChoicesSignature) {
+      this.predictionChoicesSignature = signature;
+      this.predictionChoicesEl.replaceChildren(
+        ...choices.map((choice, index) => {
+          const button = document.createElement("button");
+          button.type = "button";
+          button.className = "prediction-choice";
+          button.dataset.choice = choice;
+          const keyEl = document.createElement("span");
+          keyEl.className = "tool-key";
+          keyEl.textContent = String(index + 1);
+          const labelEl = document.createElement("span");
+          labelEl.textContent = choice;
+          button.append(keyEl, labelEl);
+          return button;
+        })
+      );
+    }
+    const picked = this.quizPrediction?.index === this.quizState.questionIndex ? this.quizPrediction.choice : null;
+    for (const button of this.predictionChoicesEl.querySelectorAll("button[data-choice]")) {
+      button.classList.toggle("active", button.dataset.choice === picked);
+      button.disabled = this.quizPredictionPending;
+    }
+    if (this.predictionStatusEl) {
+      const seconds = this.getQuizCountdownSeconds();
+      this.predictionStatusEl.textContent = picked
+        ? `예측: ${this.formatQuizAnswerLabel(picked, this.quizState.questionOptions)} · ${seconds}초 안에 변경 가능`
+        : `정답을 예측하세요 · ${seconds}초 남음`;
+    }
+  }
+
+  requestQuizPrediction(choice) {
+    if (!this.canSubmitQuizPrediction() || this.quizPredictionPending) {
+      return;
+    }
+    const index = this.quizState.questionIndex;
+    this.quizPredictionPending = true;
+    this.socket.emit("quiz:predict", { choice }, (response = {}) => {
+      this.quizPredictionPending = false;
+      if (!response?.ok) {
+        this.appendChatLine("시스템", `예측 실패: ${this.translateQuizError(response?.error)}`, "system");
+      } else if (index === this.quizState.questionIndex) {
+        this.quizPrediction = { index, choice: response.choice };
+      }
+      this.updatePredictionPanel();
+    });
+    this.updatePredictionPanel();
+  }
+
+  handleQuizPaused(payload = {}) {
+    this.applyQuizPauseState({ ...payload, paused: true });
+    this.appendChatLine("시스템", "진행자가 퀴즈를 일시 정지했습니다.", "system");
+    this.syncQuizBillboard(true);
+    this.hud.setStatus(this.getStatusText());
+    this.updateQuizControlUi();
+  }
+
+  handleQuizResumed(payload = {}) {
+    this.applyQuizPauseState({ paused: false });
+    const hasOwn = (key) => Object.prototype.hasOwnProperty.call(payload, key);
+    for (const key of ["readingEndsAt", "lockAt", "lockResolveAt", "prepareEndsAt", "autoStartsAt"]) {
+      if (hasOwn(key)) {
+        this.quizState[key] = Math.max(0, Math.trunc(Number(payload[key]) || 0));
+      }
+    }
+    this.appendChatLine("시스템", "퀴즈가 다시 진행됩니다.", "system");
+    this.syncQuizBillboard(true);
+    this.hud.setStatus(this.getStatusText());
+    this.updateQuizControlUi();
+  }
+
+  handleQuizTiebreak(payload = {}) {
+    const playerIds = (Array.isArray(payload.playerIds) ? payload.playerIds : []).map((id) => String(id ?? ""));
+    const players = Array.isArray(payload.players) ? payload.players : [];
+    this.quizState.active = true;
+    this.quizState.phase = "tiebreak";
+    this.quizState.tiebreakRound = Math.max(1, Math.trunc(Number(payload.round) || 1));
+    this.quizState.tiebreakPlayers = players.map((entry) => this.formatPlayerName(entry?.name));
+    this.quizState.prepareEndsAt = Math.max(0, Math.trunc(Number(payload.startsAt) || 0));
+    this.quizState.lockAt = 0;
+    this.quizState.lockResolveAt = 0;
+    this.resetTrapdoors();
+    this.setOppositeBillboardResultVisible(false);
+
+    const isContender = playerIds.includes(String(this.localPlayerId ?? ""));
+    if (isContender) {
+      this.localSpectatorMode = false;
+      this.localEliminationDrop.active = false;
+      this.localEliminationDrop.elapsed = 0;
+      this.localEliminationDrop.velocityY = 0;
+      this.spectatorFollowId = null;
+      this.spectatorFollowIndex = -1;
+      this.localQuizAlive = true;
+    } else if (this.localQuizAlive && !this.serverHostSpectator) {
+      this.localQuizAlive = false;
+      if (!this.localSpectatorMode) {
+        this.finishLocalEliminationDrop();
+      }
+    }
+
+    const namesText = this.quizState.tiebreakPlayers.join(", ") || "-";
+    const seconds = Math.max(1, Math.ceil((this.quizState.prepareEndsAt - this.getServerNow()) / 1000));
+    this.appendChatLine(
+      "시스템",
+      `공동 1위 서든데스 ${this.quizState.tiebreakRound}라운드: ${namesText}`,
+      "system"
+    );
+    this.showRoundOverlay({
+      title: `서든데스 ${this.quizState.tiebreakRound}라운드`,
+      subtitle: isContender ? `${seconds}초 후 결승 문항이 열립니다.` : `${namesText} 결승 진행`,
+      fireworks: false,
+      durationSeconds: Math.max(seconds, 2.2)
+    });
+    this.syncQuizBillboard(true);
+    this.hud.setStatus(this.getStatusText());
+    this.updateQuizControlUi();
+  }
+
   handleQuizEnd(payload = {}) {
     if (Object.prototype.hasOwnProperty.call(payload ?? {}, "hostId")) {
       this.quizState.hostId = payload.hostId ?? this.quizState.hostId ?? null;
@@ -9935,12 +11424,29 @@ export class GameRuntime {
     } else {
       this.appendChatLine("시스템", "퀴즈가 종료되었습니다.", "system");
     }
+    if (Array.isArray(payload.teams)) {
+      this.teamBoard = payload.teams;
+    }
+    if (Array.isArray(payload.spectatorLeaderboard)) {
+      this.spectatorLeaderboard = payload.spectatorLeaderboard;
+    }
+    const winningTeams = Array.isArray(payload.winningTeams) ? payload.winningTeams : [];
+    const winningTeamLabel = this.formatWinningTeams(winningTeams);
+    if (winningTeamLabel) {
+      this.appendChatLine(
+        "시스템",
+        `${winningTeamLabel} (${this.formatTeamStandings(this.teamBoard)})`,
+        "system"
+      );
+    }
+    this.quizFinalStandings = { ranking, winningTeamLabel };
 
     this.quizState.active = false;
     this.quizState.phase = "ended";
     this.quizState.lockAt = 0;
     this.quizState.lockResolveAt = 0;
     this.quizState.prepareEndsAt = 0;
+    this.applyQuizPauseState({ paused: false });
     this.centerBillboardLastCountdown = null;
     this.setOppositeBillboardResultVisible(false);
     this.setQuizReviewItems(payload?.review);
@@ -9988,24 +11494,41 @@ export class GameRuntime {
     }
   }
   syncQuizBillboard(force = false) {
-    const renderQuestionPanel = (title, questionText) => {
+    const distribution = this.getQuizDistributionSegments();
+    this.hud.setDistribution(distribution, this.quizDistribution?.hidden === true);
+    this.updatePredictionPanel();
+    const renderQuestionPanel = (title, questionText, segments = null, media = null) => {
       this.renderCenterBillboard({
         layout: "explanation",
         kicker: "문제 전광판",
         title,
         explanation: String(questionText ?? "").trim() || "문항 텍스트가 없습니다.",
+        distribution: segments,
+        media,
         footer: ""
       });
     };
 
     if (!this.quizState.active) {
       const autoSeconds = this.getAutoStartCountdownSeconds();
+      const scheduleCountdown = this.formatRoomScheduleCountdown();
       if (autoSeconds > 0) {
         this.centerBillboardLastCountdown = autoSeconds;
         renderQuestionPanel(
           "문항 대기 중",
           `${autoSeconds}초 후 라운드가 시작됩니다.`
         );
+      } else if (scheduleCountdown) {
+        if (force || this.centerBillboardLastCountdown !== scheduleCountdown) {
+          this.centerBillboardLastCountdown = scheduleCountdown;
+          const leadMinutes = this.roomSchedule.lobbyLeadMinutes;
+          renderQuestionPanel(
+            "예약된 퀴즈",
+            `다음 퀴즈까지 ${scheduleCountdown}\n${
+              leadMinutes > 0 ? `시작 ${leadMinutes}분 전에 포탈이 열립니다.` : "시작 시각에 바로 입장합니다."
+            }`
+          );
+        }
       } else if (force || this.centerBillboardLastCountdown !== null) {
         this.centerBillboardLastCountdown = null;
         renderQuestionPanel("문항 대기 중", "문항이 시작되면 문제가 표시됩니다.");
@@ -10022,13 +11545,47 @@ export class GameRuntime {
       return;
     }
 
+    if (this.quizState.phase === "tiebreak") {
+      const seconds = Math.max(0, Math.ceil((Number(this.quizState.prepareEndsAt) - this.getQuizClockNow()) / 1000));
+      this.centerBillboardLastCountdown = seconds;
+      renderQuestionPanel(
+        `서든데스 ${Math.max(1, this.quizState.tiebreakRound)}라운드`,
+        `공동 1위 결승: ${this.quizState.tiebreakPlayers.join(", ") || "-"}\n${seconds}초 후 결승 문항이 열립니다.`
+      );
+      this.renderQuizProgressBillboard(true);
+      return;
+    }
+
+    if (this.quizState.phase === "reading") {
+      const seconds = this.getQuizReadingSeconds();
+      const index = Math.max(1, this.quizState.questionIndex);
+      const total = Math.max(this.quizState.totalQuestions, index);
+      const question = this.quizState.questionText || "문항 텍스트가 없습니다.";
+      const optionsLine = this.formatQuizOptionsLine(this.quizState.questionOptions);
+      this.centerBillboardLastCountdown = seconds;
+      renderQuestionPanel(
+        this.quizState.tiebreakRound > 0 ? `서든데스 ${this.quizState.tiebreakRound}라운드` : `문항 ${index}/${total}`,
+        `${question}${optionsLine ? `\n${optionsLine}` : ""}\n읽는 시간 ${seconds}초 · 이후 이동 가능`,
+        null,
+        this.quizState.questionMedia
+      );
+      this.renderQuizProgressBillboard(force || seconds > 0);
+      return;
+    }
+
     if (this.quizState.phase === "question") {
       const seconds = this.getQuizCountdownSeconds();
       const index = Math.max(1, this.quizState.questionIndex);
       const total = Math.max(this.quizState.totalQuestions, index);
       const question = this.quizState.questionText || "문항 텍스트가 없습니다.";
+      const optionsLine = this.formatQuizOptionsLine(this.quizState.questionOptions);
       this.centerBillboardLastCountdown = seconds;
-      renderQuestionPanel(`문항 ${index}/${total}`, `${question}\n남은 시간 ${seconds}초`);
+      renderQuestionPanel(
+        this.quizState.tiebreakRound > 0 ? `서든데스 ${this.quizState.tiebreakRound}라운드` : `문항 ${index}/${total}`,
+        `${question}${optionsLine ? `\n${optionsLine}` : ""}\n남은 시간 ${seconds}초`,
+        distribution,
+        this.quizState.questionMedia
+      );
       this.renderQuizProgressBillboard(force || seconds > 0);
       return;
     }
@@ -10044,7 +11601,7 @@ export class GameRuntime {
 
     if (this.quizState.phase === "waiting-next") {
       this.centerBillboardLastCountdown = null;
-      renderQuestionPanel("다음 문항 대기", "곧 다음 문항이 표시됩니다.");
+      renderQuestionPanel("다음 문항 대기", "곧 다음 문항이 표시됩니다.", null, this.quizState.explanationMedia);
       this.renderQuizProgressBillboard(true);
       return;
     }
@@ -10063,7 +11620,18 @@ export class GameRuntime {
     if (lockAt <= 0) {
       return 0;
     }
-    return Math.max(0, Math.ceil((lockAt - Date.now()) / 1000));
+    return Math.max(0, Math.ceil((lockAt - this.getQuizClockNow()) / 1000));
+  }
+
+  getQuizReadingSeconds() {
+    if (!this.quizState.active || this.quizState.phase !== "reading") {
+      return 0;
+    }
+    const readingEndsAt = Number(this.quizState.readingEndsAt) || 0;
+    if (readingEndsAt <= 0) {
+      return 0;
+    }
+    return Math.max(0, Math.ceil((readingEndsAt - this.getQuizClockNow()) / 1000));
   }
 
   getQuizPrepareSeconds() {
@@ -10074,7 +11642,7 @@ export class GameRuntime {
     if (prepareEndsAt <= 0) {
       return Math.ceil(ROUND_OVERLAY_SETTINGS.prepareDurationSeconds);
     }
-    return Math.max(0, Math.ceil((prepareEndsAt - Date.now()) / 1000));
+    return Math.max(0, Math.ceil((prepareEndsAt - this.getQuizClockNow()) / 1000));
   }
 
   composeStatusWithQuiz(baseStatus) {
@@ -10092,15 +11660,30 @@ export class GameRuntime {
         ? `문항 ${this.quizState.questionIndex}/${Math.max(this.quizState.totalQuestions, this.quizState.questionIndex)}`
         : "문항 ?";
 
+    const standing = this.isQuizMarathonMode()
+      ? `${this.quizState.myScore}점`
+      : this.localQuizAlive
+        ? "생존"
+        : "탈락";
+    if (this.quizState.paused) {
+      return `${status} | ${questionLabel} 일시 정지 ${standing}`;
+    }
+    if (this.quizState.phase === "reading") {
+      const seconds = this.getQuizReadingSeconds();
+      return `${status} | ${questionLabel} 읽는 시간 ${seconds}초 ${standing}`;
+    }
     if (this.quizState.phase === "question") {
       const seconds = this.getQuizCountdownSeconds();
-      return `${status} | ${questionLabel} ${seconds}초 ${this.localQuizAlive ? "생존" : "탈락"}`;
+      return `${status} | ${questionLabel} ${seconds}초 ${standing}`;
     }
     if (this.quizState.phase === "lock") {
-      return `${status} | ${questionLabel} 잠금 ${this.localQuizAlive ? "생존" : "탈락"}`;
+      return `${status} | ${questionLabel} 잠금 ${standing}`;
     }
     if (this.quizState.phase === "result") {
-      return `${status} | ${questionLabel} 생존자 ${this.quizState.survivors}명 ${this.localQuizAlive ? "생존" : "탈락"}`;
+      if (this.isQuizMarathonMode()) {
+        return `${status} | ${questionLabel} 결과 ${standing}`;
+      }
+      return `${status} | ${questionLabel} 생존자 ${this.quizState.survivors}명 ${standing}`;
     }
     if (this.quizState.phase === "ended") {
       return `${status} | 퀴즈 종료`;
@@ -10109,6 +11692,9 @@ export class GameRuntime {
       const seconds = this.getQuizPrepareSeconds();
       return `${status} | 시작 준비 ${seconds}초`;
     }
+    if (this.quizState.phase === "tiebreak") {
+      return `${status} | 서든데스 ${Math.max(1, this.quizState.tiebreakRound)}라운드 ${this.localQuizAlive ? "결승 진출" : "관전"}`;
+    }
     return `${status} | 퀴즈 ${this.formatQuizPhase(this.quizState.phase)}`;
   }
 
@@ -10140,6 +11726,11 @@ export class GameRuntime {
       "admission already in progress": "이미 입장 카운트다운이 진행 중입니다.",
       "no waiting players": "현재 입장 대기 인원이 없습니다.",
       "invalid question config": "문항 설정 형식이 올바르지 않습니다.",
+      "set not found": "문항 세트를 찾을 수 없습니다.",
+      "invalid name": "세트 이름을 입력하세요.",
+      "invalid questions": "저장할 수 있는 문항이 없습니다.",
+      "bank full": "라이브러리에 더 이상 세트를 저장할 수 없습니다.",
+      "bank unavailable": "문항 라이브러리를 사용할 수 없습니다.",
       unauthorized: "권한이 없습니다.",
       "invalid portal target": "포탈 링크 형식이 잘못되었습니다. http(s) 주소만 허용됩니다.",
       "invalid billboard target": "전광판 대상이 올바르지 않습니다.",
@@ -10152,38 +11743,157 @@ export class GameRuntime {
       "target required": "대상 플레이어를 선택하세요.",
       "cannot target self": "자기 자신은 제재할 수 없습니다.",
       "all-questions-complete": "모든 문제가 종료되었습니다.",
+      "tiebreak in progress": "서든데스 진행 중에는 이전 문제로 돌아갈 수 없습니다.",
+      "quiz paused": "일시 정지 중에는 사용할 수 없습니다.",
+      "no questions in pools": "출제 풀 조건에 맞는 문항이 없습니다.",
+      "question set required": "예약할 라이브러리 세트를 선택하세요.",
+      "invalid schedule time": "예약 시작 시각이 올바르지 않습니다.",
+      "invalid schedule repeat": "반복 설정(cron)이 올바르지 않습니다.",
+      "schedule time passed": "예약 시작 시각이 이미 지났습니다.",
+      "no schedule": "예약된 퀴즈가 없습니다.",
+      "no resolved question": "아직 판정된 문항이 없습니다.",
+      "question already voided": "이미 무효 처리된 문항입니다.",
+      "question is locking": "정답 판정 중입니다. 잠시 후 다시 시도하세요.",
+      "quiz already paused": "이미 일시 정지 상태입니다.",
+      "quiz is not paused": "일시 정지 상태가 아닙니다.",
+      "question not open": "진행 중인 문항이 없습니다.",
+      "prediction closed": "예측이 이미 마감되었습니다.",
+      "spectators only": "관전 중인 플레이어만 예측할 수 있습니다.",
+      "invalid choice": "선택할 수 없는 보기입니다.",
+      "bot limit reached": "더 이상 봇을 추가할 수 없습니다.",
+      "room full": "방 정원이 가득 찼습니다.",
+      "bot not found": "대상 봇을 찾을 수 없습니다.",
+      "no bots": "방에 봇이 없습니다.",
+      "teams disabled": "팀 모드가 꺼져 있습니다.",
+      "team not found": "대상 팀을 찾을 수 없습니다.",
+      "host cannot join team": "진행자는 팀에 배정할 수 없습니다.",
       unknown: "알 수 없음"
     };
     return table[code] ?? String(rawError ?? "알 수 없음");
   }
 
-  formatQuizPhase(rawPhase) {
-    const phase = String(rawPhase ?? "idle");
-    const phaseKorMap = {
-      idle: "대기",
-      start: "시작",
-      question: "문제",
-      lock: "잠금",
-      locked: "잠금",
-      result: "결과",
-      "waiting-next": "다음 대기",
-      ended: "종료"
-    };
-    return phaseKorMap[phase] ?? phase;
+  normalizeQuizMode(rawMode) {
+    return String(rawMode ?? "").trim().toLowerCase() === QUIZ_MODE_MARATHON
+      ? QUIZ_MODE_MARATHON
+      : QUIZ_MODE_SURVIVAL;
   }
 
-  normalizeQuizAnswerChoice(raw) {
-    const value = String(raw ?? "")
-      .trim()
-      .toUpperCase();
-    return value === "X" ? "X" : "O";
+  normalizeQuizShieldCount(rawValue) {
+    return Math.max(0, Math.min(QUIZ_MAX_SHIELDS, Math.trunc(Number(rawValue) || 0)));
   }
 
-  normalizeQuizTimeLimitSeconds(raw, fallback = QUIZ_DEFAULT_TIME_LIMIT_SECONDS) {
-    const fallbackSeconds = Math.max(
-      QUIZ_MIN_TIME_LIMIT_SECONDS,
-      Math.min(QUIZ_MAX_TIME_LIMIT_SECONDS, Math.trunc(Number(fallback) || QUIZ_DEFAULT_TIME_LIMIT_SECONDS))
-    );
+  normalizeQuizPoolPlan(raw = {}) {
+    const plan = {};
+    for (const difficulty of QUIZ_DIFFICULTIES) {
+      plan[difficulty] = Math.max(0, Math.min(50, Math.trunc(Number(raw?.[difficulty]) || 0)));
+    }
+    plan.category = sanitizeQuizCategory(raw?.category);
+    plan.adaptive = raw?.adaptive === true;
+    return plan;
+  }
+
+  readQuizPoolPlanInputs() {
+    const raw = {
+      category: this.quizPoolCategoryInputEl?.value,
+      adaptive: this.quizPoolAdaptiveInputEl?.checked === true
+    };
+    for (const difficulty of QUIZ_DIFFICULTIES) {
+      raw[difficulty] = this.quizPoolToolbarEl?.querySelector(`input[data-pool="${difficulty}"]`)?.value;
+    }
+    return this.normalizeQuizPoolPlan(raw);
+  }
+
+  formatQuizPoolPlan(plan) {
+    if (!plan) {
+      return "";
+    }
+    const counts = QUIZ_DIFFICULTIES.filter((difficulty) => plan[difficulty] > 0).map(
+      (difficulty) => `${QUIZ_DIFFICULTY_LABELS[difficulty]} ${plan[difficulty]}`
+    );
+    const parts = [counts.length > 0 ? counts.join("·") : "전체"];
+    if (plan.category) {
+      parts.push(plan.category);
+    }
+    if (plan.adaptive) {
+      parts.push("적응형");
+    }
+    return parts.join(" / ");
+  }
+
+  normalizeQuizQuestionTags(entry = {}) {
+    return {
+      difficulty: sanitizeQuizDifficulty(entry?.difficulty),
+      category: sanitizeQuizCategory(entry?.category)
+    };
+  }
+
+  formatQuizQuestionTags(entry = {}) {
+    const difficulty = sanitizeQuizDifficulty(entry?.pool) || sanitizeQuizDifficulty(entry?.difficulty);
+    return [QUIZ_DIFFICULTY_LABELS[difficulty], sanitizeQuizCategory(entry?.category)].filter(Boolean).join(" · ");
+  }
+
+  isQuizMarathonMode() {
+    return this.quizState.mode === QUIZ_MODE_MARATHON;
+  }
+
+  formatQuizPhase(rawPhase) {
+    const phase = String(rawPhase ?? "idle");
+    const phaseKorMap = {
+      idle: "대기",
+      start: "시작",
+      reading: "읽기",
+      question: "문제",
+      lock: "잠금",
+      locked: "잠금",
+      result: "결과",
+      "waiting-next": "다음 대기",
+      tiebreak: "서든데스",
+      ended: "종료"
+    };
+    return phaseKorMap[phase] ?? phase;
+  }
+
+  normalizeQuizOptionList(raw) {
+    const source = Array.isArray(raw) ? raw : typeof raw === "string" ? raw.split("|") : [];
+    const options = source
+      .map((option) => String(option ?? "").trim().slice(0, QUIZ_OPTION_MAX_LENGTH))
+      .filter(Boolean)
+      .slice(0, OX_CHOICE_ZONE_KEYS.length);
+    return options.length >= 2 ? options : [];
+  }
+
+  // Null when the answer does not fit the options, exactly where the server would reject it.
+  normalizeQuizAnswerChoice(raw, options = []) {
+    return resolveQuizAnswerAlias(raw, Array.isArray(options) ? options.length : 0);
+  }
+
+  findQuizQuestionWithoutAnswer(questions = []) {
+    const index = questions.findIndex((question) => !question?.answer);
+    return index >= 0 ? index + 1 : 0;
+  }
+
+  formatQuizAnswerLabel(answer, options = []) {
+    const key = String(answer ?? "").trim().toUpperCase();
+    if (!key) {
+      return "-";
+    }
+    const optionIndex = OX_CHOICE_ZONE_KEYS.indexOf(key);
+    const optionText = Array.isArray(options) && optionIndex >= 0 ? options[optionIndex] : "";
+    return optionText ? `${key} (${optionText})` : key;
+  }
+
+  formatQuizOptionsLine(options = []) {
+    if (!Array.isArray(options) || options.length < 2) {
+      return "";
+    }
+    return options.map((option, index) => `${OX_CHOICE_ZONE_KEYS[index]}. ${option}`).join("  ");
+  }
+
+  normalizeQuizTimeLimitSeconds(raw, fallback = QUIZ_DEFAULT_TIME_LIMIT_SECONDS) {
+    const fallbackSeconds = Math.max(
+      QUIZ_MIN_TIME_LIMIT_SECONDS,
+      Math.min(QUIZ_MAX_TIME_LIMIT_SECONDS, Math.trunc(Number(fallback) || QUIZ_DEFAULT_TIME_LIMIT_SECONDS))
+    );
     const seconds = Math.trunc(Number(raw));
     if (!Number.isFinite(seconds)) {
       return fallbackSeconds;
@@ -10191,17 +11901,35 @@ export class GameRuntime {
     return Math.max(QUIZ_MIN_TIME_LIMIT_SECONDS, Math.min(QUIZ_MAX_TIME_LIMIT_SECONDS, seconds));
   }
 
+  normalizeQuizReadingSeconds(raw) {
+    const seconds = Math.trunc(Number(raw));
+    if (!Number.isFinite(seconds)) {
+      return 0;
+    }
+    return Math.max(0, Math.min(QUIZ_MAX_READING_SECONDS, seconds));
+  }
+
   createDefaultQuizQuestion(index = 0) {
     const order = Math.max(0, Math.trunc(Number(index) || 0)) + 1;
     return {
       id: `Q${order}`,
       text: `문항 ${order}`,
       answer: "O",
+      options: [],
       explanation: "",
-      timeLimitSeconds: QUIZ_DEFAULT_TIME_LIMIT_SECONDS
+      timeLimitSeconds: QUIZ_DEFAULT_TIME_LIMIT_SECONDS,
+      readingSeconds: 0,
+      ...this.normalizeQuizQuestionTags(),
+      ...this.normalizeQuizQuestionMedia()
     };
   }
 
+  normalizeQuizQuestionMedia(entry = {}) {
+    return Object.fromEntries(
+      QUIZ_QUESTION_MEDIA_FIELDS.map((field) => [field, sanitizeBillboardMediaUrl(entry?.[field] ?? "")])
+    );
+  }
+
   buildDefaultQuizConfig(slotCount = 10) {
     const count = Math.max(1, Math.min(50, Math.trunc(Number(slotCount) || 10)));
     const questions = [];
@@ -10211,9 +11939,15 @@ export class GameRuntime {
     return {
       maxQuestions: 50,
       questions,
+      reserveQuestions: [],
       endPolicy: {
         autoFinish: true,
-        showOppositeBillboard: true
+        showOppositeBillboard: true,
+        mode: QUIZ_MODE_SURVIVAL,
+        tiebreaker: false,
+        botsCanWin: false,
+        shields: 0,
+        pools: this.normalizeQuizPoolPlan()
       }
     };
   }
@@ -10233,19 +11967,24 @@ export class GameRuntime {
           this.quizConfig?.questions?.[index]?.timeLimitSeconds,
           QUIZ_DEFAULT_TIME_LIMIT_SECONDS
         );
+        const options = this.normalizeQuizOptionList(entry?.options);
         return {
           id: String(entry?.id ?? `Q${index + 1}`)
             .trim()
             .slice(0, 24) || `Q${index + 1}`,
           text: text || `문항 ${index + 1}`,
-          answer: this.normalizeQuizAnswerChoice(entry?.answer),
+          answer: this.normalizeQuizAnswerChoice(entry?.answer, options),
+          options,
           explanation: String(entry?.explanation ?? "")
             .trim()
             .slice(0, 720),
           timeLimitSeconds: this.normalizeQuizTimeLimitSeconds(
             entry?.timeLimitSeconds ?? entry?.lockSeconds,
             fallbackTimeLimit
-          )
+          ),
+          readingSeconds: this.normalizeQuizReadingSeconds(entry?.readingSeconds),
+          ...this.normalizeQuizQuestionTags(entry),
+          ...this.normalizeQuizQuestionMedia(entry)
         };
       })
       .slice(0, maxQuestions);
@@ -10261,16 +12000,60 @@ export class GameRuntime {
     );
     const fallbackShowOppositeBillboard =
       this.quizConfig?.endPolicy?.showOppositeBillboard !== false;
+    const reserveSource = Array.isArray(payload?.reserveQuestions)
+      ? payload.reserveQuestions
+      : this.quizConfig?.reserveQuestions ?? [];
+    const reserveQuestions = reserveSource.slice(0, QUIZ_TIEBREAK_MAX_RESERVE_QUESTIONS).map((entry, index) => {
+      const options = this.normalizeQuizOptionList(entry?.options);
+      return {
+        id: `TB${index + 1}`,
+        text: String(entry?.text ?? "")
+          .trim()
+          .slice(0, 180),
+        answer: this.normalizeQuizAnswerChoice(entry?.answer, options),
+        options,
+        explanation: String(entry?.explanation ?? "")
+          .trim()
+          .slice(0, 720),
+        timeLimitSeconds: this.normalizeQuizTimeLimitSeconds(
+          entry?.timeLimitSeconds ?? entry?.lockSeconds,
+          QUIZ_DEFAULT_TIME_LIMIT_SECONDS
+        ),
+        readingSeconds: this.normalizeQuizReadingSeconds(entry?.readingSeconds),
+        ...this.normalizeQuizQuestionTags(entry),
+        ...this.normalizeQuizQuestionMedia(entry)
+      };
+    });
     return {
       maxQuestions,
       questions: finalQuestions,
+      reserveQuestions: reserveQuestions.filter((question) => question.text),
       endPolicy: {
         autoFinish: sourceEndPolicy?.autoFinish !== false,
         showOppositeBillboard: hasShowOppositeBillboard
           ? sourceEndPolicy.showOppositeBillboard !== false
           : hasTopLevelShowOppositeBillboard
             ? payload.showOppositeBillboard !== false
-            : fallbackShowOppositeBillboard
+            : fallbackShowOppositeBillboard,
+        mode: this.normalizeQuizMode(sourceEndPolicy?.mode ?? this.quizConfig?.endPolicy?.mode),
+        tiebreaker:
+          sourceEndPolicy && Object.prototype.hasOwnProperty.call(sourceEndPolicy, "tiebreaker")
+            ? sourceEndPolicy.tiebreaker === true
+            : this.quizConfig?.endPolicy?.tiebreaker === true,
+        botsCanWin:
+          sourceEndPolicy && Object.prototype.hasOwnProperty.call(sourceEndPolicy, "botsCanWin")
+            ? sourceEndPolicy.botsCanWin === true
+            : this.quizConfig?.endPolicy?.botsCanWin === true,
+        shields: this.normalizeQuizShieldCount(
+          sourceEndPolicy && Object.prototype.hasOwnProperty.call(sourceEndPolicy, "shields")
+            ? sourceEndPolicy.shields
+            : this.quizConfig?.endPolicy?.shields
+        ),
+        pools: this.normalizeQuizPoolPlan(
+          sourceEndPolicy && Object.prototype.hasOwnProperty.call(sourceEndPolicy, "pools")
+            ? sourceEndPolicy.pools
+            : this.quizConfig?.endPolicy?.pools
+        )
       }
     };
   }
@@ -10364,13 +12147,35 @@ export class GameRuntime {
     return this.normalizeQuizConfigPayload({
       maxQuestions,
       questions: nextQuestions,
+      reserveQuestions: this.collectQuizReserveQuestionsFromEditor().questions,
       endPolicy: {
         autoFinish: this.quizAutoFinishInputEl?.checked !== false,
-        showOppositeBillboard: this.quizOppositeBillboardInputEl?.checked !== false
+        showOppositeBillboard: this.quizOppositeBillboardInputEl?.checked !== false,
+        mode: this.normalizeQuizMode(this.quizModeSelectEl?.value),
+        tiebreaker: this.quizTiebreakerInputEl?.checked === true,
+        botsCanWin: this.quizBotsCanWinInputEl?.checked === true,
+        shields: this.normalizeQuizShieldCount(this.quizShieldsSelectEl?.value),
+        pools: this.readQuizPoolPlanInputs()
       }
     });
   }
 
+  collectQuizReserveQuestionsFromEditor() {
+    const source = String(this.quizReserveInputEl?.value ?? "").trim();
+    if (!source) {
+      return { questions: [], errors: [] };
+    }
+    const parsed = parseQuizSetFile(source, {
+      format: "csv",
+      timeLimitRange: { min: QUIZ_MIN_TIME_LIMIT_SECONDS, max: QUIZ_MAX_TIME_LIMIT_SECONDS },
+      readingRange: { min: 0, max: QUIZ_MAX_READING_SECONDS }
+    });
+    return {
+      questions: parsed.questions.slice(0, QUIZ_TIEBREAK_MAX_RESERVE_QUESTIONS).map(({ line, ...question }) => question),
+      errors: parsed.errors
+    };
+  }
+
   persistQuizConfigDraft({ immediate = false, updateState = true } = {}) {
     if (this.quizConfigDraftSaveTimer) {
       window.clearTimeout(this.quizConfigDraftSaveTimer);
@@ -10426,8 +12231,13 @@ export class GameRuntime {
       .map((row, index) => {
         const textEl = row.querySelector(".quiz-question-text");
         const answerEl = row.querySelector(".quiz-question-answer");
+        const optionsEl = row.querySelector(".quiz-question-options");
         const explanationEl = row.querySelector(".quiz-question-explanation");
         const timeLimitEl = row.querySelector(".quiz-question-time");
+        const readingEl = row.querySelector(".quiz-question-reading");
+        const difficultyEl = row.querySelector(".quiz-question-difficulty");
+        const categoryEl = row.querySelector(".quiz-question-category");
+        const media = this.readQuizQuestionMediaInputs(row);
         const fallbackTimeLimit = this.normalizeQuizTimeLimitSeconds(
           this.quizConfig?.questions?.[index]?.timeLimitSeconds,
           QUIZ_DEFAULT_TIME_LIMIT_SECONDS
@@ -10435,18 +12245,84 @@ export class GameRuntime {
         const text = String(textEl?.value ?? "")
           .trim()
           .slice(0, 180);
+        const options = this.normalizeQuizOptionList(optionsEl?.value);
         return {
-          id: `Q${index + 1}`,
+          id: String(this.quizConfig?.questions?.[index]?.id ?? "").trim() || `Q${index + 1}`,
           text: text || `문항 ${index + 1}`,
-          answer: this.normalizeQuizAnswerChoice(answerEl?.value),
+          answer: this.normalizeQuizAnswerChoice(answerEl?.value, options),
+          options,
           explanation: String(explanationEl?.value ?? "")
             .trim()
             .slice(0, 720),
-          timeLimitSeconds: this.normalizeQuizTimeLimitSeconds(timeLimitEl?.value, fallbackTimeLimit)
+          timeLimitSeconds: this.normalizeQuizTimeLimitSeconds(timeLimitEl?.value, fallbackTimeLimit),
+          readingSeconds: this.normalizeQuizReadingSeconds(readingEl?.value),
+          ...this.normalizeQuizQuestionTags({ difficulty: difficultyEl?.value, category: categoryEl?.value }),
+          ...this.normalizeQuizQuestionMedia(media)
         };
       });
   }
 
+  readQuizQuestionMediaInputs(row) {
+    return Object.fromEntries(
+      QUIZ_QUESTION_MEDIA_FIELDS.map((field) => [
+        field,
+        String(row?.querySelector(`.quiz-question-media input[data-media-field="${field}"]`)?.value ?? "").trim()
+      ])
+    );
+  }
+
+  refreshQuizQuestionMediaPreview(row) {
+    const previewEl = row?.querySelector(".quiz-question-media-preview");
+    if (!previewEl) {
+      return;
+    }
+    const media = this.readQuizQuestionMediaInputs(row);
+    const items = [
+      ["문항", media.videoUrl, media.imageUrl],
+      ["해설", media.explanationVideoUrl, media.explanationImageUrl]
+    ];
+    const fragment = document.createDocumentFragment();
+    for (const [label, rawVideoUrl, rawImageUrl] of items) {
+      if (!rawVideoUrl && !rawImageUrl) {
+        continue;
+      }
+      const videoUrl = sanitizeBillboardMediaUrl(rawVideoUrl);
+      const imageUrl = sanitizeBillboardMediaUrl(rawImageUrl);
+      const figure = document.createElement("figure");
+      const caption = document.createElement("figcaption");
+      if ((rawVideoUrl && !videoUrl) || (rawImageUrl && !imageUrl)) {
+        figure.classList.add("invalid");
+        caption.textContent = `${label} URL 오류 (http/https 또는 /경로)`;
+        figure.appendChild(caption);
+        fragment.appendChild(figure);
+        continue;
+      }
+      let mediaEl;
+      if (videoUrl) {
+        mediaEl = document.createElement("video");
+        mediaEl.muted = true;
+        mediaEl.loop = true;
+        mediaEl.autoplay = true;
+        mediaEl.playsInline = true;
+        mediaEl.src = videoUrl;
+        caption.textContent = `${label} 영상`;
+      } else {
+        mediaEl = document.createElement("img");
+        mediaEl.alt = `${label} 이미지`;
+        mediaEl.src = imageUrl;
+        caption.textContent = `${label} 이미지`;
+      }
+      mediaEl.addEventListener("error", () => {
+        figure.classList.add("invalid");
+        caption.textContent = `${label} 미디어를 불러올 수 없습니다`;
+      });
+      figure.append(mediaEl, caption);
+      fragment.appendChild(figure);
+    }
+    previewEl.replaceChildren(fragment);
+    previewEl.classList.toggle("hidden", !previewEl.hasChildNodes());
+  }
+
   renderQuizConfigEditor() {
     this.resolveUiElements();
     if (!this.quizQuestionListEl) {
@@ -10472,6 +12348,35 @@ export class GameRuntime {
       this.quizOppositeBillboardInputEl.checked =
         this.quizConfig?.endPolicy?.showOppositeBillboard !== false;
     }
+    if (this.quizModeSelectEl) {
+      this.quizModeSelectEl.value = this.normalizeQuizMode(this.quizConfig?.endPolicy?.mode);
+    }
+    if (this.quizTiebreakerInputEl) {
+      this.quizTiebreakerInputEl.checked = this.quizConfig?.endPolicy?.tiebreaker === true;
+    }
+    if (this.quizBotsCanWinInputEl) {
+      this.quizBotsCanWinInputEl.checked = this.quizConfig?.endPolicy?.botsCanWin === true;
+    }
+    if (this.quizShieldsSelectEl) {
+      this.quizShieldsSelectEl.value = String(this.normalizeQuizShieldCount(this.quizConfig?.endPolicy?.shields));
+    }
+    const poolPlan = this.normalizeQuizPoolPlan(this.quizConfig?.endPolicy?.pools);
+    for (const difficulty of QUIZ_DIFFICULTIES) {
+      const input = this.quizPoolToolbarEl?.querySelector(`input[data-pool="${difficulty}"]`);
+      if (input) {
+        input.value = String(poolPlan[difficulty]);
+      }
+    }
+    if (this.quizPoolCategoryInputEl) {
+      this.quizPoolCategoryInputEl.value = poolPlan.category;
+    }
+    if (this.quizPoolAdaptiveInputEl) {
+      this.quizPoolAdaptiveInputEl.checked = poolPlan.adaptive;
+    }
+    if (this.quizReserveInputEl) {
+      const reserveQuestions = Array.isArray(this.quizConfig?.reserveQuestions) ? this.quizConfig.reserveQuestions : [];
+      this.quizReserveInputEl.value = reserveQuestions.length > 0 ? serializeQuizSetCsv(reserveQuestions) : "";
+    }
 
     const fragment = document.createDocumentFragment();
     for (let index = 0; index < safeQuestions.length; index += 1) {
@@ -10500,18 +12405,45 @@ export class GameRuntime {
       explanationInput.placeholder = "해설 (게임 종료 후 표시)";
       explanationInput.value = String(question?.explanation ?? "").slice(0, 720);
 
-      fields.append(textInput, explanationInput);
+      const choiceOptions = this.normalizeQuizOptionList(question?.options);
+      const optionsInput = document.createElement("input");
+      optionsInput.className = "quiz-question-options";
+      optionsInput.type = "text";
+      optionsInput.maxLength = (QUIZ_OPTION_MAX_LENGTH + 1) * OX_CHOICE_ZONE_KEYS.length;
+      optionsInput.placeholder = "객관식 보기 (예: 서울|부산|대구, 비우면 OX)";
+      optionsInput.value = choiceOptions.join("|");
+
+      const mediaFields = document.createElement("div");
+      mediaFields.className = "quiz-question-media";
+      const mediaPlaceholders = {
+        imageUrl: "문항 이미지 URL",
+        videoUrl: "문항 영상 URL (짧은 클립)",
+        explanationImageUrl: "해설 이미지 URL",
+        explanationVideoUrl: "해설 영상 URL"
+      };
+      for (const field of QUIZ_QUESTION_MEDIA_FIELDS) {
+        const mediaInput = document.createElement("input");
+        mediaInput.type = "url";
+        mediaInput.maxLength = 420;
+        mediaInput.placeholder = mediaPlaceholders[field];
+        mediaInput.dataset.mediaField = field;
+        mediaInput.value = String(question?.[field] ?? "");
+        mediaFields.appendChild(mediaInput);
+      }
+      const mediaPreview = document.createElement("div");
+      mediaPreview.className = "quiz-question-media-preview hidden";
+
+      fields.append(textInput, optionsInput, explanationInput, mediaFields, mediaPreview);
 
       const answerSelect = document.createElement("select");
       answerSelect.className = "quiz-question-answer";
-      const optionO = document.createElement("option");
-      optionO.value = "O";
-      optionO.textContent = "정답 O";
-      const optionX = document.createElement("option");
-      optionX.value = "X";
-      optionX.textContent = "정답 X";
-      answerSelect.append(optionO, optionX);
-      answerSelect.value = this.normalizeQuizAnswerChoice(question?.answer);
+      for (const key of ["O", "X", ...OX_CHOICE_ZONE_KEYS]) {
+        const option = document.createElement("option");
+        option.value = key;
+        option.textContent = `정답 ${key}`;
+        answerSelect.appendChild(option);
+      }
+      answerSelect.value = this.normalizeQuizAnswerChoice(question?.answer, choiceOptions) ?? "";
       const side = document.createElement("div");
       side.className = "quiz-question-side";
       const timeLimitWrap = document.createElement("label");
@@ -10527,9 +12459,38 @@ export class GameRuntime {
         this.normalizeQuizTimeLimitSeconds(question?.timeLimitSeconds, QUIZ_DEFAULT_TIME_LIMIT_SECONDS)
       );
       timeLimitWrap.appendChild(timeLimitInput);
-      side.append(answerSelect, timeLimitWrap);
+      const readingWrap = document.createElement("label");
+      readingWrap.className = "quiz-question-reading-wrap";
+      readingWrap.textContent = "읽기(초)";
+      readingWrap.title = "문제를 보여준 뒤 이동을 막아 두는 시간입니다. 0이면 바로 이동할 수 있습니다.";
+      const readingInput = document.createElement("input");
+      readingInput.className = "quiz-question-reading";
+      readingInput.type = "number";
+      readingInput.min = "0";
+      readingInput.max = String(QUIZ_MAX_READING_SECONDS);
+      readingInput.step = "1";
+      readingInput.value = String(this.normalizeQuizReadingSeconds(question?.readingSeconds));
+      readingWrap.appendChild(readingInput);
+      const tags = this.normalizeQuizQuestionTags(question);
+      const difficultySelect = document.createElement("select");
+      difficultySelect.className = "quiz-question-difficulty";
+      for (const difficulty of ["", ...QUIZ_DIFFICULTIES]) {
+        const option = document.createElement("option");
+        option.value = difficulty;
+        option.textContent = difficulty ? `난이도 ${QUIZ_DIFFICULTY_LABELS[difficulty]}` : "난이도 미지정";
+        difficultySelect.appendChild(option);
+      }
+      difficultySelect.value = tags.difficulty;
+      const categoryInput = document.createElement("input");
+      categoryInput.className = "quiz-question-category";
+      categoryInput.type = "text";
+      categoryInput.maxLength = 24;
+      categoryInput.placeholder = "카테고리";
+      categoryInput.value = tags.category;
+      side.append(answerSelect, timeLimitWrap, readingWrap, difficultySelect, categoryInput);
 
       row.append(order, fields, side);
+      this.refreshQuizQuestionMediaPreview(row);
       fragment.appendChild(row);
     }
     this.quizQuestionListEl.replaceChildren(fragment);
@@ -10561,21 +12522,128 @@ export class GameRuntime {
     this.setQuizConfigStatus("기본 문항 템플릿으로 초기화했습니다.");
   }
 
-  getQuizCategoryStorageKey(name) {
-    const safe = String(name ?? "").trim().replace(/\s+/g, "_").slice(0, 32);
-    if (!safe) {
-      return "";
+  canRequestQuizBank() {
+    if (!this.ownerAccessEnabled) {
+      this.setQuizConfigStatus("오너 토큰이 없어 문항 라이브러리를 사용할 수 없습니다.", true);
+      return false;
+    }
+    if (!this.socket || !this.networkConnected) {
+      this.setQuizConfigStatus("오프라인 상태에서는 문항 라이브러리를 사용할 수 없습니다.", true);
+      return false;
     }
-    return `${QUIZ_CATEGORY_STORAGE_PREFIX}.${safe}`;
+    if (!this.isLocalHost()) {
+      this.setQuizConfigStatus("방장만 문항 라이브러리를 사용할 수 있습니다.", true);
+      return false;
+    }
+    return !this.quizBankBusy;
   }
 
-  saveQuizCategory(name) {
-    if (typeof window === "undefined" || !window.localStorage) {
-      this.setQuizConfigStatus("저장 실패: 로컬 스토리지를 사용할 수 없습니다.", true);
+  getSelectedQuizBankSet() {
+    const id = String(this.quizBankSelectEl?.value ?? "").trim();
+    return id ? this.quizBankSets.find((set) => set.id === id) ?? null : null;
+  }
+
+  parseQuizBankTagsInput() {
+    return String(this.quizBankTagsInputEl?.value ?? "")
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+  }
+
+  renderQuizBankSelect(selectedId = "") {
+    const selectEl = this.quizBankSelectEl;
+    if (!selectEl) {
       return;
     }
-    const key = this.getQuizCategoryStorageKey(name);
-    if (!key) {
+    selectEl.textContent = "";
+    const blank = document.createElement("option");
+    blank.value = "";
+    blank.textContent = "새 세트";
+    selectEl.appendChild(blank);
+    for (const set of this.quizBankSets) {
+      const option = document.createElement("option");
+      option.value = set.id;
+      const tagsLabel = set.tags.length > 0 ? ` #${set.tags.join(" #")}` : "";
+      option.textContent = `${set.name} (${set.questionCount}문항)${tagsLabel}`;
+      selectEl.appendChild(option);
+    }
+    selectEl.value = this.quizBankSets.some((set) => set.id === selectedId) ? selectedId : "";
+    this.syncQuizBankFormFromSelection();
+  }
+
+  syncQuizBankFormFromSelection() {
+    const set = this.getSelectedQuizBankSet();
+    if (this.quizBankNameInputEl) {
+      this.quizBankNameInputEl.value = set?.name ?? "";
+    }
+    if (this.quizBankTagsInputEl) {
+      this.quizBankTagsInputEl.value = set ? set.tags.join(", ") : "";
+    }
+  }
+
+  normalizeQuizBankSummary(raw = {}) {
+    return {
+      id: String(raw?.id ?? "").trim(),
+      name: String(raw?.name ?? "").trim(),
+      tags: Array.isArray(raw?.tags) ? raw.tags.map((tag) => String(tag ?? "").trim()).filter(Boolean) : [],
+      questionCount: Math.max(0, Math.trunc(Number(raw?.questionCount) || 0)),
+      updatedAt: Math.max(0, Math.trunc(Number(raw?.updatedAt) || 0))
+    };
+  }
+
+  fetchQuizBankList(selectedId = this.quizBankSelectEl?.value ?? "") {
+    if (!this.canRequestQuizBank()) {
+      return;
+    }
+    this.quizBankBusy = true;
+    const tag = String(this.quizBankFilterInputEl?.value ?? "").trim();
+    this.socket.emit("quiz:bank:list", { tag }, (response = {}) => {
+      this.quizBankBusy = false;
+      if (!response?.ok) {
+        this.setQuizConfigStatus(`라이브러리 불러오기 실패: ${this.translateQuizError(response?.error)}`, true);
+        return;
+      }
+      this.quizBankSets = (Array.isArray(response.sets) ? response.sets : [])
+        .map((set) => this.normalizeQuizBankSummary(set))
+        .filter((set) => set.id);
+      this.renderQuizBankSelect(selectedId);
+    });
+  }
+
+  requestQuizBankLoad() {
+    const selected = this.getSelectedQuizBankSet();
+    if (!selected) {
+      this.setQuizConfigStatus("불러올 세트를 선택하세요.", true);
+      return;
+    }
+    if (!this.canRequestQuizBank()) {
+      return;
+    }
+    this.quizBankBusy = true;
+    this.socket.emit("quiz:bank:get", { id: selected.id }, (response = {}) => {
+      this.quizBankBusy = false;
+      if (!response?.ok) {
+        this.setQuizConfigStatus(`불러오기 실패: ${this.translateQuizError(response?.error)}`, true);
+        return;
+      }
+      const questions = Array.isArray(response.set?.questions) ? response.set.questions : [];
+      this.quizConfig = this.normalizeQuizConfigPayload({
+        maxQuestions: 50,
+        questions,
+        endPolicy: this.quizConfig?.endPolicy ?? { autoFinish: true, showOppositeBillboard: true }
+      });
+      this.renderQuizConfigEditor();
+      this.persistQuizConfigDraft({ immediate: true, updateState: true });
+      this.setQuizConfigStatus(
+        `'${selected.name}' 세트 ${questions.length}개 문항을 불러왔습니다. 저장 버튼으로 서버에 반영하세요.`
+      );
+    });
+  }
+
+  requestQuizBankSave() {
+    const name = String(this.quizBankNameInputEl?.value ?? "").trim();
+    if (!name) {
+      this.setQuizConfigStatus("세트 이름을 입력하세요.", true);
       return;
     }
     const questions = this.collectQuizConfigQuestionsFromEditor();
@@ -10583,350 +12651,250 @@ export class GameRuntime {
       this.setQuizConfigStatus("저장할 문항이 없습니다.", true);
       return;
     }
+    const missingAnswer = this.findQuizQuestionWithoutAnswer(questions);
+    if (missingAnswer > 0) {
+      this.setQuizConfigStatus(`${missingAnswer}번 문항의 정답이 보기와 맞지 않습니다.`, true);
+      return;
+    }
+    if (!this.canRequestQuizBank()) {
+      return;
+    }
+    // Saving while a set is selected overwrites it; pick "새 세트" to create another one.
+    const selected = this.getSelectedQuizBankSet();
     const payload = {
-      version: 1,
-      name: String(name),
-      savedAt: Date.now(),
+      id: selected?.id ?? "",
+      name,
+      tags: this.parseQuizBankTagsInput(),
       questions
     };
-    try {
-      window.localStorage.setItem(key, JSON.stringify(payload));
-      this.setQuizConfigStatus(`'${name}' 카테고리에 ${questions.length}개 문항을 저장했습니다.`);
-    } catch {
-      this.setQuizConfigStatus("저장 실패: 스토리지 용량 초과.", true);
-    }
+    this.quizBankBusy = true;
+    this.socket.emit("quiz:bank:save", payload, (response = {}) => {
+      this.quizBankBusy = false;
+      if (!response?.ok) {
+        this.setQuizConfigStatus(`라이브러리 저장 실패: ${this.translateQuizError(response?.error)}`, true);
+        return;
+      }
+      const set = response.set ?? {};
+      const count = Array.isArray(set.questions) ? set.questions.length : questions.length;
+      this.setQuizConfigStatus(`'${set.name ?? name}' 세트에 ${count}개 문항을 저장했습니다.`);
+      this.fetchQuizBankList(set.id ?? "");
+    });
   }
 
-  loadQuizCategory(name) {
-    if (typeof window === "undefined" || !window.localStorage) {
-      this.setQuizConfigStatus("불러오기 실패: 로컬 스토리지를 사용할 수 없습니다.", true);
+  requestQuizBankTag() {
+    const selected = this.getSelectedQuizBankSet();
+    if (!selected) {
+      this.setQuizConfigStatus("태그를 적용할 세트를 선택하세요.", true);
       return;
     }
-    const key = this.getQuizCategoryStorageKey(name);
-    if (!key) {
+    if (!this.canRequestQuizBank()) {
       return;
     }
-    let questions = [];
-    try {
-      const raw = window.localStorage.getItem(key);
-      if (raw) {
-        const payload = JSON.parse(raw);
-        questions = Array.isArray(payload?.questions) ? payload.questions : [];
+    this.quizBankBusy = true;
+    this.socket.emit(
+      "quiz:bank:tag",
+      { id: selected.id, tags: this.parseQuizBankTagsInput() },
+      (response = {}) => {
+        this.quizBankBusy = false;
+        if (!response?.ok) {
+          this.setQuizConfigStatus(`태그 적용 실패: ${this.translateQuizError(response?.error)}`, true);
+          return;
+        }
+        this.setQuizConfigStatus(`'${selected.name}' 세트의 태그를 변경했습니다.`);
+        this.fetchQuizBankList(selected.id);
       }
-    } catch {
-      // ignore corrupted data — fall through to builtin
+    );
+  }
+
+  requestQuizBankDelete() {
+    const selected = this.getSelectedQuizBankSet();
+    if (!selected) {
+      this.setQuizConfigStatus("삭제할 세트를 선택하세요.", true);
+      return;
     }
-    if (questions.length <= 0) {
-      const builtin = this.getQuizCategoryBuiltinPreset(name);
-      if (builtin && builtin.length > 0) {
-        questions = builtin;
-      } else {
-        this.setQuizConfigStatus(`'${name}' 카테고리에 저장된 문항이 없습니다.`, true);
+    if (!this.canRequestQuizBank()) {
+      return;
+    }
+    if (typeof window !== "undefined" && !window.confirm(`'${selected.name}' 세트를 삭제할까요?`)) {
+      return;
+    }
+    this.quizBankBusy = true;
+    this.socket.emit("quiz:bank:delete", { id: selected.id }, (response = {}) => {
+      this.quizBankBusy = false;
+      if (!response?.ok) {
+        this.setQuizConfigStatus(`삭제 실패: ${this.translateQuizError(response?.error)}`, true);
         return;
       }
-    }
-    const normalized = this.normalizeQuizConfigPayload({
-      maxQuestions: 50,
-      questions,
-      endPolicy: this.quizConfig?.endPolicy ?? { autoFinish: true, showOppositeBillboard: true }
+      this.setQuizConfigStatus(`'${selected.name}' 세트를 삭제했습니다.`);
+      this.fetchQuizBankList("");
     });
-    this.quizConfig = normalized;
-    this.renderQuizConfigEditor();
-    this.persistQuizConfigDraft({ immediate: true, updateState: true });
-    this.setQuizConfigStatus(`'${name}' 카테고리 ${questions.length}개 문항을 불러왔습니다. 저장 버튼으로 서버에 반영하세요.`);
   }
-
-  getQuizCategoryBuiltinPreset(name) {
-    if (name === "역사상식") {
-      return [
-        {
-          text: "고려를 건국한 인물은 왕건이다.",
-          answer: "O",
-          explanation: "918년 왕건이 궁예를 몰아내고 고려를 건국했다.",
-          timeLimitSeconds: 30
-        },
-        {
-          text: "세종대왕이 훈민정음을 창제한 해는 1443년이다.",
-          answer: "O",
-          explanation: "1443년 창제, 1446년 반포. 창제와 반포는 구분해야 한다.",
-          timeLimitSeconds: 30
-        },
-        {
-          text: "임진왜란이 발생한 해는 1592년이다.",
-          answer: "O",
-          explanation: "1592년 일본이 조선을 침략하며 임진왜란이 시작되었다.",
-          timeLimitSeconds: 30
-        },
-        {
-          text: "조선을 건국한 인물은 이성계이다.",
-          answer: "O",
-          explanation: "1392년 이성계가 고려를 무너뜨리고 조선을 건국했다.",
-          timeLimitSeconds: 30
-        },
-        {
-          text: "삼국 통일을 이룬 나라는 고구려이다.",
-          answer: "X",
-          explanation: "676년 신라가 당나라 세력을 몰아내고 삼국통일을 완성했다.",
-          timeLimitSeconds: 30
-        },
-        {
-          text: "조선의 수도는 처음부터 끝까지 한양(서울)이었다.",
-          answer: "X",
-          explanation: "태종 때 잠시 개성으로 환도했다가 다시 한양으로 돌아왔다.",
-          timeLimitSeconds: 30
-        },
-        {
-          text: "을사조약(1905)으로 조선은 외교권을 박탈당했다.",
-          answer: "O",
-          explanation: "일본이 대한제국의 외교권을 강제로 빼앗은 조약이다.",
-          timeLimitSeconds: 30
-        },
-        {
-          text: "강화도 조약(1876)은 조선이 일본과 맺은 최초의 근대 조약이다.",
-          answer: "O",
-          explanation: "불평등 조약으로 조선의 문호를 강제 개방시켰다.",
-          timeLimitSeconds: 30
-        },
-        {
-          text: "고조선을 세운 시조는 동명성왕이다.",
-          answer: "X",
-          explanation: "고조선의 시조는 단군왕검이다. 동명성왕은 고구려의 시조다.",
-          timeLimitSeconds: 30
-        },
-        {
-          text: "병자호란에서 조선 인조는 청나라에 항복하였다.",
-          answer: "O",
-          explanation: "1637년 인조가 삼전도에서 청 태종에게 항복의 예를 올렸다.",
-          timeLimitSeconds: 30
-        },
-        {
-          text: "광개토대왕은 신라의 왕이다.",
-          answer: "X",
-          explanation: "광개토대왕은 고구려 19대 왕으로, 영토를 크게 확장했다.",
-          timeLimitSeconds: 30
-        },
-        {
-          text: "3·1 운동은 1919년에 일어났다.",
-          answer: "O",
-          explanation: "1919년 3월 1일 독립선언서 낭독과 함께 전국적 독립운동이 시작됐다.",
-          timeLimitSeconds: 30
-        },
-        {
-          text: "대한민국 임시정부가 수립된 곳은 베이징이다.",
-          answer: "X",
-          explanation: "1919년 중국 상하이에서 수립되었다.",
-          timeLimitSeconds: 30
-        },
-        {
-          text: "동학농민운동(갑오농민전쟁)이 일어난 해는 1894년이다.",
-          answer: "O",
-          explanation: "1894년 전봉준을 중심으로 반봉건·반외세 운동이 전개되었다.",
-          timeLimitSeconds: 30
-        },
-        {
-          text: "고려의 팔만대장경은 해인사에 보관되어 있다.",
-          answer: "O",
-          explanation: "경남 합천 해인사 장경판전에 보관 중이며, 유네스코 세계유산이다.",
-          timeLimitSeconds: 30
-        },
-        {
-          text: "훈민정음 해례본은 유네스코 세계기록유산에 등재되어 있다.",
-          answer: "O",
-          explanation: "1997년 유네스코 세계기록유산으로 등재되었다.",
-          timeLimitSeconds: 30
-        },
-        {
-          text: "조선 시대 최초의 사화는 무오사화(1498)이다.",
-          answer: "O",
-          explanation: "연산군 때 김일손의 사초가 문제가 되어 사림파가 탄압받은 사건이다.",
-          timeLimitSeconds: 30
-        },
-        {
-          text: "국채보상운동(1907)은 국민이 자발적으로 일본 차관을 갚자는 운동이었다.",
-          answer: "O",
-          explanation: "대구에서 시작되어 전국으로 확산된 국민 모금 운동이다.",
-          timeLimitSeconds: 30
-        },
-        {
-          text: "신라의 마지막 왕은 경애왕이다.",
-          answer: "X",
-          explanation: "신라의 마지막 왕은 경순왕(56대)이다. 경애왕은 55대 왕이다.",
-          timeLimitSeconds: 30
-        },
-        {
-          text: "이순신 장군의 명량해전은 1597년에 치러졌다.",
-          answer: "O",
-          explanation: "12척의 배로 133척의 왜선을 물리친 세계 해전사의 기적이다.",
-          timeLimitSeconds: 30
-        },
-        {
-          text: "6·25 전쟁은 미국이 먼저 남한을 침공하며 시작되었다.",
-          answer: "X",
-          explanation: "1950년 6월 25일 북한이 38선을 넘어 남침하며 전쟁이 시작되었다.",
-          timeLimitSeconds: 30
-        }
-      ];
-    }
-    if (name !== "특갤") {
-      return null;
-    }
-    return [
-      {
-        text: "특이점(Singularity)은 기존의 기준값과 법칙으로 예측 모델이 더 이상 적용되지 않는 상이한 지점을 의미한다.",
-        answer: "O",
-        explanation: "기술 변화가 급격히 변해 인간 삶의 기준을 바꿔버릴 수밖에 없는 지점."
-      },
-      {
-        text: "LLM은 그럴듯한 거짓말(환각)을 할 수 있다.",
-        answer: "O",
-        explanation: "대형 언어 모델은 사실이 아닌 내용을 그럴듯하게 생성하는 환각(Hallucination) 현상이 알려져 있다."
-      },
-      {
-        text: "머스크는 우리가 이미 특이점에 진입했다고 봤다.",
-        answer: "O",
-        explanation: "머스크가 \"이미 진입\" 취지 발언을 여러 차례 했다."
-      },
-      {
-        text: "세계 경제는 성장하고 있지만, 그것은 개발도상국엔 해당되지 않는다.",
-        answer: "X",
-        explanation: "극빈층 감소 예시 등 개도국도 경제적 개선이 있었다 → 문장 부정."
-      },
-      {
-        text: "「특이점이 온다」 마이너 갤러리 개설일은 2019-08-02이다.",
-        answer: "X",
-        explanation: "2019-08-01이라고 명시."
-      },
-      {
-        text: "오늘날 신경과학은 다양한 자료를 바탕으로 뇌 모델을 만들고 시뮬레이션하고 있다.",
-        answer: "O",
-        explanation: "스캔/연결 모델/실험 등으로 모델링·검증 흐름 존재."
-      },
-      {
-        text: "UBI는 더 큰 수준의 고소득(생활 여유 포함)을 보장하자는 담론으로 쓰이기도 한다.",
-        answer: "X",
-        explanation: "그건 UBI가 아니라 UHI(Universal High Income) 쪽 개념."
-      },
-      {
-        text: "1945년 4월 19일자 글에서 고든 무어가 \"직접 전자공학의 미래…\"라고 했다.",
-        answer: "X",
-        explanation: "책 163p 참고 메모 기준 — 그 인용/구성이 맞지 않는다는 취지."
-      },
-      {
-        text: "머스크는 2028년 말 AI가 최강 인간 지능을 능가한다고 했다.",
-        answer: "X",
-        explanation: "2025말~2026년 내로 발언이 수정됨 → 원문장 X."
-      },
-      {
-        text: "\"뒤를 멀리 돌아볼수록 앞을 더 멀리 내다볼 수 있다.\" -칼 세이건-",
-        answer: "X",
-        explanation: "이 명언은 윈스턴 처칠의 것으로 정정해둠 → '칼 세이건' 표기는 X."
-      },
-      {
-        text: "지금 여러분과 함께 플레이하는 이 공간엔 AI가 있다.",
-        answer: "X",
-        explanation: "아직 구현 못함."
-      },
-      {
-        text: "특이점 OX 대기방 가상 캐릭터 이름은 \"차연\"이다.",
-        answer: "O",
-        explanation: "데리다의 '차연(Différance)' 개념에서 따온 이름."
-      },
-      {
-        text: "머슴닷컴(Mersoom) 업로드 일시는 2026년 1월 31일이다.",
-        answer: "X",
-        explanation: "실제 업로드는 2026.02.01 12:44:41."
-      },
-      {
-        text: "유전 알고리즘은 사업현장에 아직 동원되지 못했다.",
-        answer: "X",
-        explanation: "이미 대기업·플랫폼 등에서 쓰이고 있고, 오픈소스+클라우드로 확산 중."
-      },
-      {
-        text: "CIM은 최적화·물류 능률화에서 점차 AI 기법을 확대하고 있다.",
-        answer: "O",
-        explanation: "CIM+AI 결합이 확대되는 흐름은 실제로 존재한다."
-      },
-      {
-        text: "\"과학은 조직된 삶, 지혜는 조직된 지식\"이라고 칸트가 말했다.",
-        answer: "X",
-        explanation: "정확한 문구는 반대 — '과학은 조직된 지식, 지혜는 조직된 삶'."
-      },
-      {
-        text: "제작자는 이 게임을 만드는 데 일주일이 걸렸다.",
-        answer: "X",
-        explanation: "3일 만에 만들었다 → X."
-      },
-      {
-        text: "Hawking–Penrose 특이점 정리의 개념이 의식의 물리적 기초가 된다.",
-        answer: "X",
-        explanation: "커넥톰은 wiring diagram일 뿐, 작동 원리가 아님 → 직결은 X."
-      },
-      {
-        text: "실온 초전도체에서 위상 보호가 불가능하므로 대규모 양자컴퓨터는 물리적으로 불가능하다.",
-        answer: "X",
-        explanation: "단정이 너무 큼. 연구는 계속 진행 중 → X."
-      },
-      {
-        text: "0 이상 999 이하 정수 중 숫자 9가 포함된 수는 271개이다.",
-        answer: "O",
-        explanation: "9가 없는 수: 각 자리에 0~8 → 9³ = 729개. 1000 - 729 = 271."
-      },
-      {
-        text: "\"이 문장은 거짓이다\"는 O 또는 X로 판정할 수 있다.",
-        answer: "X",
-        explanation: "라이어(Liar) 패러독스 — 참도 거짓도 될 수 없어 판정 불가."
-      },
-      {
-        text: "이 게임의 가상 인물 '자연'은 포스트모더니즘→해체주의 흐름에서 파생된 인물이다.",
-        answer: "O",
-        explanation: "ㅇㅇ"
-      },
-      {
-        text: "이전 수복 최종 업데이트 버전은 V7.9이다.",
-        answer: "X",
-        explanation: "V7.1로 정리됨 → V7.9는 X."
-      },
-      {
-        text: "조건을 만족하는 경우의 수는 32,760개이다.",
-        answer: "O",
-        explanation: "O(맞음)"
-      },
-      {
-        text: "오픈소스는 무조건 상업적 사용이 금지된다.",
-        answer: "X",
-        explanation: "라이선스에 따라 MIT·Apache 등은 상업적 사용을 허용한다."
-      },
-      {
-        text: "AI 생성 결과물도 저작권·라이선스 문제가 생길 수 있다.",
-        answer: "O",
-        explanation: "학습 데이터 및 생성 결과물의 저작권 귀속은 법적으로 논의 중."
-      },
-      {
-        text: "GitHub Pages는 정적 웹페이지 배포에 쓰인다.",
-        answer: "O",
-        explanation: "HTML/CSS/JS 정적 파일을 무료로 호스팅할 수 있다."
-      },
-      {
-        text: "확률 50%인 사건을 10번 반복하면 반드시 5번 성공한다.",
-        answer: "X",
-        explanation: "기댓값이 5번이지, 5번이 보장되지는 않는다."
-      },
-      {
-        text: "\"A이면 B\"에서 A가 거짓일 때 명제 전체는 참이 될 수 있다.",
-        answer: "O",
-        explanation: "전건이 거짓이면 명제 전체는 항상 참(vacuous truth)."
-      },
-      {
-        text: "정수 '0'은 짝수다.",
-        answer: "O",
-        explanation: "2의 배수 정의상 짝수. 0 = 2 × 0."
-      },
-      {
-        text: "Git은 변경 이력을 저장하는 버전관리 시스템이다.",
-        answer: "O",
-        explanation: "분산형 버전관리 시스템(DVCS)으로 파일의 변경 이력을 추적한다."
+
+  normalizeRoomSchedule(raw = {}) {
+    const lastRun = raw?.lastRun && typeof raw.lastRun === "object" ? raw.lastRun : null;
+    return {
+      enabled: raw?.enabled === true,
+      nextStartAt: Math.max(0, Math.trunc(Number(raw?.nextStartAt) || 0)),
+      lobbyOpensAt: Math.max(0, Math.trunc(Number(raw?.lobbyOpensAt) || 0)),
+      lobbyLeadMinutes: Math.max(0, Math.trunc(Number(raw?.lobbyLeadMinutes) || 0)),
+      repeat: String(raw?.repeat ?? "").trim(),
+      questionSetId: String(raw?.questionSetId ?? "").trim(),
+      questionSetName: String(raw?.questionSetName ?? "").trim(),
+      lastRun: lastRun
+        ? {
+            at: Math.max(0, Math.trunc(Number(lastRun.at) || 0)),
+            ok: lastRun.ok === true,
+            error: String(lastRun.error ?? "")
+          }
+        : null
+    };
+  }
+
+  applyRoomSchedule(rawSchedule) {
+    const previous = this.roomSchedule;
+    this.roomSchedule = this.normalizeRoomSchedule(rawSchedule);
+    const lastRun = this.roomSchedule.lastRun;
+    if (lastRun && !lastRun.ok && lastRun.at !== previous.lastRun?.at && this.isLocalHost()) {
+      this.appendChatLine(
+        "시스템",
+        `예약된 퀴즈를 시작하지 못했습니다: ${this.translateQuizError(lastRun.error)}`,
+        "system"
+      );
+    }
+    this.renderRoomScheduleStatus();
+    if (this.roomSchedule.nextStartAt !== previous.nextStartAt) {
+      this.syncQuizBillboard(true);
+    }
+  }
+
+  // Whole minutes remaining, rounded up so the board never reads 00:00 before the start.
+  formatRoomScheduleCountdown(nowMs = this.getServerNow()) {
+    const startAt = this.roomSchedule?.enabled ? this.roomSchedule.nextStartAt : 0;
+    const remainMinutes = Math.ceil((startAt - nowMs) / 60000);
+    if (startAt <= 0 || remainMinutes <= 0) {
+      return "";
+    }
+    const hours = String(Math.floor(remainMinutes / 60)).padStart(2, "0");
+    const minutes = String(remainMinutes % 60).padStart(2, "0");
+    return `${hours}:${minutes}`;
+  }
+
+  formatRoomScheduleRepeat(repeat) {
+    if (!repeat) {
+      return "1회";
+    }
+    if (/^\d+ \d+ \* \* \*$/.test(repeat)) {
+      return "매일";
+    }
+    if (/^\d+ \d+ \* \* \d$/.test(repeat)) {
+      return "매주";
+    }
+    return `반복 ${repeat}`;
+  }
+
+  renderRoomScheduleStatus() {
+    if (!this.quizScheduleStatusEl) {
+      return;
+    }
+    const schedule = this.roomSchedule;
+    let text = "예약된 퀴즈 없음";
+    if (schedule.enabled) {
+      const startLabel = new Date(schedule.nextStartAt).toLocaleString("ko-KR", {
+        month: "numeric",
+        day: "numeric",
+        weekday: "short",
+        hour: "2-digit",
+        minute: "2-digit"
+      });
+      text = `다음 ${startLabel} · ${this.formatRoomScheduleRepeat(schedule.repeat)} · '${
+        schedule.questionSetName || schedule.questionSetId
+      }' · 포탈 ${schedule.lobbyLeadMinutes}분 전`;
+    }
+    const failed = schedule.lastRun && !schedule.lastRun.ok;
+    if (failed) {
+      text += ` (최근 실행 실패: ${this.translateQuizError(schedule.lastRun.error)})`;
+    }
+    this.quizScheduleStatusEl.textContent = text;
+    this.quizScheduleStatusEl.classList.toggle("error", Boolean(failed));
+  }
+
+  syncRoomScheduleCronInput() {
+    if (this.quizScheduleCronInputEl) {
+      this.quizScheduleCronInputEl.disabled = this.quizScheduleRepeatSelectEl?.value !== "cron";
+    }
+  }
+
+  /**
+   * Builds the schedule request from the toolbar. Daily/weekly repeats are expressed as cron
+   * at the chosen wall time; the browser's UTC offset tells the worker whose evening it is.
+   */
+  readRoomScheduleInputs() {
+    const questionSetId = String(this.quizBankSelectEl?.value ?? "").trim();
+    if (!questionSetId) {
+      return { error: "예약할 라이브러리 세트를 선택하세요." };
+    }
+    const startValue = String(this.quizScheduleStartInputEl?.value ?? "").trim();
+    const start = startValue ? new Date(startValue) : null;
+    if (start && !Number.isFinite(start.getTime())) {
+      return { error: "예약 시작 시각이 올바르지 않습니다." };
+    }
+    const repeatMode = String(this.quizScheduleRepeatSelectEl?.value ?? "");
+    let repeat = "";
+    if (repeatMode === "cron") {
+      repeat = String(this.quizScheduleCronInputEl?.value ?? "").trim();
+      if (!repeat) {
+        return { error: "반복 cron 식을 입력하세요. (분 시 일 월 요일)" };
       }
-    ];
+    } else if (!start) {
+      return { error: "예약 시작 시각을 입력하세요." };
+    } else if (repeatMode === "daily") {
+      repeat = `${start.getMinutes()} ${start.getHours()} * * *`;
+    } else if (repeatMode === "weekly") {
+      repeat = `${start.getMinutes()} ${start.getHours()} * * ${start.getDay()}`;
+    }
+    return {
+      payload: {
+        startAt: start ? start.getTime() : 0,
+        repeat,
+        utcOffsetMinutes: -(start ?? new Date()).getTimezoneOffset(),
+        lobbyLeadMinutes: Math.max(0, Math.trunc(Number(this.quizScheduleLeadInputEl?.value) || 0)),
+        questionSetId
+      }
+    };
+  }
+
+  requestRoomScheduleSave() {
+    const { payload, error } = this.readRoomScheduleInputs();
+    if (!payload) {
+      this.setQuizConfigStatus(error, true);
+      return;
+    }
+    if (!this.canRequestQuizBank()) {
+      return;
+    }
+    this.quizBankBusy = true;
+    this.socket.emit("room:schedule:set", payload, (response = {}) => {
+      this.quizBankBusy = false;
+      if (!response?.ok) {
+        this.setQuizConfigStatus(`예약 실패: ${this.translateQuizError(response?.error)}`, true);
+        return;
+      }
+      this.applyRoomSchedule(response.schedule);
+      this.setQuizConfigStatus(`퀴즈를 예약했습니다. 다음 퀴즈까지 ${this.formatRoomScheduleCountdown()}`);
+    });
+  }
+
+  requestRoomScheduleClear() {
+    if (!this.canRequestQuizBank()) {
+      return;
+    }
+    this.socket.emit("room:schedule:clear", (response = {}) => {
+      if (!response?.ok) {
+        this.setQuizConfigStatus(`예약 해제 실패: ${this.translateQuizError(response?.error)}`, true);
+        return;
+      }
+      this.setQuizConfigStatus("퀴즈 예약을 해제했습니다.");
+    });
   }
 
   openQuizConfigModal() {
@@ -10942,10 +12910,14 @@ export class GameRuntime {
     this.quizConfigDraftRestoreAttempted = false;
     this.quizConfigModalEl?.classList.remove("hidden");
     this.fetchQuizConfig();
+    this.fetchQuizBankList();
+    this.syncRoomScheduleCronInput();
+    this.renderRoomScheduleStatus();
   }
 
   closeQuizConfigModal() {
     this.persistQuizConfigDraft({ immediate: true, updateState: true });
+    this.clearQuizImportPreview();
     this.quizConfigModalEl?.classList.add("hidden");
   }
 
@@ -10992,14 +12964,31 @@ export class GameRuntime {
       this.setQuizConfigStatus("최소 1개 이상의 문항이 필요합니다.", true);
       return;
     }
+    const missingAnswer = this.findQuizQuestionWithoutAnswer(questions);
+    if (missingAnswer > 0) {
+      this.setQuizConfigStatus(`${missingAnswer}번 문항의 정답이 보기와 맞지 않습니다.`, true);
+      return;
+    }
+    const reserve = this.collectQuizReserveQuestionsFromEditor();
+    if (reserve.errors.length > 0) {
+      const first = reserve.errors[0];
+      this.setQuizConfigStatus(`예비 문항 ${first.line}행: ${first.message}`, true);
+      return;
+    }
     const autoFinish = this.quizAutoFinishInputEl?.checked !== false;
     const showOppositeBillboard =
       this.quizOppositeBillboardInputEl?.checked !== false;
     const payload = {
       questions,
+      reserveQuestions: reserve.questions,
       endPolicy: {
         autoFinish,
-        showOppositeBillboard
+        showOppositeBillboard,
+        mode: this.normalizeQuizMode(this.quizModeSelectEl?.value),
+        tiebreaker: this.quizTiebreakerInputEl?.checked === true,
+        botsCanWin: this.quizBotsCanWinInputEl?.checked === true,
+        shields: this.normalizeQuizShieldCount(this.quizShieldsSelectEl?.value),
+        pools: this.readQuizPoolPlanInputs()
       }
     };
     this.quizConfigSaving = true;
@@ -11017,6 +13006,124 @@ export class GameRuntime {
     });
   }
 
+  openQuizImportPicker() {
+    if (!this.quizImportFileInputEl) {
+      return;
+    }
+    this.quizImportFileInputEl.value = "";
+    this.quizImportFileInputEl.click();
+  }
+
+  async handleQuizImportFile(file) {
+    let source = "";
+    try {
+      source = await file.text();
+    } catch {
+      this.setQuizConfigStatus("파일을 읽을 수 없습니다.", true);
+      return;
+    }
+    const parsed = parseQuizSetFile(source, {
+      fileName: file?.name ?? "",
+      timeLimitRange: { min: QUIZ_MIN_TIME_LIMIT_SECONDS, max: QUIZ_MAX_TIME_LIMIT_SECONDS },
+      readingRange: { min: 0, max: QUIZ_MAX_READING_SECONDS }
+    });
+    const overflow = Math.max(0, parsed.questions.length - 50);
+    this.quizImportPreview = {
+      fileName: String(file?.name ?? ""),
+      format: parsed.format,
+      questions: parsed.questions.slice(0, 50),
+      errors: parsed.errors,
+      overflow
+    };
+    this.renderQuizImportPreview();
+    if (parsed.questions.length <= 0) {
+      this.setQuizConfigStatus("가져올 수 있는 문항이 없습니다. 오류 목록을 확인하세요.", true);
+      return;
+    }
+    this.setQuizConfigStatus("미리보기를 확인한 뒤 적용하세요.");
+  }
+
+  renderQuizImportPreview() {
+    const preview = this.quizImportPreview;
+    this.quizImportPreviewEl?.classList.toggle("hidden", !preview);
+    if (!preview) {
+      return;
+    }
+    const lineLabel = preview.format === "json" ? "항목" : "줄";
+    if (this.quizImportSummaryEl) {
+      const overflowText = preview.overflow > 0 ? ` · 최대 50개 초과분 ${preview.overflow}개 제외` : "";
+      this.quizImportSummaryEl.textContent =
+        `${preview.fileName || "파일"} (${preview.format.toUpperCase()}) · 문항 ${preview.questions.length}개` +
+        ` · 오류 ${preview.errors.length}건${overflowText}`;
+    }
+    if (this.quizImportErrorsEl) {
+      this.quizImportErrorsEl.textContent = "";
+      for (const error of preview.errors) {
+        const item = document.createElement("li");
+        item.textContent = error.line > 0 ? `${error.line}${lineLabel}: ${error.message}` : error.message;
+        this.quizImportErrorsEl.appendChild(item);
+      }
+    }
+    if (this.quizImportQuestionsEl) {
+      this.quizImportQuestionsEl.textContent = "";
+      for (const question of preview.questions) {
+        const item = document.createElement("li");
+        const optionsLine = this.formatQuizOptionsLine(question.options);
+        item.textContent = `[${this.formatQuizAnswerLabel(question.answer, question.options)}] ${question.text}${
+          optionsLine ? ` — ${optionsLine}` : ""
+        }`;
+        this.quizImportQuestionsEl.appendChild(item);
+      }
+    }
+    if (this.quizImportApplyBtnEl) {
+      this.quizImportApplyBtnEl.disabled = preview.questions.length <= 0;
+    }
+  }
+
+  clearQuizImportPreview() {
+    this.quizImportPreview = null;
+    this.renderQuizImportPreview();
+  }
+
+  applyQuizImportPreview() {
+    const questions = this.quizImportPreview?.questions ?? [];
+    if (questions.length <= 0) {
+      return;
+    }
+    this.quizConfig = this.normalizeQuizConfigPayload({
+      maxQuestions: questions.length,
+      questions,
+      endPolicy: this.quizConfig?.endPolicy ?? { autoFinish: true, showOppositeBillboard: true }
+    });
+    this.clearQuizImportPreview();
+    this.renderQuizConfigEditor();
+    this.persistQuizConfigDraft({ immediate: true, updateState: true });
+    this.requestQuizConfigSave();
+  }
+
+  exportQuizConfigFile(format = "csv") {
+    const questions = this.collectQuizConfigQuestionsFromEditor();
+    if (questions.length <= 0) {
+      this.setQuizConfigStatus("내보낼 문항이 없습니다.", true);
+      return;
+    }
+    const isJson = format === "json";
+    const body = isJson ? serializeQuizSetJson(questions) : serializeQuizSetCsv(questions);
+    // Excel only detects UTF-8 CSV (and therefore Korean text) when the file starts with a BOM.
+    const blob = new Blob(isJson ? [body] : ["\uFEFF", body], {
+      type: isJson ? "application/json" : "text/csv;charset=utf-8"
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `ox-quiz-${this.currentRoomCode || "questions"}.${isJson ? "json" : "csv"}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.setTimeout(() => URL.revokeObjectURL(url), 0);
+    this.setQuizConfigStatus(`${questions.length}개 문항을 ${isJson ? "JSON" : "CSV"} 파일로 내보냈습니다.`);
+  }
+
   handleQuizConfigUpdate(payload = {}) {
     this.quizConfig = this.normalizeQuizConfigPayload(payload);
     this.quizState.autoFinish = this.quizConfig?.endPolicy?.autoFinish !== false;
@@ -11036,12 +13143,18 @@ export class GameRuntime {
   setQuizReviewItems(items = []) {
     const rows = Array.isArray(items) ? items : [];
     this.quizReviewItems = rows
-      .map((entry, index) => ({
-        index: Math.max(1, Math.trunc(Number(entry?.index) || index + 1)),
-        text: String(entry?.text ?? "").trim().slice(0, 180),
-        answer: this.normalizeQuizAnswerChoice(entry?.answer),
-        explanation: String(entry?.explanation ?? "").trim().slice(0, 720)
-      }))
+      .map((entry, index) => {
+        const options = this.normalizeQuizOptionList(entry?.options);
+        return {
+          index: Math.max(1, Math.trunc(Number(entry?.index) || index + 1)),
+          voided: entry?.voided === true,
+          text: String(entry?.text ?? "").trim().slice(0, 180),
+          answer: this.normalizeQuizAnswerChoice(entry?.answer, options),
+          options,
+          explanation: String(entry?.explanation ?? "").trim().slice(0, 720),
+          tags: this.formatQuizQuestionTags(entry)
+        };
+      })
       .filter((entry) => entry.text.length > 0);
     this.quizReviewIndex = 0;
     this.renderQuizReview();
@@ -11056,12 +13169,17 @@ export class GameRuntime {
       this.quizReviewIndexEl.textContent = total > 0 ? `${safeIndex + 1} / ${total}` : "0 / 0";
     }
     if (this.quizReviewQuestionEl) {
+      const optionsLine = this.formatQuizOptionsLine(current?.options);
       this.quizReviewQuestionEl.textContent = current
-        ? `문항 ${current.index}. ${current.text}`
+        ? `문항 ${current.index}.${current.voided ? " [무효]" : ""}${current.tags ? ` [${current.tags}]` : ""} ${current.text}${
+            optionsLine ? ` (${optionsLine})` : ""
+          }`
         : "해설 데이터가 없습니다.";
     }
     if (this.quizReviewAnswerEl) {
-      this.quizReviewAnswerEl.textContent = `정답: ${current?.answer ?? "-"}`;
+      this.quizReviewAnswerEl.textContent = `정답: ${
+        current ? this.formatQuizAnswerLabel(current.answer, current.options) : "-"
+      }`;
     }
     if (this.quizReviewExplanationEl) {
       this.quizReviewExplanationEl.textContent = `해설: ${current?.explanation || "등록된 해설이 없습니다."}`;
@@ -11139,7 +13257,9 @@ export class GameRuntime {
     const signature = candidates
       .map(
         (entry) =>
-          `${String(entry?.id ?? "")}:${String(entry?.name ?? "")}:${entry?.chatMuted === true ? 1 : 0}`
+          `${String(entry?.id ?? "")}:${String(entry?.name ?? "")}:${entry?.chatMuted === true ? 1 : 0}:${
+            this.findTeamById(entry?.teamId)?.name ?? ""
+          }`
       )
       .join("|");
     if (signature === this.moderationOptionsSignature) {
@@ -11170,7 +13290,10 @@ export class GameRuntime {
       const option = document.createElement("option");
       option.value = String(entry?.id ?? "");
       const muteLabel = entry?.chatMuted === true ? " [채금]" : "";
-      option.textContent = `${entry?.name ?? "플레이어"}${muteLabel}`;
+      const botLabel = entry?.bot === true ? " [봇]" : "";
+      const team = this.findTeamById(entry?.teamId);
+      const teamLabel = team ? ` [${team.name}]` : "";
+      option.textContent = `${entry?.name ?? "플레이어"}${botLabel}${teamLabel}${muteLabel}`;
       this.moderationPlayerSelectEl.appendChild(option);
     }
 
@@ -11180,6 +13303,70 @@ export class GameRuntime {
       : String(candidates[0]?.id ?? "");
   }
 
+  applyTeamState(rawTeams = {}) {
+    const teams = (Array.isArray(rawTeams?.teams) ? rawTeams.teams : [])
+      .map((team) => ({
+        id: String(team?.id ?? ""),
+        name: String(team?.name ?? "").trim() || "팀",
+        color: String(team?.color ?? "#8fa3b8")
+      }))
+      .filter((team) => team.id);
+    this.teamState = {
+      enabled: rawTeams?.enabled === true,
+      scoring: rawTeams?.scoring === "survivors" ? "survivors" : "sum",
+      teams
+    };
+    if (!this.teamState.enabled) {
+      this.teamBoard = [];
+    }
+  }
+
+  findTeamById(teamId) {
+    const id = String(teamId ?? "");
+    if (!id || this.teamState.enabled !== true) {
+      return null;
+    }
+    return this.teamState.teams.find((team) => team.id === id) ?? null;
+  }
+
+  formatTeamStandings(board = []) {
+    const unit = this.teamState.scoring === "survivors" ? "명" : "점";
+    return board.map((team) => `${team.name} ${Math.max(0, Math.trunc(Number(team.score) || 0))}${unit}`).join(" · ");
+  }
+
+  formatWinningTeams(winningTeams = []) {
+    const names = winningTeams.map((team) => String(team?.name ?? "").trim()).filter(Boolean);
+    if (names.length <= 0) {
+      return "";
+    }
+    return names.length === 1 ? `우승 팀: ${names[0]}` : `공동 우승 팀: ${names.join(", ")}`;
+  }
+
+  refreshModerationTeamOptions() {
+    if (!this.moderationTeamSelectEl) {
+      return;
+    }
+    const teams = this.teamState.teams;
+    const signature = teams.map((team) => `${team.id}:${team.name}`).join("|");
+    if (signature === this.moderationTeamOptionsSignature) {
+      return;
+    }
+    this.moderationTeamOptionsSignature = signature;
+    const previousValue = String(this.moderationTeamSelectEl.value ?? "");
+    this.moderationTeamSelectEl.replaceChildren();
+    const autoOption = document.createElement("option");
+    autoOption.value = "";
+    autoOption.textContent = "자동 배정";
+    this.moderationTeamSelectEl.appendChild(autoOption);
+    for (const team of teams) {
+      const option = document.createElement("option");
+      option.value = team.id;
+      option.textContent = team.name;
+      this.moderationTeamSelectEl.appendChild(option);
+    }
+    this.moderationTeamSelectEl.value = teams.some((team) => team.id === previousValue) ? previousValue : "";
+  }
+
   updateQuizControlUi() {
     this.resolveUiElements();
     const isHost = this.isLocalHost();
@@ -11238,6 +13425,37 @@ export class GameRuntime {
     if (this.moderationKickBtnEl) {
       this.moderationKickBtnEl.disabled = !canUseModeration;
     }
+    if (this.moderationBotAddBtnEl) {
+      this.moderationBotAddBtnEl.disabled = !canControl || !this.moderationPanelOpen;
+    }
+    if (this.moderationBotClearBtnEl) {
+      this.moderationBotClearBtnEl.disabled =
+        !canControl || !this.moderationPanelOpen || !this.roomRoster.some((entry) => entry.bot === true);
+    }
+    const canEditTeams = canControl && this.moderationPanelOpen && !active;
+    const teamsEnabled = this.teamState.enabled === true;
+    if (canControl && this.moderationPanelOpen) {
+      this.refreshModerationTeamOptions();
+    }
+    if (this.moderationTeamToggleBtnEl) {
+      this.moderationTeamToggleBtnEl.disabled = !canEditTeams;
+      this.moderationTeamToggleBtnEl.textContent = teamsEnabled ? "팀 모드 끄기" : "팀 모드 켜기";
+    }
+    if (this.moderationTeamCountSelectEl) {
+      this.moderationTeamCountSelectEl.disabled = !canEditTeams || !teamsEnabled;
+      this.moderationTeamCountSelectEl.value = String(Math.max(2, this.teamState.teams.length));
+    }
+    if (this.moderationTeamScoringSelectEl) {
+      this.moderationTeamScoringSelectEl.disabled = !canEditTeams || !teamsEnabled;
+      this.moderationTeamScoringSelectEl.value = this.teamState.scoring;
+    }
+    if (this.moderationTeamSelectEl) {
+      this.moderationTeamSelectEl.disabled = !canEditTeams || !teamsEnabled;
+    }
+    if (this.moderationTeamAssignBtnEl) {
+      this.moderationTeamAssignBtnEl.disabled =
+        !canEditTeams || !teamsEnabled || !hasModerationTarget || selectedModerationTarget?.isHost === true;
+    }
     if (this.moderationMuteBtnEl) {
       this.moderationMuteBtnEl.disabled =
         !canUseModeration || selectedModerationTarget?.chatMuted === true;
@@ -11278,7 +13496,19 @@ export class GameRuntime {
     this.quizPrevBtnEl &&
       (this.quizPrevBtnEl.disabled = !canControl || !active || Math.max(0, this.quizState.questionIndex) <= 1);
     this.quizLockBtnEl &&
-      (this.quizLockBtnEl.disabled = !canControl || !active || phase !== "question");
+      (this.quizLockBtnEl.disabled = !canControl || !active || phase !== "question" || this.quizState.paused);
+    this.quizVoidBtnEl &&
+      (this.quizVoidBtnEl.disabled =
+        !canControl || !active || phase === "lock" || phase === "tiebreak" || this.quizState.questionIndex <= 0);
+    if (this.quizDistributionBtnEl) {
+      this.quizDistributionBtnEl.disabled = !canControl || !active || phase !== "question";
+      this.quizDistributionBtnEl.textContent = this.quizDistribution?.hidden === true ? "분포 공개" : "분포 숨기기";
+    }
+    if (this.quizPauseBtnEl) {
+      this.quizPauseBtnEl.disabled =
+        !canControl || (!active && !this.quizState.paused && this.quizState.autoStartsAt <= 0);
+      this.quizPauseBtnEl.textContent = this.quizState.paused ? "재개" : "일시정지";
+    }
     this.portalTargetInputEl && (this.portalTargetInputEl.disabled = !canControl);
     this.portalTargetSaveBtnEl && (this.portalTargetSaveBtnEl.disabled = !canControl);
     this.billboardTargetSelectEl && (this.billboardTargetSelectEl.disabled = !canControl);
@@ -11438,7 +13668,8 @@ export class GameRuntime {
     this.socket.emit(
       "quiz:start",
       {
-        autoFinish: this.quizConfig?.endPolicy?.autoFinish !== false
+        autoFinish: this.quizConfig?.endPolicy?.autoFinish !== false,
+        mode: this.normalizeQuizMode(this.quizConfig?.endPolicy?.mode)
       },
       (response = {}) => {
         if (!response?.ok) {
@@ -11523,6 +13754,66 @@ export class GameRuntime {
     });
   }
 
+  requestQuizVoidQuestion() {
+    if (!this.ownerAccessEnabled) {
+      this.appendChatLine("시스템", "오너 토큰이 없어 문항 무효 처리 권한이 없습니다.", "system");
+      return;
+    }
+    if (!this.socket || !this.networkConnected) {
+      this.appendChatLine("시스템", "오프라인 상태에서는 문항을 무효 처리할 수 없습니다.", "system");
+      return;
+    }
+    if (!window.confirm("직전에 판정된 문항을 무효 처리할까요? 점수가 되돌려지고 탈락자가 복귀합니다.")) {
+      return;
+    }
+    this.socket.emit("quiz:void-question", {}, (response = {}) => {
+      if (!response?.ok) {
+        this.appendChatLine("시스템", `무효 처리 실패: ${this.translateQuizError(response?.error)}`, "system");
+      }
+    });
+  }
+
+  requestQuizDistributionToggle() {
+    if (!this.ownerAccessEnabled) {
+      this.appendChatLine("시스템", "오너 토큰이 없어 분포 표시 권한이 없습니다.", "system");
+      return;
+    }
+    if (!this.socket || !this.networkConnected) {
+      this.appendChatLine("시스템", "오프라인 상태에서는 분포 표시를 바꿀 수 없습니다.", "system");
+      return;
+    }
+    const hidden = this.quizDistribution?.hidden !== true;
+    this.socket.emit("quiz:distribution:visibility", { hidden }, (response = {}) => {
+      if (!response?.ok) {
+        this.appendChatLine("시스템", `분포 표시 변경 실패: ${this.translateQuizError(response?.error)}`, "system");
+        return;
+      }
+      this.appendChatLine(
+        "시스템",
+        response.hidden ? "이번 문항의 선택 분포를 숨겼습니다." : "이번 문항의 선택 분포를 공개했습니다.",
+        "system"
+      );
+    });
+  }
+
+  requestQuizPauseToggle() {
+    if (!this.ownerAccessEnabled) {
+      this.appendChatLine("시스템", "오너 토큰이 없어 일시 정지 권한이 없습니다.", "system");
+      return;
+    }
+    if (!this.socket || !this.networkConnected) {
+      this.appendChatLine("시스템", "오프라인 상태에서는 일시 정지할 수 없습니다.", "system");
+      return;
+    }
+    const resuming = this.quizState.paused;
+    this.socket.emit(resuming ? "quiz:resume" : "quiz:pause", {}, (response = {}) => {
+      if (!response?.ok) {
+        const label = resuming ? "재개" : "일시 정지";
+        this.appendChatLine("시스템", `${label} 실패: ${this.translateQuizError(response?.error)}`, "system");
+      }
+    });
+  }
+
   requestPortalTargetSave() {
     if (!this.ownerAccessEnabled) {
       this.appendChatLine("시스템", "오너 토큰이 없어 포탈 링크 변경 권한이 없습니다.", "system");
@@ -11592,6 +13883,117 @@ export class GameRuntime {
     });
   }
 
+  requestHostAddBot() {
+    if (!this.ownerAccessEnabled) {
+      this.appendChatLine("시스템", "오너 토큰이 없어 봇 추가 권한이 없습니다.", "system");
+      return;
+    }
+    if (!this.socket || !this.networkConnected) {
+      this.appendChatLine("시스템", "오프라인 상태에서는 봇을 추가할 수 없습니다.", "system");
+      return;
+    }
+    if (!this.isLocalHost()) {
+      this.appendChatLine("시스템", "방장만 봇을 추가할 수 있습니다.", "system");
+      return;
+    }
+    this.socket.emit("room:bots:add", { count: 1 }, (response = {}) => {
+      if (!response?.ok) {
+        this.appendChatLine("시스템", `봇 추가 실패: ${this.translateQuizError(response?.error)}`, "system");
+        return;
+      }
+      const names = (Array.isArray(response.added) ? response.added : [])
+        .map((entry) => this.formatPlayerName(entry?.name))
+        .join(", ");
+      this.appendChatLine("시스템", `${names} 봇을 추가했습니다. (봇 ${response.botCount}명)`, "system");
+    });
+  }
+
+  requestHostClearBots() {
+    if (!this.ownerAccessEnabled) {
+      this.appendChatLine("시스템", "오너 토큰이 없어 봇 제거 권한이 없습니다.", "system");
+      return;
+    }
+    if (!this.socket || !this.networkConnected) {
+      this.appendChatLine("시스템", "오프라인 상태에서는 봇을 제거할 수 없습니다.", "system");
+      return;
+    }
+    if (!this.isLocalHost()) {
+      this.appendChatLine("시스템", "방장만 봇을 제거할 수 있습니다.", "system");
+      return;
+    }
+    this.socket.emit("room:bots:remove", {}, (response = {}) => {
+      if (!response?.ok) {
+        this.appendChatLine("시스템", `봇 제거 실패: ${this.translateQuizError(response?.error)}`, "system");
+        return;
+      }
+      this.appendChatLine("시스템", `봇 ${response.removed.length}명을 제거했습니다.`, "system");
+    });
+  }
+
+  requestHostConfigureTeams(patch = {}) {
+    if (!this.ownerAccessEnabled) {
+      this.appendChatLine("시스템", "오너 토큰이 없어 팀 설정 권한이 없습니다.", "system");
+      return;
+    }
+    if (!this.socket || !this.networkConnected) {
+      this.appendChatLine("시스템", "오프라인 상태에서는 팀을 설정할 수 없습니다.", "system");
+      return;
+    }
+    if (!this.isLocalHost()) {
+      this.appendChatLine("시스템", "방장만 팀을 설정할 수 있습니다.", "system");
+      return;
+    }
+    this.socket.emit("team:config", patch, (response = {}) => {
+      if (!response?.ok) {
+        this.appendChatLine("시스템", `팀 설정 실패: ${this.translateQuizError(response?.error)}`, "system");
+        this.updateQuizControlUi();
+        return;
+      }
+      const teams = response.teams ?? {};
+      const summary = teams.enabled
+        ? `팀 모드 켜짐 · ${(teams.teams ?? []).map((team) => team.name).join(" / ")} · ${
+            teams.scoring === "survivors" ? "생존자 수" : "점수 합계"
+          }`
+        : "팀 모드 꺼짐";
+      this.appendChatLine("시스템", summary, "system");
+    });
+  }
+
+  requestHostAssignTeam() {
+    if (!this.ownerAccessEnabled) {
+      this.appendChatLine("시스템", "오너 토큰이 없어 팀 배정 권한이 없습니다.", "system");
+      return;
+    }
+    if (!this.socket || !this.networkConnected) {
+      this.appendChatLine("시스템", "오프라인 상태에서는 팀을 배정할 수 없습니다.", "system");
+      return;
+    }
+    if (!this.isLocalHost()) {
+      this.appendChatLine("시스템", "방장만 팀을 배정할 수 있습니다.", "system");
+      return;
+    }
+    const target = this.findModerationTargetById(this.moderationPlayerSelectEl?.value);
+    if (!target) {
+      this.appendChatLine("시스템", "팀을 배정할 플레이어를 선택하세요.", "system");
+      return;
+    }
+    const teamId = String(this.moderationTeamSelectEl?.value ?? "");
+    this.socket.emit("team:assign", { playerId: target.id, teamId }, (response = {}) => {
+      if (!response?.ok) {
+        this.appendChatLine("시스템", `팀 배정 실패: ${this.translateQuizError(response?.error)}`, "system");
+        return;
+      }
+      const team = this.findTeamById(response.teamId);
+      this.appendChatLine(
+        "시스템",
+        team
+          ? `${target.name} 플레이어를 ${team.name} 팀에 배정했습니다.`
+          : `${target.name} 플레이어는 입장 시 자동 배정됩니다.`,
+        "system"
+      );
+    });
+  }
+
   requestHostSetChatMuted(nextMuted) {
     if (!this.ownerAccessEnabled) {
       this.appendChatLine("시스템", "오너 토큰이 없어 채팅 제재 권한이 없습니다.", "system");
@@ -11709,7 +14111,8 @@ export class GameRuntime {
     title = "",
     subtitle = "",
     fireworks = false,
-    durationSeconds = ROUND_OVERLAY_SETTINGS.endDurationSeconds
+    durationSeconds = ROUND_OVERLAY_SETTINGS.endDurationSeconds,
+    persistent = false
   } = {}) {
     this.resolveUiElements();
     if (!this.roundOverlayEl) {
@@ -11723,12 +14126,17 @@ export class GameRuntime {
     }
     this.roundOverlayVisible = true;
     this.roundOverlayFireworks = Boolean(fireworks);
+    this.roundOverlayPersistent = Boolean(persistent);
     this.roundOverlayTimer = Math.max(0.6, Number(durationSeconds) || 0);
     this.roundOverlaySpawnClock = 0;
     this.roundOverlayParticles.length = 0;
     this.roundOverlayEl.classList.add("on");
     this.roundOverlayEl.setAttribute("aria-hidden", "false");
-    this.roundOverlayEl.dataset.mode = this.roundOverlayFireworks ? "end" : "prepare";
+    this.roundOverlayEl.dataset.mode = this.roundOverlayFireworks
+      ? "end"
+      : this.roundOverlayPersistent
+        ? "pause"
+        : "prepare";
     this.resizeRoundOverlayCanvas();
     if (this.roundOverlayCtx) {
       this.roundOverlayCtx.clearRect(0, 0, window.innerWidth, window.innerHeight);
@@ -11738,6 +14146,7 @@ export class GameRuntime {
   hideRoundOverlay() {
     this.roundOverlayVisible = false;
     this.roundOverlayFireworks = false;
+    this.roundOverlayPersistent = false;
     this.roundOverlayTimer = 0;
     this.roundOverlaySpawnClock = 0;
     this.roundOverlayParticles.length = 0;
@@ -11790,6 +14199,9 @@ export class GameRuntime {
       return;
     }
 
+    if (this.roundOverlayPersistent) {
+      return;
+    }
     this.roundOverlayTimer -= delta;
     if (this.roundOverlayTimer <= 0) {
       this.hideRoundOverlay();
@@ -12210,6 +14622,18 @@ export class GameRuntime {
     }
     const safeTag = String(tag ?? "").trim().slice(0, 24);
     this.localSyncSeq = (this.localSyncSeq + 1) % 2147483647;
+    // The movement since the previous sync is what this sequence reports; keep it until the
+    // server acknowledges it so corrections can be replayed forward.
+    this.localInputHistory.push({
+      seq: this.localSyncSeq,
+      dx: this.pendingInputDelta.x,
+      dy: this.pendingInputDelta.y,
+      dz: this.pendingInputDelta.z
+    });
+    if (this.localInputHistory.length > LOCAL_INPUT_HISTORY_LIMIT) {
+      this.localInputHistory.shift();
+    }
+    this.pendingInputDelta.set(0, 0, 0);
     this.socket.emit("player:sync", {
       x: this.playerPosition.x,
       y: this.playerPosition.y,
@@ -12294,6 +14718,7 @@ export class GameRuntime {
   }
 
   updateQuizBillboardPulse(delta) {
+    this.updateCenterBillboardMediaFrame(delta);
     this.quizBillboardRefreshClock += delta;
     if (this.quizBillboardRefreshClock < RUNTIME_TUNING.QUIZ_BILLBOARD_REFRESH_INTERVAL_SECONDS) {
       return;
@@ -14,13 +14,17 @@ export class HUD {
     this.playersEl = document.getElementById("hud-players");
     this.positionEl = document.getElementById("hud-position");
     this.fpsEl = document.getElementById("hud-fps");
+    this.distributionEl = document.getElementById("hud-distribution");
+    this.distributionBarEl = document.getElementById("hud-distribution-bar");
+    this.distributionLabelEl = document.getElementById("hud-distribution-label");
     this.enabled = Boolean(this.statusEl || this.playersEl || this.positionEl || this.fpsEl);
 
     this.cache = {
       status: "",
       players: "",
       position: "",
-      fps: ""
+      fps: "",
+      distribution: ""
     };
   }
 
@@ -68,6 +72,34 @@ export class HUD {
     }
   }
 
+  setDistribution(segments = null, hidden = false) {
+    if (!this.distributionEl) {
+      return;
+    }
+    const list = Array.isArray(segments) ? segments : [];
+    const next = list.length > 0 ? `${hidden ? 1 : 0}|${list.map((entry) => `${entry.key}:${entry.count}`).join(",")}` : "";
+    if (this.cache.distribution === next) {
+      return;
+    }
+    this.cache.distribution = next;
+    this.distributionEl.classList.toggle("hidden", list.length <= 0);
+    this.distributionEl.classList.toggle("muted", hidden);
+    const bars = list
+      .filter((entry) => entry.count > 0)
+      .map((entry) => {
+        const bar = document.createElement("span");
+        bar.style.flexGrow = String(entry.count);
+        bar.style.backgroundColor = entry.color;
+        bar.title = `${entry.label} ${entry.count}`;
+        return bar;
+      });
+    this.distributionBarEl?.replaceChildren(...bars);
+    setText(
+      this.distributionLabelEl,
+      `${list.map((entry) => `${entry.label} ${entry.count}`).join(" \u00B7 ")}${hidden ? " (\uC228\uAE40)" : ""}`
+    );
+  }
+
   update(state = {}) {
     if (!this.enabled) {
       return;
@@ -0,0 +1,184 @@
+export const DELTA_POS_SCALE = 100;
+export const DELTA_ROT_SCALE = 1000;
+
+export const DELTA_ENCODING_JSON = "json";
+export const DELTA_ENCODING_BINARY = "binary";
+
+const DELTA_BINARY_VERSION = 1;
+const DELTA_FLAG_POSITION = 1;
+const DELTA_FLAG_ROTATION = 2;
+const DELTA_FLAG_ALIVE_SET = 4;
+const DELTA_FLAG_ALIVE = 8;
+const DELTA_FLAG_INTRO = 16;
+const DELTA_STRING_MAX_BYTES = 255;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+export function sanitizeDeltaEncoding(raw) {
+  return String(raw ?? "").trim().toLowerCase() === DELTA_ENCODING_BINARY
+    ? DELTA_ENCODING_BINARY
+    : DELTA_ENCODING_JSON;
+}
+
+function encodeDeltaString(value) {
+  const bytes = textEncoder.encode(String(value ?? ""));
+  if (bytes.length <= DELTA_STRING_MAX_BYTES) {
+    return bytes;
+  }
+  // Cut on a character boundary so the receiver never sees a broken code point.
+  let end = DELTA_STRING_MAX_BYTES;
+  while (end > 0 && (bytes[end] & 0xc0) === 0x80) {
+    end -= 1;
+  }
+  return bytes.subarray(0, end);
+}
+
+/**
+ * Packs one receiver's delta into a little-endian frame:
+ * `u8 version, u32 tick, u16 removeCount, u16[] removes, u16 updateCount, updates[]`.
+ * Each update is `u16 index, u8 flags` followed by the optional intro (`u8 len + id`,
+ * `u8 len + name`), `i32[3]` quantized position and `i16[2]` quantized yaw/pitch.
+ * An update carries the intro whenever the JSON form would carry the name, so the
+ * receiver learns an index's player id before it has to resolve it.
+ */
+export function encodeBinaryDelta({ tick = 0, updates = [], removes = [] } = {}) {
+  const entries = updates.map((update) => {
+    let flags = 0;
+    if (Array.isArray(update.p)) {
+      flags |= DELTA_FLAG_POSITION;
+    }
+    if (Array.isArray(update.r)) {
+      flags |= DELTA_FLAG_ROTATION;
+    }
+    if (update.a !== undefined) {
+      flags |= DELTA_FLAG_ALIVE_SET | (Number(update.a) !== 0 ? DELTA_FLAG_ALIVE : 0);
+    }
+    const intro =
+      update.n !== undefined ? { id: encodeDeltaString(update.id), name: encodeDeltaString(update.n) } : null;
+    if (intro) {
+      flags |= DELTA_FLAG_INTRO;
+    }
+    return { update, flags, intro };
+  });
+
+  let size = 1 + 4 + 2 + removes.length * 2 + 2;
+  for (const { flags, intro } of entries) {
+    size += 3;
+    if (intro) {
+      size += 2 + intro.id.length + intro.name.length;
+    }
+    if (flags & DELTA_FLAG_POSITION) {
+      size += 12;
+    }
+    if (flags & DELTA_FLAG_ROTATION) {
+      size += 4;
+    }
+  }
+
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  view.setUint8(offset, DELTA_BINARY_VERSION);
+  view.setUint32(offset + 1, Math.max(0, Math.trunc(Number(tick) || 0)) >>> 0, true);
+  view.setUint16(offset + 5, removes.length, true);
+  offset += 7;
+  for (const index of removes) {
+    view.setUint16(offset, index, true);
+    offset += 2;
+  }
+  view.setUint16(offset, entries.length, true);
+  offset += 2;
+  for (const { update, flags, intro } of entries) {
+    view.setUint16(offset, update.index, true);
+    view.setUint8(offset + 2, flags);
+    offset += 3;
+    if (intro) {
+      for (const text of [intro.id, intro.name]) {
+        view.setUint8(offset, text.length);
+        bytes.set(text, offset + 1);
+        offset += 1 + text.length;
+      }
+    }
+    if (flags & DELTA_FLAG_POSITION) {
+      view.setInt32(offset, update.p[0], true);
+      view.setInt32(offset + 4, update.p[1], true);
+      view.setInt32(offset + 8, update.p[2], true);
+      offset += 12;
+    }
+    if (flags & DELTA_FLAG_ROTATION) {
+      view.setInt16(offset, update.r[0], true);
+      view.setInt16(offset + 2, update.r[1], true);
+      offset += 4;
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Reads a frame written by `encodeBinaryDelta`. Accepts an ArrayBuffer or any byte view
+ * (socket.io hands Node a Buffer and browsers an ArrayBuffer). Updates come back with
+ * their `index`, the intro's `id`/`n` when present, and flat quantized fields.
+ * Returns null for a frame it does not understand.
+ */
+export function decodeBinaryDelta(raw) {
+  const bytes = ArrayBuffer.isView(raw)
+    ? new Uint8Array(raw.buffer, raw.byteOffset, raw.byteLength)
+    : raw instanceof ArrayBuffer
+      ? new Uint8Array(raw)
+      : null;
+  if (!bytes || bytes.length < 9) {
+    return null;
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.getUint8(0) !== DELTA_BINARY_VERSION) {
+    return null;
+  }
+
+  try {
+    const tick = view.getUint32(1, true);
+    const removeCount = view.getUint16(5, true);
+    let offset = 7;
+    const removes = [];
+    for (let index = 0; index < removeCount; index += 1) {
+      removes.push(view.getUint16(offset, true));
+      offset += 2;
+    }
+    const updateCount = view.getUint16(offset, true);
+    offset += 2;
+    const updates = [];
+    for (let index = 0; index < updateCount; index += 1) {
+      const update = { index: view.getUint16(offset, true) };
+      const flags = view.getUint8(offset + 2);
+      offset += 3;
+      if (flags & DELTA_FLAG_INTRO) {
+        const texts = [];
+        for (let part = 0; part < 2; part += 1) {
+          const length = view.getUint8(offset);
+          texts.push(textDecoder.decode(bytes.subarray(offset + 1, offset + 1 + length)));
+          offset += 1 + length;
+        }
+        [update.id, update.n] = texts;
+      }
+      if (flags & DELTA_FLAG_ALIVE_SET) {
+        update.a = flags & DELTA_FLAG_ALIVE ? 1 : 0;
+      }
+      if (flags & DELTA_FLAG_POSITION) {
+        update.px = view.getInt32(offset, true);
+        update.py = view.getInt32(offset + 4, true);
+        update.pz = view.getInt32(offset + 8, true);
+        offset += 12;
+      }
+      if (flags & DELTA_FLAG_ROTATION) {
+        update.yaw = view.getInt16(offset, true);
+        update.pitch = view.getInt16(offset + 2, true);
+        offset += 4;
+      }
+      updates.push(update);
+    }
+    return { tick, updates, removes };
+  } catch {
+    // DataView throws RangeError on a truncated frame.
+    return null;
+  }
+}
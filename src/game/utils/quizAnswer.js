@@ -0,0 +1,60 @@
+export const QUIZ_ANSWER_CHOICE_KEYS = ["A", "B", "C", "D"];
+
+/**
+ * Lines the arena's choice zones up with the answer keys. A zone may name its `key`; one that
+ * does not takes the key of its position. A question with N options always uses the first N
+ * keys, so the keys must be unique and run from A without gaps. A bad layout throws rather
+ * than showing hosts a letter that differs from the one they configured.
+ */
+export function orderQuizChoiceZoneConfigs(rawConfigs) {
+  const configs = (Array.isArray(rawConfigs) ? rawConfigs : []).slice(0, QUIZ_ANSWER_CHOICE_KEYS.length);
+  const configsByKey = new Map();
+  configs.forEach((config, index) => {
+    const key =
+      config?.key === undefined || config?.key === null
+        ? QUIZ_ANSWER_CHOICE_KEYS[index]
+        : String(config.key).trim().toUpperCase();
+    if (!QUIZ_ANSWER_CHOICE_KEYS.includes(key)) {
+      throw new Error(`quiz choice zone key must be one of ${QUIZ_ANSWER_CHOICE_KEYS.join(", ")}: ${config.key}`);
+    }
+    if (configsByKey.has(key)) {
+      throw new Error(`duplicate quiz choice zone key: ${key}`);
+    }
+    configsByKey.set(key, config);
+  });
+  return QUIZ_ANSWER_CHOICE_KEYS.slice(0, configsByKey.size).map((key) => {
+    if (!configsByKey.has(key)) {
+      throw new Error(`quiz choice zones skip key ${key}`);
+    }
+    return { key, config: configsByKey.get(key) };
+  });
+}
+
+const O_ANSWER_ALIASES = ["O", "TRUE", "T", "YES", "Y", "1", "LEFT", "L"];
+const X_ANSWER_ALIASES = ["X", "FALSE", "F", "NO", "N", "0", "RIGHT", "R"];
+
+// Shared by the server judge and the client importer so both accept the same spellings.
+export function resolveQuizAnswerAlias(rawValue, optionCount = 0) {
+  const value = String(rawValue ?? "")
+    .trim()
+    .toUpperCase();
+  const count = Math.max(0, Math.min(QUIZ_ANSWER_CHOICE_KEYS.length, Math.trunc(Number(optionCount) || 0)));
+  if (count >= 2) {
+    const choiceKeys = QUIZ_ANSWER_CHOICE_KEYS.slice(0, count);
+    if (choiceKeys.includes(value)) {
+      return value;
+    }
+    const ordinal = Number(value);
+    if (Number.isInteger(ordinal) && ordinal >= 1 && ordinal <= choiceKeys.length) {
+      return choiceKeys[ordinal - 1];
+    }
+    return null;
+  }
+  if (O_ANSWER_ALIASES.includes(value)) {
+    return "O";
+  }
+  if (X_ANSWER_ALIASES.includes(value)) {
+    return "X";
+  }
+  return null;
+}
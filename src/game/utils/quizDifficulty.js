@@ -0,0 +1,29 @@
+export const QUIZ_DIFFICULTIES = Object.freeze(["easy", "medium", "hard"]);
+export const QUIZ_CATEGORY_MAX_LENGTH = 24;
+
+const DIFFICULTY_ALIASES = {
+  easy: "easy",
+  e: "easy",
+  "1": "easy",
+  "쉬움": "easy",
+  medium: "medium",
+  normal: "medium",
+  m: "medium",
+  "2": "medium",
+  "보통": "medium",
+  hard: "hard",
+  h: "hard",
+  "3": "hard",
+  "어려움": "hard"
+};
+
+// Shared by the server pools and the client editor/importer so both accept the same spellings.
+export function sanitizeQuizDifficulty(raw) {
+  return DIFFICULTY_ALIASES[String(raw ?? "").trim().toLowerCase()] ?? "";
+}
+
+export function sanitizeQuizCategory(raw) {
+  return String(raw ?? "")
+    .trim()
+    .slice(0, QUIZ_CATEGORY_MAX_LENGTH);
+}
@@ -0,0 +1,335 @@
+import { resolveQuizAnswerAlias } from "./quizAnswer.js";
+import { sanitizeQuizCategory, sanitizeQuizDifficulty } from "./quizDifficulty.js";
+
+export const QUIZ_SET_FILE_COLUMNS = [
+  "id",
+  "text",
+  "answer",
+  "explanation",
+  "timeLimitSeconds",
+  "options",
+  "imageUrl",
+  "videoUrl",
+  "explanationImageUrl",
+  "explanationVideoUrl",
+  "readingSeconds",
+  "difficulty",
+  "category"
+];
+const QUIZ_SET_MEDIA_FIELDS = ["imageUrl", "videoUrl", "explanationImageUrl", "explanationVideoUrl"];
+
+const COLUMN_ALIASES = {
+  id: "id",
+  text: "text",
+  question: "text",
+  answer: "answer",
+  correct: "answer",
+  explanation: "explanation",
+  commentary: "explanation",
+  timelimitseconds: "timeLimitSeconds",
+  timelimit: "timeLimitSeconds",
+  lockseconds: "timeLimitSeconds",
+  readingseconds: "readingSeconds",
+  reading: "readingSeconds",
+  difficulty: "difficulty",
+  level: "difficulty",
+  category: "category",
+  options: "options",
+  choices: "options",
+  imageurl: "imageUrl",
+  image: "imageUrl",
+  videourl: "videoUrl",
+  video: "videoUrl",
+  explanationimageurl: "explanationImageUrl",
+  explanationvideourl: "explanationVideoUrl"
+};
+
+function parseCsvRecords(source) {
+  const records = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const pushRecord = () => {
+    fields.push(field);
+    if (fields.length > 1 || fields[0].trim()) {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+    field = "";
+  };
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") {
+          line += 1;
+        }
+        field += char;
+      }
+      continue;
+    }
+    if (char === '"' && !field) {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[index + 1] === "\n") {
+        index += 1;
+      }
+      pushRecord();
+      line += 1;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    return { records, unterminatedLine: recordLine };
+  }
+  if (field || fields.length > 0) {
+    pushRecord();
+  }
+  return { records, unterminatedLine: 0 };
+}
+
+function resolveCsvHeader(fields) {
+  const columns = fields.map((field) => COLUMN_ALIASES[String(field ?? "").trim().toLowerCase()] ?? null);
+  return columns.includes("text") && columns.includes("answer") ? columns : null;
+}
+
+function validateQuizSetRow(raw, { timeLimitRange, readingRange }) {
+  const problems = [];
+  const text = String(raw?.text ?? raw?.question ?? "").trim();
+  if (!text) {
+    problems.push("문항 내용이 비어 있습니다");
+  }
+
+  const rawOptions = raw?.options ?? raw?.choices ?? [];
+  const options = (Array.isArray(rawOptions) ? rawOptions : String(rawOptions).split("|"))
+    .map((option) => String(option ?? "").trim())
+    .filter(Boolean);
+  if (options.length === 1 || options.length > 4) {
+    problems.push("보기는 2~4개여야 합니다");
+  }
+
+  const rawAnswer = raw?.answer ?? raw?.correct ?? "";
+  const answer = resolveQuizAnswerAlias(rawAnswer, options.length);
+  if (!answer) {
+    problems.push(`정답 '${String(rawAnswer).trim()}'을(를) 해석할 수 없습니다`);
+  }
+
+  const rawSeconds = raw?.timeLimitSeconds ?? raw?.lockSeconds;
+  let timeLimitSeconds = null;
+  if (rawSeconds !== undefined && rawSeconds !== null && String(rawSeconds).trim() !== "") {
+    const seconds = Number(rawSeconds);
+    if (!Number.isFinite(seconds)) {
+      problems.push(`제한 시간 '${String(rawSeconds).trim()}'은(는) 숫자가 아닙니다`);
+    } else if (timeLimitRange && (seconds < timeLimitRange.min || seconds > timeLimitRange.max)) {
+      problems.push(`제한 시간은 ${timeLimitRange.min}~${timeLimitRange.max}초여야 합니다`);
+    } else {
+      timeLimitSeconds = Math.trunc(seconds);
+    }
+  }
+
+  const rawReading = raw?.readingSeconds;
+  let readingSeconds = null;
+  if (rawReading !== undefined && rawReading !== null && String(rawReading).trim() !== "") {
+    const seconds = Number(rawReading);
+    if (!Number.isFinite(seconds)) {
+      problems.push(`읽는 시간 '${String(rawReading).trim()}'은(는) 숫자가 아닙니다`);
+    } else if (readingRange && (seconds < readingRange.min || seconds > readingRange.max)) {
+      problems.push(`읽는 시간은 ${readingRange.min}~${readingRange.max}초여야 합니다`);
+    } else {
+      readingSeconds = Math.trunc(seconds);
+    }
+  }
+
+  const rawDifficulty = String(raw?.difficulty ?? "").trim();
+  const difficulty = sanitizeQuizDifficulty(rawDifficulty);
+  if (rawDifficulty && !difficulty) {
+    problems.push(`난이도 '${rawDifficulty}'은(는) easy/medium/hard 중 하나여야 합니다`);
+  }
+
+  if (problems.length > 0) {
+    return { problems };
+  }
+  const question = {
+    text,
+    answer,
+    options,
+    explanation: String(raw?.explanation ?? raw?.commentary ?? "").trim()
+  };
+  const id = String(raw?.id ?? "").trim();
+  if (id) {
+    question.id = id;
+  }
+  if (timeLimitSeconds !== null) {
+    question.timeLimitSeconds = timeLimitSeconds;
+  }
+  if (readingSeconds) {
+    question.readingSeconds = readingSeconds;
+  }
+  if (difficulty) {
+    question.difficulty = difficulty;
+  }
+  const category = sanitizeQuizCategory(raw?.category);
+  if (category) {
+    question.category = category;
+  }
+  // Media URLs are passed through as-is; the server applies the billboard URL rules.
+  for (const field of QUIZ_SET_MEDIA_FIELDS) {
+    const url = String(raw?.[field] ?? "").trim();
+    if (url) {
+      question[field] = url;
+    }
+  }
+  return { question };
+}
+
+function collectRows(entries, options) {
+  const questions = [];
+  const errors = [];
+  for (const entry of entries) {
+    const { question, problems } = validateQuizSetRow(entry.raw, options);
+    if (question) {
+      questions.push({ ...question, line: entry.line });
+    } else {
+      errors.push({ line: entry.line, message: problems.join(", ") });
+    }
+  }
+  return { questions, errors };
+}
+
+function parseQuizSetCsv(source, options) {
+  const { records, unterminatedLine } = parseCsvRecords(source);
+  const header = records.length > 0 ? resolveCsvHeader(records[0].fields) : null;
+  const columns = header ?? QUIZ_SET_FILE_COLUMNS;
+  const entries = (header ? records.slice(1) : records).map((record) => {
+    const raw = {};
+    columns.forEach((column, index) => {
+      if (column && record.fields[index] !== undefined) {
+        raw[column] = record.fields[index];
+      }
+    });
+    return { line: record.line, raw };
+  });
+  const result = collectRows(entries, options);
+  if (unterminatedLine > 0) {
+    result.errors.push({ line: unterminatedLine, message: "닫히지 않은 따옴표가 있습니다" });
+  }
+  return result;
+}
+
+function parseQuizSetJson(source, options) {
+  let parsed;
+  try {
+    parsed = JSON.parse(source);
+  } catch (error) {
+    return { questions: [], errors: [{ line: 0, message: `JSON 형식 오류: ${error?.message ?? error}` }] };
+  }
+  const list = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.questions) ? parsed.questions : null;
+  if (!list) {
+    return { questions: [], errors: [{ line: 0, message: "questions 배열을 찾을 수 없습니다" }] };
+  }
+  // JSON has no meaningful line numbers once parsed, so rows are numbered by array position.
+  return collectRows(
+    list.map((raw, index) => ({ line: index + 1, raw: raw && typeof raw === "object" ? raw : {} })),
+    options
+  );
+}
+
+export function detectQuizSetFormat(fileName = "", source = "") {
+  const name = String(fileName ?? "").toLowerCase();
+  if (name.endsWith(".json")) {
+    return "json";
+  }
+  if (name.endsWith(".csv")) {
+    return "csv";
+  }
+  return /^\s*[[{]/.test(String(source ?? "")) ? "json" : "csv";
+}
+
+/**
+ * Parses a CSV or JSON question file. Valid rows come back in `questions` (each tagged with
+ * its source `line`) and every rejected row is reported in `errors` instead of aborting.
+ */
+export function parseQuizSetFile(
+  rawSource,
+  { format = "", fileName = "", timeLimitRange = null, readingRange = null } = {}
+) {
+  const source = String(rawSource ?? "").replace(/^\uFEFF/, "");
+  const resolvedFormat = format || detectQuizSetFormat(fileName, source);
+  const options = { timeLimitRange, readingRange };
+  const result = resolvedFormat === "json" ? parseQuizSetJson(source, options) : parseQuizSetCsv(source, options);
+  return { format: resolvedFormat, ...result };
+}
+
+function escapeCsvField(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function serializeQuizSetCsv(questions = []) {
+  const lines = [QUIZ_SET_FILE_COLUMNS.join(",")];
+  for (const question of questions) {
+    const options = Array.isArray(question?.options) ? question.options : [];
+    lines.push(
+      [
+        question?.id ?? "",
+        question?.text ?? "",
+        question?.answer ?? "",
+        question?.explanation ?? "",
+        question?.timeLimitSeconds ?? "",
+        options.join("|"),
+        ...QUIZ_SET_MEDIA_FIELDS.map((field) => question?.[field] ?? ""),
+        question?.readingSeconds || "",
+        question?.difficulty ?? "",
+        question?.category ?? ""
+      ]
+        .map(escapeCsvField)
+        .join(",")
+    );
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+export function serializeQuizSetJson(questions = []) {
+  const rows = questions.map((question) => {
+    const row = {
+      id: question?.id ?? "",
+      text: question?.text ?? "",
+      answer: question?.answer ?? "",
+      explanation: question?.explanation ?? "",
+      timeLimitSeconds: question?.timeLimitSeconds ?? null
+    };
+    if (Array.isArray(question?.options) && question.options.length > 0) {
+      row.options = question.options.slice();
+    }
+    if (question?.readingSeconds > 0) {
+      row.readingSeconds = question.readingSeconds;
+    }
+    if (question?.difficulty) {
+      row.difficulty = question.difficulty;
+    }
+    if (question?.category) {
+      row.category = question.category;
+    }
+    for (const field of QUIZ_SET_MEDIA_FIELDS) {
+      if (question?.[field]) {
+        row[field] = question[field];
+      }
+    }
+    return row;
+  });
+  return `${JSON.stringify({ version: 1, questions: rows }, null, 2)}\n`;
+}
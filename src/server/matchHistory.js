@@ -0,0 +1,170 @@
+import { createReadStream } from "node:fs";
+import { appendFile, mkdir } from "node:fs/promises";
+import { dirname } from "node:path";
+import { createInterface } from "node:readline";
+
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function safeJsonParse(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+// `Date.parse` reads a bare YYYY-MM-DD as that day's UTC midnight; as an upper bound the date
+// means the whole day, so `endOfDay` moves it to the last millisecond before the next midnight.
+function parseTimestamp(rawValue, { endOfDay = false } = {}) {
+  const raw = String(rawValue ?? "").trim();
+  if (!raw) {
+    return null;
+  }
+  const numeric = Number(raw);
+  if (Number.isFinite(numeric)) {
+    return Math.trunc(numeric);
+  }
+  const parsed = Date.parse(raw);
+  if (!Number.isFinite(parsed)) {
+    return null;
+  }
+  return endOfDay && DATE_ONLY_PATTERN.test(raw) ? parsed + DAY_MS - 1 : parsed;
+}
+
+function summarizeMatchRecord(record) {
+  const ranking = Array.isArray(record?.ranking) ? record.ranking : [];
+  return {
+    matchId: record.matchId,
+    roomCode: record.roomCode ?? null,
+    reason: record.reason ?? null,
+    startedAt: Number(record.startedAt || 0),
+    endedAt: Number(record.endedAt || 0),
+    totalQuestions: Math.max(0, Number(record.totalQuestions) || 0),
+    questionsPlayed: Array.isArray(record.results) ? record.results.length : 0,
+    playerCount: ranking.filter((entry) => entry?.spectator !== true).length,
+    winners: (Array.isArray(record.winners) ? record.winners : []).map((entry) => ({
+      id: entry?.id ?? null,
+      name: entry?.name ?? null,
+      score: Math.max(0, Number(entry?.score) || 0)
+    })),
+    winningTeams: (Array.isArray(record.winningTeams) ? record.winningTeams : []).map((team) => ({
+      id: team?.id ?? null,
+      name: team?.name ?? null,
+      score: Math.max(0, Number(team?.score) || 0)
+    }))
+  };
+}
+
+async function forEachRecord(filePath, visit) {
+  let stream;
+  try {
+    stream = createReadStream(filePath, { encoding: "utf8" });
+    await new Promise((resolve, reject) => {
+      stream.once("open", resolve);
+      stream.once("error", reject);
+    });
+  } catch (error) {
+    if (error?.code === "ENOENT") {
+      return;
+    }
+    throw error;
+  }
+
+  const lines = createInterface({ input: stream, crlfDelay: Infinity });
+  for await (const line of lines) {
+    const record = line.trim() ? safeJsonParse(line) : null;
+    if (record && typeof record === "object" && record.matchId) {
+      if (visit(record) === false) {
+        lines.close();
+        stream.destroy();
+        break;
+      }
+    }
+  }
+}
+
+export function normalizeMatchHistoryQuery(searchParams) {
+  const params = searchParams ?? new URLSearchParams();
+  const limit = Math.trunc(Number(params.get("limit")) || DEFAULT_PAGE_LIMIT);
+  return {
+    roomCode: String(params.get("room") ?? params.get("roomCode") ?? "")
+      .trim()
+      .toUpperCase(),
+    from: parseTimestamp(params.get("from")),
+    to: parseTimestamp(params.get("to"), { endOfDay: true }),
+    limit: Math.max(1, Math.min(MAX_PAGE_LIMIT, limit)),
+    offset: Math.max(0, Math.trunc(Number(params.get("offset")) || 0))
+  };
+}
+
+export function createMatchHistoryStore({ filePath }) {
+  let writeChain = Promise.resolve();
+  let directoryReady = false;
+
+  function append(record) {
+    const line = `${JSON.stringify(record)}\n`;
+    writeChain = writeChain
+      .then(async () => {
+        if (!directoryReady) {
+          await mkdir(dirname(filePath), { recursive: true });
+          directoryReady = true;
+        }
+        await appendFile(filePath, line, "utf8");
+      })
+      .catch((error) => {
+        console.error(`[history] failed to append match ${record?.matchId ?? "?"}:`, error?.message ?? error);
+      });
+    return writeChain;
+  }
+
+  async function list(query = {}) {
+    // Wait for queued appends so a match shows up as soon as quiz:end fires.
+    await writeChain;
+    const matches = [];
+    await forEachRecord(filePath, (record) => {
+      const endedAt = Number(record.endedAt || 0);
+      if (query.roomCode && String(record.roomCode ?? "").toUpperCase() !== query.roomCode) {
+        return;
+      }
+      if (query.from !== null && query.from !== undefined && endedAt < query.from) {
+        return;
+      }
+      if (query.to !== null && query.to !== undefined && endedAt > query.to) {
+        return;
+      }
+      matches.push(summarizeMatchRecord(record));
+    });
+
+    matches.sort((left, right) => right.endedAt - left.endedAt);
+    const offset = Math.max(0, Math.trunc(Number(query.offset) || 0));
+    const limit = Math.max(1, Math.trunc(Number(query.limit) || DEFAULT_PAGE_LIMIT));
+    return {
+      total: matches.length,
+      offset,
+      limit,
+      items: matches.slice(offset, offset + limit)
+    };
+  }
+
+  async function get(matchId) {
+    await writeChain;
+    const id = String(matchId ?? "").trim();
+    let found = null;
+    if (!id) {
+      return null;
+    }
+    await forEachRecord(filePath, (record) => {
+      if (record.matchId === id) {
+        found = record;
+        return false;
+      }
+      return true;
+    });
+    return found;
+  }
+
+  return { append, list, get };
+}
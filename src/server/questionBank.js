@@ -0,0 +1,309 @@
+import { randomBytes } from "node:crypto";
+import { mkdir, open, readFile, rename, unlink, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+import { setTimeout as delay } from "node:timers/promises";
+
+const BANK_FILE_VERSION = 1;
+const MAX_BANK_SETS = 200;
+const SET_NAME_MAX_LENGTH = 40;
+const SET_ID_MAX_LENGTH = 32;
+const SET_TAG_MAX_LENGTH = 24;
+const SET_TAG_MAX_COUNT = 12;
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 5000;
+// A worker that died mid-write leaves its lock behind; one this old is taken over.
+const LOCK_STALE_MS = 10000;
+
+function sanitizeSetId(rawValue) {
+  return String(rawValue ?? "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]/g, "")
+    .slice(0, SET_ID_MAX_LENGTH);
+}
+
+function sanitizeSetName(rawValue) {
+  return String(rawValue ?? "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, SET_NAME_MAX_LENGTH);
+}
+
+function sanitizeQuestionBankTags(rawTags) {
+  const list = Array.isArray(rawTags) ? rawTags : String(rawTags ?? "").split(",");
+  const tags = [];
+  for (const rawTag of list) {
+    const tag = String(rawTag ?? "")
+      .replace(/\s+/g, " ")
+      .trim()
+      .slice(0, SET_TAG_MAX_LENGTH);
+    if (!tag || tags.includes(tag)) {
+      continue;
+    }
+    tags.push(tag);
+    if (tags.length >= SET_TAG_MAX_COUNT) {
+      break;
+    }
+  }
+  return tags;
+}
+
+function summarizeSet(set) {
+  return {
+    id: set.id,
+    name: set.name,
+    tags: set.tags.slice(),
+    questionCount: set.questions.length,
+    updatedAt: set.updatedAt
+  };
+}
+
+function createSetId(existing) {
+  for (let attempt = 0; attempt < 8; attempt += 1) {
+    const id = `set-${randomBytes(4).toString("hex")}`;
+    if (!existing.some((set) => set.id === id)) {
+      return id;
+    }
+  }
+  return `set-${Date.now().toString(36)}`;
+}
+
+// Reads the token and age through one handle so both describe the same lock file.
+async function inspectLock(path) {
+  let handle;
+  try {
+    handle = await open(path, "r");
+  } catch {
+    return null;
+  }
+  try {
+    const [info, text] = await Promise.all([handle.stat(), handle.readFile("utf8")]);
+    return { token: text.trim(), ageMs: Date.now() - info.mtimeMs };
+  } catch {
+    return null;
+  } finally {
+    await handle.close().catch(() => {});
+  }
+}
+
+// Breaking a stale lock takes a second lock first, so two workers cannot both break it: the
+// later one finds a different token in the lock file and leaves the newer lock alone.
+async function breakStaleLock(lockPath, staleToken) {
+  const breakPath = `${lockPath}.break`;
+  let handle;
+  try {
+    handle = await open(breakPath, "wx");
+  } catch (error) {
+    if (error?.code !== "EEXIST") {
+      throw error;
+    }
+    const breaker = await inspectLock(breakPath);
+    if (breaker && breaker.ageMs > LOCK_STALE_MS) {
+      await unlink(breakPath).catch(() => {});
+    }
+    return false;
+  }
+  try {
+    const current = await inspectLock(lockPath);
+    if (!current || current.token !== staleToken || current.ageMs <= LOCK_STALE_MS) {
+      return false;
+    }
+    await unlink(lockPath).catch(() => {});
+    return true;
+  } finally {
+    await handle.close().catch(() => {});
+    await unlink(breakPath).catch(() => {});
+  }
+}
+
+/**
+ * Runs `task` while holding an exclusive lock file. `open(..., "wx")` fails when the file
+ * already exists, which makes creating it an atomic test-and-set across processes. The file
+ * holds a token unique to this holder, so a worker only ever removes its own lock or the exact
+ * stale lock it inspected.
+ */
+async function withFileLock(lockPath, task) {
+  await mkdir(dirname(lockPath), { recursive: true });
+  const token = `${process.pid}-${randomBytes(8).toString("hex")}`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  let handle = null;
+  while (!handle) {
+    try {
+      handle = await open(lockPath, "wx");
+    } catch (error) {
+      if (error?.code !== "EEXIST") {
+        throw error;
+      }
+      const current = await inspectLock(lockPath);
+      if (current && current.ageMs > LOCK_STALE_MS && (await breakStaleLock(lockPath, current.token))) {
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`question bank lock timed out: ${lockPath}`);
+      }
+      await delay(LOCK_RETRY_MS);
+    }
+  }
+  try {
+    await handle.writeFile(`${token}\n`, "utf8");
+    return await task();
+  } finally {
+    await handle.close().catch(() => {});
+    if ((await inspectLock(lockPath))?.token === token) {
+      await unlink(lockPath).catch(() => {});
+    }
+  }
+}
+
+export function createQuestionBankStore({ filePath, seedSets = [], sanitizeQuestions }) {
+  const normalizeQuestions =
+    typeof sanitizeQuestions === "function"
+      ? sanitizeQuestions
+      : (questions) => (Array.isArray(questions) ? questions : []);
+  const lockPath = `${filePath}.lock`;
+  let chain = Promise.resolve();
+
+  function normalizeSet(rawSet, fallbackUpdatedAt = Date.now()) {
+    const id = sanitizeSetId(rawSet?.id);
+    const name = sanitizeSetName(rawSet?.name);
+    const questions = normalizeQuestions(rawSet?.questions);
+    if (!id || !name || !Array.isArray(questions) || questions.length <= 0) {
+      return null;
+    }
+    return {
+      id,
+      name,
+      tags: sanitizeQuestionBankTags(rawSet?.tags),
+      questions,
+      updatedAt: Math.max(0, Math.trunc(Number(rawSet?.updatedAt) || fallbackUpdatedAt))
+    };
+  }
+
+  // The bank is re-read for every operation so several workers can share one file. A missing
+  // file reads as the seed sets; the first write creates it under the lock.
+  async function readSets() {
+    let raw;
+    try {
+      raw = await readFile(filePath, "utf8");
+    } catch (error) {
+      if (error?.code !== "ENOENT") {
+        throw error;
+      }
+      return seedSets.map((set) => normalizeSet(set)).filter(Boolean);
+    }
+
+    let parsed = null;
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      throw new Error(`question bank file is not valid JSON: ${filePath}`);
+    }
+    const rawSets = Array.isArray(parsed?.sets) ? parsed.sets : [];
+    return rawSets.map((set) => normalizeSet(set, 0)).filter(Boolean);
+  }
+
+  async function writeSets(sets) {
+    await mkdir(dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const body = JSON.stringify({ version: BANK_FILE_VERSION, sets }, null, 2);
+    await writeFile(tempPath, `${body}\n`, "utf8");
+    await rename(tempPath, filePath);
+  }
+
+  // The chain orders operations within this process; writes also take the lock file so a
+  // read-modify-write never interleaves with another worker's. Reads need no lock because
+  // writes land by atomic rename.
+  function enqueue(task, { exclusive = false } = {}) {
+    const run = chain.then(exclusive ? () => withFileLock(lockPath, task) : task);
+    chain = run.catch(() => {});
+    return run;
+  }
+
+  function enqueueWrite(task) {
+    return enqueue(task, { exclusive: true });
+  }
+
+  function list({ tag = "" } = {}) {
+    const tagFilter = String(tag ?? "").trim();
+    return enqueue(async () => {
+      const sets = await readSets();
+      return sets
+        .filter((set) => !tagFilter || set.tags.includes(tagFilter))
+        .sort((left, right) => left.name.localeCompare(right.name))
+        .map(summarizeSet);
+    });
+  }
+
+  function get(setId) {
+    const id = sanitizeSetId(setId);
+    return enqueue(async () => {
+      const sets = await readSets();
+      return sets.find((set) => set.id === id) ?? null;
+    });
+  }
+
+  function save(rawSet = {}) {
+    return enqueueWrite(async () => {
+      const sets = await readSets();
+      const requestedId = sanitizeSetId(rawSet.id);
+      const index = requestedId ? sets.findIndex((set) => set.id === requestedId) : -1;
+      if (index < 0 && sets.length >= MAX_BANK_SETS) {
+        return { ok: false, error: "bank full" };
+      }
+      const previous = index >= 0 ? sets[index] : null;
+      const set = normalizeSet({
+        id: previous?.id ?? (requestedId || createSetId(sets)),
+        name: rawSet.name ?? previous?.name,
+        tags: rawSet.tags ?? previous?.tags,
+        questions: rawSet.questions,
+        updatedAt: Date.now()
+      });
+      if (!set) {
+        const hasName = Boolean(sanitizeSetName(rawSet.name ?? previous?.name));
+        return { ok: false, error: hasName ? "invalid questions" : "invalid name" };
+      }
+      if (index >= 0) {
+        sets[index] = set;
+      } else {
+        sets.push(set);
+      }
+      await writeSets(sets);
+      return { ok: true, set };
+    });
+  }
+
+  function remove(setId) {
+    const id = sanitizeSetId(setId);
+    return enqueueWrite(async () => {
+      const sets = await readSets();
+      const index = sets.findIndex((set) => set.id === id);
+      if (index < 0) {
+        return false;
+      }
+      sets.splice(index, 1);
+      await writeSets(sets);
+      return true;
+    });
+  }
+
+  function tag(setId, { add = [], remove: removeTags = [], tags = null } = {}) {
+    const id = sanitizeSetId(setId);
+    return enqueueWrite(async () => {
+      const sets = await readSets();
+      const set = sets.find((entry) => entry.id === id);
+      if (!set) {
+        return null;
+      }
+      const dropped = new Set(sanitizeQuestionBankTags(removeTags));
+      const base = tags === null ? set.tags : sanitizeQuestionBankTags(tags);
+      set.tags = sanitizeQuestionBankTags([...base, ...sanitizeQuestionBankTags(add)]).filter(
+        (entry) => !dropped.has(entry)
+      );
+      set.updatedAt = Date.now();
+      await writeSets(sets);
+      return summarizeSet(set);
+    });
+  }
+
+  return { list, get, save, remove, tag };
+}
@@ -0,0 +1,299 @@
+// Seed sets written to a fresh question bank file. Hosts can edit or delete them
+// like any other set once the bank exists on disk.
+export const QUESTION_BANK_PRESETS = [
+  {
+    id: "tukgal",
+    name: "특갤",
+    tags: ["기본", "상식"],
+    questions: [
+      {
+        text: "특이점(Singularity)은 기존의 기준값과 법칙으로 예측 모델이 더 이상 적용되지 않는 상이한 지점을 의미한다.",
+        answer: "O",
+        explanation: "기술 변화가 급격히 변해 인간 삶의 기준을 바꿔버릴 수밖에 없는 지점."
+      },
+      {
+        text: "LLM은 그럴듯한 거짓말(환각)을 할 수 있다.",
+        answer: "O",
+        explanation: "대형 언어 모델은 사실이 아닌 내용을 그럴듯하게 생성하는 환각(Hallucination) 현상이 알려져 있다."
+      },
+      {
+        text: "머스크는 우리가 이미 특이점에 진입했다고 봤다.",
+        answer: "O",
+        explanation: "머스크가 \"이미 진입\" 취지 발언을 여러 차례 했다."
+      },
+      {
+        text: "세계 경제는 성장하고 있지만, 그것은 개발도상국엔 해당되지 않는다.",
+        answer: "X",
+        explanation: "극빈층 감소 예시 등 개도국도 경제적 개선이 있었다 → 문장 부정."
+      },
+      {
+        text: "「특이점이 온다」 마이너 갤러리 개설일은 2019-08-02이다.",
+        answer: "X",
+        explanation: "2019-08-01이라고 명시."
+      },
+      {
+        text: "오늘날 신경과학은 다양한 자료를 바탕으로 뇌 모델을 만들고 시뮬레이션하고 있다.",
+        answer: "O",
+        explanation: "스캔/연결 모델/실험 등으로 모델링·검증 흐름 존재."
+      },
+      {
+        text: "UBI는 더 큰 수준의 고소득(생활 여유 포함)을 보장하자는 담론으로 쓰이기도 한다.",
+        answer: "X",
+        explanation: "그건 UBI가 아니라 UHI(Universal High Income) 쪽 개념."
+      },
+      {
+        text: "1945년 4월 19일자 글에서 고든 무어가 \"직접 전자공학의 미래…\"라고 했다.",
+        answer: "X",
+        explanation: "책 163p 참고 메모 기준 — 그 인용/구성이 맞지 않는다는 취지."
+      },
+      {
+        text: "머스크는 2028년 말 AI가 최강 인간 지능을 능가한다고 했다.",
+        answer: "X",
+        explanation: "2025말~2026년 내로 발언이 수정됨 → 원문장 X."
+      },
+      {
+        text: "\"뒤를 멀리 돌아볼수록 앞을 더 멀리 내다볼 수 있다.\" -칼 세이건-",
+        answer: "X",
+        explanation: "이 명언은 윈스턴 처칠의 것으로 정정해둠 → '칼 세이건' 표기는 X."
+      },
+      {
+        text: "지금 여러분과 함께 플레이하는 이 공간엔 AI가 있다.",
+        answer: "X",
+        explanation: "아직 구현 못함."
+      },
+      {
+        text: "특이점 OX 대기방 가상 캐릭터 이름은 \"차연\"이다.",
+        answer: "O",
+        explanation: "데리다의 '차연(Différance)' 개념에서 따온 이름."
+      },
+      {
+        text: "머슴닷컴(Mersoom) 업로드 일시는 2026년 1월 31일이다.",
+        answer: "X",
+        explanation: "실제 업로드는 2026.02.01 12:44:41."
+      },
+      {
+        text: "유전 알고리즘은 사업현장에 아직 동원되지 못했다.",
+        answer: "X",
+        explanation: "이미 대기업·플랫폼 등에서 쓰이고 있고, 오픈소스+클라우드로 확산 중."
+      },
+      {
+        text: "CIM은 최적화·물류 능률화에서 점차 AI 기법을 확대하고 있다.",
+        answer: "O",
+        explanation: "CIM+AI 결합이 확대되는 흐름은 실제로 존재한다."
+      },
+      {
+        text: "\"과학은 조직된 삶, 지혜는 조직된 지식\"이라고 칸트가 말했다.",
+        answer: "X",
+        explanation: "정확한 문구는 반대 — '과학은 조직된 지식, 지혜는 조직된 삶'."
+      },
+      {
+        text: "제작자는 이 게임을 만드는 데 일주일이 걸렸다.",
+        answer: "X",
+        explanation: "3일 만에 만들었다 → X."
+      },
+      {
+        text: "Hawking–Penrose 특이점 정리의 개념이 의식의 물리적 기초가 된다.",
+        answer: "X",
+        explanation: "커넥톰은 wiring diagram일 뿐, 작동 원리가 아님 → 직결은 X."
+      },
+      {
+        text: "실온 초전도체에서 위상 보호가 불가능하므로 대규모 양자컴퓨터는 물리적으로 불가능하다.",
+        answer: "X",
+        explanation: "단정이 너무 큼. 연구는 계속 진행 중 → X."
+      },
+      {
+        text: "0 이상 999 이하 정수 중 숫자 9가 포함된 수는 271개이다.",
+        answer: "O",
+        explanation: "9가 없는 수: 각 자리에 0~8 → 9³ = 729개. 1000 - 729 = 271."
+      },
+      {
+        text: "\"이 문장은 거짓이다\"는 O 또는 X로 판정할 수 있다.",
+        answer: "X",
+        explanation: "라이어(Liar) 패러독스 — 참도 거짓도 될 수 없어 판정 불가."
+      },
+      {
+        text: "이 게임의 가상 인물 '자연'은 포스트모더니즘→해체주의 흐름에서 파생된 인물이다.",
+        answer: "O",
+        explanation: "ㅇㅇ"
+      },
+      {
+        text: "이전 수복 최종 업데이트 버전은 V7.9이다.",
+        answer: "X",
+        explanation: "V7.1로 정리됨 → V7.9는 X."
+      },
+      {
+        text: "조건을 만족하는 경우의 수는 32,760개이다.",
+        answer: "O",
+        explanation: "O(맞음)"
+      },
+      {
+        text: "오픈소스는 무조건 상업적 사용이 금지된다.",
+        answer: "X",
+        explanation: "라이선스에 따라 MIT·Apache 등은 상업적 사용을 허용한다."
+      },
+      {
+        text: "AI 생성 결과물도 저작권·라이선스 문제가 생길 수 있다.",
+        answer: "O",
+        explanation: "학습 데이터 및 생성 결과물의 저작권 귀속은 법적으로 논의 중."
+      },
+      {
+        text: "GitHub Pages는 정적 웹페이지 배포에 쓰인다.",
+        answer: "O",
+        explanation: "HTML/CSS/JS 정적 파일을 무료로 호스팅할 수 있다."
+      },
+      {
+        text: "확률 50%인 사건을 10번 반복하면 반드시 5번 성공한다.",
+        answer: "X",
+        explanation: "기댓값이 5번이지, 5번이 보장되지는 않는다."
+      },
+      {
+        text: "\"A이면 B\"에서 A가 거짓일 때 명제 전체는 참이 될 수 있다.",
+        answer: "O",
+        explanation: "전건이 거짓이면 명제 전체는 항상 참(vacuous truth)."
+      },
+      {
+        text: "정수 '0'은 짝수다.",
+        answer: "O",
+        explanation: "2의 배수 정의상 짝수. 0 = 2 × 0."
+      },
+      {
+        text: "Git은 변경 이력을 저장하는 버전관리 시스템이다.",
+        answer: "O",
+        explanation: "분산형 버전관리 시스템(DVCS)으로 파일의 변경 이력을 추적한다."
+      }
+    ]
+  },
+  {
+    id: "history",
+    name: "역사상식",
+    tags: ["기본", "역사"],
+    questions: [
+      {
+        text: "고려를 건국한 인물은 왕건이다.",
+        answer: "O",
+        explanation: "918년 왕건이 궁예를 몰아내고 고려를 건국했다.",
+        timeLimitSeconds: 30
+      },
+      {
+        text: "세종대왕이 훈민정음을 창제한 해는 1443년이다.",
+        answer: "O",
+        explanation: "1443년 창제, 1446년 반포. 창제와 반포는 구분해야 한다.",
+        timeLimitSeconds: 30
+      },
+      {
+        text: "임진왜란이 발생한 해는 1592년이다.",
+        answer: "O",
+        explanation: "1592년 일본이 조선을 침략하며 임진왜란이 시작되었다.",
+        timeLimitSeconds: 30
+      },
+      {
+        text: "조선을 건국한 인물은 이성계이다.",
+        answer: "O",
+        explanation: "1392년 이성계가 고려를 무너뜨리고 조선을 건국했다.",
+        timeLimitSeconds: 30
+      },
+      {
+        text: "삼국 통일을 이룬 나라는 고구려이다.",
+        answer: "X",
+        explanation: "676년 신라가 당나라 세력을 몰아내고 삼국통일을 완성했다.",
+        timeLimitSeconds: 30
+      },
+      {
+        text: "조선의 수도는 처음부터 끝까지 한양(서울)이었다.",
+        answer: "X",
+        explanation: "태종 때 잠시 개성으로 환도했다가 다시 한양으로 돌아왔다.",
+        timeLimitSeconds: 30
+      },
+      {
+        text: "을사조약(1905)으로 조선은 외교권을 박탈당했다.",
+        answer: "O",
+        explanation: "일본이 대한제국의 외교권을 강제로 빼앗은 조약이다.",
+        timeLimitSeconds: 30
+      },
+      {
+        text: "강화도 조약(1876)은 조선이 일본과 맺은 최초의 근대 조약이다.",
+        answer: "O",
+        explanation: "불평등 조약으로 조선의 문호를 강제 개방시켰다.",
+        timeLimitSeconds: 30
+      },
+      {
+        text: "고조선을 세운 시조는 동명성왕이다.",
+        answer: "X",
+        explanation: "고조선의 시조는 단군왕검이다. 동명성왕은 고구려의 시조다.",
+        timeLimitSeconds: 30
+      },
+      {
+        text: "병자호란에서 조선 인조는 청나라에 항복하였다.",
+        answer: "O",
+        explanation: "1637년 인조가 삼전도에서 청 태종에게 항복의 예를 올렸다.",
+        timeLimitSeconds: 30
+      },
+      {
+        text: "광개토대왕은 신라의 왕이다.",
+        answer: "X",
+        explanation: "광개토대왕은 고구려 19대 왕으로, 영토를 크게 확장했다.",
+        timeLimitSeconds: 30
+      },
+      {
+        text: "3·1 운동은 1919년에 일어났다.",
+        answer: "O",
+        explanation: "1919년 3월 1일 독립선언서 낭독과 함께 전국적 독립운동이 시작됐다.",
+        timeLimitSeconds: 30
+      },
+      {
+        text: "대한민국 임시정부가 수립된 곳은 베이징이다.",
+        answer: "X",
+        explanation: "1919년 중국 상하이에서 수립되었다.",
+        timeLimitSeconds: 30
+      },
+      {
+        text: "동학농민운동(갑오농민전쟁)이 일어난 해는 1894년이다.",
+        answer: "O",
+        explanation: "1894년 전봉준을 중심으로 반봉건·반외세 운동이 전개되었다.",
+        timeLimitSeconds: 30
+      },
+      {
+        text: "고려의 팔만대장경은 해인사에 보관되어 있다.",
+        answer: "O",
+        explanation: "경남 합천 해인사 장경판전에 보관 중이며, 유네스코 세계유산이다.",
+        timeLimitSeconds: 30
+      },
+      {
+        text: "훈민정음 해례본은 유네스코 세계기록유산에 등재되어 있다.",
+        answer: "O",
+        explanation: "1997년 유네스코 세계기록유산으로 등재되었다.",
+        timeLimitSeconds: 30
+      },
+      {
+        text: "조선 시대 최초의 사화는 무오사화(1498)이다.",
+        answer: "O",
+        explanation: "연산군 때 김일손의 사초가 문제가 되어 사림파가 탄압받은 사건이다.",
+        timeLimitSeconds: 30
+      },
+      {
+        text: "국채보상운동(1907)은 국민이 자발적으로 일본 차관을 갚자는 운동이었다.",
+        answer: "O",
+        explanation: "대구에서 시작되어 전국으로 확산된 국민 모금 운동이다.",
+        timeLimitSeconds: 30
+      },
+      {
+        text: "신라의 마지막 왕은 경애왕이다.",
+        answer: "X",
+        explanation: "신라의 마지막 왕은 경순왕(56대)이다. 경애왕은 55대 왕이다.",
+        timeLimitSeconds: 30
+      },
+      {
+        text: "이순신 장군의 명량해전은 1597년에 치러졌다.",
+        answer: "O",
+        explanation: "12척의 배로 133척의 왜선을 물리친 세계 해전사의 기적이다.",
+        timeLimitSeconds: 30
+      },
+      {
+        text: "6·25 전쟁은 미국이 먼저 남한을 침공하며 시작되었다.",
+        answer: "X",
+        explanation: "1950년 6월 25일 북한이 38선을 넘어 남침하며 전쟁이 시작되었다.",
+        timeLimitSeconds: 30
+      }
+    ]
+  }
+];
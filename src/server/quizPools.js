@@ -0,0 +1,94 @@
+import { QUIZ_DIFFICULTIES, sanitizeQuizCategory, sanitizeQuizDifficulty } from "../game/utils/quizDifficulty.js";
+
+export const QUIZ_ADAPTIVE_RAISE_RATIO = 0.7;
+
+// Untagged questions still need a pool, and the middle one disturbs a plan the least.
+const QUIZ_UNTAGGED_POOL = "medium";
+
+export function resolveQuizQuestionPool(question) {
+  return sanitizeQuizDifficulty(question?.difficulty) || QUIZ_UNTAGGED_POOL;
+}
+
+export function sanitizeQuizPoolPlan(raw = {}, maxQuestions = Infinity) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  let remaining = Math.max(0, Math.trunc(Number(maxQuestions)) || 0) || Infinity;
+  const plan = {};
+  for (const difficulty of QUIZ_DIFFICULTIES) {
+    const count = Math.min(remaining, Math.max(0, Math.trunc(Number(source[difficulty]) || 0)));
+    plan[difficulty] = count;
+    remaining -= count;
+  }
+  plan.category = sanitizeQuizCategory(source.category);
+  plan.adaptive = source.adaptive === true;
+  return plan;
+}
+
+export function isQuizPoolPlanActive(plan) {
+  return plan?.adaptive === true || QUIZ_DIFFICULTIES.some((difficulty) => Number(plan?.[difficulty]) > 0);
+}
+
+function shuffleInPlace(list, random) {
+  for (let index = list.length - 1; index > 0; index -= 1) {
+    const swap = Math.floor(random() * (index + 1)) % (index + 1);
+    [list[index], list[swap]] = [list[swap], list[index]];
+  }
+  return list;
+}
+
+/**
+ * Draws the match's questions from the difficulty pools. Each pool is shuffled and then
+ * played easy → hard; a pool with fewer questions than requested contributes what it has.
+ * An adaptive plan with no counts draws every matching question and leaves the order to
+ * `pickAdaptiveQuestionIndex`. Every drawn question is tagged with the `pool` it came from.
+ */
+export function drawQuizPoolSelection(questions = [], plan = {}, { maxQuestions = Infinity, random = Math.random } = {}) {
+  const category = sanitizeQuizCategory(plan?.category).toLowerCase();
+  const pools = new Map(QUIZ_DIFFICULTIES.map((difficulty) => [difficulty, []]));
+  for (const question of questions) {
+    if (category && sanitizeQuizCategory(question?.category).toLowerCase() !== category) {
+      continue;
+    }
+    pools.get(resolveQuizQuestionPool(question)).push(question);
+  }
+
+  const drawAll = !QUIZ_DIFFICULTIES.some((difficulty) => Number(plan?.[difficulty]) > 0);
+  const selection = [];
+  for (const difficulty of QUIZ_DIFFICULTIES) {
+    const pool = shuffleInPlace(pools.get(difficulty).slice(), random);
+    const count = drawAll ? pool.length : Math.max(0, Math.trunc(Number(plan?.[difficulty]) || 0));
+    for (const question of pool.slice(0, count)) {
+      selection.push({ ...question, pool: difficulty });
+    }
+  }
+  return selection.slice(0, Math.max(0, maxQuestions));
+}
+
+// One step harder whenever the last question let too many players through; otherwise hold.
+export function nextAdaptiveDifficulty(previousPool, correctRatio) {
+  const previousIndex = QUIZ_DIFFICULTIES.indexOf(previousPool);
+  if (previousIndex < 0) {
+    return QUIZ_DIFFICULTIES[0];
+  }
+  const step = Number(correctRatio) >= QUIZ_ADAPTIVE_RAISE_RATIO ? 1 : 0;
+  return QUIZ_DIFFICULTIES[Math.min(QUIZ_DIFFICULTIES.length - 1, previousIndex + step)];
+}
+
+/**
+ * Finds the unplayed question (at or after `fromIndex`) whose pool is closest to the target
+ * difficulty, preferring the harder side on a tie so an exhausted pool never makes it easier.
+ */
+export function pickAdaptiveQuestionIndex(questions = [], fromIndex = 0, targetDifficulty = QUIZ_DIFFICULTIES[0]) {
+  const target = Math.max(0, QUIZ_DIFFICULTIES.indexOf(targetDifficulty));
+  let picked = -1;
+  let pickedScore = Infinity;
+  for (let index = Math.max(0, fromIndex); index < questions.length; index += 1) {
+    const level = QUIZ_DIFFICULTIES.indexOf(questions[index]?.pool ?? resolveQuizQuestionPool(questions[index]));
+    const distance = Math.abs(level - target);
+    const score = distance * 2 + (level < target ? 1 : 0);
+    if (score < pickedScore) {
+      picked = index;
+      pickedScore = score;
+    }
+  }
+  return picked;
+}
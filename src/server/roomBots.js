@@ -0,0 +1,96 @@
+import { randomBytes } from "node:crypto";
+
+const BOT_DEFAULT_PROFILE = Object.freeze({
+  accuracy: 0.7,
+  reactionMs: 1800,
+  speed: 6
+});
+
+const BOT_MIN_SPEED = 1;
+const BOT_MAX_REACTION_MS = 15000;
+const BOT_REACTION_JITTER = 0.35;
+const BOT_ZONE_INSET = 2.5;
+const BOT_ARRIVAL_DISTANCE = 0.15;
+
+function clampBotNumber(value, min, max, fallback) {
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric)) {
+    return fallback;
+  }
+  return Math.max(min, Math.min(max, numeric));
+}
+
+export function sanitizeBotProfile(raw = {}, { maxSpeed = BOT_DEFAULT_PROFILE.speed, fallback = BOT_DEFAULT_PROFILE } = {}) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  return {
+    accuracy: Number(clampBotNumber(source.accuracy, 0, 1, fallback.accuracy).toFixed(3)),
+    reactionMs: Math.trunc(clampBotNumber(source.reactionMs, 0, BOT_MAX_REACTION_MS, fallback.reactionMs)),
+    speed: Number(clampBotNumber(source.speed, BOT_MIN_SPEED, maxSpeed, Math.min(maxSpeed, fallback.speed)).toFixed(2))
+  };
+}
+
+export function createBotId() {
+  return `bot-${randomBytes(6).toString("hex")}`;
+}
+
+export function createBotBrain(profile) {
+  return {
+    ...profile,
+    questionKey: null,
+    choice: null,
+    decideAt: 0,
+    target: null
+  };
+}
+
+export function pickBotChoice(answer, choiceKeys, accuracy, random = Math.random) {
+  const wrongKeys = choiceKeys.filter((key) => key !== answer);
+  if (!choiceKeys.includes(answer) || wrongKeys.length <= 0 || random() < accuracy) {
+    return answer;
+  }
+  return wrongKeys[Math.floor(random() * wrongKeys.length) % wrongKeys.length];
+}
+
+/**
+ * Commits the bot to an answer for a freshly opened question. The bot stays put until its
+ * reaction delay (jittered so a room of bots does not move in lockstep) has passed.
+ */
+export function planBotQuestion(brain, { questionKey, answer, choiceKeys, openedAt, random = Math.random }) {
+  if (brain.questionKey === questionKey) {
+    return false;
+  }
+  const jitter = 1 + (random() * 2 - 1) * BOT_REACTION_JITTER;
+  brain.questionKey = questionKey;
+  brain.choice = pickBotChoice(answer, choiceKeys, brain.accuracy, random);
+  brain.decideAt = openedAt + Math.max(0, Math.round(brain.reactionMs * jitter));
+  brain.target = null;
+  return true;
+}
+
+export function pickBotTargetInZone(zone, random = Math.random) {
+  const insetX = Math.min(BOT_ZONE_INSET, zone.width * 0.25);
+  const insetZ = Math.min(BOT_ZONE_INSET, zone.depth * 0.25);
+  const minX = zone.minX + insetX;
+  const minZ = zone.minZ + insetZ;
+  return {
+    x: Number((minX + random() * (zone.maxX - insetX - minX)).toFixed(3)),
+    z: Number((minZ + random() * (zone.maxZ - insetZ - minZ)).toFixed(3))
+  };
+}
+
+export function stepBotTowards(state, target, speed, dtSeconds) {
+  const dx = Number(target.x) - Number(state.x);
+  const dz = Number(target.z) - Number(state.z);
+  const distance = Math.hypot(dx, dz);
+  if (distance <= BOT_ARRIVAL_DISTANCE) {
+    return null;
+  }
+  const step = Math.min(distance, speed * Math.max(0, dtSeconds));
+  return {
+    x: Number(state.x) + (dx / distance) * step,
+    y: Number(state.y),
+    z: Number(state.z) + (dz / distance) * step,
+    yaw: Math.atan2(-dx, -dz),
+    pitch: 0
+  };
+}
@@ -0,0 +1,161 @@
+export const ROOM_SCHEDULE_DEFAULT_LEAD_MINUTES = 10;
+export const ROOM_SCHEDULE_MAX_LEAD_MINUTES = 120;
+
+const ROOM_SCHEDULE_REPEAT_MAX_LENGTH = 64;
+const ROOM_SCHEDULE_MAX_UTC_OFFSET_MINUTES = 14 * 60;
+// Four years of days always contains a Feb 29, so any satisfiable expression matches in range.
+const ROOM_SCHEDULE_SEARCH_DAYS = 366 * 4;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const CRON_FIELDS = Object.freeze([
+  { key: "minutes", min: 0, max: 59 },
+  { key: "hours", min: 0, max: 23 },
+  { key: "days", min: 1, max: 31 },
+  { key: "months", min: 1, max: 12 },
+  { key: "weekdays", min: 0, max: 7 }
+]);
+
+function parseCronField(raw, { min, max }) {
+  const values = new Set();
+  for (const part of String(raw).split(",")) {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      return null;
+    }
+    const step = match[2] === undefined ? 1 : Number(match[2]);
+    let from = min;
+    let to = max;
+    if (match[1] !== "*") {
+      const [start, end] = match[1].split("-").map(Number);
+      from = start;
+      to = end ?? (match[2] === undefined ? start : max);
+    }
+    if (step < 1 || from < min || to > max || from > to) {
+      return null;
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parses a five-field cron expression (`minute hour day month weekday`) supporting `*`,
+ * lists, ranges and steps. Weekday 7 is folded into 0 (Sunday). Returns null when invalid.
+ */
+export function parseRoomScheduleCron(raw) {
+  const fields = String(raw ?? "").trim().split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    return null;
+  }
+  const cron = {};
+  for (let index = 0; index < CRON_FIELDS.length; index += 1) {
+    const values = parseCronField(fields[index], CRON_FIELDS[index]);
+    if (!values || values.size <= 0) {
+      return null;
+    }
+    cron[CRON_FIELDS[index].key] = values;
+  }
+  if (cron.weekdays.delete(7)) {
+    cron.weekdays.add(0);
+  }
+  cron.dayRestricted = fields[2] !== "*";
+  cron.weekdayRestricted = fields[4] !== "*";
+  cron.hourList = Array.from(cron.hours).sort((left, right) => left - right);
+  cron.minuteList = Array.from(cron.minutes).sort((left, right) => left - right);
+  return cron;
+}
+
+// Cron's own rule: when both day fields are restricted, matching either one is enough.
+function cronMatchesDay(cron, date) {
+  if (!cron.months.has(date.getUTCMonth() + 1)) {
+    return false;
+  }
+  const dayMatch = cron.days.has(date.getUTCDate());
+  const weekdayMatch = cron.weekdays.has(date.getUTCDay());
+  if (cron.dayRestricted && cron.weekdayRestricted) {
+    return dayMatch || weekdayMatch;
+  }
+  return (!cron.dayRestricted || dayMatch) && (!cron.weekdayRestricted || weekdayMatch);
+}
+
+/**
+ * Returns the first start strictly after `afterMs`, or 0 when the schedule has no further
+ * occurrence. Repeats are evaluated in the host's fixed UTC offset, not the worker's zone.
+ */
+export function computeNextScheduledStart(schedule, afterMs) {
+  const after = Math.trunc(Number(afterMs) || 0);
+  const startAt = Math.max(0, Math.trunc(Number(schedule?.startAt) || 0));
+  const cron = schedule?.repeat ? parseRoomScheduleCron(schedule.repeat) : null;
+  if (!cron) {
+    return startAt > after ? startAt : 0;
+  }
+
+  const offsetMs = Math.trunc(Number(schedule?.utcOffsetMinutes) || 0) * MINUTE_MS;
+  const floor = Math.max(after, startAt - 1);
+  const localFloor = floor + offsetMs;
+  const firstDay = localFloor - (((localFloor % DAY_MS) + DAY_MS) % DAY_MS);
+  for (let day = 0; day < ROOM_SCHEDULE_SEARCH_DAYS; day += 1) {
+    const dayStart = firstDay + day * DAY_MS;
+    if (!cronMatchesDay(cron, new Date(dayStart))) {
+      continue;
+    }
+    for (const hour of cron.hourList) {
+      for (const minute of cron.minuteList) {
+        const candidate = dayStart + hour * 60 * MINUTE_MS + minute * MINUTE_MS - offsetMs;
+        if (candidate > floor) {
+          return candidate;
+        }
+      }
+    }
+  }
+  return 0;
+}
+
+export function sanitizeRoomScheduleLeadMinutes(raw) {
+  const value = Math.trunc(Number(raw));
+  if (!Number.isFinite(value)) {
+    return ROOM_SCHEDULE_DEFAULT_LEAD_MINUTES;
+  }
+  return Math.max(0, Math.min(ROOM_SCHEDULE_MAX_LEAD_MINUTES, value));
+}
+
+/**
+ * Validates a host's schedule request. A schedule needs a question set and either a future
+ * one-off `startAt` or a cron `repeat`; with both, the repeat only begins at `startAt`.
+ */
+export function sanitizeRoomSchedule(raw = {}, now = Date.now()) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  const questionSetId = String(source.questionSetId ?? "").trim().slice(0, 48);
+  if (!questionSetId) {
+    return { ok: false, error: "question set required" };
+  }
+  const repeat = String(source.repeat ?? "")
+    .trim()
+    .replace(/\s+/g, " ")
+    .slice(0, ROOM_SCHEDULE_REPEAT_MAX_LENGTH);
+  if (repeat && !parseRoomScheduleCron(repeat)) {
+    return { ok: false, error: "invalid schedule repeat" };
+  }
+  const startAt = Math.max(0, Math.trunc(Number(source.startAt) || 0));
+  if (!repeat && startAt <= 0) {
+    return { ok: false, error: "invalid schedule time" };
+  }
+  const schedule = {
+    startAt,
+    repeat,
+    utcOffsetMinutes: Math.max(
+      -ROOM_SCHEDULE_MAX_UTC_OFFSET_MINUTES,
+      Math.min(ROOM_SCHEDULE_MAX_UTC_OFFSET_MINUTES, Math.trunc(Number(source.utcOffsetMinutes) || 0))
+    ),
+    lobbyLeadMinutes: sanitizeRoomScheduleLeadMinutes(source.lobbyLeadMinutes),
+    questionSetId
+  };
+  const nextStartAt = computeNextScheduledStart(schedule, now);
+  if (nextStartAt <= 0) {
+    return { ok: false, error: repeat ? "invalid schedule repeat" : "schedule time passed" };
+  }
+  return { ok: true, schedule, nextStartAt };
+}
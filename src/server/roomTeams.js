@@ -0,0 +1,126 @@
+export const TEAM_SCORING_SUM = "sum";
+export const TEAM_SCORING_SURVIVORS = "survivors";
+export const TEAM_MIN_COUNT = 2;
+export const TEAM_MAX_COUNT = 4;
+
+const TEAM_NAME_MAX_LENGTH = 16;
+const TEAM_PRESETS = Object.freeze([
+  { id: "red", name: "레드", color: "#e5484d" },
+  { id: "blue", name: "블루", color: "#3e8bff" },
+  { id: "green", name: "그린", color: "#30a46c" },
+  { id: "yellow", name: "옐로", color: "#f5b52e" }
+]);
+
+export function sanitizeTeamScoring(raw, fallback = TEAM_SCORING_SUM) {
+  const value = String(raw ?? "").trim().toLowerCase();
+  if (value === TEAM_SCORING_SUM || value === TEAM_SCORING_SURVIVORS) {
+    return value;
+  }
+  return fallback;
+}
+
+export function createTeamState() {
+  return {
+    enabled: false,
+    scoring: TEAM_SCORING_SUM,
+    teams: buildTeamList(TEAM_MIN_COUNT)
+  };
+}
+
+/**
+ * Builds the team list for a given count. Ids and colors come from a fixed preset so a
+ * team keeps its color across reconfiguration; only the display names are host-editable.
+ */
+export function buildTeamList(count, names = [], previous = []) {
+  const safeCount = Math.max(TEAM_MIN_COUNT, Math.min(TEAM_MAX_COUNT, Math.trunc(Number(count) || 0)));
+  const previousById = new Map((Array.isArray(previous) ? previous : []).map((team) => [team.id, team]));
+  const nameSource = Array.isArray(names) ? names : [];
+  return TEAM_PRESETS.slice(0, safeCount).map((preset, index) => {
+    const requested = String(nameSource[index] ?? "").trim().slice(0, TEAM_NAME_MAX_LENGTH);
+    return {
+      id: preset.id,
+      name: requested || previousById.get(preset.id)?.name || preset.name,
+      color: preset.color
+    };
+  });
+}
+
+export function findTeam(teamState, teamId) {
+  const id = String(teamId ?? "").trim();
+  if (!id || !Array.isArray(teamState?.teams)) {
+    return null;
+  }
+  return teamState.teams.find((team) => team.id === id) ?? null;
+}
+
+// Ties on head count go to the earlier team so repeated balancing is deterministic.
+export function pickSmallestTeamId(teamState, memberCounts) {
+  let picked = null;
+  for (const team of teamState?.teams ?? []) {
+    const count = memberCounts.get(team.id) ?? 0;
+    if (!picked || count < picked.count) {
+      picked = { id: team.id, count };
+    }
+  }
+  return picked?.id ?? null;
+}
+
+/**
+ * Aggregates individual leaderboard entries into a ranked team board. Spectators never count
+ * toward a team; `survivors` scoring ranks by members still alive, `sum` by total points.
+ */
+export function buildTeamBoard(teamState, entries = []) {
+  if (teamState?.enabled !== true) {
+    return [];
+  }
+  const scoring = sanitizeTeamScoring(teamState.scoring);
+  const board = teamState.teams.map((team) => ({
+    id: team.id,
+    name: team.name,
+    color: team.color,
+    score: 0,
+    points: 0,
+    survivors: 0,
+    memberCount: 0,
+    rank: 0
+  }));
+  const byId = new Map(board.map((team) => [team.id, team]));
+  for (const entry of entries) {
+    const team = entry?.spectator === true ? null : byId.get(entry?.teamId);
+    if (!team) {
+      continue;
+    }
+    team.memberCount += 1;
+    team.points += Math.max(0, Math.trunc(Number(entry.score) || 0));
+    team.survivors += entry.alive ? 1 : 0;
+  }
+  for (const team of board) {
+    team.score = scoring === TEAM_SCORING_SURVIVORS ? team.survivors : team.points;
+  }
+
+  board.sort((left, right) => {
+    if (right.score !== left.score) {
+      return right.score - left.score;
+    }
+    return right.points - left.points;
+  });
+  let previousScore = null;
+  board.forEach((team, index) => {
+    if (previousScore === null || team.score !== previousScore) {
+      team.rank = index + 1;
+      previousScore = team.score;
+    } else {
+      team.rank = board[index - 1].rank;
+    }
+  });
+  return board;
+}
+
+export function collectWinningTeams(board = []) {
+  const contenders = board.filter((team) => team.memberCount > 0);
+  if (contenders.length <= 0) {
+    return [];
+  }
+  const topScore = contenders[0].score;
+  return contenders.filter((team) => team.score === topScore);
+}
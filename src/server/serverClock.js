@@ -0,0 +1,97 @@
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, delayMs) => setTimeout(callback, delayMs),
+  clearTimeout: (handle) => clearTimeout(handle),
+  setInterval: (callback, intervalMs) => setInterval(callback, intervalMs),
+  clearInterval: (handle) => clearInterval(handle)
+};
+
+let activeClock = systemClock;
+
+// Room and quiz timing reads through this indirection so a simulator can swap in a virtual clock.
+export const serverClock = {
+  now: () => activeClock.now(),
+  setTimeout: (callback, delayMs) => activeClock.setTimeout(callback, delayMs),
+  clearTimeout: (handle) => activeClock.clearTimeout(handle),
+  setInterval: (callback, intervalMs) => activeClock.setInterval(callback, intervalMs),
+  clearInterval: (handle) => activeClock.clearInterval(handle)
+};
+
+/**
+ * Replaces the clock used by the server. Install it before importing `server.js`, since the
+ * room tick interval is armed while that module loads. Passing nothing restores wall time.
+ */
+export function installServerClock(clock = null) {
+  activeClock = clock ?? systemClock;
+}
+
+/**
+ * A manual clock: time only moves when `advanceBy` / `advanceTo` is called, and timers fire
+ * in due order (then creation order) as the clock passes them.
+ */
+export function createVirtualClock(startAt = 0) {
+  let now = Math.max(0, Math.trunc(Number(startAt) || 0));
+  let nextId = 1;
+  const timers = new Map();
+
+  function schedule(callback, delayMs, repeat) {
+    const id = nextId;
+    nextId += 1;
+    const delay = Math.max(0, Math.trunc(Number(delayMs) || 0));
+    const handle = {
+      id,
+      unref: () => handle,
+      ref: () => handle,
+      hasRef: () => false
+    };
+    timers.set(id, { id, callback, dueAt: now + delay, repeatMs: repeat ? Math.max(1, delay) : 0 });
+    return handle;
+  }
+
+  function cancel(handle) {
+    if (handle && typeof handle === "object") {
+      timers.delete(handle.id);
+    }
+  }
+
+  function takeNextDue(limit) {
+    let next = null;
+    for (const timer of timers.values()) {
+      if (timer.dueAt > limit) {
+        continue;
+      }
+      if (!next || timer.dueAt < next.dueAt || (timer.dueAt === next.dueAt && timer.id < next.id)) {
+        next = timer;
+      }
+    }
+    return next;
+  }
+
+  function advanceTo(target) {
+    const limit = Math.max(now, Math.trunc(Number(target) || 0));
+    let fired = 0;
+    for (let timer = takeNextDue(limit); timer; timer = takeNextDue(limit)) {
+      now = timer.dueAt;
+      if (timer.repeatMs > 0) {
+        timer.dueAt += timer.repeatMs;
+      } else {
+        timers.delete(timer.id);
+      }
+      timer.callback();
+      fired += 1;
+    }
+    now = limit;
+    return fired;
+  }
+
+  return {
+    now: () => now,
+    setTimeout: (callback, delayMs) => schedule(callback, delayMs, false),
+    clearTimeout: cancel,
+    setInterval: (callback, intervalMs) => schedule(callback, intervalMs, true),
+    clearInterval: cancel,
+    advanceTo,
+    advanceBy: (ms) => advanceTo(now + Math.max(0, Math.trunc(Number(ms) || 0))),
+    pendingTimers: () => timers.size
+  };
+}
@@ -0,0 +1,30 @@
+/**
+ * Buckets players into square cells on the XZ plane. Interest management then reasons
+ * about cells instead of individual pairs: every receiver in a cell shares one cadence
+ * per other cell, and whole cells are skipped on ticks where they are not due.
+ */
+export function buildSpatialGrid(players, cellSize, readState = (player) => player?.state ?? {}) {
+  const size = Math.max(1, Number(cellSize) || 1);
+  const cellsByKey = new Map();
+  for (const player of players) {
+    const state = readState(player);
+    const cx = Math.floor((Number(state?.x) || 0) / size);
+    const cz = Math.floor((Number(state?.z) || 0) / size);
+    const key = `${cx}:${cz}`;
+    let cell = cellsByKey.get(key);
+    if (!cell) {
+      cell = { cx, cz, players: [] };
+      cellsByKey.set(key, cell);
+    }
+    cell.players.push(player);
+  }
+  return { cellSize: size, cells: Array.from(cellsByKey.values()) };
+}
+
+// The closest two points of the cells can be, so a cell's cadence is never slower than
+// the per-pair distance would have given any player inside it.
+export function measureCellGapSq(left, right, cellSize) {
+  const gapX = Math.max(0, Math.abs(left.cx - right.cx) - 1) * cellSize;
+  const gapZ = Math.max(0, Math.abs(left.cz - right.cz) - 1) * cellSize;
+  return gapX * gapX + gapZ * gapZ;
+}